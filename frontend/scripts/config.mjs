@@ -0,0 +1,14 @@
+// Settings shared by the build scripts, from the environment
+import path from 'node:path'
+
+export const API_URL = (process.env.API_URL || process.env.VITE_API_URL || 'http://localhost:4000').replace(/\/+$/, '')
+
+// Public origin for canonical and sitemap URLs
+export const SITE_URL = (process.env.SITE_URL || process.env.VITE_SITE_URL || '').replace(/\/+$/, '')
+
+export const DIST_DIR = path.resolve(process.env.DIST_DIR || 'dist')
+
+export const requireSiteUrl = () => {
+  if (!SITE_URL) throw new Error('Set SITE_URL to the public storefront origin, e.g. https://chamundanursery.com')
+  return SITE_URL
+}
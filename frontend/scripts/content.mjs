@@ -0,0 +1,82 @@
+/**
+ * Published storefront content for the build scripts, read from the public API.
+ *
+ * Lists are paged through with `limit`/`page` until a short page. A 404 on a single item
+ * means it was deleted or unpublished and comes back as null, as does an unpublished post or
+ * guide and a product that is not active.
+ */
+import { API_URL } from './config.mjs'
+
+const PAGE_SIZE = 100
+
+const getJson = async (path) => {
+  const response = await fetch(`${API_URL}${path}`, { headers: { Accept: 'application/json' } })
+  if (!response.ok) {
+    const error = new Error(`GET ${path} failed: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+  return response.json()
+}
+
+// Responses are `{ data }`, `{ <name>: [...] }` or a bare array/object depending on the route
+const unwrap = (body, name) => body?.data ?? body?.[name] ?? body
+
+const fetchAll = async (path, name) => {
+  const items = []
+  const seen = new Set()
+  for (let page = 1; ; page += 1) {
+    const body = await getJson(`${path}${path.includes('?') ? '&' : '?'}limit=${PAGE_SIZE}&page=${page}`)
+    const batch = unwrap(body, name)
+    const list = Array.isArray(batch) ? batch : []
+    // Endpoints that ignore paging send the same list again
+    const fresh = list.filter((item) => !seen.has(item.id))
+    fresh.forEach((item) => seen.add(item.id))
+    items.push(...fresh)
+    const totalPages = body?.totalPages ?? body?.pagination?.totalPages
+    if (list.length < PAGE_SIZE || fresh.length < list.length || (totalPages && page >= totalPages)) return items
+  }
+}
+
+const fetchOne = async (path, name) => {
+  try {
+    return unwrap(await getJson(path), name) || null
+  } catch (error) {
+    if (error.status === 404) return null
+    throw error
+  }
+}
+
+const isPublished = (item) => !item.status || item.status === 'published'
+
+// Inactive and draft products are hidden from the storefront, so they get no page either
+const isActiveProduct = (product) => !product.status || product.status === 'active'
+
+export const fetchSettings = async () => unwrap(await getJson('/api/settings'), 'settings') || {}
+
+export const fetchProducts = async () => (await fetchAll('/api/products', 'products')).filter(isActiveProduct)
+
+// Every category; orderCategories picks the ones the catalog shows
+export const fetchCategories = async () => {
+  const categories = unwrap(await getJson('/api/categories'), 'categories')
+  return Array.isArray(categories) ? categories : []
+}
+
+export const fetchBlogPosts = async () => (await fetchAll('/api/blog', 'posts')).filter(isPublished)
+
+export const fetchCareGuides = async () => (await fetchAll('/api/care-guides', 'guides')).filter(isPublished)
+
+export const fetchProduct = async (id) => {
+  const product = await fetchOne(`/api/products/${encodeURIComponent(id)}`, 'product')
+  return product && isActiveProduct(product) ? product : null
+}
+
+export const fetchBlogPost = async (id) => {
+  const post = await fetchOne(`/api/blog/${encodeURIComponent(id)}`, 'post')
+  return post && isPublished(post) ? post : null
+}
+
+export const fetchCareGuide = async (id) => {
+  const guide = await fetchOne(`/api/care-guides/${encodeURIComponent(id)}`, 'guide')
+  return guide && isPublished(guide) ? guide : null
+}
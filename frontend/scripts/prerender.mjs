@@ -0,0 +1,324 @@
+/**
+ * Prerendered HTML for product, category, blog and care-guide pages.
+ *
+ * The storefront is a client-rendered SPA, so crawlers and link previews would otherwise see
+ * an empty `#root`. For every page this copies the built `dist/index.html` to the page's path
+ * (`dist/product/12/index.html`, `dist/catalog/indoor/index.html`, …) with its title, meta
+ * description, canonical URL and Open Graph tags from `src/lib/seo.js`, its JSON-LD from
+ * `src/lib/structuredData.js`, and a plain-HTML version of the content and breadcrumbs.
+ * React replaces that content on load, and react-helmet-async takes over the tags (they
+ * carry its `data-rh` marker). A full run also writes the sitemaps (see sitemap.mjs).
+ *
+ *   node scripts/prerender.mjs                     every page; run after `vite build`
+ *   node scripts/prerender.mjs product:12 blog:7   just these pages (`category:<slug>`, `care:<id>`);
+ *                                                  a page whose content is gone is removed
+ *   node scripts/prerender.mjs --watch             every page, then follow the realtime stream and
+ *                                                  regenerate pages and sitemaps as content is edited
+ *
+ * SITE_URL is the public origin used in canonical URLs and is required. API_URL defaults to
+ * VITE_API_URL, then http://localhost:4000; DIST_DIR defaults to `dist` (see config.mjs).
+ */
+import { readFile, writeFile, mkdir, rm, rmdir } from 'node:fs/promises'
+import path from 'node:path'
+import { API_URL, DIST_DIR, requireSiteUrl } from './config.mjs'
+import {
+  fetchSettings,
+  fetchProducts,
+  fetchCategories,
+  fetchBlogPosts,
+  fetchCareGuides,
+  fetchProduct,
+  fetchBlogPost,
+  fetchCareGuide,
+} from './content.mjs'
+import { writeSitemaps, generateSitemaps } from './sitemap.mjs'
+import {
+  SITE_NAME,
+  ARTICLE_KINDS,
+  productPath,
+  productSeo,
+  categorySeo,
+  articleSeo,
+  seoMeta,
+  stripHtml,
+} from '../src/lib/seo.js'
+import {
+  productJsonLd,
+  articleJsonLd,
+  careGuideJsonLd,
+  breadcrumbJsonLd,
+  serializeJsonLd,
+} from '../src/lib/structuredData.js'
+import { productTrail, categoryTrail, articleTrail } from '../src/lib/breadcrumbs.js'
+import { categoryPath, orderCategories } from '../src/lib/catalogFilters.js'
+
+const RECONNECT_DELAY = 5000
+// Edits tend to come in bursts; the sitemaps are rebuilt once things settle
+const SITEMAP_DELAY = 60 * 1000
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char])
+
+const formatPrice = (price) => (Number(price) > 0 ? `₹${Number(price).toLocaleString('en-IN')}` : '')
+
+// ---- Page markup -----------------------------------------------------------------------
+
+const headTags = (seo, structuredData, siteName) =>
+  [
+    `<title>${escapeHtml(seo.title)}</title>`,
+    seo.canonical && `<link data-rh="true" rel="canonical" href="${escapeHtml(seo.canonical)}" />`,
+    ...seoMeta(seo, { siteName }).map(({ name, property, content }) =>
+      `<meta data-rh="true" ${name ? `name="${escapeHtml(name)}"` : `property="${escapeHtml(property)}"`} content="${escapeHtml(content)}" />`
+    ),
+    ...structuredData.map((data) => `<script data-rh="true" type="application/ld+json">${serializeJsonLd(data)}</script>`),
+  ].filter(Boolean).join('\n    ')
+
+// The template's own title and description are the site defaults; each page swaps in its own.
+// Function replacers, so `$&`-style patterns in product copy are inserted as written.
+const renderDocument = (template, { seo, structuredData, body }, siteName) =>
+  template
+    .replace(/<title>[\s\S]*?<\/title>\s*/i, '')
+    .replace(/<meta\s+name="description"[^>]*>\s*/i, '')
+    .replace('</head>', () => `  ${headTags(seo, structuredData, siteName)}\n  </head>`)
+    .replace('<div id="root"></div>', () => `<div id="root">${body}</div>`)
+
+// The trail BreadcrumbNav shows, as plain links
+const breadcrumbHtml = (trail) => `<nav><a href="/">Home</a>${trail.map((crumb) =>
+  ` › ${crumb.href ? `<a href="${escapeHtml(crumb.href)}">${escapeHtml(crumb.label)}</a>` : escapeHtml(crumb.label)}`
+).join('')}</nav>`
+
+const productBody = (product, trail) => `
+      <main>
+        ${breadcrumbHtml(trail)}
+        <h1>${escapeHtml(product.name)}</h1>
+        ${formatPrice(product.price) && `<p>${formatPrice(product.price)}</p>`}
+        <p>${escapeHtml(stripHtml(product.description))}</p>
+        <p><a href="/catalog">Browse all plants</a></p>
+      </main>`
+
+const categoryBody = (category, children, trail) => `
+      <main>
+        ${breadcrumbHtml(trail)}
+        <h1>${escapeHtml(category.name)}</h1>
+        <p>${escapeHtml(stripHtml(category.description))}</p>
+        ${children.length ? `<ul>${children.map((child) => `<li><a href="${categoryPath(child.slug)}">${escapeHtml(child.name)}</a></li>`).join('')}</ul>` : ''}
+      </main>`
+
+const articleBody = (post, trail) => `
+      <main>
+        ${breadcrumbHtml(trail)}
+        <article>
+          <h1>${escapeHtml(post.title)}</h1>
+          ${post.excerpt ? `<p>${escapeHtml(stripHtml(post.excerpt))}</p>` : ''}
+          <p>${escapeHtml(stripHtml(post.content))}</p>
+        </article>
+      </main>`
+
+// ---- Output ------------------------------------------------------------------------------
+
+const outputFile = (pagePath) => {
+  const file = path.resolve(DIST_DIR, `.${decodeURIComponent(pagePath.split('?')[0])}`, 'index.html')
+  if (!file.startsWith(`${DIST_DIR}${path.sep}`)) throw new Error(`Refusing to write outside ${DIST_DIR}: ${pagePath}`)
+  return file
+}
+
+const writePage = async (site, pagePath, page) => {
+  const file = outputFile(pagePath)
+  await mkdir(path.dirname(file), { recursive: true })
+  await writeFile(file, renderDocument(site.template, page, site.siteName))
+}
+
+const removePage = async (pagePath) => {
+  const file = outputFile(pagePath)
+  try {
+    await rm(file)
+  } catch (error) {
+    if (error.code === 'ENOENT') return
+    throw error
+  }
+  // The page's directory only goes if nothing else was written into it
+  await rmdir(path.dirname(file)).catch(() => {})
+  console.log(`Removed ${pagePath}`)
+}
+
+// ---- Pages -------------------------------------------------------------------------------
+
+const renderProduct = (site, product) => {
+  const trail = productTrail(product, site.categories)
+  return writePage(site, productPath(product), {
+    seo: productSeo(product, site.options),
+    structuredData: [productJsonLd(product, site.options), breadcrumbJsonLd(trail, site.options)],
+    body: productBody(product, trail),
+  })
+}
+
+const ARTICLE_JSON_LD = { blog: (post, options) => articleJsonLd(post, 'blog', options), care: careGuideJsonLd }
+
+const renderArticle = (site, post, kind) => {
+  const trail = articleTrail(post, kind)
+  return writePage(site, ARTICLE_KINDS[kind].path(post), {
+    seo: articleSeo(post, kind, site.options),
+    structuredData: [ARTICLE_JSON_LD[kind](post, site.options), breadcrumbJsonLd(trail, site.options)],
+    body: articleBody(post, trail),
+  })
+}
+
+// Categories render together: a parent page lists its subcategories, and renamed or removed
+// slugs leave pages behind that have to go. Only the categories the catalog shows get pages.
+const renderCategories = async (site, categories) => {
+  site.categories = orderCategories(categories || await fetchCategories())
+  await Promise.all(site.categories.map((category) => {
+    const trail = categoryTrail(category, site.categories)
+    return writePage(site, categoryPath(category.slug), {
+      seo: categorySeo(category, site.options),
+      structuredData: [breadcrumbJsonLd(trail, site.options)],
+      body: categoryBody(category, site.categories.filter((child) => child.parent_id === category.id), trail),
+    })
+  }))
+  const slugs = new Set(site.categories.map((category) => category.slug))
+  await Promise.all([...site.categorySlugs].filter((slug) => !slugs.has(slug)).map((slug) => removePage(categoryPath(slug))))
+  site.categorySlugs = slugs
+  return site.categories.length
+}
+
+const SINGLE_PAGES = {
+  product: { fetch: fetchProduct, path: (id) => productPath({ id }), render: renderProduct },
+  blog: { fetch: fetchBlogPost, path: (id) => ARTICLE_KINDS.blog.path({ id }), render: (site, post) => renderArticle(site, post, 'blog') },
+  care: { fetch: fetchCareGuide, path: (id) => ARTICLE_KINDS.care.path({ id }), render: (site, guide) => renderArticle(site, guide, 'care') },
+}
+
+// `product:12` → (re)writes the page, or removes it when the content is gone
+const renderTarget = async (site, target) => {
+  const [kind, id] = target.split(/:(.*)/)
+  if (kind === 'category') {
+    site.categorySlugs.add(id)
+    await renderCategories(site)
+    console.log('Rendered categories')
+    return
+  }
+  const page = SINGLE_PAGES[kind]
+  if (!page || !id) throw new Error(`Unknown page "${target}"; expected product:<id>, category:<slug>, blog:<id> or care:<id>`)
+  const item = await page.fetch(id)
+  if (!item) return removePage(page.path(id))
+  await page.render(site, item)
+  console.log(`Rendered ${page.path(id)}`)
+}
+
+const renderAll = async (site) => {
+  const [products, categories, posts, guides] = await Promise.all([
+    fetchProducts(),
+    fetchCategories(),
+    fetchBlogPosts(),
+    fetchCareGuides(),
+  ])
+  // Product breadcrumbs need the category tree first
+  const categoryCount = await renderCategories(site, categories)
+  await Promise.all([
+    ...products.map((product) => renderProduct(site, product)),
+    ...posts.map((post) => renderArticle(site, post, 'blog')),
+    ...guides.map((guide) => renderArticle(site, guide, 'care')),
+  ])
+  console.log(`Prerendered ${products.length} products, ${categoryCount} categories, ${posts.length} blog posts and ${guides.length} care guides`)
+  const urls = await writeSitemaps({ siteUrl: site.options.siteUrl, products, categories, posts, guides })
+  console.log(`Wrote sitemaps with ${urls} URLs`)
+}
+
+// ---- Watch mode --------------------------------------------------------------------------
+
+// Realtime event → page to regenerate (event names from src/lib/realtimeEvents.js)
+const eventTarget = ({ type, data = {} }) => {
+  const [entity] = type.replace(/_(created|updated|deleted)$/, '.$1').split('.')
+  if (entity === 'product') return `product:${data.id}`
+  if (entity === 'category') return `category:${data.slug || data.id}`
+  if (entity === 'blog_post') return `blog:${data.id}`
+  if (entity === 'care_guide') return `care:${data.id}`
+  return null
+}
+
+// Node has no EventSource, so the stream is read and split into messages by hand
+const watch = async (site) => {
+  let lastEventId = null
+  let queue = Promise.resolve()
+  let sitemapTimer = null
+
+  const scheduleSitemaps = () => {
+    clearTimeout(sitemapTimer)
+    sitemapTimer = setTimeout(() => {
+      queue = queue.then(generateSitemaps).catch((error) => console.error('Could not write sitemaps:', error.message))
+    }, SITEMAP_DELAY)
+  }
+
+  const handle = (message) => {
+    const data = message.match(/^data:.*$/gm)?.map((line) => line.slice(5).trim()).join('\n')
+    const id = message.match(/^id:(.*)$/m)?.[1].trim()
+    if (id) lastEventId = id
+    let event
+    try {
+      event = JSON.parse(data)
+    } catch {
+      return // Heartbeats and comments
+    }
+    const target = event?.type && eventTarget({ ...event, data: event.data ?? event })
+    if (!target) return
+    // One page at a time, in event order
+    queue = queue.then(() => renderTarget(site, target)).catch((error) => console.error(`Could not render ${target}:`, error.message))
+    scheduleSitemaps()
+  }
+
+  for (;;) {
+    try {
+      const url = new URL(`${API_URL}/api/sse/events`)
+      if (lastEventId) url.searchParams.set('lastEventId', lastEventId)
+      const response = await fetch(url, { headers: { Accept: 'text/event-stream' } })
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+      console.log('Watching for content changes')
+      const decoder = new TextDecoder()
+      let buffer = ''
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, '\n')
+        const messages = buffer.split('\n\n')
+        buffer = messages.pop()
+        messages.forEach(handle)
+      }
+      throw new Error('stream closed')
+    } catch (error) {
+      console.error(`Realtime stream: ${error.message}; reconnecting in ${RECONNECT_DELAY / 1000}s`)
+      await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY))
+    }
+  }
+}
+
+// ---- Main --------------------------------------------------------------------------------
+
+const main = async () => {
+  const siteUrl = requireSiteUrl()
+  const args = process.argv.slice(2)
+  const targets = args.filter((arg) => !arg.startsWith('--'))
+
+  const template = await readFile(path.join(DIST_DIR, 'index.html'), 'utf8').catch(() => {
+    throw new Error(`${DIST_DIR}/index.html not found; run \`vite build\` first`)
+  })
+  const settings = await fetchSettings().catch(() => ({}))
+  const siteName = settings.siteName || SITE_NAME
+  const site = {
+    template,
+    siteName,
+    options: { siteUrl, siteName, currency: settings.currency || 'INR' },
+    categories: [],
+    categorySlugs: new Set(),
+  }
+
+  if (targets.length) {
+    // Product breadcrumbs need the category tree
+    site.categories = orderCategories(await fetchCategories())
+    for (const target of targets) await renderTarget(site, target)
+  } else {
+    await renderAll(site)
+  }
+  if (args.includes('--watch')) await watch(site)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,126 @@
+/**
+ * sitemap.xml and robots.txt for the storefront.
+ *
+ * `dist/sitemap.xml` is a sitemap index pointing at one sitemap per kind of page in
+ * `dist/sitemaps/`: the listing pages, products, categories (in catalog order, each parent
+ * followed by its subcategories, as `orderCategories` builds them), blog posts and care guides.
+ * Every URL carries `lastmod` from its content's last update; a page that lists other content
+ * takes the newest date of what it lists.
+ *
+ *   node scripts/sitemap.mjs      fetch the published content and write the files
+ *
+ * scripts/prerender.mjs writes them too, after a full run and, in watch mode, shortly after
+ * content changes. SITE_URL is required, as for prerendering.
+ */
+import { mkdir, writeFile, rm } from 'node:fs/promises'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { DIST_DIR, requireSiteUrl } from './config.mjs'
+import { fetchProducts, fetchCategories, fetchBlogPosts, fetchCareGuides } from './content.mjs'
+import { ARTICLE_KINDS, absoluteUrl, productPath } from '../src/lib/seo.js'
+import { categoryPath, orderCategories } from '../src/lib/catalogFilters.js'
+
+// The sitemap protocol's limit per file
+const MAX_URLS = 50000
+
+// Never worth crawling: the admin, the customer's own pages and one-off email links
+const DISALLOWED_PATHS = ['/admin', '/account/', '/cart', '/checkout', '/wishlist', '/newsletter/']
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char])
+
+const lastModified = (item) => {
+  const value = item.updatedAt || item.updated_at || item.publishedAt || item.published_at || item.createdAt || item.created_at
+  const date = value ? new Date(value) : null
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined
+}
+
+// ISO timestamps sort as strings
+const newest = (dates) => dates.filter(Boolean).sort().pop()
+
+const xmlDocument = (root, entries, entryTag) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<${root} xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+  ...entries.map(({ loc, lastmod }) =>
+    `  <${entryTag}><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</${entryTag}>`
+  ),
+  `</${root}>`,
+  '',
+].join('\n')
+
+// `{ pages, products, ... }` → one file per kind, split into numbered parts past MAX_URLS
+const sitemapFiles = (groups) =>
+  Object.entries(groups).flatMap(([kind, entries]) => {
+    const parts = Math.ceil(entries.length / MAX_URLS)
+    return Array.from({ length: parts }, (_, index) => ({
+      name: parts > 1 ? `${kind}-${index + 1}.xml` : `${kind}.xml`,
+      entries: entries.slice(index * MAX_URLS, (index + 1) * MAX_URLS),
+    }))
+  })
+
+export const robotsTxt = (siteUrl) => [
+  'User-agent: *',
+  ...DISALLOWED_PATHS.map((disallowed) => `Disallow: ${disallowed}`),
+  '',
+  `Sitemap: ${absoluteUrl('/sitemap.xml', siteUrl)}`,
+  '',
+].join('\n')
+
+export const writeSitemaps = async ({ siteUrl, distDir = DIST_DIR, products = [], categories = [], posts = [], guides = [] }) => {
+  const entry = (pagePath, lastmod) => ({ loc: absoluteUrl(pagePath, siteUrl), lastmod })
+  const ordered = orderCategories(categories)
+
+  const groups = {
+    products: products.map((product) => entry(productPath(product), lastModified(product))),
+    // A parent category page lists its subcategories, so it changes when they do
+    categories: ordered.map((category) => entry(
+      categoryPath(category.slug),
+      newest([category, ...ordered.filter((child) => child.parent_id === category.id)].map(lastModified))
+    )),
+    blog: posts.map((post) => entry(ARTICLE_KINDS.blog.path(post), lastModified(post))),
+    care: guides.map((guide) => entry(ARTICLE_KINDS.care.path(guide), lastModified(guide))),
+  }
+  const newestOf = (kind) => newest(groups[kind].map(({ lastmod }) => lastmod))
+  groups.pages = [
+    entry('/', newest(['products', 'categories', 'blog', 'care'].map(newestOf))),
+    entry('/catalog', newest([newestOf('products'), newestOf('categories')])),
+    entry('/blog', newestOf('blog')),
+    entry('/care', newestOf('care')),
+  ]
+
+  const files = sitemapFiles(groups).filter((file) => file.entries.length)
+  const sitemapsDir = path.join(distDir, 'sitemaps')
+  // Parts from an earlier, larger run must not linger
+  await rm(sitemapsDir, { recursive: true, force: true })
+  await mkdir(sitemapsDir, { recursive: true })
+  await Promise.all(files.map((file) => writeFile(path.join(sitemapsDir, file.name), xmlDocument('urlset', file.entries, 'url'))))
+  await writeFile(
+    path.join(distDir, 'sitemap.xml'),
+    xmlDocument('sitemapindex', files.map((file) => ({
+      loc: absoluteUrl(`/sitemaps/${file.name}`, siteUrl),
+      lastmod: newest(file.entries.map(({ lastmod }) => lastmod)),
+    })), 'sitemap')
+  )
+  await writeFile(path.join(distDir, 'robots.txt'), robotsTxt(siteUrl))
+
+  return files.reduce((total, file) => total + file.entries.length, 0)
+}
+
+export const generateSitemaps = async () => {
+  const siteUrl = requireSiteUrl()
+  const [products, categories, posts, guides] = await Promise.all([
+    fetchProducts(),
+    fetchCategories(),
+    fetchBlogPosts(),
+    fetchCareGuides(),
+  ])
+  const count = await writeSitemaps({ siteUrl, products, categories, posts, guides })
+  console.log(`Wrote sitemaps with ${count} URLs`)
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generateSitemaps().catch((error) => {
+    console.error(error.message)
+    process.exitCode = 1
+  })
+}
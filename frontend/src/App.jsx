@@ -1,9 +1,11 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
 import Header from './components/Header';
 import Footer from './components/Footer';
 import NotificationSystem from './components/NotificationSystem';
 import { useRoleSync } from './hooks/useRoleSync';
+import { useStoreSettings } from './hooks/queries/useSettings';
 import './App.css';
 
 const clerkPubKey = import.meta.env.VITE_CLERK_PUBLISHABLE_KEY;
@@ -15,9 +17,16 @@ if (!clerkPubKey) {
 function App() {
   // useClerkJWTBridge(); // Removed - already called in ClerkJWTBridge component
   useRoleSync();
+  const settings = useStoreSettings();
 
   return (
     <div className="App">
+      {/* Site-wide defaults; pages override these with their own Helmet */}
+      <Helmet defaultTitle={settings.metaTitle}>
+        <meta name="description" content={settings.metaDescription} />
+        <meta name="keywords" content={settings.metaKeywords} />
+        <meta property="og:site_name" content={settings.siteName} />
+      </Helmet>
       <Header />
       <main className="main-content">
         <NotificationSystem />
@@ -20,6 +20,7 @@ import {
 } from 'lucide-react'
 import { fetchDashboardStats } from '../services/api'
 import UserRoleManager from '../components/admin/UserRoleManager'
+import LowStockWidget from './components/LowStockWidget'
 import useUIStore from '../stores/uiStore'
 
 export default function AdminDashboard() {
@@ -343,6 +344,9 @@ export default function AdminDashboard() {
                 </AnimatePresence>
               </motion.div>
 
+              {/* Low Stock */}
+              <LowStockWidget />
+
               {/* Recent Orders */}
               <motion.div
                 className="bg-white/80 backdrop-blur-sm rounded-2xl border border-gray-200 shadow-lg overflow-hidden"
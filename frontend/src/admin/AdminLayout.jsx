@@ -1,10 +1,39 @@
 // Admin layout with sidebar and accessible main content
-import React from 'react'
+import React, { useEffect } from 'react'
 import { Outlet } from 'react-router-dom'
 import AdminSidebar from './AdminSidebar.jsx'
 import NotificationSystem from '../components/NotificationSystem.jsx'
+import useSSE from '../hooks/useSSE'
+import { EVENT_TYPES } from '../lib/realtimeEvents'
+import useUIStore from '../stores/uiStore'
+import { getCarrierProvider, startFakeCarrierBridge } from '../services/carriers/carrierGateway'
+
+// Events worth interrupting an admin for, wherever they are in the panel
+const announce = (event) => {
+  const { showInfo, showWarning } = useUIStore.getState()
+  if (event.type === EVENT_TYPES.ORDER_CREATED) {
+    showInfo(`Order #${event.data.orderNumber || event.data.id} was just placed`, 'New order')
+  } else if (event.type === EVENT_TYPES.RETURN_CREATED) {
+    showInfo(`Order #${event.data.orderNumber || event.data.orderId} has a new return request`, 'Return requested')
+  } else if (event.type === EVENT_TYPES.TICKET_CREATED) {
+    showInfo(`${event.data.name || 'A customer'} wrote: ${event.data.subject || 'a new enquiry'}`, 'New enquiry')
+  } else if (event.type === EVENT_TYPES.STOCK_LOW) {
+    showWarning(`${event.data.name || 'A product'} is down to ${event.data.available} in stock`, 'Low stock')
+  }
+}
 
 export default function AdminLayout() {
+  // Keeps the shared event stream open on every admin page so cached lists stay current
+  useSSE({
+    types: [EVENT_TYPES.ORDER_CREATED, EVENT_TYPES.RETURN_CREATED, EVENT_TYPES.TICKET_CREATED, EVENT_TYPES.STOCK_LOW],
+    onEvent: announce,
+  })
+
+  // In development the fake carrier's parcels live in this browser, so their scans are sent from here
+  useEffect(() => {
+    if (import.meta.env.DEV && getCarrierProvider()?.name === 'fake') return startFakeCarrierBridge()
+  }, [])
+
   return (
     <div className="min-h-screen grid grid-cols-1 lg:grid-cols-[260px_1fr] bg-neutral-50 text-neutral-900">
       <aside className="border-b lg:border-b-0 lg:border-r border-neutral-200 bg-white">
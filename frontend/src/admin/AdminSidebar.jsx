@@ -5,31 +5,50 @@ import { motion } from 'framer-motion'
 import { 
   BarChart3, 
   Package, 
+  Boxes,
   FolderTree, 
   ShoppingCart, 
+  RotateCcw,
+  TicketPercent,
+  Truck,
   Users, 
   Star, 
   Upload, 
   FileText,
+  Inbox,
+  Mail,
+  Newspaper,
+  Search,
   Settings,
   Home
 } from 'lucide-react'
 import ImageLazy from '../components/ImageLazy.jsx'
 import useUser from '../hooks/useUser.js'
+import { useUnreadTicketCount } from '../hooks/queries/useTickets'
 
 export default function AdminSidebar() {
   const { user } = useUser()
   const isAdmin = user.role === 'admin' || user.isAdmin === true
+  const { data: unreadTickets = 0 } = useUnreadTicketCount({ enabled: isAdmin })
 
   const navigationItems = [
     { to: '/admin', icon: BarChart3, label: 'Dashboard', exact: true },
     { to: '/admin/products', icon: Package, label: 'Products' },
+    { to: '/admin/inventory', icon: Boxes, label: 'Inventory' },
     { to: '/admin/categories', icon: FolderTree, label: 'Categories' },
+    { to: '/admin/search', icon: Search, label: 'Search' },
     { to: '/admin/blog', icon: FileText, label: 'Blog & Plant Care' },
     { to: '/admin/orders', icon: ShoppingCart, label: 'Orders' },
+    { to: '/admin/returns', icon: RotateCcw, label: 'Returns' },
+    { to: '/admin/coupons', icon: TicketPercent, label: 'Coupons' },
+    { to: '/admin/shipping', icon: Truck, label: 'Shipping' },
+    { to: '/admin/inbox', icon: Inbox, label: 'Inbox', badge: unreadTickets },
     { to: '/admin/users', icon: Users, label: 'Users' },
     { to: '/admin/reviews', icon: Star, label: 'Reviews' },
-    { to: '/admin/bulk-upload', icon: Upload, label: 'Bulk Upload' },
+    { to: '/admin/bulk-upload', icon: Upload, label: 'Import Products' },
+    { to: '/admin/emails', icon: Mail, label: 'Emails' },
+    { to: '/admin/newsletter', icon: Newspaper, label: 'Newsletter' },
+    { to: '/admin/settings', icon: Settings, label: 'Settings' },
   ]
 
   return (
@@ -72,6 +91,14 @@ export default function AdminSidebar() {
               >
                 <item.icon className="w-5 h-5 flex-shrink-0" />
                 <span className="truncate">{item.label}</span>
+                {item.badge > 0 && (
+                  <span
+                    className="ml-auto min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-green-600 text-white text-xs font-semibold text-center"
+                    aria-label={`${item.badge} unread`}
+                  >
+                    {item.badge > 99 ? '99+' : item.badge}
+                  </span>
+                )}
               </NavLink>
             </motion.li>
           ))}
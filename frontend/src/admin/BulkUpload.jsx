@@ -1,146 +1,305 @@
-// Admin bulk upload page with accessible file input and result table
+// Admin bulk product import: CSV -> column mapping -> dry run -> import
 // Advanced patterns:
-// - State: controlled file input and async upload status
+// - State: step machine (upload, map, preview, done) over parsed CSV records
+// - Validation: rows are checked in the browser before the server sees them
 // - ARIA: form labelling and live region for results
-// - Animation: subtle motion for result rows
-import React, { useState } from 'react'
+// - Animation: subtle motion for step changes
+import React, { useMemo, useState } from 'react'
 import { motion, useReducedMotion } from 'framer-motion'
-import { uploadProductsBulk } from '../services/api.js'
+import { Upload, FileText, Download, Loader2, ArrowLeft, AlertCircle, CheckCircle } from 'lucide-react'
+import { useImportProducts } from '../hooks/queries/useProducts'
+import { useCategories } from '../hooks/queries/useCategories'
+import { parseCsvWithHeaders, downloadFile } from '../lib/csv'
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  buildImportRows,
+  mergeImportResults,
+  summarizeImport,
+  buildErrorReport,
+} from '../lib/productImport'
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
+
+const actionStyles = {
+  create: { label: 'Create', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  skip: { label: 'Skip', className: 'bg-gray-100 text-gray-700' },
+  error: { label: 'Error', className: 'bg-red-100 text-red-800' },
+}
+
+function SummaryCards({ summary, done }) {
+  const cards = [
+    { key: 'create', label: done ? 'Created' : 'Will create' },
+    { key: 'update', label: done ? 'Updated' : 'Will update' },
+    { key: 'skip', label: done ? 'Skipped' : 'Will skip' },
+    { key: 'error', label: 'Errors' },
+  ]
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      {cards.map((card) => (
+        <div key={card.key} className="bg-white rounded-lg shadow-sm p-4">
+          <p className="text-sm text-gray-600">{card.label}</p>
+          <p className={`text-2xl font-bold ${card.key === 'error' && summary.error > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+            {summary[card.key]}
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function RowsTable({ rows, categories }) {
+  const categoryName = (id) => categories.find((category) => String(category.id) === String(id))?.name
+  return (
+    <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+      <div className="overflow-x-auto max-h-[28rem]">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {['Line', 'Product', 'Slug / SKU', 'Category', 'Action', 'Notes'].map((heading) => (
+                <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((row) => {
+              const style = actionStyles[row.action] || actionStyles.skip
+              return (
+                <tr key={row.line} className={row.action === 'error' ? 'bg-red-50/50' : undefined}>
+                  <td className="px-4 py-2 text-gray-500">{row.line}</td>
+                  <td className="px-4 py-2 text-gray-900">{row.product?.name || Object.values(row.source)[0] || '—'}</td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {row.product ? [row.product.slug, row.product.sku].filter(Boolean).join(' / ') : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{categoryName(row.product?.category_id) || '—'}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>{style.label}</span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {row.errors.length > 0 ? (
+                      <span className="text-red-700">{row.errors.join('; ')}</span>
+                    ) : (
+                      row.reason || ''
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
 
 export default function BulkUpload() {
-  const [file, setFile] = useState(null)
-  const [loading, setLoading] = useState(false)
-  const [result, setResult] = useState(null)
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [fileError, setFileError] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [records, setRecords] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [rows, setRows] = useState([])
   const reduceMotion = useReducedMotion()
 
-  const onSubmit = async (e) => {
-    e.preventDefault()
+  const { data: categories = [] } = useCategories({ showInactive: true })
+  const importProducts = useImportProducts()
+  const summary = useMemo(() => summarizeImport(rows), [rows])
+
+  const reset = () => {
+    setStep('upload')
+    setFileName('')
+    setHeaders([])
+    setRecords([])
+    setMapping({})
+    setRows([])
+  }
+
+  const onFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
     if (!file) return
-    setLoading(true)
+    setFileError('')
+
+    if (file.size > MAX_FILE_SIZE) {
+      setFileError('File is larger than 10MB')
+      return
+    }
+
+    const parsed = parseCsvWithHeaders(await file.text())
+    if (parsed.records.length === 0) {
+      setFileError('No product rows found. The first line must be a header row.')
+      return
+    }
+
+    setFileName(file.name)
+    setHeaders(parsed.headers)
+    setRecords(parsed.records)
+    setMapping(guessColumnMapping(parsed.headers))
+    setStep('map')
+  }
+
+  // Validate locally, then send only the clean rows; failed rows are reported without a round trip
+  const run = async (dryRun) => {
+    const built = buildImportRows(records, mapping, categories)
+    const valid = built.filter((row) => row.errors.length === 0)
     try {
-      const res = await uploadProductsBulk(file)
-      setResult(res)
-    } catch (err) {
-      setResult({ imported: 0, errors: [{ message: err?.message || 'Upload failed' }] })
-    } finally {
-      setLoading(false)
+      const result = valid.length > 0 ? await importProducts.mutateAsync({ rows: valid, dryRun }) : { results: [] }
+      setRows(mergeImportResults(built, result.results))
+      setStep(dryRun ? 'preview' : 'done')
+    } catch (error) {
+      // The hook already reported it; stay on the current step
     }
   }
 
+  const downloadErrors = () => {
+    const baseName = fileName.replace(/\.csv$/i, '')
+    downloadFile(buildErrorReport(rows, headers), `${baseName}-errors.csv`)
+  }
+
+  const motionProps = reduceMotion
+    ? {}
+    : { initial: { opacity: 0, y: 8 }, animate: { opacity: 1, y: 0 }, transition: { duration: 0.2 } }
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-white to-cyan-50 p-6">
-      <div className="max-w-4xl mx-auto space-y-8">
-        {/* Header */}
-        <div className="text-center">
-          <h1 className="text-4xl font-bold text-gray-800 mb-2">Bulk Upload Products</h1>
-          <p className="text-lg text-gray-600">Upload a CSV with columns: name, price, category, image, description</p>
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Import Products</h1>
+          <p className="text-gray-600">
+            Create or update products from a CSV. Rows match existing products by SKU, or by slug when there is no SKU.
+          </p>
         </div>
+        {step !== 'upload' && (
+          <button onClick={reset} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900">
+            <ArrowLeft className="w-4 h-4" />
+            Start over
+          </button>
+        )}
+      </div>
 
-        {/* Upload Form */}
-        <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8">
-          <form className="space-y-6" onSubmit={onSubmit} aria-describedby="bulk-help">
-            <div className="text-center">
-              <div className="text-6xl mb-4">📁</div>
-              <h2 className="text-xl font-semibold text-gray-800 mb-2">Select CSV File</h2>
-              <div id="bulk-help" className="text-sm text-gray-600 mb-6">
-                Only CSV files are accepted. Maximum file size: 10MB
-              </div>
-            </div>
-
-            <div className="space-y-4">
-              <label htmlFor="csv-file" className="block text-sm font-medium text-gray-700">
-                Choose CSV File
+      {step === 'upload' && (
+        <motion.div {...motionProps} className="bg-white rounded-lg shadow-sm p-8 text-center">
+          <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Select a CSV file</h2>
+          <p id="bulk-help" className="text-sm text-gray-600 mb-6">
+            The first row must contain column names. Categories can be given by name or id, and files exported
+            from the Products page map automatically. Maximum file size: 10MB
+          </p>
+          <label
+            htmlFor="csv-file"
+            className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 cursor-pointer transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Choose CSV file
+          </label>
+          <input
+            id="csv-file"
+            type="file"
+            accept=".csv,text/csv"
+            aria-describedby="bulk-help"
+            onChange={onFileChange}
+            className="sr-only"
+          />
+          {fileError && <p className="mt-4 text-sm text-red-600">{fileError}</p>}
+        </motion.div>
+      )}
+
+      {step === 'map' && (
+        <motion.div {...motionProps} className="bg-white rounded-lg shadow-sm p-6 space-y-6">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Map columns</h2>
+            <p className="text-sm text-gray-600">
+              {fileName} · {records.length} {records.length === 1 ? 'row' : 'rows'}. Unmapped fields are left unchanged on
+              existing products.
+            </p>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.key} className="flex items-center justify-between gap-4 text-sm">
+                <span className="text-gray-700">
+                  {field.label}
+                  {field.required && <span className="text-red-600"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => setMapping((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-48 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  <option value="">— Not imported —</option>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
               </label>
-              <div className="relative">
-                <input
-                  id="csv-file"
-                  type="file"
-                  accept=".csv,text/csv"
-                  onChange={(e) => setFile(e.target.files?.[0] || null)}
-                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-3 file:px-6 file:rounded-xl file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 file:transition-colors file:duration-200 border border-gray-200 rounded-xl p-3 bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
-              {file && (
-                <div className="bg-green-50 border border-green-200 rounded-lg p-3">
-                  <div className="flex items-center space-x-2">
-                    <span className="text-green-600">✓</span>
-                    <span className="text-sm text-green-700">Selected: {file.name}</span>
-                  </div>
-                </div>
-              )}
-            </div>
-
-            <div className="flex justify-center">
-              <button 
-                type="submit" 
-                disabled={!file || loading}
-                className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-semibold py-3 px-8 rounded-xl shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-200 disabled:transform-none disabled:hover:scale-100 flex items-center space-x-2"
+            ))}
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={() => run(true)}
+              disabled={!mapping.name || importProducts.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-60 transition-colors"
+            >
+              {importProducts.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+              Preview import
+            </button>
+          </div>
+        </motion.div>
+      )}
+
+      {(step === 'preview' || step === 'done') && (
+        <motion.div {...motionProps} className="space-y-4" aria-live="polite" aria-atomic="true">
+          <div className="flex items-center gap-2">
+            {step === 'done' ? (
+              <CheckCircle className="w-5 h-5 text-green-600" />
+            ) : (
+              <AlertCircle className="w-5 h-5 text-blue-600" />
+            )}
+            <h2 className="text-lg font-semibold text-gray-900">
+              {step === 'done' ? 'Import finished' : 'Dry run — nothing has been saved yet'}
+            </h2>
+          </div>
+
+          <SummaryCards summary={summary} done={step === 'done'} />
+          <RowsTable rows={rows} categories={categories} />
+
+          <div className="flex flex-wrap justify-end gap-2">
+            {summary.error > 0 && (
+              <button
+                onClick={downloadErrors}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
               >
-                {loading ? (
-                  <>
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    <span>Uploading...</span>
-                  </>
-                ) : (
-                  <>
-                    <span>📤</span>
-                    <span>Upload Products</span>
-                  </>
-                )}
+                <Download className="w-4 h-4" />
+                Download error report
               </button>
-            </div>
-          </form>
-        </div>
-
-        {/* Results */}
-        <div aria-live="polite" aria-atomic="true">
-          {result && (
-            <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-6">
-              <div className="text-center mb-6">
-                <div className="text-4xl mb-2">
-                  {result.imported > 0 ? '✅' : '❌'}
-                </div>
-                <h2 className="text-xl font-semibold text-gray-800">Upload Results</h2>
-              </div>
-
-              <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
-                <div className="flex items-center justify-center space-x-2">
-                  <span className="text-green-600 text-lg">✓</span>
-                  <span className="font-semibold text-green-800">
-                    Successfully imported: {result.imported || 0} products
-                  </span>
-                </div>
-              </div>
-
-              {Array.isArray(result.errors) && result.errors.length > 0 && (
-                <div className="space-y-4">
-                  <h3 className="font-semibold text-red-700 flex items-center space-x-2">
-                    <span>⚠️</span>
-                    <span>Errors ({result.errors.length})</span>
-                  </h3>
-                  <div className="space-y-2 max-h-64 overflow-y-auto">
-                    {result.errors.map((err, i) => (
-                      <motion.div
-                        key={i}
-                        initial={reduceMotion ? false : { opacity: 0, y: 4 }}
-                        animate={reduceMotion ? {} : { opacity: 1, y: 0 }}
-                        className="bg-red-50 border border-red-200 rounded-lg p-3"
-                      >
-                        <div className="text-red-800 text-sm">
-                          {err.line && (
-                            <span className="font-medium">Line {err.line}: </span>
-                          )}
-                          {err.message || 'Unknown error'}
-                        </div>
-                      </motion.div>
-                    ))}
-                  </div>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-      </div>
+            )}
+            {step === 'preview' && (
+              <>
+                <button
+                  onClick={() => setStep('map')}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+                >
+                  Change mapping
+                </button>
+                <button
+                  onClick={() => run(false)}
+                  disabled={summary.create + summary.update === 0 || importProducts.isPending}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-60 transition-colors"
+                >
+                  {importProducts.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Import {summary.create + summary.update} {summary.create + summary.update === 1 ? 'product' : 'products'}
+                </button>
+              </>
+            )}
+          </div>
+        </motion.div>
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
@@ -26,6 +26,9 @@ import useUIStore from '../stores/uiStore'
 import LoadingSpinner from '../components/LoadingSpinner'
 import { useToast } from '../components/ToastProvider'
 import useSSE from '../hooks/useSSE'
+import { EVENT_TYPES } from '../lib/realtimeEvents'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { GST_RATES, HSN_PATTERN, resolveTaxClass } from '../lib/gst'
 
 /**
  * Category form validation schema
@@ -40,7 +43,10 @@ const categorySchema = z.object({
   sortOrder: z.number().min(0).default(0),
   seoTitle: z.string().optional(),
   seoDescription: z.string().optional(),
-  seoKeywords: z.string().optional()
+  seoKeywords: z.string().optional(),
+  // Empty inherits the parent's tax class, or the store default for main categories
+  hsnCode: z.union([z.literal(''), z.string().regex(HSN_PATTERN, 'HSN codes are 4, 6 or 8 digits')]),
+  gstRate: z.string()
 })
 
 /**
@@ -187,6 +193,11 @@ function SortableCategoryItem({ category, onEdit, onDelete, onToggleActive, leve
               <span className="text-xs text-gray-500">
                 Order: {category.sortOrder}
               </span>
+              {category.hsnCode && (
+                <span className="text-xs text-gray-500">
+                  HSN {category.hsnCode} · GST {category.gstRate ?? 0}%
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -253,6 +264,7 @@ function CategoryForm({ category, onSubmit, onCancel, isLoading }) {
   
   // Fetch all categories for parent selection
   const { data: allCategories = [] } = useCategories()
+  const settings = useStoreSettings()
 
   const {
     register,
@@ -272,9 +284,18 @@ function CategoryForm({ category, onSubmit, onCancel, isLoading }) {
       sortOrder: category?.sortOrder || 0,
       seoTitle: category?.seoTitle || '',
       seoDescription: category?.seoDescription || '',
-      seoKeywords: category?.seoKeywords || ''
+      seoKeywords: category?.seoKeywords || '',
+      hsnCode: category?.hsnCode || '',
+      gstRate: String(category?.gstRate ?? 0)
     }
   })
+
+  // What an empty HSN code falls back to
+  const parentId = watch('parentId')
+  const inheritedTaxClass = React.useMemo(() => {
+    const byId = new Map((Array.isArray(allCategories) ? allCategories : []).map((cat) => [String(cat.id), cat]))
+    return resolveTaxClass(byId.get(String(parentId)), byId, settings)
+  }, [allCategories, settings, parentId])
   
   // Filter available parent categories (exclude current category and its children)
   const availableParentCategories = React.useMemo(() => {
@@ -443,6 +464,45 @@ function CategoryForm({ category, onSubmit, onCancel, isLoading }) {
           </div>
         </div>
 
+        {/* Tax */}
+        <div className="border-t pt-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-1">Tax (GST)</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Leave the HSN code empty to use {inheritedTaxClass.hsnCode} at {inheritedTaxClass.gstRate}% from{' '}
+            {inheritedTaxClass.from ? inheritedTaxClass.from.name : 'the store default'}.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                HSN Code
+              </label>
+              <input
+                {...register('hsnCode')}
+                inputMode="numeric"
+                maxLength={8}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                placeholder={inheritedTaxClass.hsnCode}
+              />
+              {errors.hsnCode && (
+                <p className="text-red-500 text-xs mt-1">{errors.hsnCode.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                GST Slab
+              </label>
+              <select
+                {...register('gstRate')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              >
+                {GST_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate === 0 ? 'Nil (0%)' : `${rate}%`}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
         {/* SEO Settings */}
         <div className="border-t pt-6">
           <h3 className="text-lg font-medium text-gray-900 mb-4">SEO Settings</h3>
@@ -529,22 +589,18 @@ export default function AdminCategories() {
   const updateCategoryMutation = useUpdateCategory()
   const deleteCategoryMutation = useDeleteCategory()
 
-  // SSE connection for real-time updates
-  const { isConnected } = useSSE(`${import.meta.env.VITE_API_URL || 'http://localhost:4001'}/api/sse/events`, {
-    onMessage: (data) => {
-      console.log('Real-time category update:', data)
-      if (data.type === 'category_created') {
-        showToast('New category created', 'success')
-      } else if (data.type === 'category_updated') {
-        showToast('Category updated', 'info')
-      } else if (data.type === 'category_deleted') {
-        showToast('Category deleted', 'warning')
+  // Real-time updates; the category cache is refreshed by the shared event stream
+  const { isConnected } = useSSE({
+    types: [EVENT_TYPES.CATEGORY_CREATED, EVENT_TYPES.CATEGORY_UPDATED, EVENT_TYPES.CATEGORY_DELETED],
+    onEvent: (event) => {
+      if (event.type === EVENT_TYPES.CATEGORY_CREATED) {
+        showToast('success', 'New category created')
+      } else if (event.type === EVENT_TYPES.CATEGORY_UPDATED) {
+        showToast('info', 'Category updated')
+      } else {
+        showToast('warning', 'Category deleted')
       }
     },
-    onError: (error) => {
-      console.error('SSE connection error:', error)
-    },
-    enabled: true
   })
 
   // Drag and drop sensors
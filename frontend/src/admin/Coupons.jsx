@@ -0,0 +1,373 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { TicketPercent, Plus, Pencil, Trash2, X, Loader2, AlertCircle } from 'lucide-react'
+import { useCoupons, useCreateCoupon, useUpdateCoupon, useDeleteCoupon } from '../hooks/queries/useCoupons'
+import { useCategories } from '../hooks/queries/useCategories'
+import {
+  COUPON_TYPES,
+  COUPON_TYPE_LABELS,
+  COUPON_STATUS,
+  describeCoupon,
+  getCouponStatus,
+  normalizeCouponCode,
+  validateCoupon,
+} from '../lib/coupons'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const statusStyles = {
+  [COUPON_STATUS.ACTIVE]: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  [COUPON_STATUS.SCHEDULED]: { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  [COUPON_STATUS.EXPIRED]: { label: 'Expired', className: 'bg-gray-100 text-gray-700' },
+  [COUPON_STATUS.USED_UP]: { label: 'Used up', className: 'bg-yellow-100 text-yellow-800' },
+  [COUPON_STATUS.DISABLED]: { label: 'Disabled', className: 'bg-red-100 text-red-800' },
+}
+
+const EMPTY_COUPON = {
+  code: '',
+  description: '',
+  type: COUPON_TYPES.PERCENT,
+  value: 10,
+  maxDiscount: null,
+  buyQuantity: 2,
+  getQuantity: 1,
+  categoryIds: [],
+  minOrderAmount: 0,
+  usageLimit: null,
+  perCustomerLimit: 1,
+  startsAt: null,
+  expiresAt: null,
+  isActive: true,
+  isFeatured: false,
+}
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '—'
+
+// <input type="datetime-local"> works in local time without a zone; the API stores ISO strings
+const toLocalInput = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null)
+
+const toNumber = (value) => (value === '' ? null : Number(value))
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+function Field({ label, error, hint, children }) {
+  return (
+    <label className="block text-sm">
+      <span className="block text-gray-700 mb-1">{label}</span>
+      {children}
+      {hint && !error && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+      {error && <span className="block text-xs text-red-600 mt-1">{error}</span>}
+    </label>
+  )
+}
+
+function CouponForm({ coupon, onClose }) {
+  const [form, setForm] = useState(() => ({ ...EMPTY_COUPON, ...coupon }))
+  const [errors, setErrors] = useState({})
+  const { data: categories = [] } = useCategories({ showInactive: true })
+  const createCoupon = useCreateCoupon()
+  const updateCoupon = useUpdateCoupon()
+  const saving = createCoupon.isPending || updateCoupon.isPending
+
+  const set = (field, value) => setForm((current) => ({ ...current, [field]: value }))
+
+  const toggleCategory = (id) =>
+    set('categoryIds', form.categoryIds.includes(id) ? form.categoryIds.filter((c) => c !== id) : [...form.categoryIds, id])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = { ...form, code: normalizeCouponCode(form.code) }
+    const found = validateCoupon(payload)
+    setErrors(found)
+    if (Object.keys(found).length > 0) return
+    try {
+      if (coupon?.id) await updateCoupon.mutateAsync({ id: coupon.id, ...payload })
+      else await createCoupon.mutateAsync(payload)
+      onClose()
+    } catch (error) {
+      // The hook already reported it; a taken code is the one error worth pinning to a field
+      if (error.status === 409) setErrors({ code: 'This code is already in use' })
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Field label="Code" error={errors.code}>
+          <input
+            type="text"
+            value={form.code}
+            onChange={(e) => set('code', e.target.value.toUpperCase())}
+            placeholder="e.g. MONSOON20"
+            className={`${inputClass} uppercase`}
+          />
+        </Field>
+        <Field label="Type" error={errors.type}>
+          <select value={form.type} onChange={(e) => set('type', e.target.value)} className={inputClass}>
+            {Object.values(COUPON_TYPES).map((type) => (
+              <option key={type} value={type}>
+                {COUPON_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </div>
+
+      {form.type === COUPON_TYPES.PERCENT && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Percent off" error={errors.value}>
+            <input type="number" min="1" max="100" value={form.value} onChange={(e) => set('value', Number(e.target.value))} className={inputClass} />
+          </Field>
+          <Field label="Maximum discount (₹)" error={errors.maxDiscount} hint="Leave empty for no cap">
+            <input type="number" min="1" value={form.maxDiscount ?? ''} onChange={(e) => set('maxDiscount', toNumber(e.target.value))} className={inputClass} />
+          </Field>
+        </div>
+      )}
+      {form.type === COUPON_TYPES.FLAT && (
+        <Field label="Amount off (₹)" error={errors.value}>
+          <input type="number" min="1" value={form.value} onChange={(e) => set('value', Number(e.target.value))} className={inputClass} />
+        </Field>
+      )}
+      {form.type === COUPON_TYPES.BUY_X_GET_Y && (
+        <div className="grid grid-cols-2 gap-4">
+          <Field label="Buy" error={errors.buyQuantity}>
+            <input type="number" min="1" step="1" value={form.buyQuantity} onChange={(e) => set('buyQuantity', Number(e.target.value))} className={inputClass} />
+          </Field>
+          <Field label="Get free" error={errors.getQuantity} hint="The cheapest qualifying plants are free">
+            <input type="number" min="1" step="1" value={form.getQuantity} onChange={(e) => set('getQuantity', Number(e.target.value))} className={inputClass} />
+          </Field>
+        </div>
+      )}
+
+      <Field label="Description" error={errors.description} hint="Shown to customers when the code is applied">
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => set('description', e.target.value)}
+          placeholder={describeCoupon(form)}
+          maxLength={200}
+          className={inputClass}
+        />
+      </Field>
+
+      <fieldset className="text-sm">
+        <legend className="text-gray-700 mb-1">Categories</legend>
+        <p className="text-xs text-gray-500 mb-2">Leave all unticked to apply the coupon to the whole catalogue.</p>
+        <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+          {categories.map((category) => (
+            <label
+              key={category.id}
+              className={`flex items-center gap-1 px-2 py-1 rounded-full border cursor-pointer ${
+                form.categoryIds.includes(Number(category.id)) ? 'border-green-500 bg-green-50 text-green-800' : 'border-gray-300 text-gray-700'
+              }`}
+            >
+              <input
+                type="checkbox"
+                className="sr-only"
+                checked={form.categoryIds.includes(Number(category.id))}
+                onChange={() => toggleCategory(Number(category.id))}
+              />
+              {category.name}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <Field label="Minimum order (₹)" error={errors.minOrderAmount}>
+          <input type="number" min="0" value={form.minOrderAmount} onChange={(e) => set('minOrderAmount', Number(e.target.value) || 0)} className={inputClass} />
+        </Field>
+        <Field label="Total uses" error={errors.usageLimit} hint="Empty for unlimited">
+          <input type="number" min="1" step="1" value={form.usageLimit ?? ''} onChange={(e) => set('usageLimit', toNumber(e.target.value))} className={inputClass} />
+        </Field>
+        <Field label="Uses per customer" error={errors.perCustomerLimit} hint="Empty for unlimited">
+          <input type="number" min="1" step="1" value={form.perCustomerLimit ?? ''} onChange={(e) => set('perCustomerLimit', toNumber(e.target.value))} className={inputClass} />
+        </Field>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Field label="Starts" error={errors.startsAt} hint="Empty to start right away">
+          <input type="datetime-local" value={toLocalInput(form.startsAt)} onChange={(e) => set('startsAt', fromLocalInput(e.target.value))} className={inputClass} />
+        </Field>
+        <Field label="Expires" error={errors.expiresAt} hint="Empty to never expire">
+          <input type="datetime-local" value={toLocalInput(form.expiresAt)} onChange={(e) => set('expiresAt', fromLocalInput(e.target.value))} className={inputClass} />
+        </Field>
+      </div>
+
+      <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isActive} onChange={(e) => set('isActive', e.target.checked)} className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500" />
+          Active
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isFeatured} onChange={(e) => set('isFeatured', e.target.checked)} className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500" />
+          Advertise on the home page banners
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-60"
+        >
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          {coupon?.id ? 'Save coupon' : 'Create coupon'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default function AdminCoupons() {
+  const { data: coupons = [], isLoading, error } = useCoupons()
+  const updateCoupon = useUpdateCoupon()
+  const deleteCoupon = useDeleteCoupon()
+  // null when closed, {} for a new coupon, or the coupon being edited
+  const [editing, setEditing] = useState(null)
+
+  const handleDelete = (coupon) => {
+    if (window.confirm(`Delete coupon ${coupon.code}? Customers will no longer be able to use it.`)) {
+      deleteCoupon.mutate(coupon.id)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <TicketPercent className="w-6 h-6" />
+            Coupons
+          </h1>
+          <p className="text-gray-600">Discount codes customers can apply in the cart. The server checks every rule again when the order is placed.</p>
+        </div>
+        <button
+          onClick={() => setEditing({})}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          New coupon
+        </button>
+      </div>
+
+      {/* Coupon list */}
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        {isLoading ? (
+          <div className="p-12">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <div className="p-12 text-center">
+            <AlertCircle className="w-10 h-10 text-red-500 mx-auto mb-2" />
+            <p className="text-gray-700">{error.message}</p>
+          </div>
+        ) : coupons.length === 0 ? (
+          <div className="p-12 text-center text-gray-600">No coupons yet. Create one to start a promotion.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Code', 'Offer', 'Used', 'Valid', 'Status', ''].map((heading) => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {coupons.map((coupon) => {
+                  const style = statusStyles[getCouponStatus(coupon)]
+                  return (
+                    <tr key={coupon.id}>
+                      <td className="px-4 py-3">
+                        <p className="font-mono font-semibold text-gray-900">{coupon.code}</p>
+                        {coupon.isFeatured && <p className="text-xs text-green-700">On home page</p>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        <p>{describeCoupon(coupon)}</p>
+                        {coupon.description && <p className="text-xs text-gray-500">{coupon.description}</p>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        {coupon.usedCount}
+                        {coupon.usageLimit !== null && <span className="text-gray-500"> / {coupon.usageLimit}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                        {formatDate(coupon.startsAt)} – {coupon.expiresAt ? formatDate(coupon.expiresAt) : 'no end'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>{style.label}</span>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => updateCoupon.mutate({ ...coupon, isActive: !coupon.isActive })}
+                            className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                          >
+                            {coupon.isActive ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={() => setEditing(coupon)}
+                            className="p-1 text-gray-500 hover:text-gray-700"
+                            aria-label={`Edit ${coupon.code}`}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(coupon)}
+                            className="p-1 text-red-500 hover:text-red-700"
+                            aria-label={`Delete ${coupon.code}`}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / edit panel */}
+      {editing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={() => setEditing(null)}>
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="coupon-panel-title"
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 space-y-4"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-start justify-between gap-4">
+              <h2 id="coupon-panel-title" className="text-lg font-semibold text-gray-900">
+                {editing.id ? `Edit ${editing.code}` : 'New coupon'}
+              </h2>
+              <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <CouponForm coupon={editing} onClose={() => setEditing(null)} />
+          </motion.div>
+        </div>
+      )}
+    </div>
+  )
+}
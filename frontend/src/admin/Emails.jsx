@@ -0,0 +1,278 @@
+import React, { useMemo, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Mail, Send, RefreshCw, Trash2, X, Loader2, Inbox, FlaskConical } from 'lucide-react'
+import { useMailOutbox, useRetryMail, useSendTestMail, useClearMailCatcher } from '../hooks/queries/useMail'
+import { useAdminSettings } from '../hooks/queries/useSettings'
+import { EMAIL_TEMPLATES, isTemplateEnabled, renderEmail } from '../lib/emailTemplates'
+import { DEFAULT_STORE_SETTINGS } from '../lib/storeSettings'
+import { getMailTransport, MAIL_STATUS, MAIL_STATUS_LABELS, MAX_ATTEMPTS } from '../services/mail/mailGateway'
+import MailPreview from './components/MailPreview.jsx'
+
+const statusColors = {
+  [MAIL_STATUS.QUEUED]: 'bg-yellow-100 text-yellow-800',
+  [MAIL_STATUS.SENDING]: 'bg-blue-100 text-blue-800',
+  [MAIL_STATUS.SENT]: 'bg-green-100 text-green-800',
+  [MAIL_STATUS.FAILED]: 'bg-red-100 text-red-800',
+}
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—'
+
+function TemplatesTab({ settings }) {
+  const [selected, setSelected] = useState(Object.keys(EMAIL_TEMPLATES)[0])
+  const [to, setTo] = useState(settings.contactEmail)
+  const sendTest = useSendTestMail()
+  const preview = useMemo(
+    () => renderEmail(selected, undefined, { settings, baseUrl: window.location.origin }),
+    [selected, settings]
+  )
+
+  const handleSendTest = (e) => {
+    e.preventDefault()
+    sendTest.mutate({ to: to.trim(), template: selected, settings })
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[300px_1fr] gap-6">
+      <ul className="space-y-2">
+        {Object.entries(EMAIL_TEMPLATES).map(([id, template]) => {
+          const enabled = isTemplateEnabled(id, settings)
+          return (
+            <li key={id}>
+              <button
+                onClick={() => setSelected(id)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  selected === id ? 'border-green-500 bg-green-50' : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-900 text-sm">{template.name}</span>
+                  {!enabled && <span className="text-xs text-gray-500">Off</span>}
+                </div>
+                <p className="text-xs text-gray-600 mt-1">{template.description}</p>
+                {template.setting && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {template.setting === 'orderNotifications' ? 'Order Notifications' : 'Email Notifications'} setting
+                  </p>
+                )}
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+
+      <div className="space-y-4">
+        <MailPreview subject={preview.subject} html={preview.html} text={preview.text} />
+        <form onSubmit={handleSendTest} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="email"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            placeholder="you@example.com"
+            aria-label="Send a test to"
+            className={inputClass}
+            required
+          />
+          <button
+            type="submit"
+            disabled={sendTest.isPending}
+            className="px-4 py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-2 bg-green-600 text-white hover:bg-green-700 disabled:opacity-60 whitespace-nowrap"
+          >
+            {sendTest.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Send test
+          </button>
+        </form>
+        <p className="text-xs text-gray-500">Previews use sample data and your saved store settings.</p>
+      </div>
+    </div>
+  )
+}
+
+function OutboxTab() {
+  const [status, setStatus] = useState('')
+  const [viewing, setViewing] = useState(null)
+  const { data: messages = [], isLoading, error } = useMailOutbox({ status: status || undefined })
+  const retryMail = useRetryMail()
+  const clearCatcher = useClearMailCatcher()
+  const isCatcher = getMailTransport().name === 'catcher'
+
+  const handleClear = () => {
+    if (window.confirm('Delete every message in the mail catcher?')) clearCatcher.mutate()
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2">
+          {['', ...Object.values(MAIL_STATUS)].map((key) => (
+            <button
+              key={key || 'all'}
+              onClick={() => setStatus(key)}
+              className={`px-3 py-1.5 rounded-full text-sm ${
+                status === key ? 'bg-green-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {key ? MAIL_STATUS_LABELS[key] : 'All'}
+            </button>
+          ))}
+        </div>
+        {isCatcher && messages.length > 0 && (
+          <button onClick={handleClear} className="flex items-center gap-2 text-sm text-red-600 hover:text-red-700">
+            <Trash2 className="w-4 h-4" />
+            Clear catcher
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading outbox…
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : messages.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12">
+          <Inbox className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600">No messages{status ? ` ${MAIL_STATUS_LABELS[status].toLowerCase()}` : ''} yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-500">
+                <th className="px-4 py-3 font-medium">To</th>
+                <th className="px-4 py-3 font-medium">Subject</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Attempts</th>
+                <th className="px-4 py-3 font-medium">Queued</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {messages.map((message) => (
+                <tr key={message.id} className="align-top">
+                  <td className="px-4 py-3 text-gray-900">{message.to}</td>
+                  <td className="px-4 py-3">
+                    <button onClick={() => setViewing(message)} className="text-left text-green-700 hover:underline">
+                      {message.subject}
+                    </button>
+                    <p className="text-xs text-gray-500">{EMAIL_TEMPLATES[message.template]?.name || message.template}</p>
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[message.status]}`}>
+                      {MAIL_STATUS_LABELS[message.status] || message.status}
+                    </span>
+                    {message.lastError && message.status !== MAIL_STATUS.SENT && (
+                      <p className="text-xs text-red-600 mt-1 max-w-xs">{message.lastError}</p>
+                    )}
+                    {message.status === MAIL_STATUS.QUEUED && message.attempts > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">Next try {formatDateTime(message.nextAttemptAt)}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{message.attempts} / {MAX_ATTEMPTS}</td>
+                  <td className="px-4 py-3 text-gray-500">{formatDateTime(message.createdAt)}</td>
+                  <td className="px-4 py-3 text-right">
+                    {message.status === MAIL_STATUS.FAILED && (
+                      <button
+                        onClick={() => retryMail.mutate(message.id)}
+                        disabled={retryMail.isPending}
+                        className="inline-flex items-center gap-1 text-sm text-green-700 hover:text-green-800 disabled:opacity-60"
+                      >
+                        <RefreshCw className="w-4 h-4" />
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {viewing && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50"
+            onClick={() => setViewing(null)}
+          >
+            <motion.div
+              role="dialog"
+              aria-modal="true"
+              aria-label={viewing.subject}
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              className="bg-white rounded-lg p-4 w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex justify-end mb-2">
+                <button onClick={() => setViewing(null)} className="p-1 text-gray-500 hover:text-gray-700" aria-label="Close">
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+              <MailPreview subject={viewing.subject} html={viewing.html} text={viewing.text} to={viewing.to} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default function AdminEmails() {
+  const [tab, setTab] = useState('templates')
+  const { data: settings = DEFAULT_STORE_SETTINGS } = useAdminSettings()
+  const isCatcher = getMailTransport().name === 'catcher'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Emails</h1>
+        <p className="text-gray-600">Preview transactional email templates and follow what has been sent</p>
+      </div>
+
+      {isCatcher && (
+        <div className="flex items-start gap-3 p-4 rounded-lg bg-blue-50 text-blue-900 text-sm">
+          <FlaskConical className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p>
+            Test mail goes to the local mail catcher and never reaches a real inbox. Order, shipping and
+            account mail is sent by the API and does not show up here. Send to an address
+            at <code>flaky.test</code>, <code>down.test</code> or <code>bounce.test</code> to watch retries and failures.
+          </p>
+        </div>
+      )}
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6" aria-label="Email sections">
+          {[
+            { id: 'templates', label: 'Templates', icon: Mail },
+            { id: 'outbox', label: isCatcher ? 'Mail catcher' : 'Outbox', icon: Inbox },
+          ].map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${
+                tab === id ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {tab === 'templates' ? <TemplatesTab settings={settings} /> : <OutboxTab />}
+    </div>
+  )
+}
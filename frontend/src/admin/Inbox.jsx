@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { Inbox as InboxIcon, Search, Loader2, Send, Mail, Phone, ArrowLeft, UserCircle } from 'lucide-react'
+import { useTickets, useTicket, useMarkTicketRead, useUpdateTicket, useReplyToTicket } from '../hooks/queries/useTickets'
+import { useUsers } from '../hooks/queries/useUsers'
+import {
+  ENQUIRY_TYPES,
+  MAX_REPLY_LENGTH,
+  MESSAGE_AUTHORS,
+  TICKET_STATUS,
+  TICKET_STATUS_COLORS,
+  TICKET_STATUS_LABELS,
+} from '../lib/tickets'
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—'
+
+const PAGE_SIZE = 30
+
+// Replying to a new enquiry picks it up; otherwise the status stays put unless changed
+const defaultReplyStatus = (status) => (status === TICKET_STATUS.NEW ? TICKET_STATUS.IN_PROGRESS : status)
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${TICKET_STATUS_COLORS[status]}`}>
+      {TICKET_STATUS_LABELS[status] || status}
+    </span>
+  )
+}
+
+function TicketList({ selectedId, onSelect }) {
+  const [filters, setFilters] = useState({ status: TICKET_STATUS.NEW, assignee: '', type: '', search: '', page: 1 })
+  const { data, isLoading, error } = useTickets({ ...filters, limit: PAGE_SIZE })
+  const tickets = data?.tickets || []
+  const counts = data?.counts || {}
+  const totalPages = Math.max(1, Math.ceil((data?.total || 0) / PAGE_SIZE))
+
+  const set = (field, value) => setFilters((current) => ({ ...current, [field]: value, page: field === 'page' ? value : 1 }))
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm flex flex-col min-h-0">
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {[...Object.values(TICKET_STATUS), ''].map((status) => (
+            <button
+              key={status || 'all'}
+              onClick={() => set('status', status)}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${
+                filters.status === status ? 'bg-green-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {status ? TICKET_STATUS_LABELS[status] : 'All'}
+              {status && counts[status] !== undefined && ` (${counts[status]})`}
+            </button>
+          ))}
+        </div>
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={filters.search}
+            onChange={(e) => set('search', e.target.value)}
+            placeholder="Search name, email or subject"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <select value={filters.assignee} onChange={(e) => set('assignee', e.target.value)} className={inputClass} aria-label="Assigned to">
+            <option value="">Anyone</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
+          </select>
+          <select value={filters.type} onChange={(e) => set('type', e.target.value)} className={inputClass} aria-label="Enquiry type">
+            <option value="">All types</option>
+            {Object.entries(ENQUIRY_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading enquiries…
+        </div>
+      ) : error ? (
+        <p className="p-4 text-sm text-red-600">{error.message}</p>
+      ) : tickets.length === 0 ? (
+        <div className="text-center py-12">
+          <InboxIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600">No enquiries here.</p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 overflow-y-auto">
+          {tickets.map((ticket) => (
+            <li key={ticket.id}>
+              <button
+                onClick={() => onSelect(ticket.id)}
+                className={`w-full text-left px-4 py-3 transition-colors ${
+                  String(selectedId) === String(ticket.id) ? 'bg-green-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className={`text-sm truncate ${ticket.unread ? 'font-bold text-gray-900' : 'font-medium text-gray-700'}`}>
+                    {ticket.unread && <span className="inline-block w-2 h-2 rounded-full bg-green-600 mr-2 align-middle" aria-label="Unread" />}
+                    {ticket.name || ticket.email}
+                  </span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(ticket.updatedAt)}</span>
+                </div>
+                <p className={`text-sm truncate ${ticket.unread ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>{ticket.subject}</p>
+                {ticket.preview && <p className="text-xs text-gray-500 truncate">{ticket.preview}</p>}
+                <div className="flex items-center gap-2 mt-1">
+                  <StatusBadge status={ticket.status} />
+                  <span className="text-xs text-gray-500 truncate">{ENQUIRY_TYPES[ticket.type] || ticket.type}</span>
+                  {ticket.assignee && <span className="text-xs text-gray-400 truncate ml-auto">{ticket.assignee.name}</span>}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-between gap-3 p-3 border-t border-gray-200 text-sm">
+          <button
+            onClick={() => set('page', filters.page - 1)}
+            disabled={filters.page <= 1}
+            className="px-3 py-1 rounded-lg border border-gray-300 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">{filters.page} / {totalPages}</span>
+          <button
+            onClick={() => set('page', filters.page + 1)}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1 rounded-lg border border-gray-300 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function TicketThread({ ticketId, onBack }) {
+  const { data: ticket, isLoading, error } = useTicket(ticketId)
+  const { data: staff = [] } = useUsers({ role: 'admin' })
+  const markRead = useMarkTicketRead()
+  const updateTicket = useUpdateTicket()
+  const replyToTicket = useReplyToTicket()
+  const [reply, setReply] = useState('')
+  const [replyStatus, setReplyStatus] = useState(null)
+
+  // Opening an enquiry marks it read for every staff member
+  const { mutate: markAsRead } = markRead
+  useEffect(() => {
+    if (ticket?.unread) markAsRead(ticket.id)
+  }, [ticket?.id, ticket?.unread, markAsRead])
+
+  useEffect(() => {
+    setReply('')
+    setReplyStatus(null)
+  }, [ticketId])
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm flex items-center justify-center py-24 text-gray-500">
+        <Loader2 className="w-6 h-6 animate-spin mr-2" />
+        Loading enquiry…
+      </div>
+    )
+  }
+  if (error || !ticket) {
+    return <div className="bg-white rounded-lg shadow-sm p-6 text-sm text-red-600">{error?.message || 'Enquiry not found'}</div>
+  }
+
+  const statusAfterReply = replyStatus ?? defaultReplyStatus(ticket.status)
+
+  const handleReply = (e) => {
+    e.preventDefault()
+    const body = reply.trim()
+    if (!body) return
+    replyToTicket.mutate(
+      { ticket, body, status: statusAfterReply !== ticket.status ? statusAfterReply : undefined },
+      {
+        onSuccess: () => {
+          setReply('')
+          setReplyStatus(null)
+        },
+      }
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm flex flex-col min-h-0">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <button onClick={onBack} className="lg:hidden flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900">
+          <ArrowLeft className="w-4 h-4" />
+          All enquiries
+        </button>
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-900">{ticket.subject}</h2>
+            <p className="text-xs text-gray-500">
+              {ticket.reference} · {ENQUIRY_TYPES[ticket.type] || ticket.type} · opened {formatDateTime(ticket.createdAt)}
+            </p>
+          </div>
+          <StatusBadge status={ticket.status} />
+        </div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-700">
+          <span className="flex items-center gap-1"><UserCircle className="w-4 h-4 text-gray-400" />{ticket.name}</span>
+          <a href={`mailto:${ticket.email}`} className="flex items-center gap-1 text-green-700 hover:underline">
+            <Mail className="w-4 h-4" />{ticket.email}
+          </a>
+          {ticket.phone && (
+            <a href={`tel:${ticket.phone}`} className="flex items-center gap-1 text-green-700 hover:underline">
+              <Phone className="w-4 h-4" />{ticket.phone}
+            </a>
+          )}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <label className="text-xs text-gray-500">
+            Status
+            <select
+              value={ticket.status}
+              onChange={(e) => updateTicket.mutate({ id: ticket.id, status: e.target.value })}
+              disabled={updateTicket.isPending}
+              className={`${inputClass} mt-1`}
+            >
+              {Object.values(TICKET_STATUS).map((status) => (
+                <option key={status} value={status}>{TICKET_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-500">
+            Assigned to
+            <select
+              value={ticket.assignee?.id ?? ''}
+              onChange={(e) => updateTicket.mutate({ id: ticket.id, assigneeId: e.target.value || null })}
+              disabled={updateTicket.isPending}
+              className={`${inputClass} mt-1`}
+            >
+              <option value="">Unassigned</option>
+              {staff.map((member) => (
+                <option key={member.id} value={member.id}>{member.name || member.email}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {/* Thread */}
+      <ol className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
+        {ticket.messages.map((message) => {
+          const fromStaff = message.author === MESSAGE_AUTHORS.STAFF
+          return (
+            <motion.li
+              key={message.id}
+              initial={{ opacity: 0, y: 8 }}
+              animate={{ opacity: 1, y: 0 }}
+              className={`max-w-[85%] ${fromStaff ? 'ml-auto' : ''}`}
+            >
+              <div className={`rounded-lg px-4 py-3 text-sm whitespace-pre-wrap ${fromStaff ? 'bg-green-600 text-white' : 'bg-white border border-gray-200 text-gray-800'}`}>
+                {message.body}
+              </div>
+              <p className={`text-xs text-gray-500 mt-1 ${fromStaff ? 'text-right' : ''}`}>
+                {fromStaff ? message.staffName || 'Staff' : ticket.name} · {formatDateTime(message.createdAt)}
+              </p>
+            </motion.li>
+          )
+        })}
+      </ol>
+
+      {/* Reply */}
+      <form onSubmit={handleReply} className="p-4 border-t border-gray-200 space-y-3">
+        <textarea
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          rows={4}
+          maxLength={MAX_REPLY_LENGTH}
+          placeholder={`Reply to ${ticket.name || ticket.email} by email`}
+          aria-label="Reply"
+          className={inputClass}
+        />
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Then mark as
+            <select value={statusAfterReply} onChange={(e) => setReplyStatus(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+              {Object.values(TICKET_STATUS).map((status) => (
+                <option key={status} value={status}>{TICKET_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="submit"
+            disabled={replyToTicket.isPending || !reply.trim()}
+            className="px-4 py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-2 bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+          >
+            {replyToTicket.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Send reply
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default function AdminInbox() {
+  const { ticketId } = useParams()
+  const navigate = useNavigate()
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Inbox</h1>
+        <p className="text-gray-600">Enquiries from the contact form, including landscaping and bulk-order requests</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-[380px_1fr] gap-6 lg:h-[calc(100vh-12rem)]">
+        <div className={`min-h-0 ${ticketId ? 'hidden lg:flex' : 'flex'} flex-col`}>
+          <TicketList selectedId={ticketId} onSelect={(id) => navigate(`/admin/inbox/${id}`)} />
+        </div>
+        <div className={`min-h-0 ${ticketId ? 'flex' : 'hidden lg:flex'} flex-col`}>
+          {ticketId ? (
+            <TicketThread ticketId={ticketId} onBack={() => navigate('/admin/inbox')} />
+          ) : (
+            <div className="bg-white rounded-lg shadow-sm flex-1 flex flex-col items-center justify-center text-gray-500 py-24">
+              <InboxIcon className="w-12 h-12 text-gray-300 mb-4" />
+              Select an enquiry to read it
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,411 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import { Search, Boxes, Plus, History, X, Loader2, AlertCircle } from 'lucide-react'
+import {
+  useStockLevels,
+  useStockMovements,
+  useRecordStockMovement,
+  useUpdateLowStockThreshold,
+} from '../hooks/queries/useInventory'
+import {
+  MOVEMENT_LABELS,
+  MANUAL_MOVEMENT_TYPES,
+  STOCK_STATUS,
+  signedQuantity,
+} from '../lib/inventory'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const PAGE_SIZE = 25
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: STOCK_STATUS.LOW, label: 'Low stock' },
+  { value: STOCK_STATUS.OUT, label: 'Out of stock' },
+]
+
+const statusStyles = {
+  [STOCK_STATUS.IN_STOCK]: { label: 'In stock', className: 'bg-green-100 text-green-800' },
+  [STOCK_STATUS.LOW]: { label: 'Low', className: 'bg-yellow-100 text-yellow-800' },
+  [STOCK_STATUS.OUT]: { label: 'Out', className: 'bg-red-100 text-red-800' },
+}
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : '—'
+
+const rowKey = (level) => `${level.productId}:${level.variantId ?? ''}`
+
+const rowTitle = (level) => (level.variantTitle ? `${level.name} (${level.variantTitle})` : level.name)
+
+function MovementForm({ level, onClose }) {
+  const [type, setType] = useState('receipt')
+  const [quantity, setQuantity] = useState('')
+  const [note, setNote] = useState('')
+  const [formError, setFormError] = useState('')
+  const recordMovement = useRecordStockMovement()
+
+  const amount = Number(quantity)
+  const change = signedQuantity(type, amount)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!Number.isInteger(amount) || amount === 0 || (type !== 'adjustment' && amount < 0)) {
+      setFormError(type === 'adjustment' ? 'Enter a whole number; use a minus sign to remove stock' : 'Enter a whole number above 0')
+      return
+    }
+    // Write-offs and corrections need an explanation in the ledger
+    if (type !== 'receipt' && !note.trim()) {
+      setFormError('Add a note explaining this movement')
+      return
+    }
+    setFormError('')
+    try {
+      await recordMovement.mutateAsync({
+        productId: level.productId,
+        variantId: level.variantId,
+        type,
+        quantity: change,
+        note: note.trim() || undefined,
+      })
+      onClose()
+    } catch (error) {
+      // The hook already reported it
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="text-sm">
+          <span className="block text-gray-700 mb-1">Movement</span>
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          >
+            {MANUAL_MOVEMENT_TYPES.map((value) => (
+              <option key={value} value={value}>
+                {MOVEMENT_LABELS[value]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-700 mb-1">Quantity</span>
+          <input
+            type="number"
+            step="1"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            placeholder={type === 'adjustment' ? 'e.g. -2 or 5' : 'e.g. 10'}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+      <label className="block text-sm">
+        <span className="block text-gray-700 mb-1">Note</span>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={type === 'damage' ? 'e.g. Root rot after monsoon' : 'Supplier, invoice or reason'}
+          maxLength={200}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+        />
+      </label>
+
+      {quantity !== '' && Number.isInteger(amount) && amount !== 0 && (
+        <p className="text-sm text-gray-600">
+          On hand goes from {level.onHand} to <span className="font-semibold">{level.onHand + change}</span>
+        </p>
+      )}
+      {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={recordMovement.isPending}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-60"
+        >
+          {recordMovement.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+          Record movement
+        </button>
+      </div>
+    </form>
+  )
+}
+
+function MovementHistory({ level }) {
+  const { data: movements = [], isLoading, error } = useStockMovements({
+    productId: level.productId,
+    variantId: level.variantId ?? undefined,
+    limit: 50,
+  })
+
+  if (isLoading) return <LoadingSpinner />
+  if (error) return <p className="text-sm text-red-600">Failed to load the ledger: {error.message}</p>
+  if (movements.length === 0) return <p className="text-sm text-gray-600">No stock movements recorded yet.</p>
+
+  return (
+    <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+      {movements.map((movement) => (
+        <li key={movement.id} className="py-2 flex items-start justify-between gap-4 text-sm">
+          <div>
+            <p className="text-gray-900">
+              {MOVEMENT_LABELS[movement.type] || movement.type}
+              {movement.orderId && <span className="text-gray-500"> · Order #{movement.orderId}</span>}
+              {movement.returnId && <span className="text-gray-500"> · Return #{movement.returnId}</span>}
+            </p>
+            {movement.note && <p className="text-gray-600">{movement.note}</p>}
+            <p className="text-xs text-gray-500">
+              {formatDate(movement.createdAt)} · {movement.actor}
+            </p>
+          </div>
+          <div className="text-right whitespace-nowrap">
+            <p className={`font-semibold ${movement.quantity < 0 ? 'text-red-600' : 'text-green-700'}`}>
+              {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+            </p>
+            {movement.balance !== null && <p className="text-xs text-gray-500">Balance {movement.balance}</p>}
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Saves on blur so the table stays editable inline; thresholds are per product, shared by its variants
+function ThresholdInput({ level }) {
+  const [value, setValue] = useState(String(level.threshold))
+  const updateThreshold = useUpdateLowStockThreshold()
+
+  useEffect(() => {
+    setValue(String(level.threshold))
+  }, [level.threshold])
+
+  const save = () => {
+    const threshold = parseInt(value, 10)
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      setValue(String(level.threshold))
+      return
+    }
+    if (threshold !== level.threshold) {
+      updateThreshold.mutate({ productId: level.productId, threshold })
+    }
+  }
+
+  return (
+    <input
+      type="number"
+      min="0"
+      step="1"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      aria-label={`Low stock threshold for ${rowTitle(level)}`}
+      className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+    />
+  )
+}
+
+export default function AdminInventory() {
+  const [searchTerm, setSearchTerm] = useState('')
+  const [search, setSearch] = useState('')
+  const [status, setStatus] = useState('')
+  const [page, setPage] = useState(1)
+  // { mode: 'movement' | 'history', level }
+  const [panel, setPanel] = useState(null)
+
+  // Wait for typing to pause before asking the server
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  useEffect(() => {
+    setPage(1)
+  }, [search, status])
+
+  const { data, isLoading, error } = useStockLevels({ page, limit: PAGE_SIZE, search, status })
+  const levels = data?.levels || []
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <Boxes className="w-6 h-6" />
+          Inventory
+        </h1>
+        <p className="text-gray-600">
+          Stock on hand, reserved for open orders and available to sell. Every change is recorded in the ledger.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm p-4 flex flex-col md:flex-row gap-4">
+        <div className="relative flex-1">
+          <Search className="w-5 h-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by product name or SKU..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </div>
+        <div className="flex gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => setStatus(filter.value)}
+              className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === filter.value ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Stock levels */}
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        {isLoading ? (
+          <div className="p-12">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <div className="p-12 text-center">
+            <AlertCircle className="w-10 h-10 text-red-500 mx-auto mb-2" />
+            <p className="text-gray-700">{error.message}</p>
+          </div>
+        ) : levels.length === 0 ? (
+          <div className="p-12 text-center text-gray-600">No products match these filters.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Product', 'On hand', 'Reserved', 'Available', 'Low stock at', 'Status', ''].map((heading) => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {levels.map((level) => {
+                  const style = statusStyles[level.status]
+                  return (
+                    <tr key={rowKey(level)}>
+                      <td className="px-4 py-3">
+                        <p className="text-gray-900 font-medium">{level.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {[level.variantTitle, level.sku].filter(Boolean).join(' · ') || '—'}
+                        </p>
+                      </td>
+                      <td className="px-4 py-3 text-gray-900">{level.onHand}</td>
+                      <td className="px-4 py-3 text-gray-600">{level.reserved}</td>
+                      <td className="px-4 py-3 font-semibold text-gray-900">{level.available}</td>
+                      <td className="px-4 py-3">
+                        <ThresholdInput level={level} />
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>{style.label}</span>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => setPanel({ mode: 'movement', level })}
+                            className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                          >
+                            <Plus className="w-3 h-3" />
+                            Movement
+                          </button>
+                          <button
+                            onClick={() => setPanel({ mode: 'history', level })}
+                            className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                          >
+                            <History className="w-3 h-3" />
+                            Ledger
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {data?.totalPages > 1 && (
+        <div className="flex items-center justify-end gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="px-3 py-2 text-sm text-gray-700">
+            Page {data.page} of {data.totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => Math.min(data.totalPages, p + 1))}
+            disabled={page >= data.totalPages}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Movement / ledger panel */}
+      {panel && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={() => setPanel(null)}>
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="inventory-panel-title"
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6 space-y-4"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 id="inventory-panel-title" className="text-lg font-semibold text-gray-900">
+                  {panel.mode === 'movement' ? 'Record stock movement' : 'Stock ledger'}
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {rowTitle(panel.level)} · {panel.level.onHand} on hand, {panel.level.reserved} reserved
+                </p>
+              </div>
+              <button onClick={() => setPanel(null)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            {panel.mode === 'movement' ? (
+              <MovementForm level={panel.level} onClose={() => setPanel(null)} />
+            ) : (
+              <MovementHistory level={panel.level} />
+            )}
+          </motion.div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,525 @@
+import React, { useMemo, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Newspaper, Users, Plus, Pencil, Trash2, Send, X, Loader2, Search, Save } from 'lucide-react'
+import {
+  useCampaigns,
+  useDeleteCampaign,
+  useNewsletterSegments,
+  useSaveCampaign,
+  useSendCampaign,
+  useSubscribers,
+} from '../hooks/queries/useNewsletter'
+import { useBlogPosts } from '../hooks/queries/useBlog'
+import { useFeaturedProducts } from '../hooks/usePublicData.js'
+import { useAdminSettings } from '../hooks/queries/useSettings'
+import {
+  CAMPAIGN_STATUS,
+  CAMPAIGN_STATUS_LABELS,
+  MAX_CAMPAIGN_POSTS,
+  MAX_CAMPAIGN_PRODUCTS,
+  NEWSLETTER_SEGMENTS,
+  SUBSCRIBER_STATUS,
+  SUBSCRIBER_STATUS_LABELS,
+  toCampaignPost,
+  toCampaignProduct,
+  validateCampaign,
+} from '../lib/newsletter'
+import { renderEmail } from '../lib/emailTemplates'
+import { DEFAULT_STORE_SETTINGS, formatPrice } from '../lib/storeSettings'
+import MailPreview from './components/MailPreview.jsx'
+
+const campaignStatusColors = {
+  [CAMPAIGN_STATUS.DRAFT]: 'bg-gray-100 text-gray-700',
+  [CAMPAIGN_STATUS.SENDING]: 'bg-blue-100 text-blue-800',
+  [CAMPAIGN_STATUS.SENT]: 'bg-green-100 text-green-800',
+}
+
+const subscriberStatusColors = {
+  [SUBSCRIBER_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [SUBSCRIBER_STATUS.SUBSCRIBED]: 'bg-green-100 text-green-800',
+  [SUBSCRIBER_STATUS.UNSUBSCRIBED]: 'bg-gray-100 text-gray-700',
+}
+
+const EMPTY_CAMPAIGN = {
+  subject: '',
+  intro: '',
+  segment: 'all',
+  posts: [],
+  products: [],
+}
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' }) : '—'
+
+const PAGE_SIZE = 25
+
+function Field({ label, error, hint, children }) {
+  return (
+    <label className="block text-sm">
+      <span className="block text-gray-700 mb-1">{label}</span>
+      {children}
+      {hint && !error && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+      {error && <span className="block text-xs text-red-600 mt-1">{error}</span>}
+    </label>
+  )
+}
+
+// Checkbox list capped at `max`; items are stored as campaign snapshots keyed by id
+function PickList({ items, selected, max, onToggle, renderLabel, emptyText }) {
+  const selectedIds = new Set(selected.map((item) => String(item.id)))
+  if (items.length === 0) return <p className="text-sm text-gray-500">{emptyText}</p>
+  return (
+    <ul className="max-h-56 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+      {items.map((item) => {
+        const checked = selectedIds.has(String(item.id))
+        return (
+          <li key={item.id}>
+            <label className={`flex items-start gap-3 px-3 py-2 text-sm ${!checked && selected.length >= max ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}>
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={!checked && selected.length >= max}
+                onChange={() => onToggle(item)}
+                className="mt-0.5 rounded border-gray-300 text-green-600 focus:ring-green-500"
+              />
+              <span className="min-w-0">{renderLabel(item)}</span>
+            </label>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+function CampaignEditor({ campaign, segmentCounts, settings, onClose }) {
+  const [form, setForm] = useState(() => ({ ...EMPTY_CAMPAIGN, ...campaign }))
+  const [errors, setErrors] = useState({})
+  // Set once a new campaign is first saved, so sending after a failed attempt reuses the draft
+  const [campaignId, setCampaignId] = useState(campaign?.id)
+  const { data: posts = [] } = useBlogPosts({ status: 'published' })
+  const { data: featuredData } = useFeaturedProducts(8)
+  const saveCampaign = useSaveCampaign()
+  const sendCampaign = useSendCampaign()
+  const busy = saveCampaign.isPending || sendCampaign.isPending
+  const featuredProducts = featuredData?.products || []
+  const recipients = segmentCounts?.[form.segment]
+
+  const set = (field, value) => setForm((current) => ({ ...current, [field]: value }))
+
+  const toggle = (field, snapshot) => (item) => {
+    const exists = form[field].some((selected) => String(selected.id) === String(item.id))
+    set(field, exists ? form[field].filter((selected) => String(selected.id) !== String(item.id)) : [...form[field], snapshot(item)])
+  }
+
+  const preview = useMemo(
+    () =>
+      renderEmail(
+        'newsletter_campaign',
+        {
+          campaign: { ...form, subject: form.subject || 'Your subject line', intro: form.intro || 'Your introduction.' },
+          unsubscribeUrl: '/newsletter/unsubscribe?token=preview',
+        },
+        { settings, baseUrl: window.location.origin }
+      ),
+    [form, settings]
+  )
+
+  const save = async () => {
+    const found = validateCampaign(form)
+    setErrors(found)
+    if (Object.keys(found).length > 0) return null
+    try {
+      const { subject, intro, segment, posts, products } = form
+      const saved = await saveCampaign.mutateAsync({ id: campaignId, subject, intro, segment, posts, products })
+      setCampaignId(saved.id)
+      return saved
+    } catch {
+      // The hook already reported it
+      return null
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (await save()) onClose()
+  }
+
+  const handleSend = async () => {
+    const audience = recipients === undefined ? 'this segment' : `${recipients} subscriber${recipients === 1 ? '' : 's'}`
+    if (!window.confirm(`Send "${form.subject}" to ${audience}? This cannot be undone.`)) return
+    const saved = await save()
+    if (!saved) return
+    try {
+      await sendCampaign.mutateAsync(saved.id)
+      onClose()
+    } catch {
+      // The hook already reported it; the campaign stays a draft
+    }
+  }
+
+  return (
+    <form onSubmit={handleSave} className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+      <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">{campaignId ? 'Edit campaign' : 'New campaign'}</h2>
+          <button type="button" onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <Field label="Subject" error={errors.subject}>
+          <input value={form.subject} onChange={(e) => set('subject', e.target.value)} className={inputClass} />
+        </Field>
+
+        <Field label="Introduction" error={errors.intro} hint="Leave a blank line between paragraphs">
+          <textarea value={form.intro} onChange={(e) => set('intro', e.target.value)} rows={5} className={inputClass} />
+        </Field>
+
+        <Field
+          label="Send to"
+          error={errors.segment}
+          hint={NEWSLETTER_SEGMENTS[form.segment]?.description}
+        >
+          <select value={form.segment} onChange={(e) => set('segment', e.target.value)} className={inputClass}>
+            {Object.entries(NEWSLETTER_SEGMENTS).map(([id, segment]) => (
+              <option key={id} value={id}>
+                {segment.label}
+                {segmentCounts?.[id] !== undefined ? ` (${segmentCounts[id]})` : ''}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <div>
+          <p className="text-sm text-gray-700 mb-1">
+            Blog posts <span className="text-gray-400">({form.posts.length}/{MAX_CAMPAIGN_POSTS})</span>
+          </p>
+          <PickList
+            items={posts}
+            selected={form.posts}
+            max={MAX_CAMPAIGN_POSTS}
+            onToggle={toggle('posts', toCampaignPost)}
+            emptyText="No published posts yet."
+            renderLabel={(post) => (
+              <>
+                <span className="block font-medium text-gray-900 truncate">{post.title}</span>
+                {post.category === 'care-guide' && <span className="text-xs text-blue-700">Care guide</span>}
+              </>
+            )}
+          />
+          {errors.posts && <p className="text-xs text-red-600 mt-1">{errors.posts}</p>}
+        </div>
+
+        <div>
+          <p className="text-sm text-gray-700 mb-1">
+            Featured products <span className="text-gray-400">({form.products.length}/{MAX_CAMPAIGN_PRODUCTS})</span>
+          </p>
+          <PickList
+            items={featuredProducts}
+            selected={form.products}
+            max={MAX_CAMPAIGN_PRODUCTS}
+            onToggle={toggle('products', toCampaignProduct)}
+            emptyText="Mark products as featured to offer them here."
+            renderLabel={(product) => (
+              <span className="flex justify-between gap-3">
+                <span className="font-medium text-gray-900 truncate">{product.name}</span>
+                <span className="text-gray-500 whitespace-nowrap">{formatPrice(product.price, settings)}</span>
+              </span>
+            )}
+          />
+          {errors.products && <p className="text-xs text-red-600 mt-1">{errors.products}</p>}
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-3 pt-2">
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            {saveCampaign.isPending && !sendCampaign.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save draft
+          </button>
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={busy || recipients === 0}
+            className="px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+          >
+            {sendCampaign.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Send now
+          </button>
+        </div>
+        {recipients === 0 && <p className="text-xs text-gray-500 text-right">Nobody in this segment has confirmed yet.</p>}
+      </div>
+
+      <MailPreview subject={preview.subject} html={preview.html} text={preview.text} />
+    </form>
+  )
+}
+
+function CampaignsTab({ segmentCounts, settings }) {
+  const [editing, setEditing] = useState(null)
+  const { data: campaigns = [], isLoading, error } = useCampaigns()
+  const deleteCampaign = useDeleteCampaign()
+
+  const handleDelete = (campaign) => {
+    if (window.confirm(`Delete the draft "${campaign.subject}"?`)) deleteCampaign.mutate(campaign.id)
+  }
+
+  if (editing) {
+    return (
+      <CampaignEditor
+        campaign={editing === 'new' ? null : editing}
+        segmentCounts={segmentCounts}
+        settings={settings}
+        onClose={() => setEditing(null)}
+      />
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setEditing('new')}
+          className="px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 bg-green-600 text-white hover:bg-green-700"
+        >
+          <Plus className="w-4 h-4" />
+          New campaign
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading campaigns…
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : campaigns.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12">
+          <Newspaper className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600">No campaigns yet. Pick a few blog posts and plants to start one.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-500">
+                <th className="px-4 py-3 font-medium">Subject</th>
+                <th className="px-4 py-3 font-medium">Segment</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Recipients</th>
+                <th className="px-4 py-3 font-medium">Sent</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {campaigns.map((campaign) => (
+                <tr key={campaign.id}>
+                  <td className="px-4 py-3 font-medium text-gray-900">{campaign.subject}</td>
+                  <td className="px-4 py-3 text-gray-700">{NEWSLETTER_SEGMENTS[campaign.segment]?.label || campaign.segment}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${campaignStatusColors[campaign.status]}`}>
+                      {CAMPAIGN_STATUS_LABELS[campaign.status] || campaign.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{campaign.status === CAMPAIGN_STATUS.DRAFT ? '—' : campaign.recipientCount}</td>
+                  <td className="px-4 py-3 text-gray-500">{formatDate(campaign.sentAt)}</td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    {campaign.status === CAMPAIGN_STATUS.DRAFT && (
+                      <>
+                        <button onClick={() => setEditing(campaign)} className="p-1 text-gray-500 hover:text-green-700" aria-label="Edit campaign">
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(campaign)}
+                          disabled={deleteCampaign.isPending}
+                          className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-60"
+                          aria-label="Delete campaign"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function SubscribersTab() {
+  const [filters, setFilters] = useState({ status: '', segment: '', search: '', page: 1 })
+  const { data, isLoading, error } = useSubscribers({ ...filters, limit: PAGE_SIZE })
+  const subscribers = data?.subscribers || []
+  const totalPages = Math.max(1, Math.ceil((data?.total || 0) / PAGE_SIZE))
+
+  const set = (field, value) => setFilters((current) => ({ ...current, [field]: value, page: field === 'page' ? value : 1 }))
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={filters.search}
+            onChange={(e) => set('search', e.target.value)}
+            placeholder="Search by email"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <select value={filters.status} onChange={(e) => set('status', e.target.value)} className={`${inputClass} md:w-56`}>
+          <option value="">All statuses</option>
+          {Object.values(SUBSCRIBER_STATUS).map((status) => (
+            <option key={status} value={status}>{SUBSCRIBER_STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+        <select value={filters.segment} onChange={(e) => set('segment', e.target.value)} className={`${inputClass} md:w-56`}>
+          <option value="">Any segment</option>
+          {Object.entries(NEWSLETTER_SEGMENTS)
+            .filter(([id]) => id !== 'all')
+            .map(([id, segment]) => (
+              <option key={id} value={id}>{segment.label}</option>
+            ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading subscribers…
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : subscribers.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12">
+          <Users className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600">No subscribers match these filters.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-500">
+                <th className="px-4 py-3 font-medium">Email</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Segments</th>
+                <th className="px-4 py-3 font-medium">Signed up</th>
+                <th className="px-4 py-3 font-medium">Confirmed</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {subscribers.map((subscriber) => (
+                <tr key={subscriber.id}>
+                  <td className="px-4 py-3 text-gray-900">
+                    {subscriber.email}
+                    {subscriber.source && <p className="text-xs text-gray-500">via {subscriber.source}</p>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${subscriberStatusColors[subscriber.status]}`}>
+                      {SUBSCRIBER_STATUS_LABELS[subscriber.status] || subscriber.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {subscriber.segments.length
+                      ? subscriber.segments.map((id) => NEWSLETTER_SEGMENTS[id]?.label || id).join(', ')
+                      : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-gray-500">{formatDate(subscriber.createdAt)}</td>
+                  <td className="px-4 py-3 text-gray-500">{formatDate(subscriber.confirmedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-3 text-sm">
+          <button
+            onClick={() => set('page', filters.page - 1)}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 rounded-lg border border-gray-300 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => set('page', filters.page + 1)}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 rounded-lg border border-gray-300 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function AdminNewsletter() {
+  const [tab, setTab] = useState('campaigns')
+  const { data: settings = DEFAULT_STORE_SETTINGS } = useAdminSettings()
+  const { data: segmentCounts } = useNewsletterSegments()
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Newsletter</h1>
+        <p className="text-gray-600">Compose campaigns from blog posts and featured plants, and manage who receives them</p>
+      </div>
+
+      {/* Segment sizes */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {Object.entries(NEWSLETTER_SEGMENTS).map(([id, segment]) => (
+          <motion.div
+            key={id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-sm p-4"
+          >
+            <p className="text-sm text-gray-500">{segment.label}</p>
+            <p className="text-2xl font-bold text-gray-900">{segmentCounts?.[id] ?? '—'}</p>
+            <p className="text-xs text-gray-500 mt-1">{segment.description}</p>
+          </motion.div>
+        ))}
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6" aria-label="Newsletter sections">
+          {[
+            { id: 'campaigns', label: 'Campaigns', icon: Newspaper },
+            { id: 'subscribers', label: 'Subscribers', icon: Users },
+          ].map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${
+                tab === id ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <AnimatePresence mode="wait">
+        <motion.div key={tab} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+          {tab === 'campaigns' ? <CampaignsTab segmentCounts={segmentCounts} settings={settings} /> : <SubscribersTab />}
+        </motion.div>
+      </AnimatePresence>
+    </div>
+  )
+}
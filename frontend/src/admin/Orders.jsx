@@ -1,2 +1,410 @@
-import React from 'react'
-export default function AdminOrders() { return <div className="space-y-6"><h1 className="text-2xl font-semibold">Orders</h1><p className="text-neutral-700">CRUD placeholders. Integrate with backend /api/orders (JWT required).</p></div> }
\ No newline at end of file
+import React, { useEffect, useMemo, useState } from 'react'
+import { motion } from 'framer-motion'
+import {
+  Search,
+  Eye,
+  Package,
+  Truck,
+  CheckCircle,
+  Clock,
+  AlertCircle,
+  Loader2,
+  X
+} from 'lucide-react'
+import { useOrders, useBulkUpdateOrderStatus } from '../hooks/queries/useOrders'
+import { ORDER_STATUSES, ORDER_STATUS_LABELS, getCommonNextStatuses } from '../lib/orderStatus'
+import { formatPrice } from '../lib/storeSettings'
+import LoadingSpinner from '../components/LoadingSpinner'
+import OrderStatusBadge from './components/OrderStatusBadge'
+import OrderStatusPanel from './components/OrderStatusPanel'
+
+const PAGE_SIZE = 20
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    : '—'
+
+export default function AdminOrders() {
+  const [searchTerm, setSearchTerm] = useState('')
+  const [customer, setCustomer] = useState('')
+  const [filterStatus, setFilterStatus] = useState('all')
+  const [dateFrom, setDateFrom] = useState('')
+  const [dateTo, setDateTo] = useState('')
+  const [page, setPage] = useState(1)
+  const [selectedOrders, setSelectedOrders] = useState([])
+  const [bulkStatus, setBulkStatus] = useState('')
+  const [activeOrder, setActiveOrder] = useState(null)
+
+  // Wait for typing to pause before asking the server
+  useEffect(() => {
+    const timer = setTimeout(() => setCustomer(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  // Any filter change starts again from the first page with nothing selected
+  useEffect(() => {
+    setPage(1)
+  }, [customer, filterStatus, dateFrom, dateTo])
+
+  useEffect(() => {
+    setSelectedOrders([])
+    setBulkStatus('')
+  }, [page, customer, filterStatus, dateFrom, dateTo])
+
+  const { data, isLoading, isFetching, error } = useOrders({
+    page,
+    limit: PAGE_SIZE,
+    status: filterStatus !== 'all' ? filterStatus : undefined,
+    customer: customer || undefined,
+    from: dateFrom || undefined,
+    to: dateTo || undefined
+  })
+  const bulkUpdate = useBulkUpdateOrderStatus()
+
+  const orders = data?.orders || []
+  const counts = data?.counts || {}
+
+  const stats = [
+    { title: 'Total Orders', value: data?.total ?? 0, icon: Package, color: 'bg-blue-500' },
+    { title: 'Pending', value: counts.pending ?? '—', icon: Clock, color: 'bg-yellow-500' },
+    { title: 'Processing', value: counts.processing ?? '—', icon: Truck, color: 'bg-purple-500' },
+    { title: 'Delivered', value: counts.delivered ?? '—', icon: CheckCircle, color: 'bg-green-600' }
+  ]
+
+  // Only offer statuses that every selected order is allowed to move to
+  const bulkOptions = useMemo(
+    () => getCommonNextStatuses(orders.filter((o) => selectedOrders.includes(o.id)).map((o) => o.status)),
+    [orders, selectedOrders]
+  )
+
+  const handleSelectOrder = (orderId) => {
+    setSelectedOrders(prev =>
+      prev.includes(orderId)
+        ? prev.filter(id => id !== orderId)
+        : [...prev, orderId]
+    )
+  }
+
+  const handleSelectAll = () => {
+    if (selectedOrders.length === orders.length) {
+      setSelectedOrders([])
+    } else {
+      setSelectedOrders(orders.map(o => o.id))
+    }
+  }
+
+  const handleBulkUpdate = async () => {
+    if (!bulkStatus) return
+    try {
+      await bulkUpdate.mutateAsync({ ids: selectedOrders, status: bulkStatus })
+      setSelectedOrders([])
+      setBulkStatus('')
+    } catch (error) {
+      console.error('Bulk status update failed:', error)
+    }
+  }
+
+  const clearFilters = () => {
+    setSearchTerm('')
+    setFilterStatus('all')
+    setDateFrom('')
+    setDateTo('')
+  }
+
+  const hasFilters = searchTerm || filterStatus !== 'all' || dateFrom || dateTo
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Orders</h3>
+          <p className="text-gray-600">{error.message}</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Orders</h1>
+          <p className="text-gray-600">Manage customer orders and fulfillment</p>
+        </div>
+        {isFetching && <Loader2 className="w-5 h-5 animate-spin text-gray-400" aria-label="Refreshing" />}
+      </div>
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {stats.map((stat, index) => {
+          const IconComponent = stat.icon
+          return (
+            <motion.div
+              key={stat.title}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3, delay: index * 0.1 }}
+              className="bg-white rounded-lg shadow-sm p-6"
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-gray-600 mb-1">{stat.title}</p>
+                  <p className="text-2xl font-bold text-gray-900">{stat.value}</p>
+                </div>
+                <div className={`p-3 rounded-lg ${stat.color}`}>
+                  <IconComponent className="w-6 h-6 text-white" />
+                </div>
+              </div>
+            </motion.div>
+          )
+        })}
+      </div>
+
+      {/* Filters and Search */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex-1 relative">
+            <Search className="w-5 h-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by customer name, email or order number..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              aria-label="Filter by status"
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            >
+              <option value="all">All Status</option>
+              {ORDER_STATUSES.map((status) => (
+                <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={dateFrom}
+              max={dateTo || undefined}
+              onChange={(e) => setDateFrom(e.target.value)}
+              aria-label="Placed from"
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            <input
+              type="date"
+              value={dateTo}
+              min={dateFrom || undefined}
+              onChange={(e) => setDateTo(e.target.value)}
+              aria-label="Placed until"
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            {hasFilters && (
+              <button
+                onClick={clearFilters}
+                className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+              >
+                <X className="w-4 h-4" />
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+
+        {selectedOrders.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-4">
+            <span className="text-sm text-gray-600">
+              {selectedOrders.length} order(s) selected
+            </span>
+            {bulkOptions.length === 0 ? (
+              <span className="text-sm text-gray-500">
+                The selected orders have no status change in common.
+              </span>
+            ) : (
+              <div className="flex items-center gap-2">
+                <select
+                  value={bulkStatus}
+                  onChange={(e) => setBulkStatus(e.target.value)}
+                  aria-label="New status"
+                  className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  <option value="">Change status to...</option>
+                  {bulkOptions.map((status) => (
+                    <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleBulkUpdate}
+                  disabled={!bulkStatus || bulkUpdate.isPending}
+                  className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-60 flex items-center gap-2"
+                >
+                  {bulkUpdate.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Update Status
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Orders Table */}
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={selectedOrders.length === orders.length && orders.length > 0}
+                    onChange={handleSelectAll}
+                    aria-label="Select all orders on this page"
+                    className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                  />
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Order
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Customer
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Items
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Total
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Date
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {orders.map((order) => {
+                const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0)
+                return (
+                  <motion.tr
+                    key={order.id}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    className="hover:bg-gray-50"
+                  >
+                    <td className="px-6 py-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedOrders.includes(order.id)}
+                        onChange={() => handleSelectOrder(order.id)}
+                        aria-label={`Select order ${order.orderNumber}`}
+                        className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                      />
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">
+                        #{order.orderNumber}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">
+                          {order.customerName || 'Guest'}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          {order.customerEmail}
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {itemCount} item{itemCount !== 1 ? 's' : ''}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                      {formatPrice(order.total)}
+                    </td>
+                    <td className="px-6 py-4">
+                      <OrderStatusBadge status={order.status} />
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {formatDate(order.orderDate)}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-medium">
+                      <button
+                        onClick={() => setActiveOrder(order)}
+                        className="text-blue-600 hover:text-blue-700"
+                        aria-label={`Manage order ${order.orderNumber}`}
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </motion.tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {orders.length === 0 && (
+          <div className="text-center py-12">
+            <Package className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">No Orders Found</h3>
+            <p className="text-gray-600">No orders match your current filters.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {data?.total > 0 && (
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-700">
+            Showing {(data.page - 1) * data.limit + 1}–{(data.page - 1) * data.limit + orders.length} of {data.total} orders
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage((p) => Math.max(1, p - 1))}
+              disabled={page <= 1}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="px-3 py-2 text-sm text-gray-700">
+              Page {data.page} of {data.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((p) => Math.min(data.totalPages, p + 1))}
+              disabled={page >= data.totalPages}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      <OrderStatusPanel order={activeOrder} onClose={() => setActiveOrder(null)} />
+    </div>
+  )
+}
@@ -18,20 +18,26 @@ import { zodResolver } from '@hookform/resolvers/zod'
 import { z } from 'zod'
 import { motion, AnimatePresence } from 'framer-motion'
 import { toast } from 'react-hot-toast'
+import { Link } from 'react-router-dom'
 import { 
   Plus, Edit2, Trash2, Upload, Download, Search, 
   Filter, Eye, Package, DollarSign, Tag, Image as ImageIcon,
   AlertCircle, CheckCircle, X, Save, Leaf, Star, 
   ShoppingCart, BarChart3, TrendingUp, Calendar,
-  FileText, Globe, Palette, Ruler, Droplets, Sun
+  FileText, Globe, Palette, Ruler, Droplets, Sun, Layers
 } from 'lucide-react'
-import { useProducts, useAdminProducts, useCreateProduct, useUpdateProduct, useDeleteProduct } from '../hooks/queries/useProducts'
+import { useProducts, useAdminProducts, useCreateProduct, useUpdateProduct, useDeleteProduct, useExportProducts } from '../hooks/queries/useProducts'
 import { useCategories } from '../hooks/queries/useCategories'
 import { useImageUpload } from "../hooks/queries/useImageUpload";
 import { mediaAPI } from '../services/publicAPI'
 import useUIStore from '../stores/uiStore'
 import LoadingSpinner from '../components/LoadingSpinner'
 import { ImageUploadSection } from './components/ImageUploadSection'
+import { buildProductExport } from '../lib/productExport'
+import VariantEditor from './components/VariantEditor'
+import { getProductVariants, getTotalInventory, serializeVariants, validateVariants } from '../lib/productVariants'
+import { downloadFile } from '../lib/csv'
+import { getChargeableWeight, getVolumetricWeight } from '../lib/shipping'
 
 // Comprehensive validation schema combining both versions
 const productSchema = z.object({
@@ -187,13 +193,32 @@ const productSchema = z.object({
   }),
   
   featured: z.boolean(),
+
+  localDeliveryOnly: z.boolean().optional(),
   
   isNew: z.boolean().optional(),
   
   isBestseller: z.boolean().optional(),
+
+  // Variants (pot size, plant height, planter colour); checked with validateVariants on submit
+  variantOptions: z.array(z.any()).optional(),
+  variants: z.array(z.any()).optional(),
 })
 
 // Enhanced Form Field Component with animations
+// Couriers bill the heavier of actual and volumetric weight, so show what this plant ships as
+const ShippingWeightNote = ({ weight, dimensions }) => {
+  const actual = Number(weight) || 0
+  const volumetric = getVolumetricWeight(dimensions)
+  if (!actual && !volumetric) return null
+  return (
+    <p className="text-sm text-gray-600">
+      Ships as <span className="font-semibold">{getChargeableWeight({ weight, dimensions })} kg</span>
+      {volumetric > actual && ' (volumetric weight - the box is large for what it weighs)'}
+    </p>
+  )
+}
+
 const FormField = ({ name, control, label, type = 'text', placeholder, icon: Icon, options, rows, isMulti = false, ...props }) => {
   const [isFocused, setIsFocused] = useState(false)
 
@@ -497,9 +522,8 @@ export default function AdminProductsUnified() {
   const [sortOrder, setSortOrder] = useState('asc')
   const [selectedProducts, setSelectedProducts] = useState([])
   const [showBulkActions, setShowBulkActions] = useState(false)
-  const [csvFile, setCsvFile] = useState(null)
-  const [csvUploading, setCsvUploading] = useState(false)
   const [activeTab, setActiveTab] = useState('basic')
+  const [showExportMenu, setShowExportMenu] = useState(false)
 
   // Form setup with comprehensive validation
   const form = useForm({
@@ -535,8 +559,11 @@ export default function AdminProductsUnified() {
       featuredImage: '',
       status: 'active',
       featured: false,
+      localDeliveryOnly: false,
       isNew: false,
       isBestseller: false,
+      variantOptions: [],
+      variants: [],
     }
   })
 
@@ -547,12 +574,14 @@ export default function AdminProductsUnified() {
   })
 
   // API hooks
-  const { data: productsData, isLoading, error, refetch } = useAdminProducts({
+  const productFilters = {
     search: searchTerm,
     category: filterCategory,
     sortBy,
     sortOrder,
-  })
+  }
+  const { data: productsData, isLoading, error, refetch } = useAdminProducts(productFilters)
+  const exportProductsMutation = useExportProducts()
 
   const { data: categoriesData } = useCategories()
   
@@ -645,6 +674,13 @@ export default function AdminProductsUnified() {
         return
       }
 
+      const variantErrors = validateVariants({ options: formData.variantOptions || [], variants: formData.variants || [] })
+      if (variantErrors.length > 0) {
+        setActiveTab('variants')
+        showError(variantErrors[0])
+        return
+      }
+
       // Validate category selection
       if (!formData.categoryIds || formData.categoryIds.length === 0) {
         console.log('Validation failed: No categories selected')
@@ -674,8 +710,10 @@ export default function AdminProductsUnified() {
           : [parseInt(formData.categoryIds)],
         // Include images as array
         images: imageUpload.images,
-        // Map frontend field names to backend expectations
-        inventory: formData.stock,
+        ...serializeVariants(formData.variantOptions || [], formData.variants || []),
+        // Map frontend field names to backend expectations; with variants, stock is their total
+        stock: formData.variants?.length ? String(getTotalInventory(formData.variants)) : formData.stock,
+        inventory: formData.variants?.length ? getTotalInventory(formData.variants) : formData.stock,
         compare_price: formData.salePrice,
         short_description: formData.shortDescription,
         meta_title: formData.metaTitle,
@@ -772,8 +810,11 @@ export default function AdminProductsUnified() {
       // Handle boolean fields
       status: product.status || 'active',
       featured: Boolean(product.featured),
+      localDeliveryOnly: Boolean(product.local_delivery_only ?? product.localDeliveryOnly),
       isNew: Boolean(product.isNew),
       isBestseller: Boolean(product.isBestseller),
+      variantOptions: getProductVariants(product).options,
+      variants: getProductVariants(product).variants,
       
       // Handle images - prioritize array format
       images: product.image_urls && Array.isArray(product.image_urls)
@@ -806,32 +847,16 @@ export default function AdminProductsUnified() {
     }
   }
 
-  // CSV upload handler
-  const handleCsvUpload = async (event) => {
-    const file = event.target.files[0]
-    if (!file) return
-
-    setCsvUploading(true)
-    const formData = new FormData()
-    formData.append('csv', file)
-
+  // Export everything matching the current search, category filter and sort, in the import format
+  const handleExport = async (format) => {
+    setShowExportMenu(false)
     try {
-      const response = await fetch('/api/products/bulk-upload', {
-        method: 'POST',
-        body: formData,
-      })
-
-      if (response.ok) {
-        toast.success('Products uploaded successfully!')
-        refetch()
-      } else {
-        toast.error('Failed to upload products')
-      }
+      const products = await exportProductsMutation.mutateAsync(productFilters)
+      const { contents, filename } = buildProductExport(products, categories, format)
+      downloadFile(contents, filename)
+      showSuccess(`Exported ${products.length} ${products.length === 1 ? 'product' : 'products'}`)
     } catch (error) {
-      toast.error('Upload failed')
-    } finally {
-      setCsvUploading(false)
-      event.target.value = ''
+      // The hook already reported it
     }
   }
 
@@ -1033,22 +1058,44 @@ export default function AdminProductsUnified() {
           </select>
 
           <div className="flex gap-2">
-            <label className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer transition-colors">
+            <Link
+              to="/admin/bulk-upload"
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
               <Upload className="w-5 h-5 mr-2" />
-              {csvUploading ? 'Uploading...' : 'Import CSV'}
-              <input
-                type="file"
-                accept=".csv"
-                onChange={handleCsvUpload}
-                className="hidden"
-                disabled={csvUploading}
-              />
-            </label>
+              Import CSV
+            </Link>
 
-            <button className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors">
-              <Download className="w-5 h-5 mr-2" />
-              Export CSV
-            </button>
+            <div className="relative">
+              <button
+                onClick={() => setShowExportMenu((open) => !open)}
+                disabled={exportProductsMutation.isPending}
+                aria-haspopup="menu"
+                aria-expanded={showExportMenu}
+                className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-60 transition-colors"
+              >
+                <Download className="w-5 h-5 mr-2" />
+                {exportProductsMutation.isPending ? 'Exporting...' : 'Export'}
+              </button>
+              {showExportMenu && (
+                <div role="menu" className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
+                  <button
+                    role="menuitem"
+                    onClick={() => handleExport('csv')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    CSV (.csv)
+                  </button>
+                  <button
+                    role="menuitem"
+                    onClick={() => handleExport('xlsx')}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    Excel (.xlsx)
+                  </button>
+                </div>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -1271,6 +1318,7 @@ export default function AdminProductsUnified() {
                     {[
                       { id: 'basic', label: 'Basic Info', icon: Package },
                       { id: 'pricing', label: 'Pricing & Inventory', icon: DollarSign },
+                      { id: 'variants', label: 'Variants', icon: Layers },
                       { id: 'physical', label: 'Physical Properties', icon: Ruler },
                       { id: 'plant', label: 'Plant Details', icon: Leaf },
                       { id: 'seo', label: 'SEO & Marketing', icon: Globe },
@@ -1441,6 +1489,25 @@ export default function AdminProductsUnified() {
                       </motion.div>
                     )}
 
+                    {activeTab === 'variants' && (
+                      <motion.div
+                        key="variants"
+                        initial={{ opacity: 0, x: 20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        exit={{ opacity: 0, x: -20 }}
+                        className="space-y-6"
+                      >
+                        <VariantEditor
+                          value={{ options: form.watch('variantOptions') || [], variants: form.watch('variants') || [] }}
+                          onChange={({ options, variants }) => {
+                            form.setValue('variantOptions', options, { shouldDirty: true })
+                            form.setValue('variants', variants, { shouldDirty: true })
+                          }}
+                          defaults={{ price: form.watch('price'), sku: form.watch('sku') }}
+                        />
+                      </motion.div>
+                    )}
+
                     {activeTab === 'physical' && (
                       <motion.div
                         key="physical"
@@ -1487,6 +1554,21 @@ export default function AdminProductsUnified() {
                             min="0"
                           />
                         </div>
+
+                        <ShippingWeightNote
+                          weight={form.watch('weight')}
+                          dimensions={{ length: form.watch('length'), width: form.watch('width'), height: form.watch('height') }}
+                        />
+
+                        <FormField
+                          name="localDeliveryOnly"
+                          control={form.control}
+                          label="Local delivery only"
+                          type="checkbox"
+                        />
+                        <p className="-mt-4 text-sm text-gray-500">
+                          For plants too large or delicate for couriers. They are only offered to pincodes in a local delivery zone.
+                        </p>
                       </motion.div>
                     )}
 
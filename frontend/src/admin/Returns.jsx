@@ -0,0 +1,407 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { RotateCcw, AlertCircle, Loader2, Check, X, MessageSquare } from 'lucide-react'
+import { useReturnRequests, useResolveReturn, useRejectReturn } from '../hooks/queries/useReturns'
+import {
+  RETURN_STATUSES,
+  RETURN_STATUS_LABELS,
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+  RETURN_DISPOSITIONS,
+  getRefundableAmount,
+  suggestRefundAmount,
+} from '../lib/returns'
+import { formatPrice } from '../lib/storeSettings'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const PAGE_SIZE = 20
+
+const statusColors = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  replaced: 'bg-green-100 text-green-800',
+  refunded: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+}
+
+// Admin tab names; customers see RETURN_STATUS_LABELS
+const TAB_LABELS = {
+  requested: 'Open',
+  replaced: 'Replaced',
+  refunded: 'Refunded',
+  rejected: 'Rejected',
+}
+
+// Plants sent back for these reasons are still healthy enough to sell
+const RESTOCK_BY_DEFAULT = ['wrong_item']
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '—'
+
+function ResolveForm({ request }) {
+  const { order } = request
+  const [resolution, setResolution] = useState('replacement')
+  const [dispositions, setDispositions] = useState(() =>
+    Object.fromEntries(
+      request.items.map((item) => [item.lineKey, RESTOCK_BY_DEFAULT.includes(request.reason) ? 'restock' : 'discard'])
+    )
+  )
+  const [refundAmount, setRefundAmount] = useState(() => String(suggestRefundAmount(order, request.items)))
+  const [reference, setReference] = useState('')
+  const [note, setNote] = useState('')
+  const [error, setError] = useState('')
+  const resolve = useResolveReturn()
+  const reject = useRejectReturn()
+
+  const refundable = order ? getRefundableAmount(order) : 0
+  const manualRefund = !order?.payment.intentId || order?.paymentMethod === 'cod'
+
+  const handleResolve = async () => {
+    const amount = Number(refundAmount)
+    if (resolution === 'refund') {
+      if (!order) {
+        setError('The order for this request could not be loaded, so it cannot be refunded here')
+        return
+      }
+      if (!(amount > 0) || amount > refundable) {
+        setError(`Enter a refund between ₹1 and ${formatPrice(refundable)}`)
+        return
+      }
+      if (manualRefund && !reference.trim()) {
+        setError('Add the UTR or transaction reference of the bank/UPI transfer')
+        return
+      }
+    }
+    setError('')
+    try {
+      await resolve.mutateAsync({
+        request,
+        resolution,
+        lines: request.items.map((item) => ({
+          lineKey: item.lineKey,
+          quantity: item.quantity,
+          disposition: dispositions[item.lineKey],
+        })),
+        refundAmount: amount,
+        reference: reference.trim(),
+        note: note.trim() || undefined,
+      })
+    } catch (error) {
+      // The hook already reported it
+    }
+  }
+
+  const handleReject = async () => {
+    if (!note.trim()) {
+      setError('Add a reason for the customer before you reject this request')
+      return
+    }
+    setError('')
+    try {
+      await reject.mutateAsync({ id: request.id, reason: note.trim() })
+    } catch (error) {
+      // The hook already reported it
+    }
+  }
+
+  const busy = resolve.isPending || reject.isPending
+
+  return (
+    <div className="pt-3 border-t border-gray-100 space-y-3">
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-3 font-medium">Item</th>
+              <th className="py-1 pr-3 font-medium">Qty</th>
+              <th className="py-1 font-medium">Returned stock</th>
+            </tr>
+          </thead>
+          <tbody>
+            {request.items.map((item) => (
+              <tr key={item.lineKey}>
+                <td className="py-1 pr-3 text-gray-900">
+                  {item.name}
+                  {item.variantTitle && <span className="text-gray-500"> · {item.variantTitle}</span>}
+                </td>
+                <td className="py-1 pr-3">{item.quantity}</td>
+                <td className="py-1">
+                  <select
+                    value={dispositions[item.lineKey]}
+                    onChange={(e) => setDispositions((current) => ({ ...current, [item.lineKey]: e.target.value }))}
+                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                    aria-label={`What to do with returned ${item.name}`}
+                  >
+                    {Object.entries(RETURN_DISPOSITIONS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-1 text-xs text-gray-500">Restocked plants are added back to inventory as a return movement.</p>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm">
+        {Object.entries(RETURN_RESOLUTIONS).map(([value, label]) => (
+          <label key={value} className="flex items-center gap-2">
+            <input
+              type="radio"
+              name={`resolution-${request.id}`}
+              value={value}
+              checked={resolution === value}
+              onChange={() => setResolution(value)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {resolution === 'refund' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block text-sm">
+            <span className="block text-gray-700 mb-1">Refund amount (₹)</span>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              value={refundAmount}
+              onChange={(e) => setRefundAmount(e.target.value)}
+              className={inputClass}
+            />
+            <span className="block text-xs text-gray-500 mt-1">
+              {formatPrice(refundable)} left to refund on this order
+            </span>
+          </label>
+          {manualRefund ? (
+            <label className="block text-sm">
+              <span className="block text-gray-700 mb-1">Transfer reference</span>
+              <input
+                type="text"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder="UTR / UPI transaction ID"
+                className={inputClass}
+              />
+              <span className="block text-xs text-gray-500 mt-1">Cash on delivery orders are refunded by bank or UPI transfer.</span>
+            </label>
+          ) : (
+            <p className="text-xs text-gray-500 self-center">
+              Refunded to the customer's original payment through the payment gateway.
+            </p>
+          )}
+        </div>
+      )}
+
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note for the customer (required to reject)"
+        className={inputClass}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleResolve}
+          disabled={busy}
+          className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-60 bg-green-600 text-white hover:bg-green-700"
+        >
+          {resolve.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+          {resolution === 'refund' ? 'Approve and refund' : 'Approve and send replacement'}
+        </button>
+        <button
+          onClick={handleReject}
+          disabled={busy}
+          className="px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-60 border border-red-300 text-red-700 hover:bg-red-50"
+        >
+          {reject.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <X className="w-4 h-4" />}
+          Reject
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function ReturnCard({ request }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm p-6 space-y-3"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="text-sm text-gray-500">
+            Order #{request.orderNumber}
+            {request.customerName && ` · ${request.customerName}`}
+            {request.order && ` · ${formatPrice(request.order.total)} ${request.order.paymentMethod === 'cod' ? 'COD' : 'prepaid'}`}
+          </p>
+          <h3 className="font-medium text-gray-900 mt-1">{RETURN_REASONS[request.reason] || request.reason}</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[request.status]}`}>
+            {TAB_LABELS[request.status] || request.status}
+          </span>
+          <span className="text-sm text-gray-500">{formatDate(request.createdAt)}</span>
+        </div>
+      </div>
+
+      <p className="text-gray-700 whitespace-pre-line">{request.description}</p>
+
+      {request.images.length > 0 && (
+        <div className="flex gap-2 flex-wrap">
+          {request.images.map((image, index) => (
+            <a key={index} href={image} target="_blank" rel="noopener noreferrer">
+              <img src={image} alt={`Return photo ${index + 1}`} className="w-20 h-20 object-cover rounded-lg" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {request.status === 'requested' ? (
+        <ResolveForm request={request} />
+      ) : (
+        <div className="space-y-1 text-sm text-gray-600">
+          <p>
+            {request.items
+              .map((item) => `${item.quantity} × ${item.name}${item.disposition ? ` (${RETURN_DISPOSITIONS[item.disposition] || item.disposition})` : ''}`)
+              .join(', ')}
+          </p>
+          {request.refund && (
+            <p>
+              Refunded {formatPrice(request.refund.amount)}
+              {request.refund.provider === 'manual' ? ` by transfer ${request.refund.reference}` : ` via ${request.refund.provider}`}
+            </p>
+          )}
+          {request.replacementOrderNumber && <p>Replacement order #{request.replacementOrderNumber}</p>}
+          {request.rejectionReason && (
+            <p className="flex items-start gap-2 bg-gray-50 rounded-lg px-3 py-2">
+              <MessageSquare className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              {request.rejectionReason}
+            </p>
+          )}
+          <p className="text-xs text-gray-500">Closed {formatDate(request.resolvedAt)}</p>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default function AdminReturns() {
+  const [status, setStatus] = useState('requested')
+  const [page, setPage] = useState(1)
+  const { data, isLoading, isFetching, error } = useReturnRequests({ status, page, limit: PAGE_SIZE })
+
+  const requests = data?.returns || []
+  const totalPages = data?.totalPages || 1
+
+  const handleStatusChange = (next) => {
+    setStatus(next)
+    setPage(1)
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Returns</h3>
+          <p className="text-gray-600">{error.message}</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Returns</h1>
+          <p className="text-gray-600">Review damage reports and send replacements or refunds</p>
+        </div>
+        {isFetching && <Loader2 className="w-5 h-5 animate-spin text-gray-400" aria-label="Refreshing" />}
+      </div>
+
+      {/* Status tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6" aria-label="Return status">
+          {RETURN_STATUSES.map((key) => (
+            <button
+              key={key}
+              onClick={() => handleStatusChange(key)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+                status === key
+                  ? 'border-green-600 text-green-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {TAB_LABELS[key]}
+              {data?.counts?.[key] !== undefined && (
+                <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">
+                  {data.counts[key]}
+                </span>
+              )}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {/* Queue */}
+      {requests.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12">
+          <RotateCcw className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No {TAB_LABELS[status].toLowerCase()} requests</h3>
+          <p className="text-gray-600">
+            {status === 'requested' ? 'Problems customers report on delivered orders show up here.' : 'Nothing to show in this tab.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map((request) => (
+            <ReturnCard key={request.id} request={request} />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="px-3 py-2 text-sm text-gray-700">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,2 +1,264 @@
-import React from 'react'
-export default function AdminReviews() { return <div className="space-y-6"><h1 className="text-2xl font-semibold">Reviews</h1><p className="text-neutral-700">CRUD placeholders. Integrate with /api/reviews (JWT required).</p></div> }
\ No newline at end of file
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Star, AlertCircle, Loader2, BadgeCheck, Check, X, Flag, MessageSquare } from 'lucide-react'
+import { useModerationQueue, useModerateReview, REVIEW_STATUSES } from '../hooks/queries/useReviews'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const PAGE_SIZE = 20
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  flagged: 'Flagged',
+}
+
+const statusColors = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  flagged: 'bg-orange-100 text-orange-800',
+}
+
+// Rejecting or flagging hides the review from the storefront, so the reason is kept for the customer and other admins
+const REASON_REQUIRED = ['reject', 'flag']
+
+// Actions offered for a review in each status
+const ACTIONS_BY_STATUS = {
+  pending: ['approve', 'reject', 'flag'],
+  approved: ['flag', 'reject'],
+  rejected: ['approve'],
+  flagged: ['approve', 'reject'],
+}
+
+const actionConfig = {
+  approve: { label: 'Approve', icon: Check, className: 'bg-green-600 text-white hover:bg-green-700' },
+  reject: { label: 'Reject', icon: X, className: 'border border-red-300 text-red-700 hover:bg-red-50' },
+  flag: { label: 'Flag', icon: Flag, className: 'border border-orange-300 text-orange-700 hover:bg-orange-50' },
+}
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '—'
+
+function ReviewCard({ review }) {
+  const [reason, setReason] = useState('')
+  const [reasonError, setReasonError] = useState('')
+  const moderate = useModerateReview()
+
+  const handleAction = async (action) => {
+    if (REASON_REQUIRED.includes(action) && !reason.trim()) {
+      setReasonError(`Add a reason before you ${action} this review`)
+      return
+    }
+    setReasonError('')
+    try {
+      await moderate.mutateAsync({ reviewId: review.id, action, reason: reason.trim() || undefined })
+      setReason('')
+    } catch (error) {
+      // The hook already reported it
+    }
+  }
+
+  const actions = ACTIONS_BY_STATUS[review.status] || []
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-lg shadow-sm p-6 space-y-3"
+    >
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="text-sm text-gray-500">{review.productName || `Product #${review.productId}`}</p>
+          <div className="flex items-center gap-2 mt-1">
+            <div className="flex">
+              {[...Array(5)].map((_, i) => (
+                <Star
+                  key={i}
+                  className={`w-4 h-4 ${i < review.rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+                />
+              ))}
+            </div>
+            <span className="text-sm text-gray-700">{review.userName}</span>
+            {review.verified && (
+              <span className="inline-flex items-center gap-1 bg-green-100 text-green-800 text-xs px-2 py-0.5 rounded-full">
+                <BadgeCheck className="w-3 h-3" />
+                Verified
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[review.status]}`}>
+            {STATUS_LABELS[review.status] || review.status}
+          </span>
+          <span className="text-sm text-gray-500">{formatDate(review.createdAt)}</span>
+        </div>
+      </div>
+
+      {review.title && <h3 className="font-medium text-gray-900">{review.title}</h3>}
+      <p className="text-gray-700 whitespace-pre-line">{review.comment}</p>
+
+      {review.images.length > 0 && (
+        <div className="flex gap-2">
+          {review.images.map((image, index) => (
+            <a key={index} href={image} target="_blank" rel="noopener noreferrer">
+              <img src={image} alt={`Review photo ${index + 1}`} className="w-16 h-16 object-cover rounded-lg" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {review.moderationReason && (
+        <p className="flex items-start gap-2 text-sm text-gray-600 bg-gray-50 rounded-lg px-3 py-2">
+          <MessageSquare className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          {review.moderationReason}
+        </p>
+      )}
+
+      {actions.length > 0 && (
+        <div className="pt-3 border-t border-gray-100">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (required to reject or flag)"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+          {reasonError && <p className="mt-1 text-sm text-red-600">{reasonError}</p>}
+          <div className="flex flex-wrap gap-2 mt-3">
+            {actions.map((action) => {
+              const config = actionConfig[action]
+              const IconComponent = config.icon
+              const pending = moderate.isPending && moderate.variables?.action === action
+              return (
+                <button
+                  key={action}
+                  onClick={() => handleAction(action)}
+                  disabled={moderate.isPending}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-60 ${config.className}`}
+                >
+                  {pending ? <Loader2 className="w-4 h-4 animate-spin" /> : <IconComponent className="w-4 h-4" />}
+                  {config.label}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default function AdminReviews() {
+  const [status, setStatus] = useState('pending')
+  const [page, setPage] = useState(1)
+  const { data, isLoading, isFetching, error } = useModerationQueue({ status, page, limit: PAGE_SIZE })
+
+  const reviews = data?.reviews || []
+  const totalPages = data?.totalPages || 1
+
+  const handleStatusChange = (next) => {
+    setStatus(next)
+    setPage(1)
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Error Loading Reviews</h3>
+          <p className="text-gray-600">{error.message}</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reviews</h1>
+          <p className="text-gray-600">Approve customer reviews before they appear on the storefront</p>
+        </div>
+        {isFetching && <Loader2 className="w-5 h-5 animate-spin text-gray-400" aria-label="Refreshing" />}
+      </div>
+
+      {/* Status tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6" aria-label="Review status">
+          {REVIEW_STATUSES.map((key) => (
+            <button
+              key={key}
+              onClick={() => handleStatusChange(key)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+                status === key
+                  ? 'border-green-600 text-green-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {STATUS_LABELS[key]}
+              {data?.counts?.[key] !== undefined && (
+                <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">
+                  {data.counts[key]}
+                </span>
+              )}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {/* Queue */}
+      {reviews.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12">
+          <Star className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No {STATUS_LABELS[status].toLowerCase()} reviews</h3>
+          <p className="text-gray-600">
+            {status === 'pending' ? 'New reviews will show up here for approval.' : 'Nothing to show in this tab.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <ReviewCard key={review.id} review={review} />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="px-3 py-2 text-sm text-gray-700">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
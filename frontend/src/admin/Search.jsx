@@ -0,0 +1,501 @@
+import React, { useMemo, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Plus, Pencil, Trash2, Loader2, Search, Save, Languages, Sparkles, BarChart3, SearchX, MousePointerClick, Check } from 'lucide-react'
+import {
+  useSynonyms,
+  useSaveSynonym,
+  useDeleteSynonym,
+  useImportSynonyms,
+} from '../hooks/queries/useSearch'
+import { useSearchAnalytics } from '../hooks/queries/useAnalytics'
+import {
+  DEFAULT_SYNONYMS,
+  MAX_SYNONYM_TERMS,
+  SEARCH_REPORT_RANGES,
+  findSynonymGroup,
+  normalizeText,
+  parseQuery,
+  validateSynonymGroup,
+} from '../lib/search'
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`
+
+const splitTerms = (text) => text.split(',').map((term) => term.trim()).filter(Boolean)
+
+// Comma-separated names for one group, checked against every other group before saving
+function SynonymForm({ group, groups, onDone }) {
+  const [text, setText] = useState(group ? group.terms.join(', ') : '')
+  const [error, setError] = useState(null)
+  const saveSynonym = useSaveSynonym()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const candidate = { id: group?.id, terms: splitTerms(text) }
+    const errors = validateSynonymGroup(candidate, groups)
+    setError(errors?.terms || null)
+    if (errors) return
+    try {
+      await saveSynonym.mutateAsync(candidate)
+      onDone()
+    } catch (err) {
+      // 409: another admin added one of these names in the meantime
+      if (err.code === 'duplicate_term') setError(err.message)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="e.g. mogra, jasmine, Jasminum sambac, मोगरा, મોગરો"
+          className={inputClass}
+          autoFocus
+          aria-label="Names in this group, separated by commas"
+        />
+        <button
+          type="submit"
+          disabled={saveSynonym.isPending}
+          className="inline-flex items-center gap-1 px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+        >
+          {saveSynonym.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Separate names with commas; up to {MAX_SYNONYM_TERMS}. Local names can be typed in Gujarati or Hindi script.
+        </p>
+      )}
+    </form>
+  )
+}
+
+// Shows what a customer's query is expanded to with the current groups
+function SynonymTester({ groups }) {
+  const [query, setQuery] = useState('')
+
+  const clauses = useMemo(() => (query.trim() ? parseQuery(query, groups) : []), [query, groups])
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 space-y-3">
+      <div className="flex items-center gap-2 text-sm font-medium text-gray-900">
+        <Sparkles className="w-4 h-4 text-green-600" />
+        Try a search
+      </div>
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Type what a customer might search, e.g. tulsii plant"
+        className={inputClass}
+      />
+      {clauses.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {clauses.map((clause, index) => (
+            <li key={index} className="text-gray-700">
+              <span className="font-medium text-gray-900">{clause.alternatives[0].join(' ')}</span>
+              {clause.alternatives.length > 1 ? (
+                <> also matches {clause.alternatives.slice(1).map((tokens) => tokens.join(' ')).join(', ')}</>
+              ) : (
+                <span className="text-gray-500"> — no synonyms; matched as typed, allowing typos</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function SynonymsTab() {
+  const { data: groups = [], isLoading, error } = useSynonyms()
+  const deleteSynonym = useDeleteSynonym()
+  const importSynonyms = useImportSynonyms()
+  const [editing, setEditing] = useState(null) // group id, 'new' or null
+  const [filter, setFilter] = useState('')
+
+  const visible = useMemo(() => {
+    const needle = normalizeText(filter)
+    if (!needle) return groups
+    return groups.filter((group) => group.terms.some((term) => normalizeText(term).includes(needle)))
+  }, [groups, filter])
+
+  const handleDelete = (group) => {
+    if (window.confirm(`Delete the synonyms ${group.terms.slice(0, 3).join(' / ')}? Searches for one name will no longer find the others.`)) {
+      deleteSynonym.mutate(group.id)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Find a name"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <button
+          onClick={() => setEditing('new')}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700"
+        >
+          <Plus className="w-4 h-4" />
+          Add synonyms
+        </button>
+      </div>
+
+      <AnimatePresence>
+        {editing === 'new' && (
+          <motion.div
+            initial={{ opacity: 0, y: -6 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -6 }}
+            className="bg-white rounded-lg shadow-sm p-4"
+          >
+            <SynonymForm groups={groups} onDone={() => setEditing(null)} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading synonyms…
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : groups.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm text-center py-12 px-4">
+          <Languages className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-600 mb-4">
+            No synonyms yet. Customers searching "tulsi" or "mogra" only find products with those exact words.
+          </p>
+          <button
+            onClick={() => importSynonyms.mutate(DEFAULT_SYNONYMS)}
+            disabled={importSynonyms.isPending}
+            className="inline-flex items-center gap-2 px-4 py-2 border border-green-600 text-green-700 rounded-lg text-sm hover:bg-green-50 disabled:opacity-50"
+          >
+            {importSynonyms.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+            Add the starter list ({DEFAULT_SYNONYMS.length} common plants)
+          </button>
+        </div>
+      ) : visible.length === 0 ? (
+        <p className="text-sm text-gray-500">No group contains "{filter}".</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+          {visible.map((group) => (
+            <div key={group.id} className="p-4">
+              {editing === group.id ? (
+                <SynonymForm group={group} groups={groups} onDone={() => setEditing(null)} />
+              ) : (
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex flex-wrap gap-2">
+                    {group.terms.map((term) => (
+                      <span key={term} className="px-2 py-1 rounded-full bg-gray-100 text-sm text-gray-800">
+                        {term}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => setEditing(group.id)}
+                      className="p-2 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+                      aria-label="Edit synonyms"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(group)}
+                      className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                      aria-label="Delete synonyms"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <SynonymTester groups={groups} />
+    </div>
+  )
+}
+
+// One-step fix for a query that found nothing: say which plant it means. The term joins that
+// name's group, or starts a new group with it.
+function AddSynonymForm({ term, groups, onDone }) {
+  const [target, setTarget] = useState('')
+  const [error, setError] = useState(null)
+  const saveSynonym = useSaveSynonym()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const group = findSynonymGroup(groups, target)
+    const candidate = group
+      ? { id: group.id, terms: [...group.terms, term] }
+      : { terms: [term, target.trim()] }
+    const errors = validateSynonymGroup(candidate, groups)
+    setError(errors?.terms || null)
+    if (errors) return
+    try {
+      await saveSynonym.mutateAsync(candidate)
+      onDone()
+    } catch (err) {
+      if (err.code === 'duplicate_term') setError(err.message)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-1">
+      <div className="flex items-center gap-2">
+        <span className="text-sm text-gray-600 whitespace-nowrap">means</span>
+        <input
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          list="synonym-terms"
+          placeholder="e.g. jasmine"
+          className={`${inputClass} py-1.5`}
+          autoFocus
+          aria-label={`What "${term}" means`}
+        />
+        <button
+          type="submit"
+          disabled={!target.trim() || saveSynonym.isPending}
+          className="p-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+          aria-label="Save synonym"
+        >
+          {saveSynonym.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </form>
+  )
+}
+
+const StatCard = ({ icon: Icon, label, value, hint }) => (
+  <motion.div
+    initial={{ opacity: 0, y: 10 }}
+    animate={{ opacity: 1, y: 0 }}
+    className="bg-white rounded-lg shadow-sm p-4"
+  >
+    <div className="flex items-center gap-2 text-sm text-gray-500">
+      <Icon className="w-4 h-4" />
+      {label}
+    </div>
+    <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+    {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+  </motion.div>
+)
+
+function AnalyticsTab() {
+  const [days, setDays] = useState(30)
+  const [adding, setAdding] = useState(null)
+  const { data: report, isLoading, error } = useSearchAnalytics(days)
+  const { data: groups = [] } = useSynonyms()
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={`${inputClass} md:w-48`}>
+          {Object.entries(SEARCH_REPORT_RANGES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading search report…
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <StatCard icon={Search} label="Searches" value={report.totals.searches.toLocaleString('en-IN')} />
+            <StatCard
+              icon={SearchX}
+              label="Found nothing"
+              value={percent(report.totals.zeroResultRate)}
+              hint={`${report.totals.zeroResults.toLocaleString('en-IN')} searches`}
+            />
+            <StatCard
+              icon={MousePointerClick}
+              label="Click-through"
+              value={percent(report.totals.ctr)}
+              hint="Searches followed by a result click"
+            />
+          </div>
+
+          {/* Zero-result queries */}
+          <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+            <div className="px-4 py-3 border-b border-gray-100">
+              <h2 className="font-semibold text-gray-900">Searches that found nothing</h2>
+              <p className="text-sm text-gray-500">Usually a local name, a spelling the index can't place, or a plant you don't stock.</p>
+            </div>
+            {report.zeroResultQueries.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-gray-500">Every search found something in this period.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-gray-500">
+                    <th className="px-4 py-3 font-medium">Query</th>
+                    <th className="px-4 py-3 font-medium text-right">Searches</th>
+                    <th className="px-4 py-3 font-medium">Last searched</th>
+                    <th className="px-4 py-3 font-medium w-80">Synonym</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.zeroResultQueries.map((row) => {
+                    const group = findSynonymGroup(groups, row.query)
+                    return (
+                      <tr key={row.query}>
+                        <td className="px-4 py-3 font-medium text-gray-900">{row.query}</td>
+                        <td className="px-4 py-3 text-right text-gray-700">{row.searches}</td>
+                        <td className="px-4 py-3 text-gray-500">
+                          {row.lastSearchedAt ? new Date(row.lastSearchedAt).toLocaleDateString('en-IN') : '—'}
+                        </td>
+                        <td className="px-4 py-3">
+                          {group ? (
+                            <span className="inline-flex items-center gap-1 text-green-700 text-xs">
+                              <Check className="w-3.5 h-3.5" />
+                              Same as {group.terms.filter((term) => term !== row.query).slice(0, 2).join(', ')}
+                            </span>
+                          ) : adding === row.query ? (
+                            <AddSynonymForm term={row.query} groups={groups} onDone={() => setAdding(null)} />
+                          ) : (
+                            <button
+                              onClick={() => setAdding(row.query)}
+                              className="inline-flex items-center gap-1 text-sm text-green-700 hover:text-green-800 font-medium"
+                            >
+                              <Plus className="w-4 h-4" />
+                              Add synonym
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            )}
+            <datalist id="synonym-terms">
+              {groups.flatMap((group) => group.terms).map((term) => (
+                <option key={term} value={term} />
+              ))}
+            </datalist>
+          </div>
+
+          {/* Top queries */}
+          <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+            <div className="px-4 py-3 border-b border-gray-100">
+              <h2 className="font-semibold text-gray-900">Top searches</h2>
+              <p className="text-sm text-gray-500">A low click-through means people find results but not what they wanted.</p>
+            </div>
+            {report.topQueries.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-gray-500">No searches in this period yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-gray-500">
+                    <th className="px-4 py-3 font-medium">Query</th>
+                    <th className="px-4 py-3 font-medium text-right">Searches</th>
+                    <th className="px-4 py-3 font-medium text-right">Avg. results</th>
+                    <th className="px-4 py-3 font-medium text-right">Clicks</th>
+                    <th className="px-4 py-3 font-medium w-48">Click-through</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.topQueries.map((row) => (
+                    <tr key={row.query}>
+                      <td className="px-4 py-3 font-medium text-gray-900">{row.query}</td>
+                      <td className="px-4 py-3 text-right text-gray-700">{row.searches}</td>
+                      <td className="px-4 py-3 text-right text-gray-700">
+                        {row.avgResults === null ? '—' : Math.round(row.avgResults)}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-700">{row.clicks}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div
+                              className={`h-full rounded-full ${row.ctr < 0.2 ? 'bg-amber-500' : 'bg-green-500'}`}
+                              style={{ width: percent(row.ctr) }}
+                            />
+                          </div>
+                          <span className="text-gray-700 w-12 text-right">{percent(row.ctr)}</span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default function AdminSearch() {
+  const [tab, setTab] = useState('analytics')
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Search</h1>
+        <p className="text-gray-600">
+          What customers search for and don't find, and the names that mean the same plant — local, English and botanical.
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6" aria-label="Search sections">
+          {[
+            { id: 'analytics', label: 'Report', icon: BarChart3 },
+            { id: 'synonyms', label: 'Synonyms', icon: Languages },
+          ].map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors flex items-center gap-2 ${
+                tab === id ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <AnimatePresence mode="wait">
+        <motion.div key={tab} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+          {tab === 'analytics' ? <AnalyticsTab /> : <SynonymsTab />}
+        </motion.div>
+      </AnimatePresence>
+    </div>
+  )
+}
@@ -0,0 +1,355 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Truck, Plus, Pencil, Trash2, X, Loader2, AlertCircle } from 'lucide-react'
+import { useShippingZones, useSaveShippingZone, useDeleteShippingZone } from '../hooks/queries/useShipping'
+import { rateForWeight, validateZone } from '../lib/shipping'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const EMPTY_ZONE = {
+  name: '',
+  pincodePrefixes: [],
+  isLocal: false,
+  isActive: true,
+  minDays: 2,
+  maxDays: 5,
+  slabs: [
+    { upToKg: 1, rate: 60 },
+    { upToKg: 5, rate: 120 },
+  ],
+  additionalPerKg: 30,
+}
+
+// Weights the rate preview prices, so admins can see the slabs at work
+const PREVIEW_WEIGHTS = [0.5, 2, 5, 12]
+
+const parsePrefixes = (value) =>
+  value
+    .split(/[\s,]+/)
+    .map((prefix) => prefix.trim())
+    .filter(Boolean)
+
+const formatDays = (zone) =>
+  zone.minDays === zone.maxDays ? `${zone.minDays} days` : `${zone.minDays}–${zone.maxDays} days`
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+function Field({ label, error, hint, children }) {
+  return (
+    <label className="block text-sm">
+      <span className="block text-gray-700 mb-1">{label}</span>
+      {children}
+      {hint && !error && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+      {error && <span className="block text-xs text-red-600 mt-1">{error}</span>}
+    </label>
+  )
+}
+
+function ZoneForm({ zone, onClose }) {
+  const [form, setForm] = useState(() => ({ ...EMPTY_ZONE, ...zone }))
+  // Prefixes are typed as free text and only parsed on save, so commas don't jump around
+  const [prefixText, setPrefixText] = useState(() => (zone.pincodePrefixes || []).join(', '))
+  const [errors, setErrors] = useState({})
+  const saveZone = useSaveShippingZone()
+
+  const set = (field, value) => setForm((current) => ({ ...current, [field]: value }))
+
+  const setSlab = (index, field, value) =>
+    set('slabs', form.slabs.map((slab, i) => (i === index ? { ...slab, [field]: value } : slab)))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      ...form,
+      pincodePrefixes: parsePrefixes(prefixText),
+      slabs: [...form.slabs].sort((a, b) => a.upToKg - b.upToKg),
+    }
+    const found = validateZone(payload)
+    setErrors(found)
+    if (Object.keys(found).length > 0) return
+    try {
+      await saveZone.mutateAsync(payload)
+      onClose()
+    } catch (error) {
+      // The hook already reported it; an overlapping prefix belongs on the prefix field
+      if (error.status === 409) setErrors({ pincodePrefixes: error.message })
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      <Field label="Zone name" error={errors.name}>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => set('name', e.target.value)}
+          placeholder="e.g. Ahmedabad city"
+          className={inputClass}
+        />
+      </Field>
+
+      <Field
+        label="Pincode prefixes"
+        error={errors.pincodePrefixes}
+        hint="Comma separated. '380' covers every pincode starting with 380; use full pincodes for single areas."
+      >
+        <textarea
+          rows={2}
+          value={prefixText}
+          onChange={(e) => setPrefixText(e.target.value)}
+          placeholder="380, 382, 3870"
+          className={inputClass}
+        />
+      </Field>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <Field label="Fastest delivery (days)" error={errors.minDays}>
+          <input type="number" min="0" step="1" value={form.minDays} onChange={(e) => set('minDays', Number(e.target.value))} className={inputClass} />
+        </Field>
+        <Field label="Slowest delivery (days)" error={errors.maxDays}>
+          <input type="number" min="0" step="1" value={form.maxDays} onChange={(e) => set('maxDays', Number(e.target.value))} className={inputClass} />
+        </Field>
+        <Field label="Each extra kg (₹)" error={errors.additionalPerKg} hint="Beyond the heaviest slab">
+          <input type="number" min="0" value={form.additionalPerKg} onChange={(e) => set('additionalPerKg', Number(e.target.value))} className={inputClass} />
+        </Field>
+      </div>
+
+      <fieldset className="text-sm">
+        <legend className="text-gray-700 mb-1">Weight slabs</legend>
+        <p className="text-xs text-gray-500 mb-2">
+          Parcels are charged by chargeable weight: the heavier of actual weight and L×W×H ÷ 5000.
+        </p>
+        <div className="space-y-2">
+          {form.slabs.map((slab, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="text-gray-600 whitespace-nowrap">Up to</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={slab.upToKg}
+                onChange={(e) => setSlab(index, 'upToKg', Number(e.target.value))}
+                className={`${inputClass} w-24`}
+                aria-label={`Slab ${index + 1} weight in kg`}
+              />
+              <span className="text-gray-600">kg for ₹</span>
+              <input
+                type="number"
+                min="0"
+                value={slab.rate}
+                onChange={(e) => setSlab(index, 'rate', Number(e.target.value))}
+                className={`${inputClass} w-28`}
+                aria-label={`Slab ${index + 1} rate`}
+              />
+              <button
+                type="button"
+                onClick={() => set('slabs', form.slabs.filter((_, i) => i !== index))}
+                className="p-1 text-red-500 hover:text-red-700"
+                aria-label={`Remove slab ${index + 1}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => {
+            const heaviest = Math.max(0, ...form.slabs.map((slab) => slab.upToKg))
+            set('slabs', [...form.slabs, { upToKg: heaviest + 5, rate: 0 }])
+          }}
+          className="mt-2 flex items-center gap-1 text-green-700 hover:text-green-800"
+        >
+          <Plus className="w-4 h-4" /> Add slab
+        </button>
+        {errors.slabs && <p className="text-xs text-red-600 mt-1">{errors.slabs}</p>}
+      </fieldset>
+
+      {form.slabs.length > 0 && (
+        <div className="rounded-lg bg-gray-50 p-3 text-sm text-gray-700">
+          <p className="font-medium mb-1">Rate preview</p>
+          <div className="flex flex-wrap gap-x-6 gap-y-1">
+            {PREVIEW_WEIGHTS.map((kg) => (
+              <span key={kg}>
+                {kg} kg: ₹{rateForWeight(form, kg)}
+              </span>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Before the store's free-shipping threshold and coupons.</p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isActive} onChange={(e) => set('isActive', e.target.checked)} className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500" />
+          Active
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.isLocal} onChange={(e) => set('isLocal', e.target.checked)} className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500" />
+          Local zone (our own delivery; accepts local-delivery-only products)
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saveZone.isPending}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-60"
+        >
+          {saveZone.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+          {zone.id ? 'Save zone' : 'Create zone'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default function AdminShipping() {
+  const { data: zones = [], isLoading, error } = useShippingZones()
+  const saveZone = useSaveShippingZone()
+  const deleteZone = useDeleteShippingZone()
+  // null when closed, {} for a new zone, or the zone being edited
+  const [editing, setEditing] = useState(null)
+
+  const handleDelete = (zone) => {
+    if (window.confirm(`Delete ${zone.name}? Pincodes only in this zone will stop being serviceable.`)) {
+      deleteZone.mutate(zone.id)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Truck className="w-6 h-6" />
+            Shipping
+          </h1>
+          <p className="text-gray-600">Delivery zones decide which pincodes we serve, how long delivery takes and what it costs.</p>
+        </div>
+        <button
+          onClick={() => setEditing({})}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          New zone
+        </button>
+      </div>
+
+      {/* Zone list */}
+      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+        {isLoading ? (
+          <div className="p-12">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <div className="p-12 text-center">
+            <AlertCircle className="w-10 h-10 text-red-500 mx-auto mb-2" />
+            <p className="text-gray-700">{error.message}</p>
+          </div>
+        ) : zones.length === 0 ? (
+          <div className="p-12 text-center text-gray-600">No delivery zones yet. Until you add one, no pincode is serviceable.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Zone', 'Pincodes', 'Delivery', 'Rates', 'Status', ''].map((heading) => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {zones.map((zone) => (
+                  <tr key={zone.id}>
+                    <td className="px-4 py-3">
+                      <p className="font-semibold text-gray-900">{zone.name}</p>
+                      {zone.isLocal && <p className="text-xs text-green-700">Local delivery</p>}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700 max-w-xs">
+                      <p className="truncate" title={zone.pincodePrefixes.join(', ')}>
+                        {zone.pincodePrefixes.join(', ')}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{formatDays(zone)}</td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {[...zone.slabs]
+                        .sort((a, b) => a.upToKg - b.upToKg)
+                        .map((slab) => `≤${slab.upToKg} kg ₹${slab.rate}`)
+                        .join(' · ')}
+                      {zone.additionalPerKg > 0 && <span className="text-gray-500"> · +₹{zone.additionalPerKg}/kg</span>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          zone.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                        }`}
+                      >
+                        {zone.isActive ? 'Active' : 'Paused'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => saveZone.mutate({ ...zone, isActive: !zone.isActive })}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                          {zone.isActive ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          onClick={() => setEditing(zone)}
+                          className="p-1 text-gray-500 hover:text-gray-700"
+                          aria-label={`Edit ${zone.name}`}
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(zone)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          aria-label={`Delete ${zone.name}`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / edit panel */}
+      {editing && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4" onClick={() => setEditing(null)}>
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="zone-panel-title"
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 space-y-4"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-start justify-between gap-4">
+              <h2 id="zone-panel-title" className="text-lg font-semibold text-gray-900">
+                {editing.id ? `Edit ${editing.name}` : 'New delivery zone'}
+              </h2>
+              <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <ZoneForm zone={editing} onClose={() => setEditing(null)} />
+          </motion.div>
+        </div>
+      )}
+    </div>
+  )
+}
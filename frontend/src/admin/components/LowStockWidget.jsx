@@ -0,0 +1,85 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { AlertTriangle, ArrowRight, CheckCircle } from 'lucide-react'
+import { useLowStock } from '../../hooks/queries/useInventory'
+import { useAdminSettings } from '../../hooks/queries/useSettings'
+import { STOCK_STATUS } from '../../lib/inventory'
+
+const MAX_ROWS = 8
+
+// Dashboard card listing products at or below their low-stock threshold.
+// Hidden when inventory alerts are switched off in Settings.
+export default function LowStockWidget() {
+  const { data: settings } = useAdminSettings()
+  const alertsEnabled = settings?.inventoryAlerts !== false
+  const { data: levels = [], isLoading, error } = useLowStock({ enabled: alertsEnabled })
+
+  if (!alertsEnabled) return null
+
+  const outCount = levels.filter((level) => level.status === STOCK_STATUS.OUT).length
+
+  return (
+    <motion.div
+      className="bg-white/80 backdrop-blur-sm rounded-2xl border border-gray-200 shadow-lg overflow-hidden"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, delay: 0.2 }}
+    >
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <AlertTriangle className="w-6 h-6 text-amber-500" />
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Low Stock</h2>
+            {levels.length > 0 && (
+              <p className="text-sm text-gray-600">
+                {levels.length} {levels.length === 1 ? 'item' : 'items'} need restocking
+                {outCount > 0 && `, ${outCount} sold out`}
+              </p>
+            )}
+          </div>
+        </div>
+        <Link
+          to="/admin/inventory"
+          className="flex items-center gap-2 px-4 py-2 text-primary hover:bg-primary/10 rounded-lg transition-colors"
+        >
+          Inventory
+          <ArrowRight className="w-4 h-4" />
+        </Link>
+      </div>
+
+      {isLoading ? (
+        <p className="p-6 text-sm text-gray-600">Checking stock levels...</p>
+      ) : error ? (
+        <p className="p-6 text-sm text-red-600">Failed to load stock levels</p>
+      ) : levels.length === 0 ? (
+        <div className="p-6 flex items-center gap-2 text-sm text-gray-600">
+          <CheckCircle className="w-5 h-5 text-green-600" />
+          Everything is above its low-stock threshold.
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {levels.slice(0, MAX_ROWS).map((level) => (
+            <li key={`${level.productId}:${level.variantId ?? ''}`} className="px-6 py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{level.name}</p>
+                <p className="text-xs text-gray-500 truncate">
+                  {[level.variantTitle, level.sku].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+              <div className="text-right whitespace-nowrap">
+                <p className={`text-sm font-semibold ${level.status === STOCK_STATUS.OUT ? 'text-red-600' : 'text-amber-600'}`}>
+                  {level.available} available
+                </p>
+                <p className="text-xs text-gray-500">
+                  threshold {level.threshold}
+                  {level.reserved > 0 && ` · ${level.reserved} reserved`}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  )
+}
@@ -0,0 +1,33 @@
+import React, { useState } from 'react'
+
+// Rendered mail is shown in a sandboxed frame so its styles and links stay out of the admin
+export default function MailPreview({ subject, html, text, to }) {
+  const [format, setFormat] = useState('html')
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm min-w-0">
+          {to && <p className="text-gray-500 truncate">To: {to}</p>}
+          <p className="font-medium text-gray-900 truncate">{subject}</p>
+        </div>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs">
+          {['html', 'text'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setFormat(option)}
+              className={`px-3 py-1 ${format === option ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {option === 'html' ? 'HTML' : 'Plain text'}
+            </button>
+          ))}
+        </div>
+      </div>
+      {format === 'html' ? (
+        <iframe title={subject} srcDoc={html} sandbox="" className="w-full h-[520px] bg-white" />
+      ) : (
+        <pre className="p-4 text-sm text-gray-800 whitespace-pre-wrap h-[520px] overflow-y-auto">{text}</pre>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+import React from 'react'
+import { Clock, Package, Truck, CheckCircle, XCircle, RotateCcw } from 'lucide-react'
+import { ORDER_STATUS_LABELS } from '../../lib/orderStatus'
+
+const statusConfig = {
+  pending: { color: 'bg-yellow-100 text-yellow-800', icon: Clock },
+  processing: { color: 'bg-blue-100 text-blue-800', icon: Package },
+  shipped: { color: 'bg-purple-100 text-purple-800', icon: Truck },
+  delivered: { color: 'bg-green-100 text-green-800', icon: CheckCircle },
+  cancelled: { color: 'bg-red-100 text-red-800', icon: XCircle },
+  returned: { color: 'bg-gray-100 text-gray-800', icon: RotateCcw },
+}
+
+export default function OrderStatusBadge({ status }) {
+  const config = statusConfig[status] || statusConfig.pending
+  const IconComponent = config.icon
+
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${config.color}`}>
+      <IconComponent className="w-3 h-3" />
+      {ORDER_STATUS_LABELS[status] || status}
+    </span>
+  )
+}
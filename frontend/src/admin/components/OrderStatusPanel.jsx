@@ -0,0 +1,208 @@
+import React, { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, History, Loader2, MapPin, Package, FileText } from 'lucide-react'
+import { useDownloadInvoice, useOrderHistory, useUpdateOrderStatus } from '../../hooks/queries/useOrders'
+import { getOrderTaxRows } from '../../lib/gst'
+import { getNextStatuses, ORDER_STATUS_LABELS } from '../../lib/orderStatus'
+import { formatPrice } from '../../lib/storeSettings'
+import OrderStatusBadge from './OrderStatusBadge'
+import ShipmentSection from './ShipmentSection'
+
+// Cancelling or returning an order cannot be undone, so a reason is required for the audit trail
+const NOTE_REQUIRED = ['cancelled', 'returned']
+
+const formatDateTime = (value) =>
+  value
+    ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+    : '—'
+
+export default function OrderStatusPanel({ order, onClose }) {
+  const [note, setNote] = useState('')
+  const [noteError, setNoteError] = useState('')
+  const { data: history = [], isLoading: historyLoading } = useOrderHistory(order?.id)
+  const updateStatus = useUpdateOrderStatus()
+  const downloadInvoice = useDownloadInvoice()
+
+  const handleTransition = async (status) => {
+    if (NOTE_REQUIRED.includes(status) && !note.trim()) {
+      setNoteError(`Add a reason before marking this order ${ORDER_STATUS_LABELS[status].toLowerCase()}`)
+      return
+    }
+    setNoteError('')
+    try {
+      await updateStatus.mutateAsync({ id: order.id, status, note: note.trim() || undefined })
+      setNote('')
+      onClose()
+    } catch (error) {
+      // The hook already reported it; keep the panel open so the admin can adjust
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {order && (
+        <div className="fixed inset-0 z-50">
+          <motion.div
+            className="absolute inset-0 bg-black/40"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+          />
+          <motion.aside
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="order-panel-title"
+            className="absolute right-0 top-0 h-full w-full max-w-lg bg-white shadow-xl flex flex-col"
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'tween', duration: 0.25 }}
+          >
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h2 id="order-panel-title" className="text-lg font-semibold text-gray-900">
+                  Order #{order.orderNumber}
+                </h2>
+                <p className="text-sm text-gray-500">{formatDateTime(order.orderDate)}</p>
+              </div>
+              <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700" aria-label="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-6 space-y-6">
+              {/* Summary */}
+              <section className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <OrderStatusBadge status={order.status} />
+                  <span className="text-lg font-semibold text-gray-900">{formatPrice(order.total)}</span>
+                </div>
+                <div className="text-sm text-gray-700">
+                  <p className="font-medium">{order.customerName || 'Guest'}</p>
+                  {order.customerEmail && <p className="text-gray-500">{order.customerEmail}</p>}
+                </div>
+                {order.shippingAddress.street && (
+                  <p className="text-sm text-gray-600 flex gap-2">
+                    <MapPin className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    {[order.shippingAddress.street, order.shippingAddress.city, order.shippingAddress.state, order.shippingAddress.postalCode]
+                      .filter(Boolean)
+                      .join(', ')}
+                  </p>
+                )}
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {order.items.map((item, index) => (
+                    <li key={index} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <span className="flex items-center gap-2 text-gray-700">
+                        <Package className="w-4 h-4 text-gray-400" />
+                        {item.name}
+                        {item.variantTitle && <span className="text-gray-500">({item.variantTitle})</span>} × {item.quantity}
+                      </span>
+                      <span className="text-gray-900">{formatPrice(item.price * item.quantity)}</span>
+                    </li>
+                  ))}
+                  {order.discounts.map((line, index) => (
+                    <li key={`discount-${index}`} className="flex items-center justify-between px-3 py-2 text-sm text-green-700">
+                      <span>{line.label}</span>
+                      <span>-{formatPrice(line.amount)}</span>
+                    </li>
+                  ))}
+                  {getOrderTaxRows(order).map((row) => (
+                    <li key={row.label} className="flex items-center justify-between px-3 py-2 text-sm text-gray-600">
+                      <span>{row.label}</span>
+                      <span>{formatPrice(row.amount)}</span>
+                    </li>
+                  ))}
+                </ul>
+                {order.invoice ? (
+                  <button
+                    onClick={() => downloadInvoice.mutate(order.id)}
+                    disabled={downloadInvoice.isPending}
+                    className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-60"
+                  >
+                    {downloadInvoice.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+                    Invoice {order.invoice.number}
+                  </button>
+                ) : (
+                  <p className="text-xs text-gray-500">The invoice is issued once the order is paid or confirmed.</p>
+                )}
+              </section>
+
+              {/* Status change */}
+              <section>
+                <h3 className="text-sm font-semibold text-gray-900 mb-3">Update status</h3>
+                {getNextStatuses(order.status).length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    {ORDER_STATUS_LABELS[order.status] || order.status} is a final status.
+                  </p>
+                ) : (
+                  <>
+                    <textarea
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      rows={2}
+                      placeholder="Note for the audit trail (required to cancel or return)"
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                    {noteError && <p className="mt-1 text-sm text-red-600">{noteError}</p>}
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {getNextStatuses(order.status).map((status) => (
+                        <button
+                          key={status}
+                          onClick={() => handleTransition(status)}
+                          disabled={updateStatus.isPending}
+                          className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 disabled:opacity-60 ${
+                            NOTE_REQUIRED.includes(status)
+                              ? 'border border-red-300 text-red-700 hover:bg-red-50'
+                              : 'bg-green-600 text-white hover:bg-green-700'
+                          }`}
+                        >
+                          {updateStatus.isPending && updateStatus.variables?.status === status && (
+                            <Loader2 className="w-4 h-4 animate-spin" />
+                          )}
+                          Mark {ORDER_STATUS_LABELS[status].toLowerCase()}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </section>
+
+              <ShipmentSection order={order} />
+
+              {/* Audit trail */}
+              <section>
+                <h3 className="text-sm font-semibold text-gray-900 mb-3 flex items-center gap-2">
+                  <History className="w-4 h-4" />
+                  History
+                </h3>
+                {historyLoading ? (
+                  <p className="text-sm text-gray-500">Loading history...</p>
+                ) : history.length === 0 ? (
+                  <p className="text-sm text-gray-500">No status changes recorded yet.</p>
+                ) : (
+                  <ol className="space-y-3 border-l-2 border-gray-200 pl-4">
+                    {history.map((entry) => (
+                      <li key={entry.id} className="text-sm">
+                        <p className="text-gray-900">
+                          {entry.fromStatus
+                            ? `${ORDER_STATUS_LABELS[entry.fromStatus] || entry.fromStatus} → `
+                            : ''}
+                          <span className="font-medium">{ORDER_STATUS_LABELS[entry.toStatus] || entry.toStatus}</span>
+                        </p>
+                        <p className="text-gray-500">
+                          {entry.actor} · {formatDateTime(entry.createdAt)}
+                        </p>
+                        {entry.note && <p className="text-gray-700 mt-1">{entry.note}</p>}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </section>
+            </div>
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  )
+}
@@ -8,6 +8,15 @@ import { useImageUpload } from '../../hooks/queries/useImageUpload'
 import { useCategories } from '../../hooks/queries/useCategories'
 import { ImageUploadSection } from './ImageUploadSection'
 import LoadingSpinner from '../../components/LoadingSpinner'
+import VariantEditor from './VariantEditor'
+import {
+  variantOptionsSchema,
+  variantSchema,
+  getProductVariants,
+  getTotalInventory,
+  serializeVariants,
+  validateVariants,
+} from '../../lib/productVariants'
 
 /**
  * Product form validation schema using Zod
@@ -89,6 +98,14 @@ const productSchema = z.object({
   lightRequirement: z.enum(['low', 'medium', 'high', 'bright-indirect']).optional(),
   wateringFrequency: z.enum(['daily', 'weekly', 'bi-weekly', 'monthly']).optional(),
   difficulty: z.enum(['easy', 'medium', 'hard']).optional(),
+
+  // Pot size / height / planter colour combinations, each with its own price and stock
+  variantOptions: variantOptionsSchema.optional(),
+  variants: z.array(variantSchema).optional(),
+}).superRefine((data, ctx) => {
+  validateVariants({ options: data.variantOptions || [], variants: data.variants || [] }).forEach((message) => {
+    ctx.addIssue({ code: 'custom', path: ['variants'], message })
+  })
 })
 
 /**
@@ -142,6 +159,8 @@ export const ProductForm = ({
       lightRequirement: product?.lightRequirement || undefined,
       wateringFrequency: product?.wateringFrequency || undefined,
       difficulty: product?.difficulty || undefined,
+      variantOptions: getProductVariants(product || {}).options,
+      variants: getProductVariants(product || {}).variants,
     },
     mode: 'onChange',
   })
@@ -240,8 +259,12 @@ export const ProductForm = ({
     
     try {
       // Include images directly in form data for backend processing
+      const variants = data.variants || []
       const formData = {
         ...data,
+        ...serializeVariants(data.variantOptions || [], variants),
+        // With variants, product stock is whatever the active variants hold
+        inventory: variants.length > 0 ? getTotalInventory(variants) : data.inventory,
         images: imageUpload.images, // Pass the actual File objects
         existingImages: product?.images || []
       }
@@ -585,6 +608,24 @@ export const ProductForm = ({
           </div>
         </div>
 
+        {/* Variants */}
+        <div className="space-y-4">
+          <h4 className="text-lg font-medium text-gray-800 border-b border-gray-200 pb-2">
+            Variants
+          </h4>
+          <VariantEditor
+            value={{ options: watch('variantOptions') || [], variants: watch('variants') || [] }}
+            onChange={({ options, variants }) => {
+              setValue('variantOptions', options, { shouldDirty: true })
+              setValue('variants', variants, { shouldDirty: true, shouldValidate: true })
+            }}
+            defaults={{ price: watchedPrice, sku: watch('sku') }}
+          />
+          {errors.variants && (
+            <p className="text-red-600 text-xs">{errors.variants.message}</p>
+          )}
+        </div>
+
         {/* Categories */}
         <div className="space-y-4">
           <h4 className="text-lg font-medium text-gray-800 border-b border-gray-200 pb-2">
@@ -0,0 +1,128 @@
+// Shipments for the order console: enter a courier's AWB or book a pickup through the carrier adapter
+import React, { useState } from 'react'
+import { Truck, Trash2, Loader2 } from 'lucide-react'
+import { useOrderShipments, useCreateShipment, useRemoveShipment } from '../../hooks/queries/useShipments'
+import { CARRIERS, SHIPMENT_STATUS_LABELS, getCarrierName, getCarrierProvider } from '../../services/carriers/carrierGateway'
+import { ShipmentStatusBadge } from '../../components/ShipmentTimeline.jsx'
+
+// Orders that can still get a parcel on its way
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'shipped']
+
+// The fake courier only exists for development
+const carrierOptions = CARRIERS.filter((carrier) => carrier.id !== 'fake' || import.meta.env.DEV)
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+export default function ShipmentSection({ order }) {
+  const { data: shipments = [], isLoading } = useOrderShipments(order.id)
+  const createShipment = useCreateShipment()
+  const removeShipment = useRemoveShipment()
+  const [carrier, setCarrier] = useState(carrierOptions[0].id)
+  const [awb, setAwb] = useState('')
+  const [awbError, setAwbError] = useState('')
+  const canShip = SHIPPABLE_STATUSES.includes(order.status)
+  const provider = getCarrierProvider()
+
+  const handleManual = async (e) => {
+    e.preventDefault()
+    if (!/^[A-Za-z0-9-]{6,30}$/.test(awb.trim())) {
+      setAwbError('Enter the AWB exactly as printed on the label')
+      return
+    }
+    setAwbError('')
+    try {
+      await createShipment.mutateAsync({ order, carrier, awb })
+      setAwb('')
+    } catch {
+      // Reported by the hook
+    }
+  }
+
+  const handleRemove = (shipment) => {
+    if (window.confirm(`Remove shipment ${shipment.awb}? Its tracking will no longer show to the customer.`)) {
+      removeShipment.mutate({ id: shipment.id, orderId: order.id })
+    }
+  }
+
+  return (
+    <section>
+      <h3 className="text-sm font-semibold text-gray-900 mb-3 flex items-center gap-2">
+        <Truck className="w-4 h-4" />
+        Shipments
+      </h3>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading shipments…</p>
+      ) : shipments.length > 0 ? (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg mb-3">
+          {shipments.map((shipment) => (
+            <li key={shipment.id} className="px-3 py-2 text-sm flex items-start justify-between gap-2">
+              <div>
+                <p className="font-mono text-gray-900">{shipment.awb}</p>
+                <p className="text-xs text-gray-500">
+                  {getCarrierName(shipment.carrier)}
+                  {shipment.events[0] && ` · ${SHIPMENT_STATUS_LABELS[shipment.events[0].status] || shipment.events[0].status}`}
+                  {shipment.events[0]?.location && `, ${shipment.events[0].location}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <ShipmentStatusBadge status={shipment.status} />
+                <button
+                  onClick={() => handleRemove(shipment)}
+                  className="p-1 text-red-500 hover:text-red-700"
+                  aria-label={`Remove shipment ${shipment.awb}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">No shipments yet.</p>
+      )}
+
+      {canShip && (
+        <>
+          <form onSubmit={handleManual} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] gap-2 items-start" noValidate>
+            <select value={carrier} onChange={(e) => setCarrier(e.target.value)} className={inputClass} aria-label="Carrier">
+              {carrierOptions.map((option) => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+            <div>
+              <input
+                type="text"
+                value={awb}
+                onChange={(e) => setAwb(e.target.value)}
+                placeholder="AWB / tracking number"
+                aria-label="AWB number"
+                className={`${inputClass} font-mono`}
+              />
+              {awbError && <p className="mt-1 text-xs text-red-600">{awbError}</p>}
+            </div>
+            <button
+              type="submit"
+              disabled={createShipment.isPending}
+              className="px-3 py-2 rounded-lg text-sm border border-gray-300 hover:bg-gray-50 disabled:opacity-60"
+            >
+              Add
+            </button>
+          </form>
+          {provider && (
+            <button
+              onClick={() => createShipment.mutate({ order, book: true, carrier })}
+              disabled={createShipment.isPending}
+              className="mt-2 flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+            >
+              {createShipment.isPending && createShipment.variables?.book && <Loader2 className="w-4 h-4 animate-spin" />}
+              {provider.name === 'fake' ? 'Book with the fake carrier' : `Book pickup with ${getCarrierName(carrier)}`}
+            </button>
+          )}
+          <p className="mt-1 text-xs text-gray-500">Adding a shipment marks the order shipped and shows tracking to the customer.</p>
+        </>
+      )}
+    </section>
+  )
+}
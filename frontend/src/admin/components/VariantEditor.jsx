@@ -0,0 +1,232 @@
+import React, { useState } from 'react'
+import { Plus, X, Trash2, Layers } from 'lucide-react'
+import {
+  MAX_VARIANT_OPTIONS,
+  VARIANT_OPTION_PRESETS,
+  buildVariantMatrix,
+  getTotalInventory,
+  variantKey,
+} from '../../lib/productVariants'
+
+const inputClass =
+  'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent'
+
+function OptionRow({ option, onChange, onRemove }) {
+  const [valueInput, setValueInput] = useState('')
+
+  const addValue = () => {
+    const value = valueInput.trim()
+    if (value && !option.values.includes(value)) {
+      onChange({ ...option, values: [...option.values, value] })
+    }
+    setValueInput('')
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={option.name}
+          onChange={(e) => onChange({ ...option, name: e.target.value })}
+          placeholder="Option name, e.g. Pot size"
+          aria-label="Option name"
+          className={inputClass}
+        />
+        <button type="button" onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" aria-label="Remove option">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {option.values.map((value) => (
+          <span key={value} className="inline-flex items-center gap-1 px-2 py-1 bg-green-50 text-green-800 rounded-full text-xs">
+            {value}
+            <button
+              type="button"
+              onClick={() => onChange({ ...option, values: option.values.filter((v) => v !== value) })}
+              aria-label={`Remove ${value}`}
+              className="hover:text-red-600"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={valueInput}
+          onChange={(e) => setValueInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+              e.preventDefault()
+              addValue()
+            }
+          }}
+          onBlur={addValue}
+          placeholder="Add value"
+          aria-label={`Add value to ${option.name || 'option'}`}
+          className="w-28 px-2 py-1 border border-dashed border-gray-300 rounded-md text-xs focus:ring-2 focus:ring-green-500 focus:border-transparent"
+        />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Option definitions and the variant matrix for a product.
+ * Controlled: `value` is `{ options, variants }` and every edit calls `onChange`
+ * with the next value. `defaults` ({ price, sku }) seed newly generated variants.
+ */
+export default function VariantEditor({ value, onChange, defaults = {} }) {
+  const { options = [], variants = [] } = value || {}
+
+  // Regenerate the matrix whenever options change, keeping data for surviving combinations
+  const setOptions = (nextOptions) => {
+    onChange({ options: nextOptions, variants: buildVariantMatrix(nextOptions, variants, defaults) })
+  }
+
+  // Renaming keeps every variant; only the key in each variant's option map changes
+  const updateOption = (index, next) => {
+    const previous = options[index]
+    const nextOptions = options.map((option, i) => (i === index ? next : option))
+    if (previous.name !== next.name && previous.values === next.values) {
+      onChange({
+        options: nextOptions,
+        variants: variants.map((variant) => {
+          const { [previous.name]: value, ...rest } = variant.options
+          return value === undefined ? variant : { ...variant, options: { ...rest, [next.name]: value } }
+        }),
+      })
+      return
+    }
+    setOptions(nextOptions)
+  }
+
+  const updateVariant = (index, patch) => {
+    onChange({ options, variants: variants.map((variant, i) => (i === index ? { ...variant, ...patch } : variant)) })
+  }
+
+  const unusedPresets = VARIANT_OPTION_PRESETS.filter(
+    (preset) => !options.some((option) => option.name.toLowerCase() === preset.name.toLowerCase())
+  )
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-800 flex items-center gap-2">
+            <Layers className="w-4 h-4" />
+            Options
+          </h4>
+          <p className="text-xs text-gray-500">
+            Sell the plant in several sizes or planters. Each combination gets its own price and stock.
+          </p>
+        </div>
+        {options.length < MAX_VARIANT_OPTIONS && (
+          <button
+            type="button"
+            onClick={() => setOptions([...options, { name: '', values: [] }])}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add option
+          </button>
+        )}
+      </div>
+
+      {options.length < MAX_VARIANT_OPTIONS && unusedPresets.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {unusedPresets.map((preset) => (
+            <button
+              key={preset.name}
+              type="button"
+              onClick={() => setOptions([...options, { ...preset, values: [...preset.values] }])}
+              className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200"
+            >
+              + {preset.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {options.map((option, index) => (
+          <OptionRow
+            key={index}
+            option={option}
+            onChange={(next) => updateOption(index, next)}
+            onRemove={() => setOptions(options.filter((_, i) => i !== index))}
+          />
+        ))}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Variant', 'SKU', 'Price (₹)', 'Stock', 'Active'].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {variants.map((variant, index) => (
+                  <tr key={variantKey(options, variant.options)} className={variant.isActive ? undefined : 'opacity-60'}>
+                    <td className="px-3 py-2 text-gray-900 whitespace-nowrap">{variantKey(options, variant.options)}</td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={variant.sku}
+                        onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                        aria-label="Variant SKU"
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-3 py-2 w-28">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={variant.price}
+                        onChange={(e) => updateVariant(index, { price: parseFloat(e.target.value) || 0 })}
+                        aria-label="Variant price"
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-3 py-2 w-24">
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={variant.inventory}
+                        onChange={(e) => updateVariant(index, { inventory: Math.max(0, parseInt(e.target.value) || 0) })}
+                        aria-label="Variant stock"
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={variant.isActive}
+                        onChange={(e) => updateVariant(index, { isActive: e.target.checked })}
+                        aria-label="Variant active"
+                        className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="px-3 py-2 bg-gray-50 text-xs text-gray-600">
+            {variants.length} variants · {getTotalInventory(variants)} in stock across active variants
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
@@ -2,16 +2,17 @@ import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { ChevronRight, Home } from 'lucide-react';
 
-const BreadcrumbNav = ({ customBreadcrumbs = null }) => {
+const BreadcrumbNav = ({ customBreadcrumbs = null, className = 'mb-6' }) => {
   const location = useLocation();
   
-  // If custom breadcrumbs are provided, use them
+  // If custom breadcrumbs are provided, use them (lib/breadcrumbs.js builds the storefront's trails)
   if (customBreadcrumbs) {
     return (
-      <nav className="flex items-center space-x-2 text-sm text-gray-600 mb-6">
+      <nav className={`flex items-center space-x-2 text-sm text-gray-600 ${className}`}>
         <Link 
           to="/" 
           className="flex items-center hover:text-green-600 transition-colors"
+          title="Home"
         >
           <Home className="w-4 h-4" />
         </Link>
@@ -96,7 +97,7 @@ const BreadcrumbNav = ({ customBreadcrumbs = null }) => {
   const breadcrumbs = generateBreadcrumbs();
 
   return (
-    <nav className="flex items-center space-x-2 text-sm text-gray-600 mb-6">
+    <nav className={`flex items-center space-x-2 text-sm text-gray-600 ${className}`}>
       <Link 
         to="/" 
         className="flex items-center hover:text-green-600 transition-colors"
@@ -3,11 +3,11 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { X, ShoppingBag, Minus, Plus, Trash2 } from 'lucide-react'
 import { Link } from 'react-router-dom'
 import { useCart } from '../hooks/CartProvider.jsx'
+import useCartCoupon from '../hooks/useCartCoupon'
 
 export default function CartDrawer() {
-  const { drawerOpen, closeDrawer, items, updateQty, remove, subtotal } = useCart()
-  const shipping = subtotal > 499 ? 0 : 99
-  const total = subtotal + shipping
+  const { drawerOpen, closeDrawer, items, updateQty, remove, subtotal, offline } = useCart()
+  const { shipping, total } = useCartCoupon().totals
   return (
     <AnimatePresence>
       {drawerOpen && (
@@ -66,17 +66,18 @@ export default function CartDrawer() {
                       />
                       <div className="flex-1">
                         <h4 className="font-medium text-sm">{item.name}</h4>
+                        {item.variantTitle && <p className="text-xs text-gray-500">{item.variantTitle}</p>}
                         <p className="text-primary font-semibold">₹{item.price}</p>
                         <div className="flex items-center gap-2 mt-2">
                           <button
-                            onClick={() => updateQty(item.id, item.qty - 1)}
+                            onClick={() => updateQty(item.id, item.quantity - 1)}
                             className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center"
                           >
                             <Minus className="w-3 h-3" />
                           </button>
-                          <span className="text-sm font-medium">{item.qty}</span>
+                          <span className="text-sm font-medium">{item.quantity}</span>
                           <button
-                            onClick={() => updateQty(item.id, item.qty + 1)}
+                            onClick={() => updateQty(item.id, item.quantity + 1)}
                             className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center"
                           >
                             <Plus className="w-3 h-3" />
@@ -97,6 +98,11 @@ export default function CartDrawer() {
             {/* Footer */}
             {items.length > 0 && (
               <div className="p-4 border-t border-neutral-200">
+                {offline && (
+                  <p className="text-xs text-amber-700 mb-3" role="status">
+                    You're offline. Cart changes will sync when you reconnect.
+                  </p>
+                )}
                 <div className="space-y-2 mb-4">
                   <div className="flex justify-between text-sm">
                     <span>Subtotal</span>
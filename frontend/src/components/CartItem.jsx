@@ -2,8 +2,17 @@ import React from 'react'
 import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { Trash2, Plus, Minus, Heart } from 'lucide-react'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
 
 const CartItem = ({ item, onQuantityChange, onRemove }) => {
+  const wishlist = useWishlist()
+
+  // Save for later: keep the plant on the wishlist and take it out of the cart
+  const moveToWishlist = () => {
+    wishlist.add({ ...item, id: item.productId ?? item.id, hasVariants: Boolean(item.variantId) })
+    onRemove()
+  }
+
   const handleQuantityChange = (newQuantity) => {
     if (newQuantity >= 1) {
       onQuantityChange(newQuantity)
@@ -110,8 +119,9 @@ const CartItem = ({ item, onQuantityChange, onRemove }) => {
           <div className="flex items-center gap-2 mt-2">
             {/* Wishlist Button */}
             <button
+              onClick={moveToWishlist}
               className="p-1 text-gray-400 hover:text-red-500 transition-colors"
-              title="Add to Wishlist"
+              title="Move to Wishlist"
             >
               <Heart className="w-4 h-4" />
             </button>
@@ -1,24 +1,24 @@
 import React from 'react'
 import { motion } from 'framer-motion'
 import { ShoppingBag, Truck, Shield, Clock } from 'lucide-react'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { formatPrice as formatStorePrice } from '../lib/storeSettings'
+import { calculateOrderTotals } from '../lib/coupons'
+import useCartCoupon from '../hooks/useCartCoupon'
+import CouponField from './CouponField.jsx'
+import TaxLines from './TaxLines.jsx'
 
 const CartSummary = ({ items, total, onCheckout, isAuthenticated }) => {
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(price)
-  }
+  const settings = useStoreSettings()
+  const formatPrice = (price) => formatStorePrice(price, settings)
 
   const itemCount = items.reduce((sum, item) => sum + item.quantity, 0)
   const subtotal = total
-  const shipping = subtotal >= 999 ? 0 : 99
-  const tax = Math.round(subtotal * 0.18) // 18% GST
-  const finalTotal = subtotal + shipping + tax
+  const { code: couponCode, quote } = useCartCoupon()
+  const { discount, shipping, shippingDiscount, gst, total: finalTotal } = calculateOrderTotals(items, settings, { quote })
 
-  const savings = subtotal >= 999 ? 99 : 0
+  const savings = subtotal > 0 && shipping === 0 && !shippingDiscount ? settings.shippingFee : 0
+  const freeShippingThreshold = settings.freeShippingThreshold
 
   return (
     <motion.div
@@ -39,8 +39,15 @@ const CartSummary = ({ items, total, onCheckout, isAuthenticated }) => {
           <span className="font-medium">{formatPrice(subtotal)}</span>
         </div>
 
+        {discount > 0 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Discount ({couponCode})</span>
+            <span className="font-medium text-green-600">-{formatPrice(discount)}</span>
+          </div>
+        )}
+
         <div className="flex justify-between text-sm">
-          <span className="text-gray-600">Shipping</span>
+          <span className="text-gray-600">Shipping{shippingDiscount > 0 && ` (${couponCode})`}</span>
           <div className="text-right">
             {shipping === 0 ? (
               <span className="font-medium text-green-600">Free</span>
@@ -50,10 +57,7 @@ const CartSummary = ({ items, total, onCheckout, isAuthenticated }) => {
           </div>
         </div>
 
-        <div className="flex justify-between text-sm">
-          <span className="text-gray-600">Tax (GST 18%)</span>
-          <span className="font-medium">{formatPrice(tax)}</span>
-        </div>
+        <TaxLines gst={gst} settings={settings} className="flex justify-between text-sm text-gray-600" />
 
         {savings > 0 && (
           <div className="flex justify-between text-sm">
@@ -71,18 +75,18 @@ const CartSummary = ({ items, total, onCheckout, isAuthenticated }) => {
       </div>
 
       {/* Free Shipping Progress */}
-      {subtotal < 999 && (
+      {shipping > 0 && (
         <div className="mb-6 p-3 bg-green-50 rounded-lg border border-green-200">
           <div className="flex items-center gap-2 mb-2">
             <Truck className="w-4 h-4 text-green-600" />
             <span className="text-sm font-medium text-green-800">
-              Add {formatPrice(999 - subtotal)} more for free shipping!
+              Add {formatPrice(freeShippingThreshold - subtotal)} more for free shipping!
             </span>
           </div>
           <div className="w-full bg-green-200 rounded-full h-2">
             <div 
               className="bg-green-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${Math.min((subtotal / 999) * 100, 100)}%` }}
+              style={{ width: `${Math.min((subtotal / freeShippingThreshold) * 100, 100)}%` }}
             />
           </div>
         </div>
@@ -135,24 +139,7 @@ const CartSummary = ({ items, total, onCheckout, isAuthenticated }) => {
       </div>
 
       {/* Promo Code */}
-      <div className="mt-4">
-        <details className="group">
-          <summary className="flex items-center justify-between cursor-pointer text-sm text-green-600 hover:text-green-700">
-            <span>Have a promo code?</span>
-            <span className="group-open:rotate-180 transition-transform">▼</span>
-          </summary>
-          <div className="mt-3 flex gap-2">
-            <input
-              type="text"
-              placeholder="Enter code"
-              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
-            />
-            <button className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm transition-colors">
-              Apply
-            </button>
-          </div>
-        </details>
-      </div>
+      <CouponField className="mt-4" />
     </motion.div>
   )
 }
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useStaggerAnimation } from '../hooks/useScrollAnimation.js'
 import { useCategories } from '../hooks/usePublicData.js'
+import { categoryPath } from '../lib/catalogFilters.js'
 
 export default function CollectionGrid() {
   // Animation hook for staggered collection cards
@@ -71,7 +72,7 @@ export default function CollectionGrid() {
           className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-4"
         >
           {categories.map((c, idx) => (
-            <Link key={c.key} to={`/catalog?category=${encodeURIComponent(c.key)}`} className="group block">
+            <Link key={c.key} to={categoryPath(c.key)} className="group block">
               <motion.div
                 variants={collectionAnimation.itemVariants}
                 className="surface p-0 overflow-hidden rounded-xl"
@@ -0,0 +1,98 @@
+// Coupon entry for the cart and checkout summaries
+import React, { useEffect, useState } from 'react'
+import { Tag, X, Loader2 } from 'lucide-react'
+import { useCart } from '../hooks/CartProvider.jsx'
+import useCartCoupon from '../hooks/useCartCoupon'
+import { getCouponErrorMessage, isRecoverableCouponError, normalizeCouponCode } from '../lib/coupons'
+import { formatPrice } from '../lib/storeSettings'
+
+export default function CouponField({ className = '' }) {
+  const { applyCoupon, removeCoupon } = useCart()
+  const { code, quote, error, isChecking, totals, settings } = useCartCoupon()
+  const [input, setInput] = useState('')
+  // Why the last code was taken off again, shown until the customer tries another
+  const [refusal, setRefusal] = useState('')
+
+  // Codes that can never work for this customer come off; ones the cart can still satisfy stay
+  useEffect(() => {
+    if (!error || isRecoverableCouponError(error)) return
+    setRefusal(getCouponErrorMessage(error))
+    setInput(code || '')
+    removeCoupon()
+  }, [error, code, removeCoupon])
+
+  const handleApply = (e) => {
+    e.preventDefault()
+    const next = normalizeCouponCode(input)
+    if (!next) return
+    setRefusal('')
+    applyCoupon(next)
+    setInput('')
+  }
+
+  if (code) {
+    // Shipping savings depend on the delivery pincode, so the summary shows those on the shipping line
+    const savings = totals.discount
+    return (
+      <div className={`rounded-lg border border-dashed border-green-300 bg-green-50 p-3 text-sm ${className}`}>
+        <div className="flex items-start justify-between gap-2">
+          <div className="flex items-center gap-2 font-semibold text-green-800">
+            <Tag className="w-4 h-4" />
+            {code}
+            {isChecking && <Loader2 className="w-3 h-3 animate-spin" aria-label="Checking code" />}
+          </div>
+          <button
+            type="button"
+            onClick={removeCoupon}
+            className="p-1 text-gray-500 hover:text-gray-700"
+            aria-label={`Remove coupon ${code}`}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {quote && (
+          <p className="text-green-700 mt-1">
+            {quote.description}
+            {savings > 0 && ` · You save ${formatPrice(savings, settings)}`}
+          </p>
+        )}
+        {error && (
+          <p className="text-amber-700 mt-1" role="status">
+            {getCouponErrorMessage(error)}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleApply} className={className}>
+      <label htmlFor="coupon-code" className="block text-sm text-gray-700 mb-1">
+        Have a coupon code?
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="coupon-code"
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Enter code"
+          autoComplete="off"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md text-sm uppercase placeholder:normal-case focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={!input.trim()}
+          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm transition-colors disabled:opacity-50"
+        >
+          Apply
+        </button>
+      </div>
+      {refusal && (
+        <p className="text-sm text-red-600 mt-1" role="alert">
+          {refusal}
+        </p>
+      )}
+    </form>
+  )
+}
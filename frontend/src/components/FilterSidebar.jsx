@@ -1,25 +1,91 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { 
-  X, 
-  ChevronDown, 
-  ChevronUp, 
+import {
+  X,
+  ChevronDown,
+  ChevronUp,
   Filter,
   Star,
-  DollarSign,
+  IndianRupee,
   Tag,
   Leaf,
   Sun,
   Droplets
 } from 'lucide-react';
+import {
+  FEATURE_OPTIONS,
+  CARE_LEVEL_OPTIONS,
+  LIGHT_OPTIONS,
+  RATING_OPTIONS
+} from '../lib/catalogFilters';
 
-const FilterSidebar = ({ 
-  isOpen, 
-  onClose, 
-  filters, 
-  onFilterChange, 
+// Kept outside the sidebar so re-renders don't remount open sections or steal input focus
+const FilterSection = ({ title, icon: Icon, isExpanded, onToggle, children }) => (
+  <div className="border-b border-gray-200 pb-4 mb-4">
+    <button
+      onClick={onToggle}
+      aria-expanded={isExpanded}
+      className="flex items-center justify-between w-full text-left font-medium text-gray-900 mb-3"
+    >
+      <div className="flex items-center gap-2">
+        <Icon className="w-4 h-4" />
+        {title}
+      </div>
+      {isExpanded ? (
+        <ChevronUp className="w-4 h-4" />
+      ) : (
+        <ChevronDown className="w-4 h-4" />
+      )}
+    </button>
+    <AnimatePresence initial={false}>
+      {isExpanded && (
+        <motion.div
+          initial={{ height: 0, opacity: 0 }}
+          animate={{ height: 'auto', opacity: 1 }}
+          exit={{ height: 0, opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="overflow-hidden"
+        >
+          {children}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  </div>
+);
+
+const CheckboxOption = ({ label, checked, onChange, count, indent = false }) => {
+  // Options nothing would match stay visible but can't be picked, unless already selected
+  const empty = count === 0 && !checked;
+
+  return (
+    <label className={`flex items-center justify-between group ${indent ? 'pl-5' : ''} ${empty ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+      <div className="flex items-center">
+        <input
+          type="checkbox"
+          checked={checked}
+          disabled={empty}
+          onChange={onChange}
+          className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+        />
+        <span className="ml-2 text-sm text-gray-700 group-hover:text-gray-900">
+          {label}
+        </span>
+      </div>
+      {typeof count === 'number' && (
+        <span className="text-xs text-gray-500">({count})</span>
+      )}
+    </label>
+  );
+};
+
+const FilterSidebar = ({
+  isOpen,
+  onClose,
+  filters,
+  onFilterChange,
   onClearFilters,
   categories = [],
+  facets,
   priceRange = { min: 0, max: 500 }
 }) => {
   const [expandedSections, setExpandedSections] = useState({
@@ -27,9 +93,23 @@ const FilterSidebar = ({
     price: true,
     rating: true,
     features: true,
-    care: false
+    care: false,
+    light: false
   });
 
+  // Typed prices are only applied on blur or Enter, so each keystroke isn't a new search
+  const [priceDraft, setPriceDraft] = useState({ min: '', max: '' });
+
+  useEffect(() => {
+    setPriceDraft({
+      min: filters.minPrice ?? '',
+      max: filters.maxPrice ?? ''
+    });
+  }, [filters.minPrice, filters.maxPrice]);
+
+  // Facet bounds when the search returned them, otherwise the caller's defaults
+  const bounds = facets?.price?.max > 0 ? facets.price : priceRange;
+
   const toggleSection = (section) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -37,11 +117,13 @@ const FilterSidebar = ({
     }));
   };
 
-  const handlePriceChange = (type, value) => {
-    onFilterChange('priceRange', {
-      ...filters.priceRange,
-      [type]: parseInt(value)
-    });
+  const toPrice = (value) => (value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+
+  const commitPrice = (draft = priceDraft) => {
+    const min = toPrice(draft.min);
+    const max = toPrice(draft.max);
+    if (min === (filters.minPrice ?? null) && max === (filters.maxPrice ?? null)) return;
+    onFilterChange('priceRange', { min, max });
   };
 
   const handleCheckboxChange = (filterType, value) => {
@@ -49,82 +131,55 @@ const FilterSidebar = ({
     const newValues = currentValues.includes(value)
       ? currentValues.filter(v => v !== value)
       : [...currentValues, value];
-    
+
     onFilterChange(filterType, newValues);
   };
 
-  const FilterSection = ({ title, icon: Icon, isExpanded, onToggle, children }) => (
-    <div className="border-b border-gray-200 pb-4 mb-4">
-      <button
-        onClick={onToggle}
-        className="flex items-center justify-between w-full text-left font-medium text-gray-900 mb-3"
-      >
-        <div className="flex items-center gap-2">
-          <Icon className="w-4 h-4" />
-          {title}
-        </div>
-        {isExpanded ? (
-          <ChevronUp className="w-4 h-4" />
-        ) : (
-          <ChevronDown className="w-4 h-4" />
-        )}
-      </button>
-      <AnimatePresence>
-        {isExpanded && (
-          <motion.div
-            initial={{ height: 0, opacity: 0 }}
-            animate={{ height: 'auto', opacity: 1 }}
-            exit={{ height: 0, opacity: 0 }}
-            transition={{ duration: 0.2 }}
-            className="overflow-hidden"
-          >
-            {children}
-          </motion.div>
-        )}
-      </AnimatePresence>
-    </div>
-  );
-
-  const CheckboxOption = ({ label, value, filterType, count }) => (
-    <label className="flex items-center justify-between cursor-pointer group">
-      <div className="flex items-center">
-        <input
-          type="checkbox"
+  const renderOptions = (filterType, options) => (
+    <div className="space-y-2">
+      {Object.entries(options).map(([value, label]) => (
+        <CheckboxOption
+          key={value}
+          label={label}
           checked={(filters[filterType] || []).includes(value)}
           onChange={() => handleCheckboxChange(filterType, value)}
-          className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+          count={facets?.[filterType]?.[value] ?? (facets ? 0 : undefined)}
         />
-        <span className="ml-2 text-sm text-gray-700 group-hover:text-gray-900">
-          {label}
-        </span>
-      </div>
-      {count && (
-        <span className="text-xs text-gray-500">({count})</span>
-      )}
-    </label>
+      ))}
+    </div>
   );
 
-  const RatingOption = ({ rating }) => (
-    <label className="flex items-center cursor-pointer group">
-      <input
-        type="checkbox"
-        checked={(filters.rating || []).includes(rating)}
-        onChange={() => handleCheckboxChange('rating', rating)}
-        className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
-      />
-      <div className="ml-2 flex items-center">
-        {[...Array(5)].map((_, i) => (
-          <Star
-            key={i}
-            className={`w-4 h-4 ${
-              i < rating ? 'text-yellow-400 fill-current' : 'text-gray-300'
-            }`}
+  const RatingOption = ({ rating }) => {
+    const checked = filters.rating === rating;
+    const count = facets?.rating?.[rating];
+
+    return (
+      <label className="flex items-center justify-between cursor-pointer group">
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            checked={checked}
+            onChange={() => onFilterChange('rating', checked ? null : rating)}
+            className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
           />
-        ))}
-        <span className="ml-1 text-sm text-gray-700">& up</span>
-      </div>
-    </label>
-  );
+          <div className="ml-2 flex items-center">
+            {[...Array(5)].map((_, i) => (
+              <Star
+                key={i}
+                className={`w-4 h-4 ${
+                  i < rating ? 'text-yellow-400 fill-current' : 'text-gray-300'
+                }`}
+              />
+            ))}
+            <span className="ml-1 text-sm text-gray-700">& up</span>
+          </div>
+        </div>
+        {typeof count === 'number' && (
+          <span className="text-xs text-gray-500">({count})</span>
+        )}
+      </label>
+    );
+  };
 
   const sidebarContent = (
     <div className="h-full flex flex-col">
@@ -137,6 +192,7 @@ const FilterSidebar = ({
         <button
           onClick={onClose}
           className="p-1 hover:bg-gray-100 rounded-full transition-colors lg:hidden"
+          aria-label="Close filters"
         >
           <X className="w-5 h-5" />
         </button>
@@ -152,22 +208,26 @@ const FilterSidebar = ({
           onToggle={() => toggleSection('category')}
         >
           <div className="space-y-2">
-            {categories.map((category) => (
-              <CheckboxOption
-                key={category.id}
-                label={category.name}
-                value={category.id}
-                filterType="categories"
-                count={category.productCount}
-              />
-            ))}
+            {categories.map((category) => {
+              const value = category.slug || String(category.id);
+              return (
+                <CheckboxOption
+                  key={category.id}
+                  label={category.name}
+                  checked={(filters.category || []).includes(value)}
+                  onChange={() => handleCheckboxChange('category', value)}
+                  indent={category.depth > 0}
+                  count={facets ? facets.category?.[value] ?? 0 : category.productCount}
+                />
+              );
+            })}
           </div>
         </FilterSection>
 
         {/* Price Range */}
         <FilterSection
           title="Price Range"
-          icon={DollarSign}
+          icon={IndianRupee}
           isExpanded={expandedSections.price}
           onToggle={() => toggleSection('price')}
         >
@@ -175,34 +235,45 @@ const FilterSidebar = ({
             <div className="flex items-center gap-2">
               <input
                 type="number"
-                placeholder="Min"
-                value={filters.priceRange?.min || priceRange.min}
-                onChange={(e) => handlePriceChange('min', e.target.value)}
+                min={0}
+                placeholder={`Min (${bounds.min})`}
+                value={priceDraft.min}
+                onChange={(e) => setPriceDraft(prev => ({ ...prev, min: e.target.value }))}
+                onBlur={() => commitPrice()}
+                onKeyDown={(e) => e.key === 'Enter' && commitPrice()}
+                aria-label="Minimum price"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-green-500 focus:border-green-500"
               />
               <span className="text-gray-500">-</span>
               <input
                 type="number"
-                placeholder="Max"
-                value={filters.priceRange?.max || priceRange.max}
-                onChange={(e) => handlePriceChange('max', e.target.value)}
+                min={0}
+                placeholder={`Max (${bounds.max})`}
+                value={priceDraft.max}
+                onChange={(e) => setPriceDraft(prev => ({ ...prev, max: e.target.value }))}
+                onBlur={() => commitPrice()}
+                onKeyDown={(e) => e.key === 'Enter' && commitPrice()}
+                aria-label="Maximum price"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-green-500 focus:border-green-500"
               />
             </div>
-            
+
             {/* Price Range Slider */}
             <div className="px-2">
               <input
                 type="range"
-                min={priceRange.min}
-                max={priceRange.max}
-                value={filters.priceRange?.max || priceRange.max}
-                onChange={(e) => handlePriceChange('max', e.target.value)}
+                min={bounds.min}
+                max={bounds.max}
+                value={priceDraft.max === '' ? bounds.max : priceDraft.max}
+                onChange={(e) => setPriceDraft(prev => ({ ...prev, max: e.target.value }))}
+                onPointerUp={() => commitPrice()}
+                onKeyUp={() => commitPrice()}
+                aria-label="Maximum price"
                 className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
               />
               <div className="flex justify-between text-xs text-gray-500 mt-1">
-                <span>${priceRange.min}</span>
-                <span>${priceRange.max}</span>
+                <span>₹{bounds.min}</span>
+                <span>₹{bounds.max}</span>
               </div>
             </div>
           </div>
@@ -216,7 +287,7 @@ const FilterSidebar = ({
           onToggle={() => toggleSection('rating')}
         >
           <div className="space-y-2">
-            {[4, 3, 2, 1].map((rating) => (
+            {RATING_OPTIONS.map((rating) => (
               <RatingOption key={rating} rating={rating} />
             ))}
           </div>
@@ -229,33 +300,7 @@ const FilterSidebar = ({
           isExpanded={expandedSections.features}
           onToggle={() => toggleSection('features')}
         >
-          <div className="space-y-2">
-            <CheckboxOption
-              label="Pet Safe"
-              value="pet-safe"
-              filterType="features"
-            />
-            <CheckboxOption
-              label="Air Purifying"
-              value="air-purifying"
-              filterType="features"
-            />
-            <CheckboxOption
-              label="Low Maintenance"
-              value="low-maintenance"
-              filterType="features"
-            />
-            <CheckboxOption
-              label="Flowering"
-              value="flowering"
-              filterType="features"
-            />
-            <CheckboxOption
-              label="Fragrant"
-              value="fragrant"
-              filterType="features"
-            />
-          </div>
+          {renderOptions('features', FEATURE_OPTIONS)}
         </FilterSection>
 
         {/* Care Requirements */}
@@ -265,23 +310,7 @@ const FilterSidebar = ({
           isExpanded={expandedSections.care}
           onToggle={() => toggleSection('care')}
         >
-          <div className="space-y-2">
-            <CheckboxOption
-              label="Beginner Friendly"
-              value="beginner"
-              filterType="careLevel"
-            />
-            <CheckboxOption
-              label="Intermediate"
-              value="intermediate"
-              filterType="careLevel"
-            />
-            <CheckboxOption
-              label="Expert"
-              value="expert"
-              filterType="careLevel"
-            />
-          </div>
+          {renderOptions('careLevel', CARE_LEVEL_OPTIONS)}
         </FilterSection>
 
         {/* Light Requirements */}
@@ -291,28 +320,7 @@ const FilterSidebar = ({
           isExpanded={expandedSections.light}
           onToggle={() => toggleSection('light')}
         >
-          <div className="space-y-2">
-            <CheckboxOption
-              label="Low Light"
-              value="low"
-              filterType="lightRequirement"
-            />
-            <CheckboxOption
-              label="Medium Light"
-              value="medium"
-              filterType="lightRequirement"
-            />
-            <CheckboxOption
-              label="Bright Light"
-              value="bright"
-              filterType="lightRequirement"
-            />
-            <CheckboxOption
-              label="Direct Sun"
-              value="direct"
-              filterType="lightRequirement"
-            />
-          </div>
+          {renderOptions('lightRequirement', LIGHT_OPTIONS)}
         </FilterSection>
       </div>
 
@@ -343,19 +351,19 @@ const FilterSidebar = ({
         )}
       </AnimatePresence>
 
-      {/* Sidebar */}
+      {/* Mobile Drawer */}
       <motion.div
-        initial={{ x: -300 }}
-        animate={{ x: isOpen ? 0 : -300 }}
+        initial={{ x: -320 }}
+        animate={{ x: isOpen ? 0 : -320 }}
         transition={{ type: 'spring', damping: 25, stiffness: 200 }}
-        className="fixed left-0 top-0 h-full w-80 bg-white shadow-lg z-50 lg:relative lg:translate-x-0 lg:shadow-none lg:w-full"
+        className="fixed left-0 top-0 h-full w-80 bg-white shadow-lg z-50 lg:hidden"
       >
         {sidebarContent}
       </motion.div>
 
       {/* Desktop Sidebar */}
-      <div className="hidden lg:block w-80 flex-shrink-0">
-        <div className="sticky top-4">
+      <div className="hidden lg:block w-full">
+        <div className="sticky top-4 rounded-lg border border-gray-200 bg-white">
           {sidebarContent}
         </div>
       </div>
@@ -363,4 +371,4 @@ const FilterSidebar = ({
   );
 };
 
-export default FilterSidebar;
\ No newline at end of file
+export default FilterSidebar;
@@ -15,13 +15,16 @@ import { useForm } from 'react-hook-form'
 import ImageLazy from './ImageLazy.jsx'
 import LottieAnimation from './animations/LottieAnimation.jsx'
 import { useCategories } from '../hooks/usePublicData.js'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { useSubscribeNewsletter } from '../hooks/queries/useNewsletter'
+import { SUBSCRIBER_STATUS } from '../lib/newsletter'
+import { categoryPath } from '../lib/catalogFilters.js'
 
 import { 
   Instagram, 
   Facebook, 
   Twitter, 
   Youtube,
-  Linkedin,
   Grid3X3, 
   HelpCircle, 
   Phone, 
@@ -74,64 +77,60 @@ const animationConfigs = {
 }
 
 export default function Footer() {
-  const [newsletterSubmitted, setNewsletterSubmitted] = useState(false)
+  // Subscriber status after signing up: pending until the confirmation link is opened
+  const [newsletterStatus, setNewsletterStatus] = useState(null)
   const reduceMotion = useReducedMotion()
   const { data: categoriesData } = useCategories()
+  const settings = useStoreSettings()
+  const subscribeNewsletter = useSubscribeNewsletter()
   
   // Newsletter form with react-hook-form
   const {
     register,
     handleSubmit,
+    setError,
     formState: { errors, isSubmitting },
     reset
   } = useForm()
 
   const onNewsletterSubmit = async (data) => {
     try {
-      // TODO: Implement newsletter subscription API call
-      console.log('Newsletter subscription:', data)
-      await new Promise(resolve => setTimeout(resolve, 1000)) // Simulate API call
-      setNewsletterSubmitted(true)
+      const subscriber = await subscribeNewsletter.mutateAsync({ email: data.email.trim(), source: 'footer' })
+      setNewsletterStatus(subscriber.status)
       reset()
-      setTimeout(() => setNewsletterSubmitted(false), 3000)
+      setTimeout(() => setNewsletterStatus(null), 8000)
     } catch (error) {
-      console.error('Newsletter subscription failed:', error)
+      setError('email', { message: error.message || 'Could not subscribe right now. Please try again.' })
     }
   }
 
-  // Social media links with interactive animations
+  // Social media links with interactive animations; profiles left empty in settings are hidden
   const socialLinks = [
     { 
-      href: "https://instagram.com/chamundanursery", 
+      href: settings.instagramUrl, 
       label: "Instagram", 
       icon: Instagram,
       color: "hover:text-pink-500"
     },
     { 
-      href: "https://facebook.com/chamundanursery", 
+      href: settings.facebookUrl, 
       label: "Facebook", 
       icon: Facebook,
       color: "hover:text-blue-600"
     },
     { 
-      href: "https://twitter.com/chamundanursery", 
+      href: settings.twitterUrl, 
       label: "Twitter", 
       icon: Twitter,
       color: "hover:text-sky-500"
     },
     { 
-      href: "https://youtube.com/chamundanursery", 
+      href: settings.youtubeUrl, 
       label: "YouTube", 
       icon: Youtube,
       color: "hover:text-red-500"
-    },
-    { 
-      href: "https://linkedin.com/company/chamundanursery", 
-      label: "LinkedIn", 
-      icon: Linkedin,
-      color: "hover:text-blue-700"
     }
-  ]
+  ].filter((social) => social.href)
 
   // Navigation sections - use dynamic categories for shop section
   const navigationSections = React.useMemo(() => {
@@ -150,7 +149,7 @@ export default function Footer() {
       // Add 3 plant subcategories
       plantSubcategories.slice(0, 3).forEach(category => {
         shopLinks.push({
-          to: `/catalog?category=${category.slug}`,
+          to: categoryPath(category.slug),
           label: category.name,
           icon: Leaf
         })
@@ -159,7 +158,7 @@ export default function Footer() {
       // Add 2 supply subcategories
       supplySubcategories.slice(0, 2).forEach(category => {
         shopLinks.push({
-          to: `/catalog?category=${category.slug}`,
+          to: categoryPath(category.slug),
           label: category.name,
           icon: category.name.toLowerCase().includes('tool') ? Star : 
                 category.name.toLowerCase().includes('seed') ? Heart : Grid3X3
@@ -168,11 +167,11 @@ export default function Footer() {
     } else {
       // Fallback to hardcoded categories
       shopLinks.push(
-        { to: "/catalog?category=indoor-plants", label: "Indoor Plants", icon: Leaf },
-        { to: "/catalog?category=outdoor-plants", label: "Outdoor Plants", icon: Leaf },
-        { to: "/catalog?category=flowering-plants", label: "Flowering Plants", icon: Leaf },
-        { to: "/catalog?category=tools", label: "Tools", icon: Star },
-        { to: "/catalog?category=seeds", label: "Seeds", icon: Heart }
+        { to: "/catalog/indoor-plants", label: "Indoor Plants", icon: Leaf },
+        { to: "/catalog/outdoor-plants", label: "Outdoor Plants", icon: Leaf },
+        { to: "/catalog/flowering-plants", label: "Flowering Plants", icon: Leaf },
+        { to: "/catalog/tools", label: "Tools", icon: Star },
+        { to: "/catalog/seeds", label: "Seeds", icon: Heart }
       )
     }
 
@@ -237,7 +236,7 @@ export default function Footer() {
                   <div className="relative">
                     <ImageLazy 
                       src="/logo.png" 
-                      alt="Chamunda Nursery" 
+                      alt={settings.siteName} 
                       className="h-16 w-16 sm:h-20 sm:w-20 rounded-2xl shadow-lg" 
                     />
                     <div className="absolute -top-1 -right-1 w-6 h-6">
@@ -250,7 +249,7 @@ export default function Footer() {
                   </div>
                   <div>
                     <h2 className="font-display text-2xl sm:text-3xl font-bold text-gray-900">
-                      Chamunda Nursery
+                      {settings.siteName}
                     </h2>
                     <p className="text-gray-600 text-base sm:text-lg mt-1">
                       Premium plants and gardening supplies for your green paradise.
@@ -272,25 +271,27 @@ export default function Footer() {
                         fallback={<MapPin className="w-5 h-5 text-green-600" />}
                       />
                     </div>
-                    <span>123 Garden Street, Green Valley, GV 12345</span>
+                    <span>{settings.address}</span>
                   </motion.div>
                   
-                  <motion.div 
-                    className="flex items-center gap-3 text-gray-700"
-                    whileHover={reduceMotion ? {} : { x: 4 }}
-                    transition={{ type: "spring", stiffness: 400, damping: 25 }}
-                  >
-                    <div className="w-5 h-5">
-                      <LottieAnimation
-                        animationData={footerAnimations.phoneRing}
-                        config={animationConfigs.interactive}
-                        fallback={<Phone className="w-5 h-5 text-green-600" />}
-                      />
-                    </div>
-                    <a href="tel:+919000000000" className="hover:text-green-600 transition-colors">
-                      +91 90000 00000
-                    </a>
-                  </motion.div>
+                  {settings.phoneNumber && (
+                    <motion.div 
+                      className="flex items-center gap-3 text-gray-700"
+                      whileHover={reduceMotion ? {} : { x: 4 }}
+                      transition={{ type: "spring", stiffness: 400, damping: 25 }}
+                    >
+                      <div className="w-5 h-5">
+                        <LottieAnimation
+                          animationData={footerAnimations.phoneRing}
+                          config={animationConfigs.interactive}
+                          fallback={<Phone className="w-5 h-5 text-green-600" />}
+                        />
+                      </div>
+                      <a href={`tel:${settings.phoneNumber.replace(/[^\d+]/g, '')}`} className="hover:text-green-600 transition-colors">
+                        {settings.phoneNumber}
+                      </a>
+                    </motion.div>
+                  )}
                   
                   <motion.div 
                     className="flex items-center gap-3 text-gray-700"
@@ -298,8 +299,8 @@ export default function Footer() {
                     transition={{ type: "spring", stiffness: 400, damping: 25 }}
                   >
                     <Mail className="w-5 h-5 text-green-600" />
-                    <a href="mailto:support@chamundanursery.com" className="hover:text-green-600 transition-colors">
-                      support@chamundanursery.com
+                    <a href={`mailto:${settings.supportEmail}`} className="hover:text-green-600 transition-colors">
+                      {settings.supportEmail}
                     </a>
                   </motion.div>
                   
@@ -359,7 +360,7 @@ export default function Footer() {
                   </p>
                 </div>
 
-                {!newsletterSubmitted ? (
+                {!newsletterStatus ? (
                   <form onSubmit={handleSubmit(onNewsletterSubmit)} className="space-y-4">
                     <div>
                       <input
@@ -415,12 +416,25 @@ export default function Footer() {
                         fallback={<CheckCircle className="w-16 h-16 text-green-500 mx-auto" />}
                       />
                     </div>
-                    <h4 className="text-lg font-semibold text-green-600 mb-2">
-                      Welcome to the Garden Family! 🎉
-                    </h4>
-                    <p className="text-gray-600">
-                      Thank you for subscribing. You'll receive our next newsletter soon!
-                    </p>
+                    {newsletterStatus === SUBSCRIBER_STATUS.SUBSCRIBED ? (
+                      <>
+                        <h4 className="text-lg font-semibold text-green-600 mb-2">
+                          You're already in the Garden Family! 🎉
+                        </h4>
+                        <p className="text-gray-600">
+                          This address is subscribed. Look out for our next newsletter!
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <h4 className="text-lg font-semibold text-green-600 mb-2">
+                          Almost there! 📬
+                        </h4>
+                        <p className="text-gray-600">
+                          Check your inbox and click the link we sent to confirm your subscription.
+                        </p>
+                      </>
+                    )}
                   </motion.div>
                 )}
               </motion.div>
@@ -474,7 +488,7 @@ export default function Footer() {
           <div className="max-w-7xl mx-auto">
             <div className="flex flex-col sm:flex-row items-center justify-between gap-4 text-sm text-gray-600">
               <div className="flex items-center gap-2">
-                <span>© {new Date().getFullYear()} Chamunda Nursery.</span>
+                <span>© {new Date().getFullYear()} {settings.siteName}.</span>
                 <span className="hidden sm:inline">All rights reserved.</span>
               </div>
               
@@ -4,6 +4,7 @@ import { useCart } from '../hooks/CartProvider.jsx'
 import { useToast } from './ToastProvider.jsx'
 import useUser from '../hooks/useUser.js'
 import { useNavigate, useLocation } from 'react-router-dom'
+import { getDefaultVariant } from '../lib/productVariants.js'
 
 export default function FrequentlyBoughtTogether({ items = [] }) {
   const toast = useToast()
@@ -27,7 +28,8 @@ export default function FrequentlyBoughtTogether({ items = [] }) {
     }
     items.forEach((p) => {
       const id = p.id || p._id
-      if (selected.includes(id)) add({ id, name: p.name, price: p.price, image: p.image }, 1)
+      // Products sold in variants go in as their default combination
+      if (selected.includes(id)) add({ id, name: p.name, price: p.price, image: p.image }, 1, getDefaultVariant(p))
     })
     toast.push('success', 'Bundle added to cart')
     openDrawer()
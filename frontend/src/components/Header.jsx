@@ -5,26 +5,32 @@ import { Link, NavLink, useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence, useReducedMotion } from 'framer-motion'
 import { Menu, X, Home, Grid3X3, FileText, User, ShoppingCart, ShieldCheck, Phone, HelpCircle, ChevronDown, Heart, Sprout, Settings } from 'lucide-react'
 import { useCart } from '../hooks/CartProvider.jsx'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
 import { useUser, useAuth, useUserDisplayName } from '../hooks/useAuth.js'
 import { useData } from '../context/DataProvider.jsx'
 import { useCategories } from '../hooks/usePublicData.js'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { formatPrice } from '../lib/storeSettings'
 import HamburgerMenu from './animations/HamburgerMenu.jsx'
 import DropdownMenu from './ui/DropdownMenu.jsx'
 import CartIcon from './animations/CartIcon.jsx'
 import SearchBar from './ui/SearchBar.jsx'
 import { AvatarButton } from './ui/Avatar.jsx'
+import { categoryPath } from '../lib/catalogFilters.js'
 
 export default function Header() {
   // Modern ecommerce header with top announcement, main bar, and category nav
   const [mobileOpen, setMobileOpen] = useState(false)
   const [accountOpen, setAccountOpen] = useState(false)
   const [isScrolled, setIsScrolled] = useState(false)
-  const { openDrawer, items } = useCart()
+  const { openDrawer, itemCount } = useCart()
+  const { count: wishlistCount } = useWishlist()
   const { user, isLoaded } = useUser()
   const { isSignedIn, signOut } = useAuth()
   const displayName = useUserDisplayName()
   const { products } = useData()
   const { data: categoriesData } = useCategories()
+  const storeSettings = useStoreSettings()
   const reduceMotion = useReducedMotion()
   const accountRef = useRef(null)
   const headerRef = useRef(null)
@@ -87,30 +93,6 @@ export default function Header() {
     return () => window.removeEventListener('scroll', handleScroll)
   }, [])
 
-  // Generate search suggestions from dynamic categories or fallback to hardcoded ones
-  const searchSuggestions = React.useMemo(() => {
-    if (categoriesData?.categories && categoriesData.categories.length > 0) {
-      // Use dynamic categories for search suggestions
-      const suggestions = categoriesData.categories
-        .slice(0, 8) // Limit to 8 suggestions
-        .map(cat => cat.name)
-      
-      // Add some generic plant-related terms
-      const genericTerms = ['Bonsai Trees', 'Fruit Plants', 'Vegetable Seeds', 'Fertilizers']
-      return [...suggestions, ...genericTerms].slice(0, 12)
-    }
-    
-    // Fallback to hardcoded suggestions
-    return [
-      'Indoor Plants', 'Outdoor Plants', 'Bonsai Trees', 'Fruit Plants',
-      'Vegetable Seeds', 'Garden Tools', 'Plant Pots', 'Fertilizers',
-      'Succulents', 'Flowering Plants', 'Herbs', 'Bamboo Plants'
-    ]
-  }, [categoriesData?.categories])
-
-  // Sample recent searches (in production, get from localStorage or user data)
-  const recentSearches = ['Roses', 'Tomato Seeds', 'Garden Soil']
-
   // Close account dropdown on outside click
   useEffect(() => {
     const onClick = (e) => {
@@ -147,10 +129,12 @@ export default function Header() {
     ? [
         { to: '/account/profile', label: 'Profile', icon: User },
         { to: '/account/orders', label: 'Orders', icon: User },
+        { to: '/wishlist', label: 'Wishlist', icon: Heart },
       ]
     : [
         { to: '/account/login', label: 'Login', icon: User },
         { to: '/account/register', label: 'Register', icon: User },
+        { to: '/wishlist', label: 'Wishlist', icon: Heart },
       ]
   const adminNav = isAdmin ? [{ to: '/admin', label: 'Admin Dashboard', icon: ShieldCheck }] : []
 
@@ -172,7 +156,7 @@ export default function Header() {
         label: 'View Cart', 
         icon: ShoppingCart, 
         onClick: openDrawer,
-        badge: items?.length > 0 ? items.length : null
+        badge: itemCount > 0 ? itemCount : null
       },
       { 
         label: 'Logout', 
@@ -185,7 +169,7 @@ export default function Header() {
         label: 'View Cart', 
         icon: ShoppingCart, 
         onClick: openDrawer,
-        badge: items?.length > 0 ? items.length : null
+        badge: itemCount > 0 ? itemCount : null
       }
     ])
   ]
@@ -243,7 +227,7 @@ export default function Header() {
       {/* Top announcement bar */}
       <div className="bg-earth text-white text-xs sm:text-sm">
         <div className="mx-auto max-w-7xl px-4 py-1 flex items-center justify-center">
-          Free shipping over ₹499 • Fresh plants delivered pan‑India
+          Free shipping over {formatPrice(storeSettings.freeShippingThreshold, storeSettings)} • Fresh plants delivered pan‑India
         </div>
       </div>
 
@@ -257,8 +241,6 @@ export default function Header() {
         <div className="hidden md:block flex-1 max-w-md">
           <SearchBar
             placeholder="Search plants, seeds, tools…"
-            suggestions={searchSuggestions}
-            recentSearches={recentSearches}
             size="md"
           />
         </div>
@@ -323,9 +305,22 @@ export default function Header() {
             </Link>
           )}
 
+          <Link
+            to="/wishlist"
+            className="relative px-2 py-2 rounded hover:bg-softGray/60 inline-flex items-center focus:outline-none focus-visible:ring-2 focus-visible:ring-primary focus-visible:ring-offset-2"
+            aria-label={wishlistCount > 0 ? `Wishlist, ${wishlistCount} saved` : 'Wishlist'}
+          >
+            <Heart className="h-5 w-5 text-neutral-700" aria-hidden />
+            {wishlistCount > 0 && (
+              <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+                {wishlistCount}
+              </span>
+            )}
+          </Link>
+
           {/* Cart button with animation */}
           <CartIcon
-            itemCount={items?.length || 0}
+            itemCount={itemCount}
             onClick={handleCartClick}
             className="ml-2"
           />
@@ -360,7 +355,7 @@ export default function Header() {
                 {categories.map((category) => (
                   <NavLink
                     key={category.id}
-                    to={`/catalog?category=${category.id}`}
+                    to={categoryPath(category.slug || category.id)}
                     className="inline-flex items-center gap-2 px-3 py-2 rounded-md text-neutral-700 hover:bg-softGray/60 whitespace-nowrap flex-shrink-0 transition-colors duration-200"
                   >
                     <Sprout className="h-4 w-4 text-neutral-600" aria-hidden />
@@ -494,7 +489,7 @@ export default function Header() {
                       >
                         <NavLink
                           className="flex flex-col items-center gap-2 rounded-lg border border-neutral-200 bg-white p-4 shadow-soft hover:shadow-premium transition-all duration-200 hover:scale-105 min-h-[80px]"
-                          to={`/catalog?category=${category.id}`}
+                          to={categoryPath(category.slug || category.id)}
                           onClick={() => setMobileOpen(false)}
                         >
                           <div className="w-8 h-8 rounded-full bg-primary/10 flex items-center justify-center">
@@ -5,6 +5,7 @@ import { Leaf, Truck, ShieldCheck, Search, Sprout, Shovel } from 'lucide-react'
 import ImageLazy from './ImageLazy.jsx'
 import LottieAnimation from './animations/LottieAnimation.jsx'
 import { useCategories } from '../hooks/queries/useCategories'
+import { categoryPath } from '../lib/catalogFilters.js'
 
 // Animation data for hero section
 const heroAnimations = {
@@ -120,7 +121,7 @@ export default function HeroSection() {
                   <span>Shop Plants</span>
                   <Leaf className="ml-2 h-4 w-4 transition-transform group-hover:scale-110" />
                 </Link>
-                <Link to="/catalog?category=tools" className="btn btn-accent">
+                <Link to="/catalog/tools" className="btn btn-accent">
                   Explore Tools
                   <Shovel className="ml-2 h-4 w-4" />
                 </Link>
@@ -188,7 +189,7 @@ export default function HeroSection() {
                       return (
                         <Link 
                           key={category.slug} 
-                          to={`/catalog?category=${category.slug}`} 
+                          to={categoryPath(category.slug)} 
                           className="rounded-md bg-accentSoft text-primary px-3 py-2 text-sm font-medium hover:bg-accentLight inline-flex items-center gap-2 transition-transform focus:outline-none focus-visible:ring-2 focus-visible:ring-primary focus-visible:ring-offset-2"
                         >
                           {category.name}
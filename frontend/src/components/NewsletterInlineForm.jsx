@@ -0,0 +1,64 @@
+import React, { useState } from 'react'
+import { useSubscribeNewsletter } from '../hooks/queries/useNewsletter'
+import { SUBSCRIBER_STATUS } from '../lib/newsletter'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Compact signup for the green newsletter bands on the blog and care guide pages
+export default function NewsletterInlineForm({ source = 'blog' }) {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState(null)
+  const subscribeNewsletter = useSubscribeNewsletter()
+  const status = subscribeNewsletter.data?.status
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setError('Please enter a valid email address')
+      return
+    }
+    setError(null)
+    subscribeNewsletter.mutate(
+      { email: email.trim(), source },
+      {
+        onSuccess: () => setEmail(''),
+        onError: (err) => setError(err.message || 'Could not subscribe right now. Please try again.'),
+      }
+    )
+  }
+
+  if (subscribeNewsletter.isSuccess) {
+    return (
+      <p className="max-w-md mx-auto bg-white/10 text-white rounded-lg px-4 py-3" role="status">
+        {status === SUBSCRIBER_STATUS.SUBSCRIBED
+          ? "You're already subscribed. Look out for our next email!"
+          : 'Almost there! Click the link we emailed you to confirm your subscription.'}
+      </p>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="max-w-md mx-auto">
+      <div className="flex flex-col sm:flex-row gap-4">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Enter your email"
+          aria-label="Email address for newsletter"
+          className="flex-1 px-4 py-3 rounded-lg border-0 focus:ring-2 focus:ring-green-300 focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={subscribeNewsletter.isPending}
+          className="bg-white text-green-600 hover:bg-gray-100 disabled:opacity-70 px-6 py-3 rounded-lg font-medium transition-colors"
+        >
+          {subscribeNewsletter.isPending ? 'Subscribing...' : 'Subscribe'}
+        </button>
+      </div>
+      {error && (
+        <p className="mt-2 text-sm text-white text-left" role="alert">{error}</p>
+      )}
+    </form>
+  )
+}
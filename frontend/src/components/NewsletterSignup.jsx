@@ -5,12 +5,16 @@ import { Mail } from 'lucide-react'
 import { useScrollAnimation } from '../hooks/useScrollAnimation.js'
 import FormField from './forms/FormField'
 import SubmitFormButton from './forms/SubmitFormButton'
+import { useSubscribeNewsletter } from '../hooks/queries/useNewsletter'
+import { SUBSCRIBER_STATUS } from '../lib/newsletter'
 
 export default function NewsletterSignup() {
   // Animation hook for newsletter signup
   const newsletterAnimation = useScrollAnimation()
-  const [isSubmitting, setIsSubmitting] = useState(false)
-  const [isSubscribed, setIsSubscribed] = useState(false)
+  const subscribeNewsletter = useSubscribeNewsletter()
+  // Subscriber status after signing up: pending until the confirmation link is opened
+  const [subscribedStatus, setSubscribedStatus] = useState(null)
+  const [submitError, setSubmitError] = useState(null)
 
   const {
     control,
@@ -25,21 +29,18 @@ export default function NewsletterSignup() {
   })
 
   const onSubmit = async (data) => {
-    setIsSubmitting(true)
+    setSubmitError(null)
     
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1500))
+      const subscriber = await subscribeNewsletter.mutateAsync({ email: data.email.trim(), source: 'home' })
       
-      setIsSubscribed(true)
+      setSubscribedStatus(subscriber.status)
       reset()
       
-      // Reset subscription state after 5 seconds
-      setTimeout(() => setIsSubscribed(false), 5000)
+      // Reset subscription state after 8 seconds
+      setTimeout(() => setSubscribedStatus(null), 8000)
     } catch (error) {
-      console.error('Newsletter subscription failed:', error)
-    } finally {
-      setIsSubmitting(false)
+      setSubmitError(error.message || 'Could not subscribe right now. Please try again.')
     }
   }
   return (
@@ -81,7 +82,7 @@ export default function NewsletterSignup() {
               </div>
               
               <SubmitFormButton
-                isLoading={isSubmitting}
+                isLoading={subscribeNewsletter.isPending}
                 isValid={isValid}
                 loadingText="Subscribing..."
                 size="md"
@@ -92,7 +93,11 @@ export default function NewsletterSignup() {
               </SubmitFormButton>
             </form>
             
-            {isSubscribed && (
+            {submitError && (
+              <p className="md:col-span-2 mt-2 text-sm text-red-600" role="alert">{submitError}</p>
+            )}
+
+            {subscribedStatus && (
               <motion.div 
                 className="md:col-span-2 mt-4 bg-green-50 border border-green-200 rounded-lg p-3"
                 initial={{ opacity: 0, scale: 0.95 }}
@@ -103,7 +108,9 @@ export default function NewsletterSignup() {
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                   </svg>
-                  Thanks for subscribing! Check your email for confirmation.
+                  {subscribedStatus === SUBSCRIBER_STATUS.SUBSCRIBED
+                    ? "You're already subscribed. Look out for our next email!"
+                    : 'Almost there! Click the link we emailed you to confirm your subscription.'}
                 </p>
               </motion.div>
             )}
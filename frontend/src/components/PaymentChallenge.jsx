@@ -0,0 +1,77 @@
+// 3-D Secure style challenge for the mock gateway, which asks for a test OTP; real Stripe challenges run in Stripe's own window
+// Usage: <PaymentChallenge intent={intent} onSubmit={(otp) => ...} onCancel={...} />
+import React, { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { ShieldCheck, Loader2 } from 'lucide-react'
+
+export default function PaymentChallenge({ intent, onSubmit, onCancel }) {
+  const [otp, setOtp] = useState('')
+  const [verifying, setVerifying] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setVerifying(true)
+    try {
+      await onSubmit(otp)
+    } finally {
+      setVerifying(false)
+      setOtp('')
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {intent && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+          <motion.div
+            className="absolute inset-0 bg-black/40"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          />
+          <motion.form
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="payment-challenge-title"
+            onSubmit={handleSubmit}
+            className="relative w-full max-w-sm rounded-2xl bg-white p-6 shadow-xl"
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+          >
+            <div className="flex items-center mb-4">
+              <ShieldCheck className="w-6 h-6 text-green-600 mr-3" />
+              <h2 id="payment-challenge-title" className="text-lg font-semibold text-gray-800">Verify your payment</h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Enter the one-time password sent by your bank to approve ₹{intent.amount}.
+            </p>
+            {intent.nextAction?.hint && (
+              <p className="text-xs text-gray-500 mb-4">{intent.nextAction.hint}</p>
+            )}
+            <label htmlFor="payment-otp" className="block text-sm font-medium text-gray-700 mb-2">One-time password</label>
+            <input
+              id="payment-otp"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              value={otp}
+              onChange={(e) => setOtp(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 tracking-widest focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            <div className="flex justify-end gap-3 mt-6">
+              <button type="button" className="btn btn-outline" onClick={onCancel} disabled={verifying}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary inline-flex items-center gap-2" disabled={verifying || otp.length < 4}>
+                {verifying && <Loader2 className="w-4 h-4 animate-spin" />}
+                Verify
+              </button>
+            </div>
+          </motion.form>
+        </div>
+      )}
+    </AnimatePresence>
+  )
+}
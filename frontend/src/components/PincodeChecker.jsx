@@ -0,0 +1,82 @@
+// Delivery check for a product: can it reach this pincode, by when, and at what cost
+import React, { useState } from 'react'
+import { MapPin, Truck, XCircle, Loader2 } from 'lucide-react'
+import useDeliveryStore from '../stores/deliveryStore'
+import { usePincodeServiceability } from '../hooks/queries/useShipping'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { formatDeliveryWindow, getUnserviceableMessage, isValidPincode, normalizePincode } from '../lib/shipping'
+import { formatPrice } from '../lib/storeSettings'
+
+export default function PincodeChecker({ productId, variantId, className = '' }) {
+  const pincode = useDeliveryStore((s) => s.pincode)
+  const setPincode = useDeliveryStore((s) => s.setPincode)
+  const settings = useStoreSettings()
+  const [input, setInput] = useState(pincode)
+  const [inputError, setInputError] = useState('')
+  const { data: result, isFetching, isError } = usePincodeServiceability(pincode, { productId, variantId })
+
+  const handleCheck = (e) => {
+    e.preventDefault()
+    const value = normalizePincode(input)
+    if (!isValidPincode(value)) {
+      setInputError('Enter a valid 6-digit pincode')
+      return
+    }
+    setInputError('')
+    setPincode(value)
+  }
+
+  const blocked = result?.unserviceableItems[0]
+
+  return (
+    <div className={`rounded-lg border border-neutral-200 p-3 text-sm ${className}`}>
+      <form onSubmit={handleCheck} className="flex items-center gap-2">
+        <MapPin className="w-4 h-4 text-neutral-500 flex-shrink-0" aria-hidden />
+        <label htmlFor="delivery-pincode" className="sr-only">Delivery pincode</label>
+        <input
+          id="delivery-pincode"
+          type="text"
+          inputMode="numeric"
+          maxLength={6}
+          value={input}
+          onChange={(e) => setInput(e.target.value.replace(/\D/g, ''))}
+          placeholder="Enter delivery pincode"
+          className="flex-1 min-w-0 px-2 py-1 border border-neutral-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+        />
+        <button type="submit" className="px-3 py-1 rounded-md border border-primary text-primary hover:bg-primary/10">
+          Check
+        </button>
+      </form>
+
+      <div className="mt-2" role="status" aria-live="polite">
+        {inputError ? (
+          <p className="text-red-600">{inputError}</p>
+        ) : isFetching && !result ? (
+          <p className="flex items-center gap-2 text-neutral-600">
+            <Loader2 className="w-4 h-4 animate-spin" /> Checking delivery…
+          </p>
+        ) : isError ? (
+          <p className="text-neutral-600">Couldn't check delivery right now. You can still order; we'll confirm at checkout.</p>
+        ) : result && result.serviceable && !blocked ? (
+          <div className="flex gap-2 text-green-700">
+            <Truck className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <p>
+              Delivers to {result.pincode}
+              {result.estimatedDelivery && <> by <span className="font-medium">{formatDeliveryWindow(result.estimatedDelivery)}</span></>}
+              {result.shipping !== null && (
+                <span className="text-neutral-600"> · {result.shipping === 0 ? 'Free shipping' : `Shipping from ${formatPrice(result.shipping, settings)}`}</span>
+              )}
+            </p>
+          </div>
+        ) : result ? (
+          <p className="flex gap-2 text-red-600">
+            <XCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            {getUnserviceableMessage(blocked?.reason, result.pincode)}
+          </p>
+        ) : (
+          <p className="text-neutral-500">Check if we deliver this plant to you.</p>
+        )}
+      </div>
+    </div>
+  )
+}
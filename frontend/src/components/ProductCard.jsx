@@ -4,12 +4,15 @@ import { motion } from 'framer-motion'
 import { Link } from 'react-router-dom'
 import { StarIcon } from '@heroicons/react/24/solid'
 import ImageLazy from './ImageLazy.jsx'
+import { getProductRating } from '../hooks/queries/useReviews'
 
-export default function ProductCard({ id, name, price, image = '/logo.png', tag, rating = 4.5, product }) {
+export default function ProductCard({ id, name, price, image = '/logo.png', tag, product }) {
   // Handle both individual props and product object
-  const productData = product || { id, name, price, image, tag, rating }
+  const productData = product || { id, name, price, image, tag }
   const productId = productData.id
-  const stars = Math.round(productData.rating || 4.5)
+  // Aggregates come from approved reviews only; products without any show no stars
+  const { average: rating, count: reviewCount } = getProductRating(productData)
+  const stars = Math.round(rating)
   
   // Extract image URL from product data, prioritizing full_url from API
   const getImageUrl = () => {
@@ -49,11 +52,14 @@ export default function ProductCard({ id, name, price, image = '/logo.png', tag,
       <div className="mt-2 font-display text-xl md:text-2xl font-semibold line-clamp-1">{productData.name}</div>
       <div className="flex items-center justify-between mt-1">
         <div className="text-base md:text-lg text-primary font-semibold">₹{productData.price}</div>
-        <div className="flex items-center gap-1" aria-label={`Rating ${productData.rating || 4.5} out of 5`}>
-          {Array.from({ length: 5 }).map((_, i) => (
-            <StarIcon key={i} className={`h-4 w-4 ${i < stars ? 'text-primaryLight' : 'text-neutral-300'}`} />
-          ))}
-        </div>
+        {reviewCount > 0 && (
+          <div className="flex items-center gap-1" aria-label={`Rating ${rating.toFixed(1)} out of 5 from ${reviewCount} reviews`}>
+            {Array.from({ length: 5 }).map((_, i) => (
+              <StarIcon key={i} className={`h-4 w-4 ${i < stars ? 'text-primaryLight' : 'text-neutral-300'}`} />
+            ))}
+            <span className="text-xs text-neutral-500">({reviewCount})</span>
+          </div>
+        )}
       </div>
       </motion.div>
     </Link>
@@ -15,11 +15,20 @@ import {
   CheckCircle,
   AlertCircle
 } from 'lucide-react';
+import { useProductReviews, getProductRating } from '../hooks/queries/useReviews';
+import useVariantSelection from '../hooks/useVariantSelection';
+import VariantSelector from './VariantSelector';
+import PincodeChecker from './PincodeChecker';
 
 const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) => {
   const [selectedSize, setSelectedSize] = useState(product?.sizes?.[0] || null);
   const [quantity, setQuantity] = useState(1);
   const [activeTab, setActiveTab] = useState('description');
+  const { data: reviewData } = useProductReviews(product?.id);
+  // Live aggregate once reviews load, the product's cached one until then
+  const rating = reviewData?.summary || getProductRating(product || {});
+  const variantSelection = useVariantSelection(product);
+  const { variant } = variantSelection;
 
   if (!product) {
     return (
@@ -32,10 +41,17 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
     );
   }
 
+  // With variants, price, SKU and stock come from the chosen combination
+  const price = variant ? variant.price : product.price;
+  const sku = variant?.sku || product.sku;
+  const inStock = variantSelection.hasVariants ? Boolean(variant?.isActive && variant.inventory > 0) : product.inStock;
+  const stockCount = variant ? variant.inventory : product.stockCount;
+
   const handleAddToCart = () => {
     onAddToCart({
       ...product,
       selectedSize,
+      variant,
       quantity
     });
   };
@@ -85,7 +101,9 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
           </h1>
           <div className="flex items-center gap-2">
             <button
-              onClick={() => onAddToWishlist(product)}
+              onClick={() => onAddToWishlist?.(product)}
+              aria-pressed={Boolean(isInWishlist)}
+              aria-label={isInWishlist ? 'Remove from wishlist' : 'Save to wishlist'}
               className={`p-2 rounded-full transition-colors ${
                 isInWishlist
                   ? 'text-red-500 bg-red-50'
@@ -109,26 +127,28 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
               <Star
                 key={i}
                 className={`w-4 h-4 ${
-                  i < Math.floor(product.rating || 0)
+                  i < Math.round(rating.average)
                     ? 'text-yellow-400 fill-current'
                     : 'text-gray-300'
                 }`}
               />
             ))}
             <span className="ml-2 text-sm text-gray-600">
-              ({product.reviewCount || 0} reviews)
+              {rating.count > 0
+                ? `${rating.average.toFixed(1)} (${rating.count} ${rating.count === 1 ? 'review' : 'reviews'})`
+                : 'No reviews yet'}
             </span>
           </div>
           <span className="text-sm text-gray-500">
-            SKU: {product.sku || 'N/A'}
+            SKU: {sku || 'N/A'}
           </span>
         </div>
 
         <div className="flex items-center gap-4 mb-6">
           <span className="text-3xl font-bold text-green-600">
-            ${product.price}
+            ${price}
           </span>
-          {product.originalPrice && product.originalPrice > product.price && (
+          {product.originalPrice && product.originalPrice > price && (
             <span className="text-xl text-gray-500 line-through">
               ${product.originalPrice}
             </span>
@@ -148,13 +168,13 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
         transition={{ duration: 0.6, delay: 0.1 }}
         className="flex items-center gap-2"
       >
-        {product.inStock ? (
+        {inStock ? (
           <>
             <CheckCircle className="w-5 h-5 text-green-600" />
             <span className="text-green-600 font-medium">In Stock</span>
-            {product.stockCount && product.stockCount < 10 && (
+            {stockCount && stockCount < 10 && (
               <span className="text-orange-600 text-sm">
-                (Only {product.stockCount} left)
+                (Only {stockCount} left)
               </span>
             )}
           </>
@@ -166,8 +186,24 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
         )}
       </motion.div>
 
+      {/* Variant Selection */}
+      {variantSelection.hasVariants && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, delay: 0.2 }}
+        >
+          <VariantSelector
+            options={variantSelection.options}
+            variants={variantSelection.variants}
+            selection={variantSelection.selection}
+            onSelect={variantSelection.select}
+          />
+        </motion.div>
+      )}
+
       {/* Size Selection */}
-      {product.sizes && product.sizes.length > 0 && (
+      {!variantSelection.hasVariants && product.sizes && product.sizes.length > 0 && (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -221,7 +257,7 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
               <button
                 onClick={() => setQuantity(quantity + 1)}
                 className="px-3 py-2 hover:bg-gray-50 transition-colors"
-                disabled={product.stockCount && quantity >= product.stockCount}
+                disabled={stockCount && quantity >= stockCount}
               >
                 +
               </button>
@@ -231,15 +267,17 @@ const ProductInfo = ({ product, onAddToCart, onAddToWishlist, isInWishlist }) =>
 
         <button
           onClick={handleAddToCart}
-          disabled={!product.inStock}
+          disabled={!inStock}
           className={`w-full py-3 px-6 rounded-lg font-semibold transition-colors ${
-            product.inStock
+            inStock
               ? 'bg-green-600 text-white hover:bg-green-700'
               : 'bg-gray-300 text-gray-500 cursor-not-allowed'
           }`}
         >
-          {product.inStock ? 'Add to Cart' : 'Out of Stock'}
+          {inStock ? 'Add to Cart' : variantSelection.hasVariants && !variant ? 'Unavailable' : 'Out of Stock'}
         </button>
+
+        <PincodeChecker productId={product.id} variantId={variant?.id} className="mt-4" />
       </motion.div>
 
       {/* Care Information */}
@@ -3,12 +3,33 @@ import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useScrollAnimation } from '../hooks/useScrollAnimation.js'
 import { useCategories } from '../hooks/usePublicData.js'
+import { useFeaturedCoupons } from '../hooks/queries/useCoupons'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { describeCoupon } from '../lib/coupons'
+import { categoryPath } from '../lib/catalogFilters.js'
+
+// Redeemable code for the banner's offer; applied in the cart
+function OfferChip({ coupon, settings }) {
+  if (!coupon) return null
+  return (
+    <div className="mt-2 inline-flex items-center gap-1 rounded-full bg-white/90 px-3 py-1 text-xs font-semibold text-primary">
+      Use code <span className="font-mono">{coupon.code}</span> · {describeCoupon(coupon, settings)}
+    </div>
+  )
+}
 
 export default function PromoBanners() {
   // Animation hooks for different promo sections
   const topBannersAnimation = useScrollAnimation()
   const fullBannerAnimation = useScrollAnimation()
   const { data: categoriesData } = useCategories()
+  const { data: featuredCoupons = [] } = useFeaturedCoupons()
+  const settings = useStoreSettings()
+
+  // A coupon scoped to the banner's category wins; the wide banner can also carry a store-wide one
+  const offerFor = (category, { storeWide = false } = {}) =>
+    featuredCoupons.find((coupon) => category?.id !== undefined && coupon.categoryIds.includes(Number(category.id))) ||
+    (storeWide ? featuredCoupons.find((coupon) => coupon.categoryIds.length === 0) : undefined)
 
   // Generate promo banners from dynamic categories or fallback to hardcoded ones
   const promoBanners = React.useMemo(() => {
@@ -89,7 +110,7 @@ export default function PromoBanners() {
           animate={topBannersAnimation.inView ? "visible" : "hidden"}
           className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4"
         >
-          <Link to={`/catalog?category=${promoBanners.topLeft.category.slug}`} className="group block">
+          <Link to={categoryPath(promoBanners.topLeft.category.slug)} className="group block">
             <motion.div
               variants={topBannersAnimation.fadeLeft}
               className="rounded-xl overflow-hidden surface p-0"
@@ -100,12 +121,13 @@ export default function PromoBanners() {
                 <div className="absolute left-4 bottom-4">
                   <div className="font-display text-2xl md:text-3xl font-semibold text-white">{promoBanners.topLeft.title}</div>
                   <div className="text-white/90 text-sm md:text-base">{promoBanners.topLeft.subtitle}</div>
+                  <OfferChip coupon={offerFor(promoBanners.topLeft.category)} settings={settings} />
                 </div>
               </div>
             </motion.div>
           </Link>
 
-          <Link to={`/catalog?category=${promoBanners.topRight.category.slug}`} className="group block">
+          <Link to={categoryPath(promoBanners.topRight.category.slug)} className="group block">
             <motion.div
               variants={topBannersAnimation.fadeRight}
               className="rounded-xl overflow-hidden surface p-0"
@@ -116,13 +138,14 @@ export default function PromoBanners() {
                 <div className="absolute left-4 bottom-4">
                   <div className="font-display text-2xl md:text-3xl font-semibold text-white">{promoBanners.topRight.title}</div>
                   <div className="text-white/90 text-sm md:text-base">{promoBanners.topRight.subtitle}</div>
+                  <OfferChip coupon={offerFor(promoBanners.topRight.category)} settings={settings} />
                 </div>
               </div>
             </motion.div>
           </Link>
         </motion.div>
 
-        <Link to={`/catalog?category=${promoBanners.full.category.slug}`} className="group block mt-3 md:mt-4">
+        <Link to={categoryPath(promoBanners.full.category.slug)} className="group block mt-3 md:mt-4">
           <motion.div
             ref={fullBannerAnimation.ref}
             variants={fullBannerAnimation.scaleUp}
@@ -136,6 +159,7 @@ export default function PromoBanners() {
               <div className="absolute left-4 bottom-4">
                 <div className="font-display text-2xl md:text-3xl font-semibold text-white">{promoBanners.full.title}</div>
                 <div className="text-white/90 text-sm md:text-base">{promoBanners.full.subtitle}</div>
+                <OfferChip coupon={offerFor(promoBanners.full.category, { storeWide: true })} settings={settings} />
               </div>
             </div>
           </motion.div>
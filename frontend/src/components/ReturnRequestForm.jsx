@@ -0,0 +1,247 @@
+// Customer form for reporting damaged, dead or wrong plants on a delivered order
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Camera, X, Loader2, Minus, Plus } from 'lucide-react';
+import { useImageUpload } from '../hooks/queries/useImageUpload';
+import { useCreateReturn } from '../hooks/queries/useReturns';
+import {
+  MAX_RETURN_PHOTOS,
+  PHOTO_OPTIONAL_REASONS,
+  RETURN_REASONS,
+  getLineKey
+} from '../lib/returns';
+
+const inputClass =
+  'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+const ReturnRequestForm = ({ order, returnable, open, onClose }) => {
+  const createReturn = useCreateReturn();
+  const {
+    previews,
+    images: photos,
+    addImages,
+    removeImage,
+    clearImages,
+  } = useImageUpload({ type: 'return', maxImages: MAX_RETURN_PHOTOS });
+
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [description, setDescription] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const items = order.items.filter((item) => returnable[getLineKey(item)] > 0);
+
+  const close = () => {
+    setQuantities({});
+    setReason('');
+    setDescription('');
+    setErrors({});
+    clearImages();
+    onClose();
+  };
+
+  const setQuantity = (item, quantity) => {
+    const key = getLineKey(item);
+    setQuantities((prev) => ({ ...prev, [key]: Math.max(0, Math.min(returnable[key], quantity)) }));
+  };
+
+  const validate = () => {
+    const next = {};
+    if (!Object.values(quantities).some((quantity) => quantity > 0)) next.items = 'Choose the plants that have a problem';
+    if (!reason) next.reason = 'Tell us what went wrong';
+    if (description.trim().length < 10) next.description = 'Describe the problem in a few words';
+    if (reason && !PHOTO_OPTIONAL_REASONS.includes(reason) && photos.length === 0) {
+      next.photos = 'Add at least one photo so we can see the damage';
+    }
+    setErrors(next);
+    return Object.keys(next).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+    try {
+      await createReturn.mutateAsync({
+        orderId: order.id,
+        items: items
+          .filter((item) => quantities[getLineKey(item)] > 0)
+          .map((item) => ({
+            lineKey: getLineKey(item),
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: quantities[getLineKey(item)]
+          })),
+        reason,
+        description: description.trim(),
+        photos
+      });
+      close();
+    } catch (error) {
+      // The hook already reported it; keep the form so the photos are not lost
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+        >
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="return-form-title"
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 id="return-form-title" className="text-lg font-semibold text-gray-900">Report a problem</h3>
+              <button onClick={close} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Which plants? *</p>
+                <ul className="space-y-2">
+                  {items.map((item) => {
+                    const key = getLineKey(item);
+                    const quantity = quantities[key] || 0;
+                    return (
+                      <li key={key} className="flex items-center gap-3 p-2 border border-gray-200 rounded-lg">
+                        <img src={item.image} alt={item.name} className="w-12 h-12 object-cover rounded" />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">{item.name}</p>
+                          {item.variantTitle && <p className="text-xs text-gray-600">{item.variantTitle}</p>}
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={() => setQuantity(item, quantity - 1)}
+                            disabled={quantity === 0}
+                            className="p-1 rounded border border-gray-300 disabled:opacity-40"
+                            aria-label={`Fewer ${item.name}`}
+                          >
+                            <Minus className="w-3 h-3" />
+                          </button>
+                          <span className="w-12 text-center text-sm">{quantity} / {returnable[key]}</span>
+                          <button
+                            type="button"
+                            onClick={() => setQuantity(item, quantity + 1)}
+                            disabled={quantity >= returnable[key]}
+                            className="p-1 rounded border border-gray-300 disabled:opacity-40"
+                            aria-label={`More ${item.name}`}
+                          >
+                            <Plus className="w-3 h-3" />
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+                {errors.items && <p className="mt-1 text-sm text-red-600">{errors.items}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="return-reason" className="block text-sm font-medium text-gray-700 mb-2">
+                  What went wrong? *
+                </label>
+                <select
+                  id="return-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Choose a reason</option>
+                  {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {errors.reason && <p className="mt-1 text-sm text-red-600">{errors.reason}</p>}
+              </div>
+
+              <div>
+                <label htmlFor="return-description" className="block text-sm font-medium text-gray-700 mb-2">
+                  Details *
+                </label>
+                <textarea
+                  id="return-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  rows={3}
+                  className={inputClass}
+                  placeholder="e.g. The pot was broken and most leaves had fallen off"
+                />
+                {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+              </div>
+
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">
+                  Photos (up to {MAX_RETURN_PHOTOS}){!PHOTO_OPTIONAL_REASONS.includes(reason) && ' *'}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  {previews.map((preview, index) => (
+                    <div key={preview.id} className="relative">
+                      <img src={preview.url} alt={preview.name} className="w-16 h-16 object-cover rounded-lg" />
+                      <button
+                        type="button"
+                        onClick={() => removeImage(index)}
+                        className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+                        aria-label={`Remove ${preview.name}`}
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                  {previews.length < MAX_RETURN_PHOTOS && (
+                    <label className="w-16 h-16 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center text-gray-400 hover:border-green-500 hover:text-green-600 cursor-pointer transition-colors">
+                      <Camera className="w-5 h-5" />
+                      <input
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        className="sr-only"
+                        onChange={(e) => {
+                          addImages(Array.from(e.target.files || []));
+                          e.target.value = '';
+                        }}
+                      />
+                    </label>
+                  )}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">Show the whole plant and the packaging it arrived in.</p>
+                {errors.photos && <p className="mt-1 text-sm text-red-600">{errors.photos}</p>}
+              </div>
+
+              <div className="flex justify-end gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={close}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={createReturn.isPending}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-60 flex items-center gap-2"
+                >
+                  {createReturn.isPending && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Submit request
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ReturnRequestForm;
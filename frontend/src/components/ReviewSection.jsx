@@ -1,85 +1,55 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Star, 
   User, 
   ThumbsUp, 
   ThumbsDown, 
-  MessageCircle, 
   Filter,
-  ChevronDown,
   Camera,
   X,
-  Send
+  Send,
+  Loader2,
+  BadgeCheck
 } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import {
+  useProductReviews,
+  useReviewEligibility,
+  useCreateReview,
+  useVoteReview
+} from '../hooks/queries/useReviews';
+import { useImageUpload } from '../hooks/queries/useImageUpload';
+
+const MAX_REVIEW_PHOTOS = 4;
+
+const ReviewSection = ({ productId }) => {
+  const { isSignedIn } = useAuth();
+  const { data, isLoading, isError } = useProductReviews(productId);
+  const { data: eligibility } = useReviewEligibility(productId, { enabled: !!isSignedIn });
+  const createReview = useCreateReview();
+  const voteReview = useVoteReview(productId);
+  const {
+    previews,
+    images: photos,
+    addImages,
+    removeImage,
+    clearImages,
+  } = useImageUpload({ type: 'review', maxImages: MAX_REVIEW_PHOTOS });
 
-const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
   const [sortBy, setSortBy] = useState('newest');
   const [filterRating, setFilterRating] = useState('all');
   const [showReviewForm, setShowReviewForm] = useState(false);
   const [newReview, setNewReview] = useState({
     rating: 0,
     title: '',
-    comment: '',
-    images: []
+    comment: ''
   });
 
-  // Mock reviews data if none provided
-  const mockReviews = reviews.length > 0 ? reviews : [
-    {
-      id: 1,
-      userName: 'Sarah Johnson',
-      userAvatar: null,
-      rating: 5,
-      title: 'Absolutely love this plant!',
-      comment: 'This plant arrived in perfect condition and has been thriving in my living room. The packaging was excellent and the plant looks exactly like the photos. Highly recommend!',
-      createdAt: '2024-01-15T10:30:00Z',
-      helpfulCount: 12,
-      images: ['https://images.unsplash.com/photo-1545241047-6083a3684587?w=200'],
-      verified: true
-    },
-    {
-      id: 2,
-      userName: 'Mike Chen',
-      userAvatar: null,
-      rating: 4,
-      title: 'Great plant, minor shipping issue',
-      comment: 'The plant itself is beautiful and healthy. There was a small delay in shipping, but customer service was very responsive and helpful. The plant is doing well after a week.',
-      createdAt: '2024-01-10T14:20:00Z',
-      helpfulCount: 8,
-      images: [],
-      verified: true
-    },
-    {
-      id: 3,
-      userName: 'Emma Wilson',
-      userAvatar: null,
-      rating: 5,
-      title: 'Perfect for beginners!',
-      comment: 'As someone new to plant care, this was exactly what I needed. The care instructions were clear and the plant is very forgiving. It\'s been growing beautifully for 3 months now.',
-      createdAt: '2024-01-05T09:15:00Z',
-      helpfulCount: 15,
-      images: [],
-      verified: true
-    },
-    {
-      id: 4,
-      userName: 'David Rodriguez',
-      userAvatar: null,
-      rating: 3,
-      title: 'Okay, but smaller than expected',
-      comment: 'The plant is healthy but smaller than I expected based on the photos. Quality is good, just wish it was a bit larger for the price point.',
-      createdAt: '2024-01-02T16:45:00Z',
-      helpfulCount: 5,
-      images: [],
-      verified: false
-    }
-  ];
-
-  const displayReviews = mockReviews;
-  const totalReviews = displayReviews.length;
-  const calculatedAverageRating = averageRating || 
-    (displayReviews.reduce((sum, review) => sum + review.rating, 0) / displayReviews.length);
+  const displayReviews = data?.reviews || [];
+  const { average: calculatedAverageRating, count: totalReviews, distribution: ratingDistribution } =
+    data?.summary || { average: 0, count: 0, distribution: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 } };
 
   const renderStars = (rating, interactive = false, onStarClick = null) => {
     return [...Array(5)].map((_, i) => (
@@ -105,16 +75,6 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
     });
   };
 
-  const getRatingDistribution = () => {
-    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-    displayReviews.forEach(review => {
-      distribution[review.rating]++;
-    });
-    return distribution;
-  };
-
-  const ratingDistribution = getRatingDistribution();
-
   const filteredAndSortedReviews = displayReviews
     .filter(review => filterRating === 'all' || review.rating === parseInt(filterRating))
     .sort((a, b) => {
@@ -134,26 +94,73 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
       }
     });
 
-  const handleSubmitReview = (e) => {
-    e.preventDefault();
-    // In a real app, this would submit to an API
-    console.log('Submitting review:', newReview);
+  const closeReviewForm = () => {
     setShowReviewForm(false);
-    setNewReview({ rating: 0, title: '', comment: '', images: [] });
+    setNewReview({ rating: 0, title: '', comment: '' });
+    clearImages();
   };
 
+  const handleSubmitReview = async (e) => {
+    e.preventDefault();
+    try {
+      await createReview.mutateAsync({
+        productId,
+        rating: newReview.rating,
+        title: newReview.title.trim(),
+        comment: newReview.comment.trim(),
+        photos
+      });
+      closeReviewForm();
+    } catch (error) {
+      // The hook already reported it; keep the form so nothing typed is lost
+    }
+  };
+
+  // Clicking the active vote again withdraws it
+  const handleVote = (review, vote) => {
+    voteReview.mutate({ reviewId: review.id, vote: review.userVote === vote ? null : vote });
+  };
+
+  const canWriteReview = isSignedIn && eligibility?.canReview !== false;
+
   return (
     <div className="bg-white rounded-lg shadow-sm p-6">
       <div className="flex items-center justify-between mb-6">
         <h2 className="text-2xl font-bold text-gray-900">Customer Reviews</h2>
-        <button
-          onClick={() => setShowReviewForm(true)}
-          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
-        >
-          Write a Review
-        </button>
+        {!isSignedIn ? (
+          <Link
+            to="/account/login"
+            className="text-green-700 font-medium hover:text-green-800"
+          >
+            Sign in to write a review
+          </Link>
+        ) : eligibility?.alreadyReviewed ? (
+          <span className="text-sm text-gray-500">You have reviewed this product</span>
+        ) : (
+          <button
+            onClick={() => setShowReviewForm(true)}
+            disabled={!canWriteReview}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            Write a Review
+          </button>
+        )}
       </div>
 
+      {isLoading && (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 animate-spin mr-2" />
+          Loading reviews...
+        </div>
+      )}
+
+      {isError && (
+        <p className="text-center py-12 text-gray-600">Reviews could not be loaded right now.</p>
+      )}
+
+      {!isLoading && !isError && (
+      <>
+
       {/* Review Summary */}
       <div className="bg-gray-50 rounded-lg p-6 mb-6">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -165,7 +172,9 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
             <div className="flex items-center justify-center mb-2">
               {renderStars(Math.round(calculatedAverageRating))}
             </div>
-            <p className="text-gray-600">Based on {totalReviews} reviews</p>
+            <p className="text-gray-600">
+              Based on {totalReviews} {totalReviews === 1 ? 'review' : 'reviews'}
+            </p>
           </div>
 
           {/* Rating Distribution */}
@@ -251,7 +260,8 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
                 <div className="flex items-center gap-2 mb-2">
                   <h4 className="font-medium text-gray-900">{review.userName}</h4>
                   {review.verified && (
-                    <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
+                    <span className="inline-flex items-center gap-1 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
+                      <BadgeCheck className="w-3 h-3" />
                       Verified Purchase
                     </span>
                   )}
@@ -275,24 +285,43 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
                 {review.images && review.images.length > 0 && (
                   <div className="flex gap-2 mb-3">
                     {review.images.map((image, index) => (
-                      <img
-                        key={index}
-                        src={image}
-                        alt={`Review image ${index + 1}`}
-                        className="w-16 h-16 object-cover rounded-lg cursor-pointer hover:opacity-80 transition-opacity"
-                      />
+                      <a key={index} href={image} target="_blank" rel="noopener noreferrer">
+                        <img
+                          src={image}
+                          alt={`Review photo ${index + 1}`}
+                          loading="lazy"
+                          className="w-16 h-16 object-cover rounded-lg hover:opacity-80 transition-opacity"
+                        />
+                      </a>
                     ))}
                   </div>
                 )}
 
                 <div className="flex items-center gap-4 text-sm">
-                  <button className="flex items-center gap-1 text-gray-500 hover:text-green-600 transition-colors">
-                    <ThumbsUp className="w-4 h-4" />
-                    Helpful ({review.helpfulCount})
+                  <span className="text-gray-500">Was this helpful?</span>
+                  <button
+                    onClick={() => handleVote(review, 'up')}
+                    disabled={!isSignedIn}
+                    title={isSignedIn ? undefined : 'Sign in to vote'}
+                    aria-pressed={review.userVote === 'up'}
+                    className={`flex items-center gap-1 transition-colors disabled:cursor-not-allowed ${
+                      review.userVote === 'up' ? 'text-green-600' : 'text-gray-500 hover:text-green-600'
+                    }`}
+                  >
+                    <ThumbsUp className={`w-4 h-4 ${review.userVote === 'up' ? 'fill-current' : ''}`} />
+                    {review.helpfulCount}
                   </button>
-                  <button className="flex items-center gap-1 text-gray-500 hover:text-gray-700 transition-colors">
-                    <MessageCircle className="w-4 h-4" />
-                    Reply
+                  <button
+                    onClick={() => handleVote(review, 'down')}
+                    disabled={!isSignedIn}
+                    title={isSignedIn ? undefined : 'Sign in to vote'}
+                    aria-pressed={review.userVote === 'down'}
+                    className={`flex items-center gap-1 transition-colors disabled:cursor-not-allowed ${
+                      review.userVote === 'down' ? 'text-red-600' : 'text-gray-500 hover:text-red-600'
+                    }`}
+                  >
+                    <ThumbsDown className={`w-4 h-4 ${review.userVote === 'down' ? 'fill-current' : ''}`} />
+                    {review.notHelpfulCount}
                   </button>
                 </div>
               </div>
@@ -305,9 +334,15 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
         <div className="text-center py-12">
           <Star className="w-16 h-16 text-gray-300 mx-auto mb-4" />
           <h3 className="text-lg font-semibold text-gray-900 mb-2">No Reviews Found</h3>
-          <p className="text-gray-600">No reviews match your current filters.</p>
+          <p className="text-gray-600">
+            {totalReviews === 0
+              ? 'Be the first to review this product.'
+              : 'No reviews match your current filters.'}
+          </p>
         </div>
       )}
+      </>
+      )}
 
       {/* Review Form Modal */}
       <AnimatePresence>
@@ -327,13 +362,21 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-semibold text-gray-900">Write a Review</h3>
                 <button
-                  onClick={() => setShowReviewForm(false)}
+                  onClick={closeReviewForm}
                   className="text-gray-400 hover:text-gray-600"
+                  aria-label="Close"
                 >
                   <X className="w-5 h-5" />
                 </button>
               </div>
 
+              {eligibility?.verifiedPurchase && (
+                <p className="flex items-center gap-2 text-sm text-green-700 bg-green-50 rounded-lg px-3 py-2 mb-4">
+                  <BadgeCheck className="w-4 h-4" />
+                  Your review will be marked as a Verified Purchase.
+                </p>
+              )}
+
               <form onSubmit={handleSubmitReview} className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -373,20 +416,68 @@ const ReviewSection = ({ productId, reviews = [], averageRating = 0 }) => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Photos (up to {MAX_REVIEW_PHOTOS})
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {previews.map((preview, index) => (
+                      <div key={preview.id} className="relative">
+                        <img
+                          src={preview.url}
+                          alt={preview.name}
+                          className="w-16 h-16 object-cover rounded-lg"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeImage(index)}
+                          className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-500 hover:text-red-600"
+                          aria-label={`Remove ${preview.name}`}
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </div>
+                    ))}
+                    {previews.length < MAX_REVIEW_PHOTOS && (
+                      <label className="w-16 h-16 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center text-gray-400 hover:border-green-500 hover:text-green-600 cursor-pointer transition-colors">
+                        <Camera className="w-5 h-5" />
+                        <input
+                          type="file"
+                          accept="image/*"
+                          multiple
+                          className="sr-only"
+                          onChange={(e) => {
+                            addImages(Array.from(e.target.files || []));
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
+                    )}
+                  </div>
+                </div>
+
+                <p className="text-xs text-gray-500">
+                  Reviews are checked by our team before they appear on the site.
+                </p>
+
                 <div className="flex gap-3">
                   <button
                     type="button"
-                    onClick={() => setShowReviewForm(false)}
+                    onClick={closeReviewForm}
                     className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-50 transition-colors"
                   >
                     Cancel
                   </button>
                   <button
                     type="submit"
-                    disabled={!newReview.rating || !newReview.comment.trim()}
+                    disabled={!newReview.rating || !newReview.comment.trim() || createReview.isPending}
                     className="flex-1 bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
                   >
-                    <Send className="w-4 h-4" />
+                    {createReview.isPending ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : (
+                      <Send className="w-4 h-4" />
+                    )}
                     Submit Review
                   </button>
                 </div>
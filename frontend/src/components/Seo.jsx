@@ -0,0 +1,33 @@
+// Head tags and JSON-LD for a public page, from the builders in lib/seo.js and lib/structuredData.js
+import React from 'react'
+import { Helmet } from 'react-helmet-async'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { seoMeta } from '../lib/seo.js'
+import { serializeJsonLd } from '../lib/structuredData.js'
+
+// Canonical URLs need the public address even when the app is served from a preview host
+const SITE_URL = import.meta.env.VITE_SITE_URL || window.location.origin
+
+// Options for the builders: `productSeo(product, useSeoOptions())`
+export const useSeoOptions = () => {
+  const { siteName, currency } = useStoreSettings()
+  return { siteUrl: SITE_URL, siteName, currency }
+}
+
+export default function Seo({ seo, structuredData = [], children }) {
+  const { siteName } = useSeoOptions()
+
+  return (
+    <Helmet>
+      <title>{seo.title}</title>
+      {seo.canonical && <link rel="canonical" href={seo.canonical} />}
+      {seoMeta(seo, { siteName }).map((meta, index) => (
+        <meta key={`${meta.name || meta.property}-${index}`} {...meta} />
+      ))}
+      {structuredData.filter(Boolean).map((data, index) => (
+        <script key={`ld-${index}`} type="application/ld+json">{serializeJsonLd(data)}</script>
+      ))}
+      {children}
+    </Helmet>
+  )
+}
@@ -0,0 +1,103 @@
+// Customer-facing tracking for an order's shipments, newest scan first
+import React from 'react'
+import { ExternalLink, PackageCheck, AlertTriangle } from 'lucide-react'
+import { SHIPMENT_STATUS, SHIPMENT_STATUS_LABELS, getCarrierName } from '../services/carriers/carrierGateway'
+
+const statusStyles = {
+  [SHIPMENT_STATUS.DELIVERED]: 'bg-green-100 text-green-800',
+  [SHIPMENT_STATUS.EXCEPTION]: 'bg-amber-100 text-amber-800',
+  [SHIPMENT_STATUS.RETURNED]: 'bg-red-100 text-red-800',
+}
+
+export function ShipmentStatusBadge({ status }) {
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[status] || 'bg-blue-100 text-blue-800'}`}>
+      {SHIPMENT_STATUS_LABELS[status] || status}
+    </span>
+  )
+}
+
+const formatDateTime = (value) =>
+  value
+    ? new Date(value).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })
+    : ''
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })
+
+function Shipment({ shipment, index, count }) {
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 mb-6">
+        <div>
+          <div className="flex items-center gap-2">
+            <h3 className="font-medium text-gray-900">
+              {count > 1 ? `Package ${index + 1} of ${count}` : 'Package'}
+            </h3>
+            <ShipmentStatusBadge status={shipment.status} />
+          </div>
+          {shipment.status === SHIPMENT_STATUS.DELIVERED && shipment.deliveredAt ? (
+            <p className="text-sm text-green-700 mt-1 flex items-center gap-1">
+              <PackageCheck className="w-4 h-4" /> Delivered {formatDateTime(shipment.deliveredAt)}
+            </p>
+          ) : shipment.estimatedDelivery && shipment.status !== SHIPMENT_STATUS.RETURNED ? (
+            <p className="text-sm text-gray-600 mt-1">Expected by {formatDay(shipment.estimatedDelivery)}</p>
+          ) : null}
+          {shipment.status === SHIPMENT_STATUS.EXCEPTION && (
+            <p className="text-sm text-amber-700 mt-1 flex items-center gap-1">
+              <AlertTriangle className="w-4 h-4" /> The courier will try again. Contact us if you need to change the address.
+            </p>
+          )}
+        </div>
+        <div className="sm:text-right">
+          <p className="text-sm text-gray-600">Tracking Number</p>
+          <p className="font-mono text-sm font-medium text-gray-900">{shipment.awb}</p>
+          <p className="text-xs text-gray-500">via {getCarrierName(shipment.carrier)}</p>
+          {shipment.trackingUrl && (
+            <a
+              href={shipment.trackingUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-xs text-green-700 hover:underline mt-1"
+            >
+              Track on carrier site <ExternalLink className="w-3 h-3" />
+            </a>
+          )}
+        </div>
+      </div>
+
+      {shipment.events.length === 0 ? (
+        <p className="text-sm text-gray-600">The courier hasn't scanned this package yet.</p>
+      ) : (
+        <ol className="space-y-6">
+          {shipment.events.map((event, eventIndex) => (
+            <li key={`${event.occurredAt}-${eventIndex}`} className="flex gap-4">
+              <div className="flex flex-col items-center">
+                <div className={`w-3 h-3 rounded-full ${eventIndex === 0 ? 'bg-green-500' : 'bg-gray-300'}`} />
+                {eventIndex < shipment.events.length - 1 && <div className="w-px h-12 bg-gray-200 mt-2" />}
+              </div>
+              <div className="flex-1 pb-6">
+                <div className="flex items-center justify-between mb-1">
+                  <h4 className="font-medium text-gray-900">{SHIPMENT_STATUS_LABELS[event.status] || event.status}</h4>
+                  <span className="text-sm text-gray-500">{formatDateTime(event.occurredAt)}</span>
+                </div>
+                {event.description && <p className="text-sm text-gray-600 mb-1">{event.description}</p>}
+                {event.location && <p className="text-xs text-gray-500">{event.location}</p>}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default function ShipmentTimeline({ shipments = [] }) {
+  return (
+    <div className="space-y-10">
+      {shipments.map((shipment, index) => (
+        <Shipment key={shipment.id || shipment.awb} shipment={shipment} index={index} count={shipments.length} />
+      ))}
+    </div>
+  )
+}
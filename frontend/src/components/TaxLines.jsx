@@ -0,0 +1,21 @@
+// GST rows for the order summaries: a single line until the delivery state is known, then the CGST/SGST or IGST split
+import React from 'react'
+import { formatPrice } from '../lib/storeSettings'
+
+export default function TaxLines({ gst, settings, className = 'flex justify-between' }) {
+  if (!gst?.registered || gst.tax <= 0) return null
+  const suffix = gst.inclusive ? ' (included)' : ''
+  const rows =
+    gst.interState === null
+      ? [['GST', gst.tax]]
+      : gst.interState
+        ? [['IGST', gst.igst]]
+        : [['CGST', gst.cgst], ['SGST', gst.sgst]]
+
+  return rows.map(([label, amount]) => (
+    <div key={label} className={className}>
+      <span>{label}{suffix}</span>
+      <span>{formatPrice(amount, settings)}</span>
+    </div>
+  ))
+}
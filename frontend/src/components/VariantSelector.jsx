@@ -0,0 +1,40 @@
+// Option pickers (pot size, plant height, planter colour) for products sold in variants
+import React from 'react'
+import { isValueAvailable } from '../lib/productVariants'
+
+export default function VariantSelector({ options, variants, selection, onSelect }) {
+  return (
+    <div className="space-y-4">
+      {options.map((option) => (
+        <fieldset key={option.name}>
+          <legend className="text-sm font-semibold text-gray-900 mb-2">
+            {option.name}
+            {selection[option.name] && <span className="ml-2 font-normal text-gray-600">{selection[option.name]}</span>}
+          </legend>
+          <div className="flex flex-wrap gap-2">
+            {option.values.map((value) => {
+              const active = selection[option.name] === value
+              const available = isValueAvailable(variants, selection, option.name, value)
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => onSelect(option.name, value)}
+                  aria-pressed={active}
+                  title={available ? undefined : 'Out of stock in this combination'}
+                  className={`px-4 py-2 border rounded-lg text-sm transition-colors ${
+                    active
+                      ? 'border-green-600 bg-green-50 text-green-700'
+                      : 'border-gray-300 hover:border-gray-400'
+                  } ${available ? '' : 'text-gray-400 line-through decoration-gray-400'}`}
+                >
+                  {value}
+                </button>
+              )
+            })}
+          </div>
+        </fieldset>
+      ))}
+    </div>
+  )
+}
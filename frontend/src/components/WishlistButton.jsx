@@ -0,0 +1,62 @@
+// Save-to-wishlist toggle, with the price-drop / back-in-stock opt-ins once saved
+import React from 'react'
+import { Heart } from 'lucide-react'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
+
+export function WishlistAlertOptions({ item, onChange, className = '' }) {
+  return (
+    <fieldset className={`space-y-1 text-sm text-gray-700 ${className}`}>
+      <legend className="sr-only">Wishlist alerts for {item.name}</legend>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={item.alerts.priceDrop}
+          onChange={(e) => onChange({ priceDrop: e.target.checked })}
+          className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+        />
+        Tell me when the price drops
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={item.alerts.backInStock}
+          onChange={(e) => onChange({ backInStock: e.target.checked })}
+          className="h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+        />
+        Tell me when it is back in stock
+      </label>
+    </fieldset>
+  )
+}
+
+export default function WishlistButton({ product, showAlerts = false, className = '' }) {
+  const wishlist = useWishlist()
+  const productId = product?.productId ?? product?.id
+  if (productId === undefined || productId === null) return null
+
+  const item = wishlist.getItem(productId)
+  const saved = Boolean(item)
+
+  return (
+    <div className={className}>
+      <button
+        type="button"
+        onClick={() => wishlist.toggle(product)}
+        aria-pressed={saved}
+        className={`inline-flex items-center gap-2 px-3 py-2 rounded-lg border text-sm transition-colors ${
+          saved ? 'border-red-200 bg-red-50 text-red-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+      >
+        <Heart className={`w-4 h-4 ${saved ? 'fill-current' : ''}`} />
+        {saved ? 'Saved to wishlist' : 'Save to wishlist'}
+      </button>
+      {showAlerts && saved && (
+        <WishlistAlertOptions
+          item={item}
+          onChange={(alerts) => wishlist.setAlerts(productId, alerts)}
+          className="mt-2"
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+// Saved plants with move-to-cart and per-plant price-drop / back-in-stock alerts
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Heart, ShoppingCart, Trash2 } from 'lucide-react'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
+import { useCart } from '../hooks/CartProvider.jsx'
+import { WishlistAlertOptions } from './WishlistButton.jsx'
+import useUIStore from '../stores/uiStore'
+
+export default function WishlistPanel() {
+  const wishlist = useWishlist()
+  const cart = useCart()
+
+  const moveToCart = (item) => {
+    cart.add({ id: item.productId, name: item.name, price: item.price, image: item.image }, 1)
+    wishlist.remove(item.productId)
+    useUIStore.getState().showSuccess(`${item.name} moved to your cart`)
+  }
+
+  if (wishlist.items.length === 0) {
+    return (
+      <div className="text-center py-8 sm:py-12">
+        <Heart className="h-12 w-12 sm:h-16 sm:w-16 text-green-400 mx-auto mb-3 sm:mb-4" />
+        <h3 className="text-base sm:text-lg font-medium text-neutral-900 mb-2">Your wishlist is empty</h3>
+        <p className="text-sm sm:text-base text-neutral-600 px-4 mb-4">
+          Save plants you like and we will let you know when they drop in price or come back in stock.
+        </p>
+        <Link to="/catalog" className="inline-flex px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
+          Browse plants
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      <AnimatePresence initial={false}>
+        {wishlist.items.map((item) => (
+          <motion.li
+            key={item.productId}
+            layout
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, height: 0 }}
+            className="py-4 flex flex-col sm:flex-row gap-4"
+          >
+            <Link to={`/product/${item.productId}`} className="flex-shrink-0">
+              <img
+                src={item.image || '/logo.png'}
+                alt={item.name}
+                className="w-20 h-20 rounded-lg object-cover bg-gray-100"
+                loading="lazy"
+              />
+            </Link>
+
+            <div className="flex-1 min-w-0 space-y-2">
+              <div>
+                <Link to={`/product/${item.productId}`} className="font-semibold text-gray-900 hover:text-green-700">
+                  {item.name}
+                </Link>
+                <p className="text-sm text-gray-700">
+                  ₹{item.price}
+                  <span className={`ml-2 ${item.inStock ? 'text-green-600' : 'text-red-600'}`}>
+                    {item.inStock ? 'In stock' : 'Out of stock'}
+                  </span>
+                </p>
+              </div>
+              <WishlistAlertOptions item={item} onChange={(alerts) => wishlist.setAlerts(item.productId, alerts)} />
+            </div>
+
+            <div className="flex sm:flex-col gap-2 sm:items-end">
+              {item.hasVariants ? (
+                // Size and planter have to be picked on the product page
+                <Link
+                  to={`/product/${item.productId}`}
+                  className="flex items-center gap-1 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                >
+                  Choose options
+                </Link>
+              ) : (
+                <button
+                  onClick={() => moveToCart(item)}
+                  disabled={!item.inStock}
+                  className="flex items-center gap-1 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <ShoppingCart className="w-4 h-4" />
+                  Move to cart
+                </button>
+              )}
+              <button
+                onClick={() => wishlist.remove(item.productId)}
+                className="flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+                Remove
+              </button>
+            </div>
+          </motion.li>
+        ))}
+      </AnimatePresence>
+    </ul>
+  )
+}
@@ -309,6 +309,7 @@ export const routeProtection = {
     '/checkout',
     '/account/profile',
     '/account/orders',
+    '/account/orders/:orderId',
     '/account/settings',
   ],
   
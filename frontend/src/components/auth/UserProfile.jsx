@@ -25,6 +25,7 @@ import {
   Package, Heart, Bell, Leaf, LogOut, Trash2
 } from 'lucide-react'
 import { Link, useNavigate } from 'react-router-dom'
+import WishlistPanel from '../WishlistPanel.jsx'
 
 // Profile update schema
 const profileSchema = z.object({
@@ -484,8 +485,20 @@ export default function UserProfile() {
                   </motion.div>
                 )}
 
+                {activeTab === 'wishlist' && (
+                  <motion.div
+                    key="wishlist"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                  >
+                    <h2 className="text-lg sm:text-xl font-semibold text-neutral-900 mb-4">Wishlist</h2>
+                    <WishlistPanel />
+                  </motion.div>
+                )}
+
                 {/* Other tabs placeholder */}
-                {['orders', 'wishlist', 'security'].includes(activeTab) && (
+                {['orders', 'security'].includes(activeTab) && (
                   <motion.div
                     key={activeTab}
                     initial={{ opacity: 0, y: 20 }}
@@ -10,7 +10,7 @@ export default function ColorBand({
   as = 'section',
   ariaLabel = 'Promotional band',
   title = 'Grow your indoor jungle',
-  subtitle = 'Free shipping over ₹499 • 7-day plant guarantee',
+  subtitle = 'Healthy plants • 7-day plant guarantee',
   ctaText = 'Shop Now',
   onCtaClick,
   bgClass = 'bg-gradient-to-r from-primary via-primaryDark to-earth',
@@ -1,16 +1,45 @@
-import React, { useState, useRef, useEffect } from 'react'
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Search, X, Clock, TrendingUp } from 'lucide-react'
+import { Search, X, Clock, Leaf, Tag, BookOpen, Loader2 } from 'lucide-react'
 import { useNavigate } from 'react-router-dom'
+import { useSearchSuggestions } from '../../hooks/queries/useSearch'
+import { useStoreSettings } from '../../hooks/queries/useSettings'
+import useRecentSearches from '../../hooks/useRecentSearches'
+import { formatPrice } from '../../lib/storeSettings'
+import { logSearch, logSearchClick, SEARCH_SOURCES } from '../../services/searchTracking'
+
+const GROUPS = [
+  { type: 'product', label: 'Products', icon: Leaf },
+  { type: 'category', label: 'Categories', icon: Tag },
+  { type: 'guide', label: 'Care Guides', icon: BookOpen },
+]
+
+// How long typing has to pause before the query is logged for the search report
+const LOG_DELAY = 1000
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Marks the words of the query inside a suggestion; typo and synonym matches stay unmarked
+const highlight = (text, query) => {
+  const words = query.trim().split(/\s+/).filter((word) => word.length > 1).map(escapeRegExp)
+  if (words.length === 0) return text
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi')
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-primary/20 text-primary font-medium">{part}</mark>
+    ) : (
+      part
+    )
+  )
+}
 
 /**
  * Enhanced Search Bar Component
- * Features animated suggestions, recent searches, and responsive design
- * 
+ * Live product, category and care-guide suggestions (typo tolerant, with local plant names),
+ * the visitor's recent searches, keyboard navigation and responsive sizing
+ *
  * @param {string} placeholder - Placeholder text
- * @param {function} onSearch - Search handler function
- * @param {Array} suggestions - Array of search suggestions
- * @param {Array} recentSearches - Array of recent searches
+ * @param {function} onSearch - Search handler function; defaults to opening the catalog
  * @param {string} className - Additional CSS classes
  * @param {boolean} showSuggestions - Whether to show suggestions dropdown
  * @param {string} size - Size variant: 'sm', 'md', 'lg'
@@ -18,8 +47,6 @@ import { useNavigate } from 'react-router-dom'
 const SearchBar = ({
   placeholder = 'Search plants, seeds, tools…',
   onSearch,
-  suggestions = [],
-  recentSearches = [],
   className = '',
   showSuggestions = true,
   size = 'md'
@@ -27,10 +54,52 @@ const SearchBar = ({
   const [query, setQuery] = useState('')
   const [isOpen, setIsOpen] = useState(false)
   const [isFocused, setIsFocused] = useState(false)
-  const [filteredSuggestions, setFilteredSuggestions] = useState([])
+  const [hasInteracted, setHasInteracted] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
   const searchRef = useRef(null)
   const inputRef = useRef(null)
+  const loggedRef = useRef({ query: '', searchId: null })
   const navigate = useNavigate()
+  const settings = useStoreSettings()
+  const recent = useRecentSearches()
+
+  // The index is fetched the first time the box is used rather than on every page load
+  const { results, isLoading } = useSearchSuggestions(query, { enabled: showSuggestions && hasInteracted })
+
+  const trimmed = query.trim()
+
+  // Everything the arrow keys move through, in display order
+  const options = useMemo(() => {
+    if (!trimmed) {
+      return recent.searches.slice(0, 5).map((search) => ({ kind: 'recent', key: `recent-${search}`, query: search }))
+    }
+    const grouped = GROUPS.flatMap(({ type }) =>
+      results.filter((result) => result.type === type).map((result) => ({ kind: 'result', key: `${type}-${result.id}`, result }))
+    )
+    return [...grouped, { kind: 'search', key: 'search', query: trimmed }]
+  }, [trimmed, results, recent.searches])
+
+  useEffect(() => {
+    setActiveIndex(-1)
+  }, [query])
+
+  // Log what was typed once the suggestions for it are showing and typing has paused
+  const resultCount = results.length
+  const logCurrentQuery = useCallback(() => {
+    if (loggedRef.current.query !== trimmed) {
+      loggedRef.current = {
+        query: trimmed,
+        searchId: logSearch({ query: trimmed, resultCount, source: SEARCH_SOURCES.SUGGEST }),
+      }
+    }
+    return loggedRef.current.searchId
+  }, [trimmed, resultCount])
+
+  useEffect(() => {
+    if (!trimmed || isLoading || !showSuggestions) return
+    const timer = setTimeout(logCurrentQuery, LOG_DELAY)
+    return () => clearTimeout(timer)
+  }, [trimmed, isLoading, showSuggestions, logCurrentQuery])
 
   // Size configurations
   const sizeClasses = {
@@ -39,18 +108,6 @@ const SearchBar = ({
     lg: 'px-5 py-3 text-lg'
   }
 
-  // Filter suggestions based on query
-  useEffect(() => {
-    if (query.trim()) {
-      const filtered = suggestions.filter(item =>
-        item.toLowerCase().includes(query.toLowerCase())
-      ).slice(0, 6)
-      setFilteredSuggestions(filtered)
-    } else {
-      setFilteredSuggestions([])
-    }
-  }, [query, suggestions])
-
   // Close suggestions on outside click
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -64,58 +121,85 @@ const SearchBar = ({
     return () => document.removeEventListener('mousedown', handleClickOutside)
   }, [])
 
+  const close = () => {
+    setIsOpen(false)
+    setIsFocused(false)
+    inputRef.current?.blur()
+  }
+
   const handleInputChange = (e) => {
-    const value = e.target.value
-    setQuery(value)
-    setIsOpen(showSuggestions && (value.trim() || recentSearches.length > 0))
+    setQuery(e.target.value)
+    setHasInteracted(true)
+    setIsOpen(showSuggestions)
   }
 
   const handleInputFocus = () => {
     setIsFocused(true)
-    if (showSuggestions && (query.trim() || recentSearches.length > 0)) {
-      setIsOpen(true)
-    }
+    setHasInteracted(true)
+    if (showSuggestions) setIsOpen(true)
   }
 
   const handleSearch = (searchQuery = query) => {
-    if (searchQuery.trim()) {
-      if (onSearch) {
-        onSearch(searchQuery.trim())
-      } else {
-        navigate(`/catalog?search=${encodeURIComponent(searchQuery.trim())}`)
-      }
-      setIsOpen(false)
-      setIsFocused(false)
-      inputRef.current?.blur()
+    const term = searchQuery.trim()
+    if (!term) return
+    recent.add(term)
+    if (onSearch) {
+      onSearch(term)
+    } else {
+      navigate(`/catalog?search=${encodeURIComponent(term)}`)
     }
+    close()
   }
 
-  const handleSuggestionClick = (suggestion) => {
-    setQuery(suggestion)
-    handleSearch(suggestion)
+  const handleSelect = (option) => {
+    if (option.kind === 'result') {
+      // Picking a suggestion still counts as having searched for what was typed
+      recent.add(trimmed)
+      logSearchClick({
+        searchId: logCurrentQuery(),
+        query: trimmed,
+        resultType: option.result.type,
+        resultId: option.result.id,
+        position: options.indexOf(option) + 1,
+      })
+      navigate(option.result.path)
+      setQuery('')
+      close()
+      return
+    }
+    setQuery(option.query)
+    handleSearch(option.query)
   }
 
   const handleClear = () => {
     setQuery('')
-    setIsOpen(false)
     inputRef.current?.focus()
   }
 
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!options.length) return
+      e.preventDefault()
+      setIsOpen(true)
+      // Cycles through the options and back to the input (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      const positions = options.length + 1
+      setActiveIndex((index) => ((index + 1 + step + positions) % positions) - 1)
+    } else if (e.key === 'Enter') {
       e.preventDefault()
-      handleSearch()
+      const option = isOpen ? options[activeIndex] : null
+      if (option) handleSelect(option)
+      else handleSearch()
     } else if (e.key === 'Escape') {
-      setIsOpen(false)
-      inputRef.current?.blur()
+      close()
     }
   }
 
   const containerVariants = {
     hidden: { opacity: 0, scale: 0.95, y: -10 },
-    visible: { 
-      opacity: 1, 
-      scale: 1, 
+    visible: {
+      opacity: 1,
+      scale: 1,
       y: 0,
       transition: {
         duration: 0.2,
@@ -124,20 +208,14 @@ const SearchBar = ({
     }
   }
 
-  const itemVariants = {
-    hidden: { opacity: 0, x: -10 },
-    visible: (i) => ({
-      opacity: 1,
-      x: 0,
-      transition: {
-        delay: i * 0.05,
-        duration: 0.15,
-        ease: 'easeOut'
-      }
-    })
-  }
+  const optionId = (index) => `search-option-${index}`
+  const optionClass = (index) => `
+    w-full flex items-center gap-3 px-3 py-2 text-left rounded-lg transition-colors
+    ${index === activeIndex ? 'bg-neutral-100' : 'hover:bg-neutral-50'}
+  `
 
-  const showDropdown = isOpen && showSuggestions && (filteredSuggestions.length > 0 || (query === '' && recentSearches.length > 0))
+  const showDropdown = isOpen && showSuggestions && options.length > 0
+  const resultOptions = options.filter((option) => option.kind === 'result')
 
   return (
     <div ref={searchRef} className={`relative w-full ${className}`}>
@@ -149,8 +227,8 @@ const SearchBar = ({
             rounded-xl border bg-white/80 backdrop-blur-sm
             shadow-sm hover:shadow-md
             transition-all duration-200
-            ${isFocused 
-              ? 'border-primary ring-2 ring-primary/20' 
+            ${isFocused
+              ? 'border-primary ring-2 ring-primary/20'
               : 'border-neutral-200 hover:border-neutral-300'
             }
           `}
@@ -160,7 +238,7 @@ const SearchBar = ({
           transition={{ duration: 0.2 }}
         >
           <Search className="absolute left-3 w-5 h-5 text-neutral-400" />
-          
+
           <input
             ref={inputRef}
             type="search"
@@ -175,6 +253,10 @@ const SearchBar = ({
               ${sizeClasses[size]}
             `}
             aria-label="Search"
+            role="combobox"
+            aria-expanded={showDropdown}
+            aria-controls="search-suggestions"
+            aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
             autoComplete="off"
           />
 
@@ -200,6 +282,8 @@ const SearchBar = ({
       <AnimatePresence>
         {showDropdown && (
           <motion.div
+            id="search-suggestions"
+            role="listbox"
             variants={containerVariants}
             initial="hidden"
             animate="visible"
@@ -207,80 +291,119 @@ const SearchBar = ({
             className="
               absolute top-full left-0 right-0 mt-2 z-50
               bg-white border border-neutral-200 rounded-xl shadow-xl
-              backdrop-blur-sm bg-white/95 max-h-80 overflow-y-auto
+              backdrop-blur-sm bg-white/95 max-h-96 overflow-y-auto
             "
           >
             {/* Recent Searches */}
-            {query === '' && recentSearches.length > 0 && (
-              <div className="p-3 border-b border-neutral-100">
-                <div className="flex items-center gap-2 mb-2">
-                  <Clock className="w-4 h-4 text-neutral-500" />
-                  <span className="text-sm font-medium text-neutral-700">Recent Searches</span>
-                </div>
-                {recentSearches.slice(0, 4).map((search, index) => (
-                  <motion.button
-                    key={search}
-                    variants={itemVariants}
-                    custom={index}
-                    onClick={() => handleSuggestionClick(search)}
-                    className="
-                      w-full flex items-center gap-3 px-3 py-2 text-left
-                      hover:bg-neutral-50 rounded-lg transition-colors
-                    "
+            {!trimmed && (
+              <div className="p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center gap-2">
+                    <Clock className="w-4 h-4 text-neutral-500" />
+                    <span className="text-sm font-medium text-neutral-700">Recent Searches</span>
+                  </div>
+                  <button
+                    onClick={recent.clear}
+                    className="text-xs text-neutral-500 hover:text-neutral-800"
                   >
-                    <Clock className="w-4 h-4 text-neutral-400 flex-shrink-0" />
-                    <span className="text-sm text-neutral-700">{search}</span>
-                  </motion.button>
+                    Clear
+                  </button>
+                </div>
+                {options.map((option, index) => (
+                  <div key={option.key} className="flex items-center group">
+                    <button
+                      id={optionId(index)}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      onClick={() => handleSelect(option)}
+                      className={optionClass(index)}
+                    >
+                      <Clock className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                      <span className="text-sm text-neutral-700 truncate">{option.query}</span>
+                    </button>
+                    <button
+                      onClick={() => recent.remove(option.query)}
+                      className="p-1 rounded-full text-neutral-400 hover:text-neutral-700 hover:bg-neutral-100"
+                      aria-label={`Remove ${option.query} from recent searches`}
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
                 ))}
               </div>
             )}
 
-            {/* Filtered Suggestions */}
-            {filteredSuggestions.length > 0 && (
-              <div className="p-3">
-                <div className="flex items-center gap-2 mb-2">
-                  <TrendingUp className="w-4 h-4 text-neutral-500" />
-                  <span className="text-sm font-medium text-neutral-700">Suggestions</span>
-                </div>
-                {filteredSuggestions.map((suggestion, index) => (
-                  <motion.button
-                    key={suggestion}
-                    variants={itemVariants}
-                    custom={index}
-                    onClick={() => handleSuggestionClick(suggestion)}
-                    className="
-                      w-full flex items-center gap-3 px-3 py-2 text-left
-                      hover:bg-neutral-50 rounded-lg transition-colors
-                    "
-                  >
-                    <Search className="w-4 h-4 text-neutral-400 flex-shrink-0" />
-                    <span className="text-sm text-neutral-700">
-                      {suggestion.split(new RegExp(`(${query})`, 'gi')).map((part, i) =>
-                        part.toLowerCase() === query.toLowerCase() ? (
-                          <mark key={i} className="bg-primary/20 text-primary font-medium">
-                            {part}
-                          </mark>
+            {/* Live Suggestions */}
+            {trimmed && GROUPS.map(({ type, label, icon: Icon }) => {
+              const group = resultOptions.filter((option) => option.result.type === type)
+              if (group.length === 0) return null
+              return (
+                <div key={type} className="p-3 border-b border-neutral-100">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Icon className="w-4 h-4 text-neutral-500" />
+                    <span className="text-sm font-medium text-neutral-700">{label}</span>
+                  </div>
+                  {group.map((option) => {
+                    const index = options.indexOf(option)
+                    const { result } = option
+                    return (
+                      <button
+                        key={option.key}
+                        id={optionId(index)}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        onClick={() => handleSelect(option)}
+                        className={optionClass(index)}
+                      >
+                        {type === 'product' && result.image ? (
+                          <img src={result.image} alt="" className="w-9 h-9 rounded-md object-cover flex-shrink-0" loading="lazy" />
                         ) : (
-                          part
-                        )
-                      )}
-                    </span>
-                  </motion.button>
-                ))}
-              </div>
-            )}
+                          <Icon className="w-4 h-4 text-neutral-400 flex-shrink-0" />
+                        )}
+                        <span className="flex-1 min-w-0">
+                          <span className="block text-sm text-neutral-800 truncate">{highlight(result.title, trimmed)}</span>
+                          {result.subtitle && (
+                            <span className="block text-xs text-neutral-500 truncate">{result.subtitle}</span>
+                          )}
+                        </span>
+                        {result.price !== null && result.price !== undefined && (
+                          <span className="text-sm font-medium text-primary flex-shrink-0">{formatPrice(result.price, settings)}</span>
+                        )}
+                      </button>
+                    )
+                  })}
+                </div>
+              )
+            })}
 
-            {/* No Results */}
-            {query && filteredSuggestions.length === 0 && (
-              <div className="p-4 text-center text-neutral-500">
-                <Search className="w-8 h-8 mx-auto mb-2 text-neutral-300" />
-                <p className="text-sm">No suggestions found for "{query}"</p>
-                <button
-                  onClick={() => handleSearch()}
-                  className="mt-2 text-sm text-primary hover:text-primary/80 font-medium"
-                >
-                  Search anyway
-                </button>
+            {trimmed && (
+              <div className="p-3">
+                {isLoading ? (
+                  <div className="flex items-center gap-2 px-3 py-2 text-sm text-neutral-500">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Loading suggestions…
+                  </div>
+                ) : resultOptions.length === 0 && (
+                  <p className="px-3 pb-1 text-sm text-neutral-500">No quick matches for "{trimmed}"</p>
+                )}
+                {options.filter((option) => option.kind === 'search').map((option) => {
+                  const index = options.indexOf(option)
+                  return (
+                    <button
+                      key={option.key}
+                      id={optionId(index)}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      onClick={() => handleSelect(option)}
+                      className={optionClass(index)}
+                    >
+                      <Search className="w-4 h-4 text-primary flex-shrink-0" />
+                      <span className="text-sm text-neutral-700">
+                        Search all products for <span className="font-medium text-neutral-900">"{trimmed}"</span>
+                      </span>
+                    </button>
+                  )
+                })}
               </div>
             )}
           </motion.div>
@@ -290,4 +413,4 @@ const SearchBar = ({
   )
 }
 
-export default SearchBar
\ No newline at end of file
+export default SearchBar
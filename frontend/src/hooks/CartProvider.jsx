@@ -1,141 +1,65 @@
-import React, { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react'
-import { fetchCartItems, addToCart, updateCartItem, removeFromCart, clearCart } from '../services/api.js'
-
-const CartContext = createContext(null)
+import { useEffect, useMemo } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import useCartStore, { getItemCount, getSubtotal } from '../stores/cartStore'
+import { AUTH_CHANGED_EVENT, getAuthToken } from '../services/api.js'
 
+// Cart API used across the storefront; state lives in the shared cart engine (stores/cartStore.js)
 export function useCart() {
-  const ctx = useContext(CartContext)
-  if (!ctx) throw new Error('useCart must be used within <CartProvider>')
-  return ctx
+  const items = useCartStore((s) => s.items)
+  const status = useCartStore((s) => s.status)
+  const pendingCount = useCartStore((s) => s.pendingOps.length)
+  const drawerOpen = useCartStore((s) => s.isOpen)
+  const couponCode = useCartStore((s) => s.couponCode)
+  const actions = useCartStore.getState()
+
+  return useMemo(() => ({
+    items,
+    add: actions.addItem,
+    remove: actions.removeItem,
+    updateQty: actions.updateQuantity,
+    updatePrice: actions.updatePrice,
+    clear: actions.clearCart,
+    subtotal: getSubtotal(items),
+    itemCount: getItemCount(items),
+    loading: status === 'syncing',
+    // True while changes are waiting for the server to come back
+    offline: status === 'offline' && pendingCount > 0,
+    couponCode,
+    applyCoupon: actions.applyCoupon,
+    removeCoupon: actions.removeCoupon,
+    drawerOpen,
+    openDrawer: actions.openCart,
+    closeDrawer: actions.closeCart,
+    toggleDrawer: actions.toggleCart,
+  }), [items, status, pendingCount, couponCode, drawerOpen, actions])
 }
 
+// Keeps the cart engine in step with the session: merges the guest cart on sign-in,
+// resets it on sign-out, and replays queued changes when the connection returns.
 export default function CartProvider({ children }) {
-  const [items, setItems] = useState([])
-  const [loading, setLoading] = useState(false)
-  const [drawerOpen, setDrawerOpen] = useState(false)
+  const { isLoaded, isSignedIn } = useAuth()
 
-  // Load cart items on mount
   useEffect(() => {
-    const loadCartItems = async () => {
-      setLoading(true)
-      try {
-        const cartItems = await fetchCartItems()
-        setItems(cartItems)
-      } catch (error) {
-        console.error('Failed to load cart items:', error)
-        // Fallback to localStorage
-        try {
-          const raw = localStorage.getItem('cart.items')
-          setItems(raw ? JSON.parse(raw) : [])
-        } catch {
-          setItems([])
-        }
-      } finally {
-        setLoading(false)
-      }
-    }
-
-    loadCartItems()
-  }, [])
+    if (!isLoaded) return
+    const { owner, signIn, signOut } = useCartStore.getState()
+    if (isSignedIn) signIn()
+    else if (owner === 'user') signOut()
+  }, [isLoaded, isSignedIn])
 
-  // Sync with localStorage as backup
   useEffect(() => {
-    try {
-      localStorage.setItem('cart.items', JSON.stringify(items))
-    } catch {}
-  }, [items])
-
-  const add = useCallback(async (product, qty = 1) => {
-    setLoading(true)
-    try {
-      const result = await addToCart(product.id, qty)
-      if (result.success || result.item) {
-        // Refresh cart items from backend
-        const updatedItems = await fetchCartItems()
-        setItems(updatedItems)
-      }
-    } catch (error) {
-      console.error('Failed to add to cart:', error)
-      // Fallback to local state update
-      setItems((prev) => {
-        const idx = prev.findIndex((i) => String(i.id) === String(product.id))
-        if (idx >= 0) {
-          const next = prev.slice()
-          next[idx] = { ...next[idx], qty: next[idx].qty + qty }
-          return next
-        }
-        return [{ id: product.id, name: product.name, price: Number(product.price) || 0, image: product.image, qty }, ...prev]
-      })
-    } finally {
-      setLoading(false)
-    }
-  }, [])
-
-  const remove = useCallback(async (id) => {
-    setLoading(true)
-    try {
-      await removeFromCart(id)
-      // Refresh cart items from backend
-      const updatedItems = await fetchCartItems()
-      setItems(updatedItems)
-    } catch (error) {
-      console.error('Failed to remove from cart:', error)
-      // Fallback to local state update
-      setItems((prev) => prev.filter((i) => String(i.id) !== String(id)))
-    } finally {
-      setLoading(false)
-    }
-  }, [])
-
-  const updateQty = useCallback(async (id, qty) => {
-    setLoading(true)
-    try {
-      await updateCartItem(id, qty)
-      // Refresh cart items from backend
-      const updatedItems = await fetchCartItems()
-      setItems(updatedItems)
-    } catch (error) {
-      console.error('Failed to update cart quantity:', error)
-      // Fallback to local state update
-      setItems((prev) => prev.map((i) => (String(i.id) === String(id) ? { ...i, qty: Math.max(1, qty) } : i)))
-    } finally {
-      setLoading(false)
+    // The API token arrives after Clerk reports the sign-in, once the backend sync finishes
+    const handleAuthChanged = () => {
+      if (getAuthToken()) useCartStore.getState().signIn()
     }
-  }, [])
+    const handleOnline = () => useCartStore.getState().signIn()
 
-  const clear = useCallback(async () => {
-    setLoading(true)
-    try {
-      await clearCart()
-      setItems([])
-    } catch (error) {
-      console.error('Failed to clear cart:', error)
-      // Fallback to local state update
-      setItems([])
-    } finally {
-      setLoading(false)
+    window.addEventListener(AUTH_CHANGED_EVENT, handleAuthChanged)
+    window.addEventListener('online', handleOnline)
+    return () => {
+      window.removeEventListener(AUTH_CHANGED_EVENT, handleAuthChanged)
+      window.removeEventListener('online', handleOnline)
     }
   }, [])
 
-  const openDrawer = () => setDrawerOpen(true)
-  const closeDrawer = () => setDrawerOpen(false)
-  const toggleDrawer = () => setDrawerOpen((o) => !o)
-
-  const subtotal = Array.isArray(items) ? items.reduce((sum, i) => sum + (Number(i.price) || 0) * (i.qty || 1), 0) : 0
-
-  const value = useMemo(() => ({ 
-    items, 
-    add, 
-    remove, 
-    updateQty, 
-    clear, 
-    subtotal, 
-    loading,
-    drawerOpen, 
-    openDrawer, 
-    closeDrawer, 
-    toggleDrawer 
-  }), [items, subtotal, loading, drawerOpen, add, remove, updateQty, clear])
-  
-  return <CartContext.Provider value={value}>{children}</CartContext.Provider>
-}
\ No newline at end of file
+  return children
+}
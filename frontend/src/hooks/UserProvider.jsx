@@ -1,5 +1,6 @@
 // UserProvider: simple auth state placeholder using React Context
 import React, { createContext, useEffect, useMemo, useState } from 'react'
+import { notifyAuthChanged } from '../services/api.js'
 
 export const UserContext = createContext(null)
 
@@ -36,6 +37,7 @@ export default function UserProvider({ children }) {
       localStorage.setItem(USER_KEY, JSON.stringify(next))
     } catch {}
     setUser(next)
+    notifyAuthChanged()
     return { ok: true }
   }
 
@@ -54,6 +56,7 @@ export default function UserProvider({ children }) {
       localStorage.removeItem(USER_KEY)
     } catch {}
     setUser({ isAuthenticated: false, id: null, name: '', email: '', role: 'customer' })
+    notifyAuthChanged()
     return { ok: true }
   }
 
@@ -79,6 +82,7 @@ export default function UserProvider({ children }) {
       localStorage.setItem(USER_KEY, JSON.stringify(next))
     } catch {}
     setUser(next)
+    notifyAuthChanged()
     return { ok: true }
   }
 
@@ -0,0 +1,88 @@
+import { useEffect, useMemo } from 'react'
+import { useAuth } from '@clerk/clerk-react'
+import useWishlistStore from '../stores/wishlistStore'
+import useUIStore from '../stores/uiStore'
+import useSSE from './useSSE'
+import { EVENT_TYPES } from '../lib/realtimeEvents'
+import { AUTH_CHANGED_EVENT, getAuthToken, fetchWishlistAlerts, acknowledgeWishlistAlerts } from '../services/api.js'
+
+// Wishlist API used across the storefront; state lives in stores/wishlistStore.js
+export function useWishlist() {
+  const items = useWishlistStore((s) => s.items)
+  const actions = useWishlistStore.getState()
+
+  return useMemo(() => ({
+    items,
+    count: items.length,
+    add: actions.add,
+    remove: actions.remove,
+    toggle: actions.toggle,
+    setAlerts: actions.setAlerts,
+    has: (productId) => items.some((item) => item.productId === String(productId)),
+    getItem: (productId) => items.find((item) => item.productId === String(productId)),
+  }), [items, actions])
+}
+
+// Alerts arrive as { id, type: 'price_drop' | 'back_in_stock', productId, name, oldPrice, price }
+const showAlert = (alert) => {
+  const { showSuccess, showInfo } = useUIStore.getState()
+  if (alert.type === 'price_drop') {
+    showSuccess(`${alert.name} is now ₹${alert.price}${alert.oldPrice ? ` (was ₹${alert.oldPrice})` : ''}`, 'Price drop on your wishlist')
+  } else if (alert.type === 'back_in_stock') {
+    showInfo(`${alert.name} is back in stock`, 'Back in stock')
+  }
+}
+
+const deliverAlerts = async (alerts) => {
+  if (alerts.length === 0) return
+  alerts.forEach(showAlert)
+  // The list shows the new price / stock once the server has it
+  useWishlistStore.getState().refresh()
+  try {
+    await acknowledgeWishlistAlerts(alerts.map((alert) => alert.id).filter(Boolean))
+  } catch (error) {
+    console.warn('Could not acknowledge wishlist alerts', error)
+  }
+}
+
+// Merge the guest wishlist into the account, then show alerts that piled up while away
+const syncSession = async () => {
+  await useWishlistStore.getState().signIn()
+  if (useWishlistStore.getState().owner !== 'user') return
+  try {
+    const data = await fetchWishlistAlerts()
+    await deliverAlerts(Array.isArray(data) ? data : data?.alerts || [])
+  } catch (error) {
+    console.warn('Could not load wishlist alerts', error)
+  }
+}
+
+// Keeps the wishlist in step with the session (merge on sign-in, reset on sign-out) and
+// shows price-drop / back-in-stock alerts: any that piled up while away, then live ones.
+export default function WishlistProvider({ children }) {
+  const { isLoaded, isSignedIn } = useAuth()
+
+  useEffect(() => {
+    if (!isLoaded) return
+    const { owner, signOut } = useWishlistStore.getState()
+    if (isSignedIn) syncSession()
+    else if (owner === 'user') signOut()
+  }, [isLoaded, isSignedIn])
+
+  useEffect(() => {
+    // The API token arrives after Clerk reports the sign-in, once the backend sync finishes
+    const handleAuthChanged = () => {
+      if (getAuthToken()) syncSession()
+    }
+    window.addEventListener(AUTH_CHANGED_EVENT, handleAuthChanged)
+    return () => window.removeEventListener(AUTH_CHANGED_EVENT, handleAuthChanged)
+  }, [])
+
+  useSSE({
+    types: [EVENT_TYPES.WISHLIST_ALERT],
+    onEvent: (event) => deliverAlerts([event.data]),
+    enabled: Boolean(isLoaded && isSignedIn),
+  })
+
+  return children
+}
@@ -6,6 +6,7 @@
 import { useQuery } from '@tanstack/react-query'
 import { useAuth } from '@clerk/clerk-react'
 import { useUIStore } from '../../stores/uiStore'
+import { normalizeSearchReport } from '../../lib/search'
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
 
@@ -40,6 +41,23 @@ const createAnalyticsAPI = (getToken) => ({
       throw new Error(`Failed to fetch sales analytics: ${response.status}`)
     }
     
+    return response.json()
+  },
+
+  // Built from the events in services/searchTracking.js
+  async getSearchAnalytics(days) {
+    const token = await getToken()
+    const response = await fetch(`${API_BASE}/api/admin/analytics/search?days=${days}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch search analytics: ${response.status}`)
+    }
+
     return response.json()
   }
 })
@@ -76,4 +94,19 @@ export const useSalesAnalytics = () => {
       useUIStore.getState().showError(error.message, 'Failed to load sales analytics')
     },
   })
-}
\ No newline at end of file
+}
+
+/**
+ * Hook to fetch the search report: top queries, zero-result queries and click-through
+ */
+export const useSearchAnalytics = (days = 30) => {
+  const { getToken } = useAuth()
+  const analyticsAPI = createAnalyticsAPI(getToken)
+
+  return useQuery({
+    queryKey: ['admin-analytics', 'search', { days }],
+    queryFn: () => analyticsAPI.getSearchAnalytics(days),
+    select: normalizeSearchReport,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  })
+}
@@ -39,7 +39,9 @@ const createCategoryAPI = (getToken) => ({
         isActive: category.status === 'active',
         sortOrder: category.sort_order || 0,
         seoTitle: category.meta_title,
-        seoDescription: category.meta_description
+        seoDescription: category.meta_description,
+        hsnCode: category.hsn_code || '',
+        gstRate: category.gst_rate ?? null
       }))
     }
     
@@ -60,7 +62,9 @@ const createCategoryAPI = (getToken) => ({
       isActive: data.status === 'active',
       sortOrder: data.sort_order || 0,
       seoTitle: data.meta_title,
-      seoDescription: data.meta_description
+      seoDescription: data.meta_description,
+      hsnCode: data.hsn_code || '',
+      gstRate: data.gst_rate ?? null
     }
   },
 
@@ -79,7 +83,10 @@ const createCategoryAPI = (getToken) => ({
       status: categoryData.isActive ? 'active' : 'inactive',
       sort_order: categoryData.sortOrder || 0,
       meta_title: categoryData.seoTitle || null,
-      meta_description: categoryData.seoDescription || null
+      meta_description: categoryData.seoDescription || null,
+      // Empty inherits the parent category's tax class
+      hsn_code: categoryData.hsnCode || null,
+      gst_rate: categoryData.hsnCode ? Number(categoryData.gstRate) : null
     }
     
     // Remove frontend-specific fields
@@ -89,6 +96,8 @@ const createCategoryAPI = (getToken) => ({
     delete transformedData.seoTitle
     delete transformedData.seoDescription
     delete transformedData.seoKeywords
+    delete transformedData.hsnCode
+    delete transformedData.gstRate
     
     const token = await getToken()
     const response = await fetch(`${API_BASE}/api/categories`, {
@@ -113,7 +122,10 @@ const createCategoryAPI = (getToken) => ({
       status: categoryData.isActive ? 'active' : 'inactive',
       sort_order: categoryData.sortOrder || 0,
       meta_title: categoryData.seoTitle || null,
-      meta_description: categoryData.seoDescription || null
+      meta_description: categoryData.seoDescription || null,
+      // Empty inherits the parent category's tax class
+      hsn_code: categoryData.hsnCode || null,
+      gst_rate: categoryData.hsnCode ? Number(categoryData.gstRate) : null
     }
     
     // Remove frontend-specific fields
@@ -123,6 +135,8 @@ const createCategoryAPI = (getToken) => ({
     delete transformedData.seoTitle
     delete transformedData.seoDescription
     delete transformedData.seoKeywords
+    delete transformedData.hsnCode
+    delete transformedData.gstRate
     
     const token = await getToken()
     const response = await fetch(`${API_BASE}/api/categories/${id}`, {
@@ -240,7 +254,9 @@ export const useUpdateCategory = () => {
         isActive: updatedCategory.status === 'active',
         sortOrder: updatedCategory.sort_order || 0,
         seoTitle: updatedCategory.meta_title,
-        seoDescription: updatedCategory.meta_description
+        seoDescription: updatedCategory.meta_description,
+        hsnCode: updatedCategory.hsn_code || '',
+        gstRate: updatedCategory.gst_rate ?? null
       }
       
       // Update the specific category in cache
@@ -0,0 +1,200 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { normalizeCoupon, normalizeCouponQuote } from '../../lib/coupons'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+// API functions
+const couponAPI = {
+  getAll: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/coupons`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch coupons: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Public: active coupons flagged for the promo banners
+  getFeatured: async () => {
+    const response = await fetch(`${API_BASE}/api/coupons/featured`)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch offers: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Prices the coupon against the cart with the same rules order creation uses.
+  // Refusals come back as 4xx `{ code: 'COUPON_*', message, minOrderAmount? }`.
+  validate: async ({ code, lines }) => {
+    const response = await fetch(`${API_BASE}/api/coupons/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ code, items: lines }),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to check coupon: ${response.statusText}`)
+      error.status = response.status
+      error.code = body.code
+      error.minOrderAmount = body.minOrderAmount
+      throw error
+    }
+    return response.json()
+  },
+
+  // 409 when the code is already taken
+  create: async (coupon) => {
+    const response = await fetch(`${API_BASE}/api/admin/coupons`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(coupon),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to create coupon: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  update: async ({ id, ...coupon }) => {
+    const response = await fetch(`${API_BASE}/api/admin/coupons/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(coupon),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to update coupon: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  // Redeemed coupons are kept for the order records; the server answers 409 and they can only be disabled
+  delete: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/coupons/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to delete coupon: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return { success: true }
+  },
+}
+
+const normalizeCouponList = (data) => (Array.isArray(data) ? data : data?.coupons || []).map(normalizeCoupon)
+
+// Only what the server needs to price the cart
+const toQuoteLines = (items) =>
+  items.map((item) => ({
+    productId: item.productId ?? item.id,
+    variantId: item.variantId ?? undefined,
+    quantity: item.quantity,
+    price: Number(item.price) || 0,
+  }))
+
+// Query hooks
+
+export const useCoupons = () => {
+  return useQuery({
+    queryKey: queryKeys.coupons.admin(),
+    queryFn: couponAPI.getAll,
+    select: normalizeCouponList,
+    onError: (error) => {
+      useUIStore.getState().showError(error.message, 'Failed to load coupons')
+    },
+  })
+}
+
+export const useFeaturedCoupons = () => {
+  return useQuery({
+    queryKey: queryKeys.coupons.featured(),
+    queryFn: couponAPI.getFeatured,
+    select: normalizeCouponList,
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    // Banners fall back to plain category promos when offers can't be loaded
+    retry: false,
+  })
+}
+
+// Re-quotes whenever the cart changes, so the discount always matches what is in it
+export const useCouponQuote = (code, items) => {
+  const lines = toQuoteLines(items)
+  return useQuery({
+    queryKey: queryKeys.coupons.quote(code, lines),
+    queryFn: () => couponAPI.validate({ code, lines }),
+    select: normalizeCouponQuote,
+    enabled: Boolean(code) && lines.length > 0,
+    placeholderData: keepPreviousData,
+    // A refusal is an answer, not a failure worth retrying
+    retry: (failureCount, error) => !error.code && failureCount < 2,
+    staleTime: 1000 * 30,
+  })
+}
+
+// Mutation hooks
+
+export const useCreateCoupon = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: couponAPI.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.coupons.all })
+      showSuccess('Coupon created')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to create coupon')
+    },
+  })
+}
+
+export const useUpdateCoupon = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: couponAPI.update,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.coupons.all })
+      showSuccess('Coupon updated')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to update coupon')
+    },
+  })
+}
+
+export const useDeleteCoupon = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: couponAPI.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.coupons.all })
+      showSuccess('Coupon deleted')
+    },
+    onError: (error) => {
+      const message = error.status === 409 ? 'This coupon has been used on orders. Disable it instead.' : error.message
+      showError(message, 'Failed to delete coupon')
+    },
+  })
+}
@@ -0,0 +1,169 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { normalizeStockLevel, normalizeMovement } from '../../lib/inventory'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+const toParams = (filters = {}) => {
+  const params = new URLSearchParams()
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value)
+    }
+  })
+  return params
+}
+
+// API functions
+const inventoryAPI = {
+  // One row per product, or per variant for products sold in variants.
+  // Filters: page, limit, search, status ('low' | 'out' | 'in_stock')
+  getLevels: async (filters) => {
+    const response = await fetch(`${API_BASE}/api/admin/inventory?${toParams(filters)}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch stock levels: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Rows whose available stock is at or below their threshold, most urgent first
+  getLowStock: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/inventory/low-stock`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch low stock: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Ledger entries, newest first. Filters: productId, variantId, type, page, limit
+  getMovements: async (filters) => {
+    const response = await fetch(`${API_BASE}/api/admin/inventory/movements?${toParams(filters)}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch stock movements: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // 409 when the movement would take on-hand stock below what is reserved
+  recordMovement: async ({ productId, variantId, type, quantity, note }) => {
+    const response = await fetch(`${API_BASE}/api/admin/inventory/movements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ productId, variantId: variantId ?? undefined, type, quantity, note }),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to record stock movement: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  updateThreshold: async ({ productId, threshold }) => {
+    const response = await fetch(`${API_BASE}/api/admin/inventory/${productId}/threshold`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ lowStockThreshold: threshold }),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to update low stock threshold: ${response.statusText}`)
+    }
+    return response.json()
+  },
+}
+
+const normalizeLevelPage = (data) => {
+  const levels = (Array.isArray(data) ? data : data?.levels || []).map(normalizeStockLevel)
+  const pagination = data?.pagination || {}
+  const limit = Number(pagination.limit) || levels.length || 1
+  const total = Number(pagination.total ?? levels.length) || 0
+  return {
+    levels,
+    page: Number(pagination.page) || 1,
+    total,
+    totalPages: Number(pagination.totalPages) || Math.max(1, Math.ceil(total / limit)),
+  }
+}
+
+// Query hooks
+
+export const useStockLevels = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.inventory.levels(filters),
+    queryFn: () => inventoryAPI.getLevels(filters),
+    select: normalizeLevelPage,
+    placeholderData: keepPreviousData,
+    onError: (error) => {
+      useUIStore.getState().showError(error.message, 'Failed to load inventory')
+    },
+  })
+}
+
+export const useLowStock = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.inventory.lowStock(),
+    queryFn: inventoryAPI.getLowStock,
+    select: (data) => (Array.isArray(data) ? data : data?.levels || []).map(normalizeStockLevel),
+    enabled,
+    staleTime: 1000 * 60, // 1 minute
+  })
+}
+
+export const useStockMovements = (filters = {}, { enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.inventory.movements(filters),
+    queryFn: () => inventoryAPI.getMovements(filters),
+    select: (data) => (Array.isArray(data) ? data : data?.movements || []).map(normalizeMovement),
+    enabled,
+  })
+}
+
+// Mutation hooks
+
+// A movement changes product stock too, so product queries are refreshed with the ledger
+export const useRecordStockMovement = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: inventoryAPI.recordMovement,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all })
+      showSuccess('Stock movement recorded')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to record stock movement')
+    },
+  })
+}
+
+export const useUpdateLowStockThreshold = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: inventoryAPI.updateThreshold,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+      showSuccess('Low stock threshold updated')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to update threshold')
+    },
+  })
+}
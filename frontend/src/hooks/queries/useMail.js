@@ -0,0 +1,87 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import useUIStore from '../../stores/uiStore'
+import { getMailTransport, MAIL_STATUS } from '../../services/mail/mailGateway'
+
+// Outbox reads and actions go through the mail transport, so the same admin page shows the
+// local catcher in development and the API's send queue in production.
+
+const normalizeMessage = (message) => ({
+  id: message.id,
+  template: message.template || '',
+  to: message.to || '',
+  subject: message.subject || '',
+  html: message.html || '',
+  text: message.text || '',
+  status: message.status || MAIL_STATUS.QUEUED,
+  attempts: Number(message.attempts) || 0,
+  lastError: message.lastError ?? message.last_error ?? null,
+  nextAttemptAt: message.nextAttemptAt ?? message.next_attempt_at ?? null,
+  createdAt: message.createdAt ?? message.created_at,
+  sentAt: message.sentAt ?? message.sent_at ?? null,
+})
+
+const isPending = (message) => message.status === MAIL_STATUS.QUEUED || message.status === MAIL_STATUS.SENDING
+
+// Query hooks
+
+// Polls every few seconds while anything is waiting to be sent, so retries show up as they happen
+export const useMailOutbox = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.mail.outbox(filters),
+    queryFn: () => getMailTransport().list(filters),
+    select: (messages) => messages.map(normalizeMessage),
+    refetchInterval: (query) => ((query.state.data || []).some(isPending) ? 3000 : false),
+  })
+}
+
+// Mutation hooks
+
+export const useRetryMail = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: (id) => getMailTransport().retry(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.mail.all })
+      showSuccess('Message queued again')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to retry message')
+    },
+  })
+}
+
+export const useSendTestMail = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: ({ to, template, settings }) =>
+      getMailTransport().sendTest({ to, template, settings, baseUrl: window.location.origin }),
+    retry: false,
+    onSuccess: (_, { to }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.mail.all })
+      showSuccess(
+        getMailTransport().name === 'catcher'
+          ? `Test email to ${to} is in the mail catcher`
+          : `Test email queued for ${to}`
+      )
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to send test email')
+    },
+  })
+}
+
+export const useClearMailCatcher = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: () => getMailTransport().clear(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.mail.all })
+    },
+  })
+}
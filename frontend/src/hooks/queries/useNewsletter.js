@@ -0,0 +1,236 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { normalizeCampaign, normalizeSubscriber } from '../../lib/newsletter'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// Long-lived subscriber token from the confirmation link, used to attribute reading activity
+// to a subscriber who is not signed in
+const SUBSCRIBER_TOKEN_KEY = 'newsletter.subscriberToken'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+const failure = async (response, fallback) => {
+  const body = await response.json().catch(() => ({}))
+  const error = new Error(body.message || `${fallback}: ${response.statusText}`)
+  error.status = response.status
+  error.code = body.code
+  return error
+}
+
+const post = async (path, body, fallback) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body),
+  })
+  if (!response.ok) throw await failure(response, fallback)
+  return response.json()
+}
+
+// API functions
+const newsletterAPI = {
+  // Responds with { subscriber } and emails the confirmation link; the token itself never comes
+  // back to the browser. Signing up again while pending emails a fresh link; an address that is
+  // already subscribed comes back unchanged.
+  subscribe: ({ email, source }) => post('/api/newsletter/subscribe', { email, source }, 'Failed to subscribe'),
+
+  // Responds with { subscriber, token }; 410 with code 'token_expired' for stale links
+  confirm: (token) => post('/api/newsletter/confirm', { token }, 'Failed to confirm subscription'),
+
+  unsubscribe: (token) => post('/api/newsletter/unsubscribe', { token }, 'Failed to unsubscribe'),
+
+  recordActivity: ({ type, ref, token }) => post('/api/newsletter/activity', { type, ref, token }, 'Failed to record activity'),
+
+  // Filters: status, segment, search, page, limit. Responds with { subscribers, total }
+  getSubscribers: async (filters = {}) => {
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value)
+      }
+    })
+    const response = await fetch(`${API_BASE}/api/admin/newsletter/subscribers?${params}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch subscribers: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Confirmed subscribers in each segment: { segments: [{ id, count }] }
+  getSegments: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/newsletter/segments`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch segments: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  getCampaigns: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/newsletter/campaigns`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch campaigns: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  saveCampaign: async ({ id, ...campaign }) => {
+    const response = await fetch(`${API_BASE}/api/admin/newsletter/campaigns${id ? `/${id}` : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(campaign),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to save campaign')
+    return response.json()
+  },
+
+  deleteCampaign: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/newsletter/campaigns/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to delete campaign')
+  },
+
+  // Resolves the segment and queues one message per confirmed subscriber on the server's mail
+  // queue. Responds with { campaign }; recipients and their tokens stay on the server.
+  // 409 with code 'already_sent' for sent campaigns.
+  sendCampaign: (id) => post(`/api/admin/newsletter/campaigns/${id}/send`, {}, 'Failed to send campaign'),
+}
+
+/**
+ * Tell the API a visitor read something that places them in a segment. Only subscribers
+ * are tracked: signed-in users are matched by their account email, others by the token
+ * saved when they confirmed. Fire-and-forget.
+ */
+export function recordNewsletterActivity(type, ref) {
+  const token = localStorage.getItem(SUBSCRIBER_TOKEN_KEY)
+  if (!token && !getAuthToken()) return
+  newsletterAPI.recordActivity({ type, ref, token }).catch(() => {})
+}
+
+// Query hooks
+
+export const useSubscribers = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.newsletter.subscribers(filters),
+    queryFn: () => newsletterAPI.getSubscribers(filters),
+    select: (data) => ({
+      subscribers: (Array.isArray(data) ? data : data.subscribers || []).map(normalizeSubscriber),
+      total: data.total ?? (Array.isArray(data) ? data.length : 0),
+    }),
+    placeholderData: keepPreviousData,
+  })
+}
+
+// Segment id -> confirmed subscriber count
+export const useNewsletterSegments = () => {
+  return useQuery({
+    queryKey: queryKeys.newsletter.segments(),
+    queryFn: newsletterAPI.getSegments,
+    select: (data) => Object.fromEntries((data.segments || []).map(({ id, count }) => [id, Number(count) || 0])),
+  })
+}
+
+export const useCampaigns = () => {
+  return useQuery({
+    queryKey: queryKeys.newsletter.campaigns(),
+    queryFn: newsletterAPI.getCampaigns,
+    select: (data) => (Array.isArray(data) ? data : data.campaigns || []).map(normalizeCampaign),
+  })
+}
+
+// Mutation hooks
+
+export const useSubscribeNewsletter = () => {
+  return useMutation({
+    mutationFn: async ({ email, source }) => {
+      const { subscriber } = await newsletterAPI.subscribe({ email, source })
+      return normalizeSubscriber(subscriber || { email })
+    },
+    retry: false,
+  })
+}
+
+export const useConfirmSubscription = () => {
+  return useMutation({
+    mutationFn: async (token) => {
+      const data = await newsletterAPI.confirm(token)
+      if (data.token) localStorage.setItem(SUBSCRIBER_TOKEN_KEY, data.token)
+      return normalizeSubscriber(data.subscriber || data)
+    },
+    retry: false,
+  })
+}
+
+export const useUnsubscribe = () => {
+  return useMutation({
+    mutationFn: async (token) => {
+      const data = await newsletterAPI.unsubscribe(token)
+      localStorage.removeItem(SUBSCRIBER_TOKEN_KEY)
+      return normalizeSubscriber(data.subscriber || data)
+    },
+    retry: false,
+  })
+}
+
+export const useSaveCampaign = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: async (campaign) => normalizeCampaign(await newsletterAPI.saveCampaign(campaign)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.newsletter.campaigns() })
+      showSuccess('Campaign saved')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to save campaign')
+    },
+  })
+}
+
+export const useDeleteCampaign = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: newsletterAPI.deleteCampaign,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.newsletter.campaigns() })
+      showSuccess('Campaign deleted')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to delete campaign')
+    },
+  })
+}
+
+export const useSendCampaign = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: async (id) => normalizeCampaign((await newsletterAPI.sendCampaign(id)).campaign),
+    retry: false,
+    onSuccess: (campaign) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.newsletter.campaigns() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.mail.all })
+      showSuccess(`"${campaign.subject}" is on its way to ${campaign.recipientCount} subscribers`)
+    },
+    onError: (error) => {
+      showError(error.code === 'already_sent' ? 'This campaign has already been sent.' : error.message, 'Failed to send campaign')
+    },
+  })
+}
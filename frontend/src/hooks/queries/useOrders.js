@@ -1,7 +1,10 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
 import { queryKeys } from '../../lib/queryClient'
 import useUIStore from '../../stores/uiStore'
 import useAuthStore from '../../stores/authStore'
+import { normalizeInvoice, normalizeOrderTax } from '../../lib/gst'
+import { downloadFile } from '../../lib/csv'
+import { normalizeDeliveryEstimate } from '../../lib/shipping'
 
 const API_BASE = 'http://localhost:4000/api'
 
@@ -50,6 +53,7 @@ const orderAPI = {
     return response.json()
   },
 
+  // Reserves stock for every line; the response says until when (`reservation_expires_at`)
   create: async (orderData) => {
     const response = await fetch(`${API_BASE}/orders`, {
       method: 'POST',
@@ -60,26 +64,104 @@ const orderAPI = {
       body: JSON.stringify(orderData),
     })
     if (!response.ok) {
-      throw new Error(`Failed to create order: ${response.statusText}`)
+      // Stock and price rejections come back as a per-item list so checkout can fix the cart;
+      // a coupon that no longer applies comes back as `coupon: { code: 'COUPON_*', message }`
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to create order: ${response.statusText}`)
+      error.status = response.status
+      error.rejections = Array.isArray(body.errors) ? body.errors : []
+      error.couponError = body.coupon || null
+      throw error
     }
     return response.json()
   },
 
-  updateStatus: async ({ id, status }) => {
+  // The server validates the transition and appends an audit entry; 409 means the move is not allowed
+  updateStatus: async ({ id, status, note }) => {
     const response = await fetch(`${API_BASE}/admin/orders/${id}/status`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
       },
-      body: JSON.stringify({ status }),
+      body: JSON.stringify({ status, note }),
     })
     if (!response.ok) {
-      throw new Error(`Failed to update order status: ${response.statusText}`)
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to update order status: ${response.statusText}`)
+      error.status = response.status
+      throw error
     }
     return response.json()
   },
 
+  // Applies one status to many orders; each order is checked on its own, so some may fail
+  bulkUpdateStatus: async ({ ids, status, note }) => {
+    const response = await fetch(`${API_BASE}/admin/orders/bulk-status`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+      body: JSON.stringify({ ids, status, note }),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.message || `Failed to update orders: ${response.statusText}`)
+    }
+    const body = await response.json()
+    return { updated: body.updated || [], failed: body.failed || [] }
+  },
+
+  getHistory: async (id) => {
+    const response = await fetch(`${API_BASE}/admin/orders/${id}/history`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch order history: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // `{ provider, intentId }` only: the server retrieves the intent from the gateway and marks the
+  // order paid from the gateway's status, never from anything the browser reports. Mock payments
+  // add a signed `receipt`, which only a non-production API accepts (see docs/payments.md).
+  recordPayment: async ({ id, payment }) => {
+    const response = await fetch(`${API_BASE}/orders/${id}/payment`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+      body: JSON.stringify(payment),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to record payment: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // The numbered GST invoice as a PDF, generated by the server; 409 until the invoice is issued
+  getInvoice: async (id) => {
+    const response = await fetch(`${API_BASE}/orders/${id}/invoice`, {
+      headers: {
+        'Accept': 'application/pdf',
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to download invoice: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `invoice-${id}.pdf`
+    return { blob: await response.blob(), filename }
+  },
+
   cancel: async (id) => {
     const response = await fetch(`${API_BASE}/orders/${id}/cancel`, {
       method: 'PUT',
@@ -94,13 +176,135 @@ const orderAPI = {
   },
 }
 
+// The API returns orders with snake_case columns; pages render this camelCase shape
+const parseJSON = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback
+  try { return JSON.parse(value) } catch { return fallback }
+}
+
+const normalizeDiscounts = (order) => {
+  const lines = parseJSON(order.discounts ?? order.discount_lines, [])
+  if (Array.isArray(lines) && lines.length > 0) {
+    return lines.map((line) => ({
+      code: line.code || '',
+      label: line.label || line.description || line.code || 'Discount',
+      amount: Number(line.amount) || 0,
+    }))
+  }
+  // Orders stored before discount lines only carry the total and the code
+  const discount = Number(order.discount) || 0
+  const code = order.couponCode || order.coupon_code || ''
+  return discount > 0 ? [{ code, label: code ? `Coupon ${code}` : 'Discount', amount: discount }] : []
+}
+
+// The gateway payment recorded at checkout; refunds go back through the same provider and intent
+const normalizeOrderPayment = (order) => {
+  const payment = parseJSON(order.payment, null) || {}
+  return {
+    provider: payment.provider || order.paymentProvider || order.payment_provider || null,
+    intentId: payment.intentId ?? payment.intent_id ?? order.paymentIntentId ?? order.payment_intent_id ?? null,
+    status: payment.status || order.paymentStatus || order.payment_status || null,
+    amountRefunded: Number(payment.amountRefunded ?? payment.amount_refunded ?? order.amountRefunded ?? order.amount_refunded) || 0,
+  }
+}
+
+export const normalizeOrder = (order) => {
+  if (!order) return null
+  const address = parseJSON(order.shippingAddress ?? order.shipping_address, {})
+  const items = parseJSON(order.items ?? order.order_items, [])
+
+  return {
+    ...order,
+    orderNumber: order.orderNumber || order.order_number || String(order.id),
+    status: order.status || 'pending',
+    orderDate: order.orderDate || order.createdAt || order.created_at,
+    // Window promised at checkout: { from, to }
+    estimatedDelivery: normalizeDeliveryEstimate(order.estimatedDelivery ?? order.estimated_delivery),
+    subtotal: Number(order.subtotal) || 0,
+    shipping: Number(order.shipping ?? order.shipping_fee) || 0,
+    tax: Number(order.tax) || 0,
+    discount: Number(order.discount) || 0,
+    couponCode: order.couponCode || order.coupon_code || null,
+    // One line per promotion applied: { code, label, amount }; free shipping is shown as its saving
+    discounts: normalizeDiscounts(order),
+    total: Number(order.total ?? order.total_amount) || 0,
+    // GST as charged, split into CGST/SGST or IGST per HSN code; see lib/gst.js
+    taxBreakdown: normalizeOrderTax(parseJSON(order.taxBreakdown ?? order.tax_breakdown, null)),
+    invoice: normalizeInvoice(order.invoice ?? { number: order.invoice_number, issuedAt: order.invoice_issued_at }),
+    paymentMethod: order.paymentMethod || order.payment_method || null,
+    payment: normalizeOrderPayment(order),
+    // Parcel weight in kg that shipping was charged for; see lib/shipping.js
+    chargeableWeight: Number(order.chargeableWeight ?? order.chargeable_weight) || 0,
+    // Starts the return window; see lib/returns.js
+    deliveredAt: order.deliveredAt || order.delivered_at || null,
+    // Until this time the order's items are held in stock for it; see lib/inventory.js
+    reservationExpiresAt: order.reservationExpiresAt || order.reservation_expires_at || null,
+    customerName: order.customerName || order.customer_name || order.user_name || address.name || '',
+    customerEmail: order.customerEmail || order.customer_email || order.user_email || address.email || '',
+    shippingAddress: {
+      name: address.name || '',
+      street: address.street || address.address || '',
+      city: address.city || '',
+      state: address.state || '',
+      postalCode: address.postalCode || address.postal_code || address.zipCode || '',
+      phone: address.phone || '',
+      email: address.email || '',
+    },
+    items: items.map((item) => ({
+      ...item,
+      productId: item.productId ?? item.product_id,
+      variantId: item.variantId ?? item.variant_id ?? null,
+      variantTitle: item.variantTitle || item.variant_title || '',
+      name: item.name || item.product_name,
+      image: item.image || item.product_image,
+      price: Number(item.price) || 0,
+      quantity: Number(item.quantity ?? item.qty) || 1,
+      hsnCode: item.hsnCode || item.hsn_code || '',
+      gstRate: Number(item.gstRate ?? item.gst_rate) || 0,
+      weight: Number(item.weight ?? item.product_weight) || 0,
+      dimensions: item.dimensions ?? item.product_dimensions ?? null,
+    })),
+  }
+}
+
+// Admin list responses are `{ orders, pagination }`; older endpoints return a bare array
+export const normalizeOrderPage = (data) => {
+  const orders = (Array.isArray(data) ? data : data?.orders || []).map(normalizeOrder)
+  const pagination = data?.pagination || {}
+  const limit = Number(pagination.limit) || orders.length || 1
+  const total = Number(pagination.total ?? orders.length) || 0
+  return {
+    orders,
+    // Per-status totals across all pages, when the server includes them
+    counts: data?.counts || {},
+    page: Number(pagination.page) || 1,
+    limit,
+    total,
+    totalPages: Number(pagination.totalPages) || Math.max(1, Math.ceil(total / limit)),
+  }
+}
+
+const normalizeHistoryEntry = (entry) => ({
+  id: entry.id,
+  fromStatus: entry.fromStatus ?? entry.from_status ?? null,
+  toStatus: entry.toStatus ?? entry.to_status,
+  note: entry.note || '',
+  actor: entry.actor || entry.actor_name || entry.changed_by || 'System',
+  createdAt: entry.createdAt || entry.created_at,
+})
+
 // Query hooks
+
+// Filters: page, limit, status, from, to (ISO dates) and customer (name, email or order number)
 export const useOrders = (filters = {}) => {
   const { setLoading } = useUIStore()
   
   return useQuery({
     queryKey: queryKeys.orders.list(filters),
     queryFn: () => orderAPI.getAll(filters),
+    select: normalizeOrderPage,
+    // Keep the current page on screen while the next one loads
+    placeholderData: keepPreviousData,
     onSettled: () => setLoading('orders', false),
     onError: (error) => {
       useUIStore.getState().showError(error.message, 'Failed to load orders')
@@ -112,6 +316,7 @@ export const useOrder = (id) => {
   return useQuery({
     queryKey: queryKeys.orders.detail(id),
     queryFn: () => orderAPI.getById(id),
+    select: normalizeOrder,
     enabled: !!id,
     onError: (error) => {
       useUIStore.getState().showError(error.message, 'Failed to load order')
@@ -119,6 +324,16 @@ export const useOrder = (id) => {
   })
 }
 
+// Audit trail: every status change with who made it and why
+export const useOrderHistory = (id) => {
+  return useQuery({
+    queryKey: queryKeys.orders.history(id),
+    queryFn: () => orderAPI.getHistory(id),
+    select: (data) => (Array.isArray(data) ? data : data?.history || []).map(normalizeHistoryEntry),
+    enabled: !!id,
+  })
+}
+
 export const useUserOrders = (userId) => {
   return useQuery({
     queryKey: queryKeys.orders.user(userId),
@@ -145,24 +360,37 @@ export const useCreateOrder = () => {
 
   return useMutation({
     mutationFn: orderAPI.create,
+    // Never replay an order POST automatically - a retry after a lost response would double-order
+    retry: false,
     onSuccess: (newOrder) => {
       // Invalidate orders lists
       queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      // Placing the order reserved its stock and redeemed its coupon
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.coupons.all })
       
       // Invalidate user orders
       if (user?.id) {
         queryClient.invalidateQueries({ queryKey: queryKeys.orders.user(user.id) })
       }
       
-      // Add the new order to the cache
+      // Add the new order to the cache under both its id and its order number
       queryClient.setQueryData(
         queryKeys.orders.detail(newOrder.id),
         newOrder
       )
+      if (newOrder.orderNumber) {
+        queryClient.setQueryData(
+          queryKeys.orders.detail(newOrder.orderNumber),
+          newOrder
+        )
+      }
       
       showSuccess('Order placed successfully!')
     },
     onError: (error) => {
+      // Item-level and coupon rejections are surfaced in the checkout by the caller
+      if (error.rejections?.length || error.couponError) return
       showError(error.message, 'Failed to place order')
     },
   })
@@ -181,8 +409,11 @@ export const useUpdateOrderStatus = () => {
         updatedOrder
       )
       
-      // Invalidate orders list to reflect changes
+      // Invalidate orders list and the audit trail to reflect changes
       queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.history(updatedOrder.id) })
+      // Cancelling releases the order's reserved stock
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
       
       // Invalidate user orders if applicable
       if (updatedOrder.user_id) {
@@ -199,6 +430,64 @@ export const useUpdateOrderStatus = () => {
   })
 }
 
+export const useBulkUpdateOrderStatus = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: orderAPI.bulkUpdateStatus,
+    onSuccess: ({ updated, failed }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+      if (updated.length > 0) {
+        showSuccess(`Updated ${updated.length} order${updated.length === 1 ? '' : 's'}`)
+      }
+      if (failed.length > 0) {
+        showError(
+          failed.map((f) => `#${f.orderNumber || f.id}: ${f.message}`).join('\n'),
+          `${failed.length} order${failed.length === 1 ? '' : 's'} could not be updated`
+        )
+      }
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to update orders')
+    },
+  })
+}
+
+// Attach a confirmed payment intent to an order so the server can verify it with the gateway
+export const useRecordOrderPayment = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: orderAPI.recordPayment,
+    retry: false,
+    onSuccess: (updatedOrder) => {
+      queryClient.setQueryData(
+        queryKeys.orders.detail(updatedOrder.id),
+        updatedOrder
+      )
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+    },
+  })
+}
+
+export const useDownloadInvoice = () => {
+  const { showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: orderAPI.getInvoice,
+    retry: false,
+    onSuccess: ({ blob, filename }) => downloadFile(blob, filename),
+    onError: (error) => {
+      showError(
+        error.status === 409 ? 'The invoice is issued once the order is paid or confirmed.' : error.message,
+        'Invoice not available'
+      )
+    },
+  })
+}
+
 export const useCancelOrder = () => {
   const queryClient = useQueryClient()
   const { showSuccess, showError } = useUIStore()
@@ -213,8 +502,9 @@ export const useCancelOrder = () => {
         cancelledOrder
       )
       
-      // Invalidate orders list
+      // Invalidate orders list and stock levels (the reservation is released)
       queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
       
       // Invalidate user orders
       if (user?.id) {
@@ -229,6 +519,25 @@ export const useCancelOrder = () => {
   })
 }
 
+// Cancels an unpaid order checkout left behind when the cart changed, releasing its stock hold.
+// The customer never asked for it, so there is no toast either way.
+export const useAbandonOrder = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: orderAPI.cancel,
+    retry: false,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+    },
+    onError: (error) => {
+      // The server also releases the hold when the reservation expires
+      console.warn('Failed to cancel abandoned order', error)
+    },
+  })
+}
+
 // Prefetch utilities
 export const usePrefetchOrder = () => {
   const queryClient = useQueryClient()
@@ -101,6 +101,11 @@ const createProductAPI = (getToken) => ({
       blooming_season: productData.bloomingSeason,
       difficulty: productData.difficulty,
       low_stock_threshold: productData.lowStockThreshold ? parseInt(productData.lowStockThreshold) : 5,
+      // Large or fragile plants that only go out with our own delivery, see lib/shipping.js
+      local_delivery_only: Boolean(productData.localDeliveryOnly),
+      // Variant options and matrix, see lib/productVariants.js
+      variant_options: productData.variant_options,
+      variants: productData.variants,
     }
 
     // Always use FormData for admin endpoint to handle both images and regular data
@@ -199,6 +204,11 @@ const createProductAPI = (getToken) => ({
       blooming_season: productData.bloomingSeason,
       difficulty: productData.difficulty,
       low_stock_threshold: productData.lowStockThreshold ? parseInt(productData.lowStockThreshold) : 5,
+      // Large or fragile plants that only go out with our own delivery, see lib/shipping.js
+      local_delivery_only: Boolean(productData.localDeliveryOnly),
+      // Variant options and matrix, see lib/productVariants.js
+      variant_options: productData.variant_options,
+      variants: productData.variants,
     }
 
     // Always use FormData for admin endpoint to handle both images and regular data
@@ -278,6 +288,28 @@ const createProductAPI = (getToken) => ({
     // For other success responses, try to parse JSON
     return response.json()
   },
+
+  // Upsert validated CSV rows; with dryRun the server only reports what each row would do.
+  // Responds with { results: [{ line, action: 'create'|'update'|'skip', productId, reason, errors }] }
+  import: async ({ rows, dryRun }) => {
+    const token = getToken()
+    const response = await fetch(`${API_BASE}/api/admin/products/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({
+        dryRun,
+        rows: rows.map(({ line, product }) => ({ line, ...product })),
+      }),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.message || `Failed to import products: ${response.statusText}`)
+    }
+    return response.json()
+  },
 })
 
 // Query hooks
@@ -307,7 +339,7 @@ export const useAdminProducts = (filters = {}) => {
   const productAPI = createProductAPI(getToken)
   
   return useQuery({
-    queryKey: ['admin-products', filters],
+    queryKey: queryKeys.products.admin(filters),
     queryFn: async () => {
       const response = await productAPI.getAllAdmin(filters)
       // Return the products array from the admin response structure
@@ -450,6 +482,56 @@ export const useDeleteProduct = () => {
   })
 }
 
+export const useImportProducts = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  // Use custom JWT token from localStorage instead of Clerk's getToken
+  const getCustomToken = () => {
+    const auth = JSON.parse(localStorage.getItem('auth') || '{}')
+    return auth.token || localStorage.getItem('auth.token')
+  }
+
+  const productAPI = createProductAPI(getCustomToken)
+
+  return useMutation({
+    mutationFn: productAPI.import,
+    onSuccess: (result, { dryRun }) => {
+      if (dryRun) return
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all })
+      showSuccess('Product import finished')
+    },
+    onError: (error, { dryRun }) => {
+      showError(error.message, dryRun ? 'Dry run failed' : 'Import failed')
+    },
+  })
+}
+
+// Every product matching the admin list filters (all pages), for export
+export const useExportProducts = () => {
+  const { showError } = useUIStore()
+  const { getToken } = useAuth()
+  const productAPI = createProductAPI(getToken)
+
+  return useMutation({
+    mutationFn: async (filters = {}) => {
+      const products = []
+      let page = 1
+      let pages = 1
+      do {
+        const response = await productAPI.getAllAdmin({ ...filters, page, limit: 100 })
+        products.push(...(response.products || []))
+        pages = response.pagination?.pages || 1
+        page += 1
+      } while (page <= pages)
+      return products
+    },
+    onError: (error) => {
+      showError(error.message, 'Export failed')
+    },
+  })
+}
+
 // Prefetch utilities
 export const usePrefetchProduct = () => {
   const queryClient = useQueryClient()
@@ -0,0 +1,200 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { normalizeReturn } from '../../lib/returns'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+import { getPaymentErrorMessage } from '../../services/payments/paymentGateway'
+import { normalizeOrder } from './useOrders'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+const failure = async (response, fallback) => {
+  const body = await response.json().catch(() => ({}))
+  const error = new Error(body.message || `${fallback}: ${response.statusText}`)
+  error.status = response.status
+  error.code = body.code
+  return error
+}
+
+// API functions
+const returnAPI = {
+  getForOrder: async (orderId) => {
+    const response = await fetch(`${API_BASE}/api/orders/${orderId}/returns`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch return requests: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Multipart so the damage photos travel with the request, like review photos.
+  // 409 with code 'return_window_closed' or 'quantity_exceeded' when the server disagrees with the form.
+  create: async ({ orderId, items, reason, description, photos = [] }) => {
+    const formData = new FormData()
+    formData.append('items', JSON.stringify(items))
+    formData.append('reason', reason)
+    formData.append('description', description)
+    photos.forEach((photo) => formData.append('images', photo))
+
+    const response = await fetch(`${API_BASE}/api/orders/${orderId}/returns`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: formData,
+    })
+    if (!response.ok) throw await failure(response, 'Failed to submit return request')
+    return response.json()
+  },
+
+  // Filters: status, page, limit. Each request embeds its order for the refund step.
+  getAll: async (filters = {}) => {
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value)
+      }
+    })
+    const response = await fetch(`${API_BASE}/api/admin/returns?${params}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch return requests: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  /**
+   * Close a request as a replacement or refund. The server creates the zero-value
+   * replacement order, or refunds `refund.amount` itself: through the gateway against the
+   * intent the order was paid with, or, for cash on delivery, by recording the admin's transfer
+   * `reference`. It then writes a `return` stock movement for every line whose disposition is
+   * 'restock'. The refund and the resolution are saved together, so a resolved request can't be
+   * refunded again. Each admin submission gets its own idempotency key: a resend of the same
+   * request is answered once, while a retry after a gateway failure, or with a corrected amount
+   * or resolution, is a new attempt rather than a replay of the cached failure.
+   */
+  resolve: async ({ id, resolution, lines, refund, note }) => {
+    const response = await fetch(`${API_BASE}/api/admin/returns/${id}/resolve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `return-${id}-${resolution}-${Date.now().toString(36)}`, ...authHeaders() },
+      body: JSON.stringify({ resolution, lines, refund, note }),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to resolve return request')
+    return response.json()
+  },
+
+  reject: async ({ id, reason }) => {
+    const response = await fetch(`${API_BASE}/api/admin/returns/${id}/reject`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ reason }),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to reject return request')
+    return response.json()
+  },
+}
+
+const normalizeAdminReturn = (raw) => ({
+  ...normalizeReturn(raw),
+  order: raw.order ? normalizeOrder(raw.order) : null,
+})
+
+// Query hooks
+
+export const useOrderReturns = (orderId) => {
+  return useQuery({
+    queryKey: queryKeys.returns.order(orderId),
+    queryFn: () => returnAPI.getForOrder(orderId),
+    select: (data) => (Array.isArray(data) ? data : data?.returns || []).map(normalizeReturn),
+    enabled: !!orderId,
+  })
+}
+
+export const useReturnRequests = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.returns.admin(filters),
+    queryFn: () => returnAPI.getAll(filters),
+    select: (data) => ({
+      returns: (Array.isArray(data) ? data : data?.returns || []).map(normalizeAdminReturn),
+      counts: data?.counts || {},
+      totalPages: Number(data?.pagination?.totalPages) || 1,
+    }),
+    placeholderData: keepPreviousData,
+  })
+}
+
+// Mutation hooks
+
+export const useCreateReturn = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: returnAPI.create,
+    retry: false,
+    onSuccess: (_, { orderId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.returns.order(orderId) })
+      showSuccess("We'll review the photos and get back to you within 2 working days.", 'Request received')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to submit request')
+    },
+  })
+}
+
+/**
+ * Resolve a request. Refunds are issued by the server as part of resolving; cash-on-delivery
+ * refunds are paid out by hand and only the admin's reference is recorded.
+ */
+export const useResolveReturn = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: ({ request, resolution, lines, refundAmount, reference, note }) =>
+      returnAPI.resolve({
+        id: request.id,
+        resolution,
+        lines,
+        refund: resolution === 'refund' ? { amount: refundAmount, reference: reference || undefined } : null,
+        note,
+      }),
+    retry: false,
+    onSuccess: (_, { request, resolution }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.returns.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.detail(request.orderId) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all })
+      showSuccess(
+        resolution === 'refund'
+          ? `Refund issued for order ${request.orderNumber}`
+          : `Replacement order created for order ${request.orderNumber}`
+      )
+    },
+    onError: (error) => {
+      // Gateway failures carry a payment error code; the request stays open in that case
+      showError(error.code ? getPaymentErrorMessage(error) : error.message, 'Failed to resolve request')
+    },
+  })
+}
+
+export const useRejectReturn = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: returnAPI.reject,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.returns.all })
+      showSuccess('Return request rejected')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to reject request')
+    },
+  })
+}
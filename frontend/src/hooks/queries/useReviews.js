@@ -0,0 +1,267 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+// API functions
+const reviewAPI = {
+  // Approved reviews for a product plus the rating aggregate the server keeps for it
+  getForProduct: async (productId) => {
+    const response = await fetch(`${API_BASE}/api/reviews?productId=${encodeURIComponent(productId)}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch reviews: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Whether the signed-in customer may review the product and if it counts as a verified purchase
+  // (the server looks for a delivered order containing it)
+  getEligibility: async (productId) => {
+    const response = await fetch(`${API_BASE}/api/reviews/eligibility?productId=${encodeURIComponent(productId)}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to check review eligibility: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Multipart so photos travel with the review; new reviews start in the moderation queue
+  create: async ({ productId, rating, title, comment, photos = [] }) => {
+    const formData = new FormData()
+    formData.append('productId', productId)
+    formData.append('rating', rating)
+    formData.append('title', title)
+    formData.append('comment', comment)
+    photos.forEach((photo) => formData.append('images', photo))
+
+    const response = await fetch(`${API_BASE}/api/reviews`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: formData,
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to submit review: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  // vote: 'up' | 'down' | null (null withdraws the customer's vote)
+  vote: async ({ reviewId, vote }) => {
+    const response = await fetch(`${API_BASE}/api/reviews/${reviewId}/vote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ vote }),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to record vote: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  getModerationQueue: async (filters = {}) => {
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value)
+      }
+    })
+    const response = await fetch(`${API_BASE}/api/admin/reviews?${params}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch reviews: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // action: 'approve' | 'reject' | 'flag'; reject and flag need a reason
+  moderate: async ({ reviewId, action, reason }) => {
+    const response = await fetch(`${API_BASE}/api/admin/reviews/${reviewId}/moderate`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ action, reason }),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.message || `Failed to moderate review: ${response.statusText}`)
+    }
+    return response.json()
+  },
+}
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged']
+
+export const normalizeReview = (review) => ({
+  id: review.id,
+  productId: review.productId ?? review.product_id,
+  productName: review.productName || review.product_name || '',
+  userName: review.userName || review.user_name || 'Customer',
+  userAvatar: review.userAvatar || review.user_avatar || null,
+  rating: Number(review.rating) || 0,
+  title: review.title || '',
+  comment: review.comment || review.body || '',
+  images: review.images || [],
+  verified: Boolean(review.verified ?? review.verified_purchase),
+  status: review.status || 'pending',
+  moderationReason: review.moderationReason || review.moderation_reason || '',
+  helpfulCount: Number(review.helpfulCount ?? review.helpful_count) || 0,
+  notHelpfulCount: Number(review.notHelpfulCount ?? review.not_helpful_count) || 0,
+  userVote: review.userVote ?? review.user_vote ?? null,
+  createdAt: review.createdAt || review.created_at,
+})
+
+const emptyDistribution = () => ({ 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 })
+
+/**
+ * Rating aggregate for a product, from whichever shape the API sent
+ * (`averageRating`/`reviewCount` on products, `summary` on review lists).
+ * Returns `{ average, count }`; average is 0 when there are no reviews.
+ */
+export const getProductRating = (product = {}) => {
+  const count = Number(product.reviewCount ?? product.review_count ?? product.count) || 0
+  const average = Number(product.averageRating ?? product.average_rating ?? product.average) || 0
+  return { average: count > 0 ? average : 0, count }
+}
+
+const normalizeProductReviews = (data) => {
+  const reviews = (Array.isArray(data) ? data : data?.reviews || []).map(normalizeReview)
+  const { average, count } = getProductRating(data?.summary || {})
+  return {
+    reviews,
+    summary: {
+      average,
+      count,
+      distribution: { ...emptyDistribution(), ...(data?.summary?.distribution || {}) },
+    },
+  }
+}
+
+// Query hooks
+export const useProductReviews = (productId) => {
+  return useQuery({
+    queryKey: queryKeys.reviews.product(productId),
+    queryFn: () => reviewAPI.getForProduct(productId),
+    select: normalizeProductReviews,
+    enabled: !!productId,
+    staleTime: 1000 * 60 * 2, // 2 minutes
+  })
+}
+
+export const useReviewEligibility = (productId, { enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.reviews.eligibility(productId),
+    queryFn: () => reviewAPI.getEligibility(productId),
+    enabled: !!productId && enabled,
+    retry: false,
+  })
+}
+
+export const useModerationQueue = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.reviews.moderation(filters),
+    queryFn: () => reviewAPI.getModerationQueue(filters),
+    select: (data) => ({
+      reviews: (Array.isArray(data) ? data : data?.reviews || []).map(normalizeReview),
+      counts: data?.counts || {},
+      total: Number(data?.pagination?.total ?? data?.reviews?.length) || 0,
+      totalPages: Number(data?.pagination?.totalPages) || 1,
+    }),
+    placeholderData: keepPreviousData,
+  })
+}
+
+// Mutation hooks
+export const useCreateReview = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: reviewAPI.create,
+    retry: false,
+    onSuccess: (review, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.reviews.eligibility(productId) })
+      queryClient.invalidateQueries({ queryKey: [...queryKeys.reviews.all, 'moderation'] })
+      showSuccess('Thanks! Your review will appear once it has been approved.', 'Review submitted')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to submit review')
+    },
+  })
+}
+
+// The product reviews cache holds the raw response, a bare array or `{ reviews }`, as
+// normalizeProductReviews reads it; updates keep whichever shape it has
+const mapReviews = (raw, update) => {
+  const reviews = (Array.isArray(raw) ? raw : raw?.reviews || []).map(update)
+  return Array.isArray(raw) ? reviews : { ...raw, reviews }
+}
+
+export const useVoteReview = (productId) => {
+  const queryClient = useQueryClient()
+  const { showError } = useUIStore()
+  const queryKey = queryKeys.reviews.product(productId)
+
+  const applyVote = (raw, reviewId, vote) =>
+    mapReviews(raw, (review) => {
+      if (review.id !== reviewId) return review
+      const current = normalizeReview(review)
+      const delta = (type) => (vote === type ? 1 : 0) - (current.userVote === type ? 1 : 0)
+      return {
+        ...review,
+        helpfulCount: current.helpfulCount + delta('up'),
+        notHelpfulCount: current.notHelpfulCount + delta('down'),
+        userVote: vote,
+      }
+    })
+
+  return useMutation({
+    mutationFn: reviewAPI.vote,
+    // Counts move immediately; the server's numbers replace them when it answers
+    onMutate: async ({ reviewId, vote }) => {
+      await queryClient.cancelQueries({ queryKey })
+      const previous = queryClient.getQueryData(queryKey)
+      if (previous) queryClient.setQueryData(queryKey, applyVote(previous, reviewId, vote))
+      return { previous }
+    },
+    onSuccess: (result, { reviewId }) => {
+      queryClient.setQueryData(queryKey, (raw) => raw &&
+        mapReviews(raw, (review) => (review.id === reviewId ? { ...review, ...result } : review)))
+    },
+    onError: (error, variables, context) => {
+      if (context?.previous) queryClient.setQueryData(queryKey, context.previous)
+      showError(error.message, 'Vote not recorded')
+    },
+  })
+}
+
+export const useModerateReview = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: reviewAPI.moderate,
+    onSuccess: (review, { action }) => {
+      // Moderation changes what the storefront shows and the product's rating aggregate
+      queryClient.invalidateQueries({ queryKey: queryKeys.reviews.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all })
+      const labels = { approve: 'approved', reject: 'rejected', flag: 'flagged' }
+      showSuccess(`Review ${labels[action] || 'updated'}`)
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to moderate review')
+    },
+  })
+}
@@ -0,0 +1,162 @@
+import { useMemo } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { buildSearchIndex, normalizeSynonymGroup, searchIndex } from '../../lib/search'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+const failure = async (response, fallback) => {
+  const body = await response.json().catch(() => ({}))
+  const error = new Error(body.message || `${fallback}: ${response.statusText}`)
+  error.status = response.status
+  error.code = body.code
+  return error
+}
+
+// API functions
+const searchAPI = {
+  // Compact copy of everything the autocomplete can suggest:
+  // { products: [{ id, name, botanical_name, local_names, tags, description, category, price, image }],
+  //   categories: [{ id, slug, name, productCount }], guides: [{ id, slug, title, plant_name, tags, excerpt }] }
+  // Only published products and guides are included.
+  getIndex: async () => {
+    const response = await fetch(`${API_BASE}/api/search/index`)
+    if (!response.ok) {
+      throw new Error(`Failed to load search index: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Public so the storefront can expand queries the same way the API does
+  getSynonyms: async () => {
+    const response = await fetch(`${API_BASE}/api/search/synonyms`)
+    if (!response.ok) {
+      throw new Error(`Failed to load synonyms: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // 409 with code 'duplicate_term' when a name already belongs to another group
+  saveSynonym: async ({ id, terms }) => {
+    const response = await fetch(`${API_BASE}/api/admin/search/synonyms${id ? `/${id}` : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ terms }),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to save synonyms')
+    return response.json()
+  },
+
+  deleteSynonym: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/search/synonyms/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to delete synonyms')
+  },
+
+  // Adds several groups at once (the starter list); groups clashing with existing names are skipped.
+  // Responds with { created, skipped }.
+  importSynonyms: async (groups) => {
+    const response = await fetch(`${API_BASE}/api/admin/search/synonyms/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ groups }),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to import synonyms')
+    return response.json()
+  },
+}
+
+// Query hooks
+
+export const useSearchIndex = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.search.index(),
+    queryFn: searchAPI.getIndex,
+    select: buildSearchIndex,
+    staleTime: 10 * 60 * 1000,
+    enabled,
+  })
+}
+
+export const useSynonyms = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.search.synonyms(),
+    queryFn: searchAPI.getSynonyms,
+    select: (data) => (Array.isArray(data) ? data : data.synonyms || []).map(normalizeSynonymGroup),
+    staleTime: 10 * 60 * 1000,
+    enabled,
+  })
+}
+
+// Autocomplete results for the header search. The index is only fetched once the search box
+// is first used.
+export const useSearchSuggestions = (query, { enabled = true } = {}) => {
+  const { data: index, isLoading } = useSearchIndex({ enabled })
+  const { data: synonyms = [] } = useSynonyms({ enabled })
+
+  const results = useMemo(
+    () => (index && query.trim() ? searchIndex(index, query, { synonyms }) : []),
+    [index, query, synonyms]
+  )
+
+  return { results, isLoading: enabled && isLoading }
+}
+
+// Mutation hooks
+
+export const useSaveSynonym = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: async (group) => normalizeSynonymGroup(await searchAPI.saveSynonym(group)),
+    onSuccess: (_, group) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.search.synonyms() })
+      showSuccess(group.id ? 'Synonyms updated' : 'Synonyms added')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to save synonyms')
+    },
+  })
+}
+
+export const useDeleteSynonym = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: searchAPI.deleteSynonym,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.search.synonyms() })
+      showSuccess('Synonyms deleted')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to delete synonyms')
+    },
+  })
+}
+
+export const useImportSynonyms = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: searchAPI.importSynonyms,
+    onSuccess: ({ created = 0, skipped = 0 } = {}) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.search.synonyms() })
+      showSuccess(`${created} synonym groups added${skipped ? `, ${skipped} skipped` : ''}`)
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to import synonyms')
+    },
+  })
+}
@@ -0,0 +1,102 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { DEFAULT_STORE_SETTINGS } from '../../lib/storeSettings'
+import useUIStore from '../../stores/uiStore'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// API functions
+const settingsAPI = {
+  // Public subset used by the storefront (no SMTP or gateway credentials)
+  getPublic: async () => {
+    const response = await fetch(`${API_BASE}/api/settings`)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch settings: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Full settings for the admin; secret fields come back masked
+  getAdmin: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/settings`, {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch admin settings: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  update: async (settings) => {
+    const response = await fetch(`${API_BASE}/api/admin/settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+      },
+      body: JSON.stringify(settings),
+    })
+    if (!response.ok) {
+      // Server-side validation errors come back keyed by field
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to save settings: ${response.statusText}`)
+      error.fieldErrors = body.errors || {}
+      throw error
+    }
+    return response.json()
+  },
+}
+
+const withDefaults = (settings) => ({ ...DEFAULT_STORE_SETTINGS, ...(settings?.settings || settings || {}) })
+
+// Settings already loaded by this tab (admin first, as it is the complete set), for code outside components
+export const getCachedStoreSettings = (queryClient) =>
+  withDefaults(queryClient.getQueryData(queryKeys.settings.admin()) || queryClient.getQueryData(queryKeys.settings.public()))
+
+// Query hooks
+
+/**
+ * Store-wide settings for the storefront (shipping, tax, currency, contact, SEO, social).
+ * Always resolves to a complete settings object: defaults are used until the API answers
+ * and whenever it is unreachable.
+ */
+export const useStoreSettings = () => {
+  const { data } = useQuery({
+    queryKey: queryKeys.settings.public(),
+    queryFn: settingsAPI.getPublic,
+    select: withDefaults,
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    retry: 1,
+  })
+  return data || DEFAULT_STORE_SETTINGS
+}
+
+export const useAdminSettings = () => {
+  return useQuery({
+    queryKey: queryKeys.settings.admin(),
+    queryFn: settingsAPI.getAdmin,
+    select: withDefaults,
+    staleTime: 0,
+  })
+}
+
+// Mutation hooks
+export const useUpdateSettings = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: settingsAPI.update,
+    onSuccess: (saved) => {
+      queryClient.setQueryData(queryKeys.settings.admin(), saved)
+      // Storefront consumers pick up the change on their next render
+      queryClient.invalidateQueries({ queryKey: queryKeys.settings.public() })
+      showSuccess('Settings saved successfully!')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to save settings')
+    },
+  })
+}
@@ -0,0 +1,172 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import useUIStore from '../../stores/uiStore'
+import { getCarrierProvider, isShipmentActive, SHIPMENT_STATUS } from '../../services/carriers/carrierGateway'
+import { getOrderWeight } from '../../lib/shipping'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => ({ 'Authorization': `Bearer ${localStorage.getItem('auth.token')}` })
+
+// API functions
+// Tracking scans reach the server through carrier webhooks (POST /api/webhooks/carriers/:carrier)
+// or its own polling of carriers without webhooks; the storefront only reads the result.
+const shipmentAPI = {
+  getForOrder: async (orderId) => {
+    const response = await fetch(`${API_BASE}/api/orders/${orderId}/shipments`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch shipments: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Records a shipment on the order and marks it shipped; 409 when the AWB is already used
+  create: async ({ orderId, ...shipment }) => {
+    const response = await fetch(`${API_BASE}/api/admin/orders/${orderId}/shipments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(shipment),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to save shipment: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  remove: async ({ id }) => {
+    const response = await fetch(`${API_BASE}/api/admin/shipments/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to remove shipment: ${response.statusText}`)
+    }
+    return { success: true }
+  },
+}
+
+const normalizeEvent = (event) => ({
+  status: event.status || SHIPMENT_STATUS.IN_TRANSIT,
+  description: event.description || event.message || '',
+  location: event.location || '',
+  occurredAt: event.occurredAt ?? event.occurred_at ?? event.date ?? null,
+})
+
+/**
+ * `{ id, orderId, carrier, awb, status, trackingUrl, estimatedDelivery, deliveredAt, events, createdAt }`,
+ * with `events` newest first.
+ */
+export const normalizeShipment = (raw) => {
+  if (!raw) return null
+  const events = (raw.events || raw.tracking_events || raw.updates || [])
+    .map(normalizeEvent)
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+  return {
+    id: raw.id,
+    orderId: raw.orderId ?? raw.order_id,
+    carrier: raw.carrier || '',
+    awb: raw.awb || raw.trackingNumber || raw.tracking_number || '',
+    status: raw.status || events[0]?.status || SHIPMENT_STATUS.LABEL_CREATED,
+    trackingUrl: raw.trackingUrl ?? raw.tracking_url ?? null,
+    estimatedDelivery: raw.estimatedDelivery ?? raw.estimated_delivery ?? null,
+    deliveredAt: raw.deliveredAt ?? raw.delivered_at ?? null,
+    events,
+    createdAt: raw.createdAt ?? raw.created_at ?? null,
+  }
+}
+
+// Query hooks
+
+// Parcels still on the move are re-read every minute in case a scan arrives without a live event
+export const useOrderShipments = (orderId) => {
+  return useQuery({
+    queryKey: queryKeys.orders.shipments(orderId),
+    queryFn: () => shipmentAPI.getForOrder(orderId),
+    select: (data) => (Array.isArray(data) ? data : data?.shipments || []).map(normalizeShipment),
+    enabled: !!orderId,
+    staleTime: 1000 * 30,
+    refetchInterval: (query) => {
+      const list = query.state.data
+      const shipments = Array.isArray(list) ? list : list?.shipments || []
+      return shipments.some((shipment) => isShipmentActive(normalizeShipment(shipment))) ? 60 * 1000 : false
+    },
+  })
+}
+
+// Mutation hooks
+
+// Idempotency keys of pickups booked but not yet recorded on their order, by order and carrier.
+// Retrying after the save failed sends the same key, so the carrier hands back that booking
+// instead of sending a second courier.
+const unrecordedBookings = new Map()
+
+/**
+ * Add a shipment to an order. With `book: true` the carrier adapter books the pickup first and
+ * the AWB it returns is recorded; otherwise the admin's `carrier` and `awb` are saved as entered.
+ */
+export const useCreateShipment = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: async ({ order, book = false, carrier, awb, trackingUrl }) => {
+      if (!book) return shipmentAPI.create({ orderId: order.id, carrier, awb: awb.trim(), trackingUrl: trackingUrl || null })
+      const provider = getCarrierProvider()
+      if (!provider) throw new Error('No carrier is set up for booking pickups. Enter the AWB from the courier instead.')
+      const weightKg = getOrderWeight(order)
+      if (!weightKg) throw new Error('This order has no parcel weight. Add weights to its products, or enter the AWB from the courier.')
+      const bookingRef = `${order.id}:${carrier}`
+      if (!unrecordedBookings.has(bookingRef)) {
+        unrecordedBookings.set(bookingRef, `booking-${order.id}-${carrier}-${Date.now().toString(36)}`)
+      }
+      const booking = await provider.createShipment({
+        orderId: order.id,
+        carrier,
+        address: order.shippingAddress,
+        weightKg,
+        codAmount: order.paymentMethod === 'cod' ? order.total : 0,
+      }, { idempotencyKey: unrecordedBookings.get(bookingRef) })
+      try {
+        const shipment = await shipmentAPI.create({ orderId: order.id, ...booking })
+        unrecordedBookings.delete(bookingRef)
+        return shipment
+      } catch (error) {
+        // 409: an earlier attempt did record this AWB, so the next booking is a new parcel
+        if (error.status === 409) unrecordedBookings.delete(bookingRef)
+        throw error
+      }
+    },
+    retry: false,
+    onSuccess: (shipment, { order }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.detail(order.id) })
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.lists() })
+      // The API emails the customer the tracking details when it saves the shipment
+      const saved = normalizeShipment(shipment)
+      showSuccess(`Shipment ${saved.awb} added to order ${order.orderNumber}`)
+    },
+    onError: (error) => {
+      showError(error.status === 409 ? 'This AWB is already attached to a shipment.' : error.message, 'Failed to add shipment')
+    },
+  })
+}
+
+export const useRemoveShipment = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: shipmentAPI.remove,
+    onSuccess: (_, { orderId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.detail(orderId) })
+      showSuccess('Shipment removed')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to remove shipment')
+    },
+  })
+}
@@ -0,0 +1,155 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { isValidPincode, normalizeServiceability, normalizeZone } from '../../lib/shipping'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+// API functions
+const shippingAPI = {
+  // Can this pincode receive the product? Includes the delivery window and single-unit rate
+  getServiceability: async ({ pincode, productId, variantId }) => {
+    const params = new URLSearchParams({ pincode })
+    if (productId !== undefined && productId !== null) params.append('productId', productId)
+    if (variantId !== undefined && variantId !== null) params.append('variantId', variantId)
+    const response = await fetch(`${API_BASE}/api/shipping/serviceability?${params}`)
+    if (!response.ok) {
+      throw new Error(`Failed to check delivery: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Prices the whole cart for the pincode by chargeable weight, with the lines that can't go there
+  getQuote: async ({ pincode, lines }) => {
+    const response = await fetch(`${API_BASE}/api/shipping/quote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ pincode, items: lines }),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to quote shipping: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  getZones: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/shipping/zones`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch delivery zones: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // 409 when a prefix already belongs to another zone
+  saveZone: async ({ id, ...zone }) => {
+    const response = await fetch(`${API_BASE}/api/admin/shipping/zones${id ? `/${id}` : ''}`, {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(zone),
+    })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      const error = new Error(body.message || `Failed to save delivery zone: ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  },
+
+  deleteZone: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/shipping/zones/${id}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to delete delivery zone: ${response.statusText}`)
+    }
+    return { success: true }
+  },
+}
+
+const toQuoteLines = (items) =>
+  items.map((item) => ({
+    productId: item.productId ?? item.id,
+    variantId: item.variantId ?? undefined,
+    quantity: item.quantity,
+  }))
+
+// Query hooks
+
+export const usePincodeServiceability = (pincode, { productId, variantId } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.shipping.serviceability(pincode, productId, variantId ?? null),
+    queryFn: () => shippingAPI.getServiceability({ pincode, productId, variantId }),
+    select: (data) => normalizeServiceability({ pincode, ...data }),
+    enabled: isValidPincode(pincode),
+    staleTime: 1000 * 60 * 10, // 10 minutes
+  })
+}
+
+// Re-quotes when the pincode or the cart changes
+export const useShippingQuote = (pincode, items) => {
+  const lines = toQuoteLines(items)
+  return useQuery({
+    queryKey: queryKeys.shipping.quote(pincode, lines),
+    queryFn: () => shippingAPI.getQuote({ pincode, lines }),
+    select: (data) => normalizeServiceability({ pincode, ...data }),
+    enabled: isValidPincode(pincode) && lines.length > 0,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60,
+  })
+}
+
+export const useShippingZones = () => {
+  return useQuery({
+    queryKey: queryKeys.shipping.zones(),
+    queryFn: shippingAPI.getZones,
+    select: (data) => (Array.isArray(data) ? data : data?.zones || []).map(normalizeZone),
+    onError: (error) => {
+      useUIStore.getState().showError(error.message, 'Failed to load delivery zones')
+    },
+  })
+}
+
+// Mutation hooks
+
+// Zones decide every quote, so cached serviceability answers go with them
+export const useSaveShippingZone = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: shippingAPI.saveZone,
+    onSuccess: (_, zone) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.shipping.all })
+      showSuccess(zone.id ? 'Delivery zone updated' : 'Delivery zone created')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to save delivery zone')
+    },
+  })
+}
+
+export const useDeleteShippingZone = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: shippingAPI.deleteZone,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.shipping.all })
+      showSuccess('Delivery zone deleted')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to delete delivery zone')
+    },
+  })
+}
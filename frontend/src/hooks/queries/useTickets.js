@@ -0,0 +1,202 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query'
+import { queryKeys } from '../../lib/queryClient'
+import { normalizeTicket } from '../../lib/tickets'
+import useUIStore from '../../stores/uiStore'
+import { getAuthToken } from '../../services/api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+const failure = async (response, fallback) => {
+  const body = await response.json().catch(() => ({}))
+  const error = new Error(body.message || `${fallback}: ${response.statusText}`)
+  error.status = response.status
+  error.code = body.code
+  return error
+}
+
+// API functions
+const ticketAPI = {
+  // Public: the contact form. 429 when one address sends too many messages in a short time.
+  create: async (enquiry) => {
+    const response = await fetch(`${API_BASE}/api/contact`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(enquiry),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to send message')
+    return response.json()
+  },
+
+  // Filters: status, type, assignee ('me', 'unassigned' or a user id), search, page, limit.
+  // Responds with { tickets, total, counts: { new, in_progress, quoted, closed } }, newest activity first.
+  getAll: async (filters = {}) => {
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value)
+      }
+    })
+    const response = await fetch(`${API_BASE}/api/admin/tickets?${params}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch enquiries: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // The ticket with its full message thread
+  getById: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/tickets/${id}`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch enquiry: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  // Tickets with customer messages no staff member has opened: { count }
+  getUnreadCount: async () => {
+    const response = await fetch(`${API_BASE}/api/admin/tickets/unread-count`, {
+      headers: authHeaders(),
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch unread enquiries: ${response.statusText}`)
+    }
+    return response.json()
+  },
+
+  markRead: async (id) => {
+    const response = await fetch(`${API_BASE}/api/admin/tickets/${id}/read`, {
+      method: 'POST',
+      headers: authHeaders(),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to mark enquiry as read')
+  },
+
+  // Status and/or assignment; assigneeId null unassigns
+  update: async ({ id, ...changes }) => {
+    const response = await fetch(`${API_BASE}/api/admin/tickets/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(changes),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to update enquiry')
+    return response.json()
+  },
+
+  // Adds a staff message to the thread, optionally moving the ticket to `status` in the same step.
+  // Responds with the updated ticket; the API emails the reply itself unless mail is left to the browser.
+  reply: async ({ id, body, status }) => {
+    const response = await fetch(`${API_BASE}/api/admin/tickets/${id}/replies`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ body, status }),
+    })
+    if (!response.ok) throw await failure(response, 'Failed to send reply')
+    return response.json()
+  },
+}
+
+// Query hooks
+
+export const useTickets = (filters = {}) => {
+  return useQuery({
+    queryKey: queryKeys.tickets.list(filters),
+    queryFn: () => ticketAPI.getAll(filters),
+    select: (data) => ({
+      tickets: (Array.isArray(data) ? data : data.tickets || []).map(normalizeTicket),
+      total: data.total ?? (Array.isArray(data) ? data.length : 0),
+      counts: data.counts || {},
+    }),
+    placeholderData: keepPreviousData,
+  })
+}
+
+// Cached under the id as a string, since the inbox reads it from the URL
+const detailKey = (id) => queryKeys.tickets.detail(String(id))
+
+export const useTicket = (id) => {
+  return useQuery({
+    queryKey: detailKey(id),
+    queryFn: () => ticketAPI.getById(id),
+    select: normalizeTicket,
+    enabled: !!id,
+  })
+}
+
+// Badge count for the admin sidebar. Kept current by ticket events; the interval covers a
+// dropped event stream.
+export const useUnreadTicketCount = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: queryKeys.tickets.unread(),
+    queryFn: ticketAPI.getUnreadCount,
+    select: (data) => Number(data.count) || 0,
+    refetchInterval: 5 * 60 * 1000,
+    enabled,
+  })
+}
+
+// Mutation hooks
+
+export const useCreateTicket = () => {
+  return useMutation({
+    mutationFn: async (enquiry) => normalizeTicket(await ticketAPI.create(enquiry)),
+    retry: false,
+  })
+}
+
+export const useMarkTicketRead = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ticketAPI.markRead,
+    onSuccess: (_, id) => {
+      queryClient.setQueryData(detailKey(id), (current) => (current ? { ...current, unread: false, unreadCount: 0 } : current))
+      queryClient.invalidateQueries({ queryKey: queryKeys.tickets.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.tickets.unread() })
+    },
+  })
+}
+
+export const useUpdateTicket = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: ticketAPI.update,
+    onSuccess: (updated) => {
+      queryClient.setQueryData(detailKey(updated.id), updated)
+      queryClient.invalidateQueries({ queryKey: queryKeys.tickets.lists() })
+      showSuccess('Enquiry updated')
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to update enquiry')
+    },
+  })
+}
+
+export const useReplyToTicket = () => {
+  const queryClient = useQueryClient()
+  const { showSuccess, showError } = useUIStore()
+
+  return useMutation({
+    mutationFn: ({ ticket, body, status }) => ticketAPI.reply({ id: ticket.id, body, status }),
+    // The API emails the reply to the customer and queues it in the outbox
+    onSuccess: (updated, { ticket }) => {
+      queryClient.setQueryData(detailKey(ticket.id), updated)
+      queryClient.invalidateQueries({ queryKey: queryKeys.tickets.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.mail.all })
+      showSuccess(`Reply sent to ${ticket.email}`)
+    },
+    onError: (error) => {
+      showError(error.message, 'Failed to send reply')
+    },
+  })
+}
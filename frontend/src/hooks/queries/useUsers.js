@@ -161,7 +161,7 @@ export const useUsers = (filters = {}) => {
   const { setLoading } = useUIStore()
   
   return useQuery({
-    queryKey: ['users', 'list', filters],
+    queryKey: queryKeys.users.list(filters),
     queryFn: () => userAPI.getAll(filters),
     select: (data) => data.users || [], // Extract users array from API response
     onSettled: () => setLoading('users', false),
@@ -173,7 +173,7 @@ export const useUsers = (filters = {}) => {
 
 export const useUser = (id) => {
   return useQuery({
-    queryKey: ['users', 'detail', id],
+    queryKey: queryKeys.users.detail(id),
     queryFn: () => userAPI.getById(id),
     enabled: !!id,
     staleTime: 1000 * 60 * 5, // 5 minutes
@@ -192,11 +192,11 @@ export const useCreateUser = () => {
     mutationFn: userAPI.create,
     onSuccess: (newUser) => {
       // Invalidate and refetch users list
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       // Add the new user to the cache
       queryClient.setQueryData(
-        ['users', 'detail', newUser.id],
+        queryKeys.users.detail(newUser.id),
         newUser
       )
       
@@ -217,12 +217,12 @@ export const useUpdateUser = () => {
     onSuccess: (updatedUser) => {
       // Update the specific user in cache
       queryClient.setQueryData(
-        ['users', 'detail', updatedUser.id],
+        queryKeys.users.detail(updatedUser.id),
         updatedUser
       )
       
       // Invalidate users list to reflect changes
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess('User updated successfully!')
     },
@@ -238,15 +238,16 @@ export const useUpdateUserRole = () => {
 
   return useMutation({
     mutationFn: userAPI.updateRole,
+    // The API emails the user about the new role
     onSuccess: (updatedUser) => {
       // Update the specific user in cache
       queryClient.setQueryData(
-        ['users', 'detail', updatedUser.id],
+        queryKeys.users.detail(updatedUser.id),
         updatedUser
       )
       
       // Invalidate users list to reflect changes
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess('User role updated successfully!')
     },
@@ -264,10 +265,10 @@ export const useDeleteUser = () => {
     mutationFn: userAPI.delete,
     onSuccess: (_, deletedId) => {
       // Remove from cache
-      queryClient.removeQueries({ queryKey: ['users', 'detail', deletedId] })
+      queryClient.removeQueries({ queryKey: queryKeys.users.detail(deletedId) })
       
       // Invalidate users list
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess('User deleted successfully!')
     },
@@ -286,12 +287,12 @@ export const useSoftDeleteUser = () => {
     onSuccess: (updatedUser) => {
       // Update the specific user in cache
       queryClient.setQueryData(
-        ['users', 'detail', updatedUser.id],
+        queryKeys.users.detail(updatedUser.id),
         updatedUser
       )
       
       // Invalidate users list to reflect changes
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess('User deactivated successfully!')
     },
@@ -310,12 +311,12 @@ export const useReactivateUser = () => {
     onSuccess: (updatedUser) => {
       // Update the specific user in cache
       queryClient.setQueryData(
-        ['users', 'detail', updatedUser.id],
+        queryKeys.users.detail(updatedUser.id),
         updatedUser
       )
       
       // Invalidate users list to reflect changes
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess('User reactivated successfully!')
     },
@@ -334,12 +335,12 @@ export const useToggleUserStatus = () => {
     onSuccess: (updatedUser) => {
       // Update the specific user in cache
       queryClient.setQueryData(
-        ['users', 'detail', updatedUser.id],
+        queryKeys.users.detail(updatedUser.id),
         updatedUser
       )
       
       // Invalidate users list to reflect changes
-      queryClient.invalidateQueries({ queryKey: ['users', 'list'] })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       
       showSuccess(`User ${updatedUser.is_active ? 'activated' : 'deactivated'} successfully!`)
     },
@@ -0,0 +1,28 @@
+// The cart's coupon and the totals it produces, shared by the cart and checkout summaries
+import { useCart } from './CartProvider.jsx'
+import { useStoreSettings } from './queries/useSettings'
+import { useCouponQuote } from './queries/useCoupons'
+import { calculateOrderTotals } from '../lib/coupons'
+
+// `shipping` is the rate quoted for the delivery pincode and `stateCode` the delivery state, when the page has them
+export default function useCartCoupon({ shipping = null, stateCode = '' } = {}) {
+  const { items, couponCode } = useCart()
+  const settings = useStoreSettings()
+  const quoteQuery = useCouponQuote(couponCode, items)
+
+  // Only trust a quote for the code that is applied now and the cart as it is now; while a changed
+  // cart is re-quoted the query shows the old cart's quote as placeholder data
+  const quote =
+    couponCode && !quoteQuery.isError && !quoteQuery.isPlaceholderData && quoteQuery.data?.code === couponCode
+      ? quoteQuery.data
+      : null
+
+  return {
+    code: couponCode,
+    quote,
+    error: couponCode ? quoteQuery.error : null,
+    isChecking: Boolean(couponCode) && quoteQuery.isFetching,
+    totals: calculateOrderTotals(items, settings, { quote, shippingRate: shipping, stateCode }),
+    settings,
+  }
+}
@@ -9,6 +9,7 @@
 import { useAuth, useUser } from '@clerk/clerk-react'
 import { useEffect, useState } from 'react'
 import { toast } from 'react-hot-toast'
+import { notifyAuthChanged } from '../services/api.js'
 
 const BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
 
@@ -100,6 +101,7 @@ export const useClerkJWTBridge = () => {
             localStorage.setItem('auth', JSON.stringify(authData))
             localStorage.setItem('auth.user', JSON.stringify(result.user))
             setDbUser(result.user)
+            notifyAuthChanged()
             
             // Show welcome message for new users
             if (!localStorage.getItem('user_sync_completed')) {
@@ -124,6 +126,7 @@ export const useClerkJWTBridge = () => {
         localStorage.removeItem('auth.user')
         localStorage.removeItem('user_sync_completed')
         setDbUser(null)
+        notifyAuthChanged()
       }
     }
 
@@ -3,7 +3,7 @@
  * React Query hooks for fetching public data with optimized caching
  */
 
-import { useQuery, useInfiniteQuery, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useInfiniteQuery, useQueryClient, keepPreviousData } from '@tanstack/react-query'
 import { 
   productsAPI, 
   categoriesAPI, 
@@ -13,6 +13,7 @@ import {
   apiErrors 
 } from '../services/publicAPI'
 import { queryKeys } from '../lib/queryClient'
+import { toCatalogParams, normalizeFacets, CATALOG_PAGE_SIZE } from '../lib/catalogFilters'
 
 /**
  * Products Hooks
@@ -81,6 +82,34 @@ export const useProductSearch = (query, filters = {}, options = {}) => {
   })
 }
 
+// Catalog page: one page of products plus facet counts for the current filters.
+// Keyed on the serialised query string, so equal views share a cache entry.
+export const useCatalogSearch = (filters, options = {}) => {
+  const params = toCatalogParams(filters).toString()
+
+  return useQuery({
+    queryKey: queryKeys.products.catalog(params),
+    queryFn: () => productsAPI.searchCatalog(params, CATALOG_PAGE_SIZE),
+    staleTime: 2 * 60 * 1000,
+    placeholderData: keepPreviousData,
+    retry: (failureCount, error) => {
+      if (apiErrors.isNotFoundError(error)) return false
+      return failureCount < 3
+    },
+    select: (data) => {
+      const products = data.products || data.data || []
+      const total = data.total ?? products.length
+      return {
+        products,
+        total,
+        totalPages: data.totalPages || Math.max(1, Math.ceil(total / CATALOG_PAGE_SIZE)),
+        facets: normalizeFacets(data.facets),
+      }
+    },
+    ...options,
+  })
+}
+
 /**
  * Categories Hooks
  */
@@ -0,0 +1,68 @@
+// The visitor's own recent searches, newest first, kept on this device per account
+import { useCallback, useEffect, useState } from 'react'
+import { useAuth } from './useAuth.js'
+import { normalizeText } from '../lib/search'
+
+const MAX_RECENT_SEARCHES = 8
+
+// Guests share one list; each signed-in account gets its own
+const storageKey = (userId) => `search.recent.${userId || 'guest'}`
+
+const load = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || '[]')
+    return Array.isArray(stored) ? stored.filter((item) => typeof item === 'string') : []
+  } catch {
+    return []
+  }
+}
+
+const save = (key, searches) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(searches))
+  } catch {
+    // Private mode or a full quota: the list just isn't remembered
+  }
+}
+
+export default function useRecentSearches() {
+  const { userId } = useAuth()
+  const key = storageKey(userId)
+  const [searches, setSearches] = useState(() => load(key))
+
+  // Switch lists on sign-in/out and follow changes made in other tabs
+  useEffect(() => {
+    setSearches(load(key))
+    const onStorage = (event) => {
+      if (event.key === key) setSearches(load(key))
+    }
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
+  }, [key])
+
+  const update = useCallback((change) => {
+    setSearches((current) => {
+      const next = change(current)
+      save(key, next)
+      return next
+    })
+  }, [key])
+
+  // Re-running a search moves it to the top instead of listing it twice
+  const add = useCallback((query) => {
+    const trimmed = query.trim()
+    if (!trimmed) return
+    update((current) => [
+      trimmed,
+      ...current.filter((item) => normalizeText(item) !== normalizeText(trimmed)),
+    ].slice(0, MAX_RECENT_SEARCHES))
+  }, [update])
+
+  const remove = useCallback((query) => {
+    update((current) => current.filter((item) => item !== query))
+  }, [update])
+
+  const clear = useCallback(() => update(() => []), [update])
+
+  return { searches, add, remove, clear }
+}
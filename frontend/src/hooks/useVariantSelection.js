@@ -0,0 +1,29 @@
+// Selected option values for a product with variants, and the variant they point at
+import { useMemo, useState } from 'react'
+import { getProductVariants, getDefaultSelection, findVariant, variantTitle } from '../lib/productVariants'
+
+export default function useVariantSelection(product) {
+  const productId = product?.id
+  const { options, variants } = useMemo(() => getProductVariants(product || {}), [product])
+  const [selection, setSelection] = useState(() => getDefaultSelection(options, variants))
+  const [selectionProductId, setSelectionProductId] = useState(productId)
+
+  // Start over on the first sellable variant when a different product loads. Done while
+  // rendering rather than in an effect, so a refetch of the same product keeps the choice
+  if (selectionProductId !== productId) {
+    setSelectionProductId(productId)
+    setSelection(getDefaultSelection(options, variants))
+  }
+
+  const selected = variants.length > 0 ? findVariant(variants, selection) : null
+
+  return {
+    options,
+    variants,
+    hasVariants: variants.length > 0,
+    selection,
+    select: (name, value) => setSelection((prev) => ({ ...prev, [name]: value })),
+    // Shape the cart engine expects for a variant line
+    variant: selected && { ...selected, title: variantTitle(selected, options) },
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Breadcrumb trails for the public pages, in the `customBreadcrumbs` shape BreadcrumbNav
+ * renders: `[{ label, href }]`, ending with the current page (`href: null`). Home is implied;
+ * BreadcrumbNav shows it as an icon and the BreadcrumbList JSON-LD adds it as the first item.
+ */
+import { categoryPath } from './catalogFilters.js'
+
+const CATALOG_CRUMB = { label: 'Catalog', href: '/catalog' }
+
+export const ARTICLE_CRUMBS = {
+  blog: { label: 'Blog', href: '/blog' },
+  care: { label: 'Plant Care Guide', href: '/care' },
+}
+
+// Products name their category by id, slug or display name depending on the endpoint
+export const findProductCategory = (product, categories = []) => {
+  const id = product.category_id ?? product.categoryId
+  const key = String(product.category?.slug ?? product.category?.name ?? product.category ?? '').toLowerCase()
+  return categories.find((cat) =>
+    (id !== undefined && id !== null && String(cat.id) === String(id)) ||
+    (key && (cat.slug.toLowerCase() === key || cat.name?.toLowerCase() === key))
+  ) || null
+}
+
+// A category and its parent, as ordered by orderCategories
+const categoryCrumbs = (category, categories) => {
+  const parent = category.parent_id ? categories.find((cat) => cat.id === category.parent_id) : null
+  return [parent, category].filter(Boolean).map((cat) => ({ label: cat.name, href: categoryPath(cat.slug) }))
+}
+
+const endAt = (crumbs, label) => [...crumbs, { label, href: null }]
+
+export const productTrail = (product, categories) => {
+  const category = findProductCategory(product, categories)
+  return endAt([CATALOG_CRUMB, ...(category ? categoryCrumbs(category, categories) : [])], product.name)
+}
+
+export const categoryTrail = (category, categories) => {
+  const crumbs = categoryCrumbs(category, categories)
+  return endAt([CATALOG_CRUMB, ...crumbs.slice(0, -1)], category.name)
+}
+
+export const articleTrail = (post, kind) => endAt([ARTICLE_CRUMBS[kind]], post.title)
@@ -0,0 +1,196 @@
+/**
+ * Catalog filters and their query-string form.
+ *
+ * Every catalog view lives in the URL (`/catalog?category=indoor,bonsai&light=low&sort=price_asc`)
+ * so it can be shared and the back button steps through filter changes. Multi-select groups
+ * are comma separated; defaults (page 1, the default sort, empty groups) are left out.
+ * A view of exactly one category uses that category's own address, `/catalog/indoor`, which
+ * is the one that gets prerendered and indexed.
+ *
+ * `GET /api/products/search` takes the same parameters and responds with the page of products
+ * plus `facets`, keyed by filter name (`category`, `features`, `careLevel`, `lightRequirement`,
+ * `tags`, `rating`) with how many products each option would match, and the `price` bounds.
+ * Counts for a group are computed with every other group's selection applied but not its own,
+ * so picking one option never zeroes out its siblings.
+ */
+
+export const CATALOG_PAGE_SIZE = 20
+
+export const CATALOG_SORTS = {
+  popular: 'Most Popular',
+  price_asc: 'Price: Low to High',
+  price_desc: 'Price: High to Low',
+  newest: 'Newest',
+  name: 'Name A-Z',
+}
+
+export const DEFAULT_SORT = 'popular'
+
+export const FEATURE_OPTIONS = {
+  'pet-safe': 'Pet Safe',
+  'air-purifying': 'Air Purifying',
+  'low-maintenance': 'Low Maintenance',
+  flowering: 'Flowering',
+  fragrant: 'Fragrant',
+}
+
+export const CARE_LEVEL_OPTIONS = {
+  beginner: 'Beginner Friendly',
+  intermediate: 'Intermediate',
+  expert: 'Expert',
+}
+
+export const LIGHT_OPTIONS = {
+  low: 'Low Light',
+  medium: 'Medium Light',
+  bright: 'Bright Light',
+  direct: 'Direct Sun',
+}
+
+// Minimum star rating; each option matches products rated at least that much
+export const RATING_OPTIONS = [4, 3, 2, 1]
+
+// Filter key → query-string parameter for the multi-select groups
+const LIST_PARAMS = {
+  category: 'category',
+  features: 'features',
+  careLevel: 'care',
+  lightRequirement: 'light',
+  tags: 'tag',
+}
+
+export const FACET_GROUPS = Object.keys(LIST_PARAMS)
+
+const splitList = (value) =>
+  value ? [...new Set(value.split(',').map((item) => item.trim()).filter(Boolean))] : []
+
+const toPositiveNumber = (value) => {
+  const number = Number(value)
+  return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : null
+}
+
+export const emptyCatalogFilters = () => ({
+  search: '',
+  category: [],
+  features: [],
+  careLevel: [],
+  lightRequirement: [],
+  tags: [],
+  minPrice: null,
+  maxPrice: null,
+  rating: null,
+  sort: DEFAULT_SORT,
+  page: 1,
+})
+
+export const categoryPath = (slug) => `/catalog/${encodeURIComponent(slug)}`
+
+// The catalog's category tree: active categories, each top-level one followed by its
+// subcategories (`depth: 1`). Deeper levels and children of inactive parents aren't listed.
+export const orderCategories = (categories = []) => {
+  const active = categories
+    .filter((cat) => cat.status === 'active')
+    .map((cat) => ({ ...cat, slug: cat.slug || String(cat.id) }))
+  const roots = active.filter((cat) => !cat.parent_id || !active.some((p) => p.id === cat.parent_id))
+
+  return roots.flatMap((root) => [
+    root,
+    ...active
+      .filter((cat) => cat.parent_id === root.id)
+      .map((cat) => ({ ...cat, depth: 1 }))
+  ])
+}
+
+// URLSearchParams (plus the category from a `/catalog/:category` path) → filters.
+// Unknown sorts and malformed numbers fall back to the defaults.
+export const parseCatalogParams = (params, pathCategory) => {
+  const filters = emptyCatalogFilters()
+
+  filters.search = (params.get('search') || params.get('q') || '').trim()
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    filters[key] = splitList(params.get(param))
+  })
+  if (pathCategory && !filters.category.includes(pathCategory)) filters.category.unshift(pathCategory)
+  filters.minPrice = toPositiveNumber(params.get('minPrice'))
+  filters.maxPrice = toPositiveNumber(params.get('maxPrice'))
+  if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+    [filters.minPrice, filters.maxPrice] = [filters.maxPrice, filters.minPrice]
+  }
+
+  const rating = Number(params.get('rating'))
+  filters.rating = RATING_OPTIONS.includes(rating) ? rating : null
+
+  const sort = params.get('sort')
+  filters.sort = CATALOG_SORTS[sort] ? sort : DEFAULT_SORT
+
+  const page = Number.parseInt(params.get('page'), 10)
+  filters.page = page > 1 ? page : 1
+
+  return filters
+}
+
+// Filters → URLSearchParams, in a stable order so equal views produce equal URLs
+export const toCatalogParams = (filters) => {
+  const params = new URLSearchParams()
+
+  if (filters.search) params.set('search', filters.search)
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    if (filters[key]?.length) params.set(param, filters[key].join(','))
+  })
+  if (filters.minPrice !== null && filters.minPrice !== undefined) params.set('minPrice', filters.minPrice)
+  if (filters.maxPrice !== null && filters.maxPrice !== undefined) params.set('maxPrice', filters.maxPrice)
+  if (filters.rating) params.set('rating', filters.rating)
+  if (filters.sort && filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort)
+  if (filters.page > 1) params.set('page', filters.page)
+
+  return params
+}
+
+// Filters → the address of that view: `/catalog/<slug>` for a single category, else `/catalog`
+export const catalogUrl = (filters) => {
+  const [slug, ...others] = filters.category || []
+  const single = slug && !others.length
+  const query = toCatalogParams(single ? { ...filters, category: [] } : filters).toString()
+  return `${single ? categoryPath(slug) : '/catalog'}${query ? `?${query}` : ''}`
+}
+
+// Applies a change to one filter. Anything but a page change starts again from page 1.
+export const updateCatalogFilters = (filters, key, value) => ({
+  ...filters,
+  [key]: value,
+  page: key === 'page' ? value : 1,
+})
+
+export const hasActiveFilters = (filters) =>
+  Boolean(
+    filters.search ||
+    FACET_GROUPS.some((key) => filters[key]?.length) ||
+    filters.minPrice !== null ||
+    filters.maxPrice !== null ||
+    filters.rating
+  )
+
+// Keeps search and sort but drops every narrowing filter
+export const clearCatalogFilters = (filters) => ({
+  ...emptyCatalogFilters(),
+  search: filters.search,
+  sort: filters.sort,
+})
+
+// Accepts either `{ indoor: 12 }` or `[{ value: 'indoor', count: 12 }]` per group
+const toCountMap = (group) => {
+  if (Array.isArray(group)) {
+    return Object.fromEntries(group.map((option) => [String(option.value), Number(option.count) || 0]))
+  }
+  return Object.fromEntries(Object.entries(group || {}).map(([value, count]) => [value, Number(count) || 0]))
+}
+
+export const normalizeFacets = (raw = {}) => ({
+  ...Object.fromEntries(FACET_GROUPS.map((key) => [key, toCountMap(raw[key])])),
+  rating: toCountMap(raw.rating),
+  // Price bounds of everything matching the other filters
+  price: {
+    min: Math.floor(Number(raw.price?.min) || 0),
+    max: Math.ceil(Number(raw.price?.max) || 0),
+  },
+})
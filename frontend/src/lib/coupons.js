@@ -0,0 +1,228 @@
+/**
+ * Coupons and promotions.
+ *
+ * The server owns every rule: it prices a coupon against the cart through
+ * POST /api/coupons/validate and again when the order is created, so the cart
+ * only ever shows discounts the server has quoted. This module holds the shared
+ * vocabulary: coupon types, the admin form schema, labels and error messages.
+ */
+
+import { z } from 'zod'
+import { calculateShipping, formatPrice, DEFAULT_STORE_SETTINGS } from './storeSettings'
+import { calculateGst } from './gst'
+
+export const COUPON_TYPES = {
+  PERCENT: 'percent',
+  FLAT: 'flat',
+  FREE_SHIPPING: 'free_shipping',
+  BUY_X_GET_Y: 'buy_x_get_y',
+}
+
+export const COUPON_TYPE_LABELS = {
+  [COUPON_TYPES.PERCENT]: 'Percentage off',
+  [COUPON_TYPES.FLAT]: 'Flat amount off',
+  [COUPON_TYPES.FREE_SHIPPING]: 'Free shipping',
+  [COUPON_TYPES.BUY_X_GET_Y]: 'Buy X get Y free',
+}
+
+// Reasons the server gives (as `code`) when it refuses a coupon
+export const COUPON_ERRORS = {
+  NOT_FOUND: 'COUPON_NOT_FOUND',
+  INACTIVE: 'COUPON_INACTIVE',
+  NOT_STARTED: 'COUPON_NOT_STARTED',
+  EXPIRED: 'COUPON_EXPIRED',
+  USAGE_LIMIT: 'COUPON_USAGE_LIMIT',
+  CUSTOMER_LIMIT: 'COUPON_CUSTOMER_LIMIT',
+  MIN_ORDER: 'COUPON_MIN_ORDER',
+  NOT_APPLICABLE: 'COUPON_NOT_APPLICABLE',
+}
+
+const COUPON_ERROR_MESSAGES = {
+  [COUPON_ERRORS.NOT_FOUND]: "This code doesn't exist. Check the spelling and try again.",
+  [COUPON_ERRORS.INACTIVE]: 'This code is no longer active.',
+  [COUPON_ERRORS.NOT_STARTED]: "This offer hasn't started yet.",
+  [COUPON_ERRORS.EXPIRED]: 'This code has expired.',
+  [COUPON_ERRORS.USAGE_LIMIT]: 'This code has been fully redeemed.',
+  [COUPON_ERRORS.CUSTOMER_LIMIT]: "You've already used this code.",
+  [COUPON_ERRORS.MIN_ORDER]: 'Your order is below the minimum for this code.',
+  [COUPON_ERRORS.NOT_APPLICABLE]: 'None of the plants in your cart qualify for this code.',
+}
+
+// The cart can still change to satisfy these, so the code stays applied and waits
+const RECOVERABLE_COUPON_ERRORS = [COUPON_ERRORS.MIN_ORDER, COUPON_ERRORS.NOT_APPLICABLE]
+
+export const isRecoverableCouponError = (error) => RECOVERABLE_COUPON_ERRORS.includes(error?.code)
+
+export function getCouponErrorMessage(error) {
+  if (!error) return ''
+  if (error.code === COUPON_ERRORS.MIN_ORDER && error.minOrderAmount) {
+    return `Spend ${formatPrice(error.minOrderAmount)} or more to use this code.`
+  }
+  return COUPON_ERROR_MESSAGES[error.code] || error.message || 'This code could not be applied.'
+}
+
+export const normalizeCouponCode = (code) => String(code ?? '').trim().toUpperCase()
+
+const toNumberOrNull = (value) => (value === null || value === undefined || value === '' ? null : Number(value))
+
+export const normalizeCoupon = (raw = {}) => ({
+  id: raw.id,
+  code: normalizeCouponCode(raw.code),
+  description: raw.description || '',
+  type: raw.type || COUPON_TYPES.PERCENT,
+  value: Number(raw.value) || 0,
+  // Percentage coupons can be capped, e.g. 20% off up to ₹500
+  maxDiscount: toNumberOrNull(raw.maxDiscount ?? raw.max_discount),
+  buyQuantity: Number(raw.buyQuantity ?? raw.buy_quantity) || 0,
+  getQuantity: Number(raw.getQuantity ?? raw.get_quantity) || 0,
+  // Empty means the whole catalogue
+  categoryIds: (raw.categoryIds ?? raw.category_ids ?? []).map(Number),
+  minOrderAmount: Number(raw.minOrderAmount ?? raw.min_order_amount) || 0,
+  usageLimit: toNumberOrNull(raw.usageLimit ?? raw.usage_limit),
+  perCustomerLimit: toNumberOrNull(raw.perCustomerLimit ?? raw.per_customer_limit),
+  usedCount: Number(raw.usedCount ?? raw.used_count) || 0,
+  startsAt: raw.startsAt ?? raw.starts_at ?? null,
+  expiresAt: raw.expiresAt ?? raw.expires_at ?? null,
+  isActive: raw.isActive ?? raw.is_active ?? true,
+  // Featured coupons are advertised on the home page promo banners
+  isFeatured: raw.isFeatured ?? raw.is_featured ?? false,
+})
+
+/**
+ * A server quote for the current cart:
+ * `{ code, type, description, discount, freeShipping, lines: [{ productId, variantId, discount }] }`.
+ * `discount` is the item discount; a free-shipping coupon sets `freeShipping` instead.
+ */
+export const normalizeCouponQuote = (raw = {}) => ({
+  code: normalizeCouponCode(raw.code),
+  type: raw.type,
+  description: raw.description || '',
+  discount: Number(raw.discount) || 0,
+  freeShipping: Boolean(raw.freeShipping ?? raw.free_shipping),
+  lines: (raw.lines || []).map((line) => ({
+    productId: line.productId ?? line.product_id,
+    variantId: line.variantId ?? line.variant_id ?? null,
+    discount: Number(line.discount) || 0,
+  })),
+})
+
+export const COUPON_STATUS = {
+  ACTIVE: 'active',
+  SCHEDULED: 'scheduled',
+  EXPIRED: 'expired',
+  USED_UP: 'used_up',
+  DISABLED: 'disabled',
+}
+
+export function getCouponStatus(coupon, now = new Date()) {
+  if (!coupon.isActive) return COUPON_STATUS.DISABLED
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) return COUPON_STATUS.EXPIRED
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) return COUPON_STATUS.USED_UP
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return COUPON_STATUS.SCHEDULED
+  return COUPON_STATUS.ACTIVE
+}
+
+// Short customer-facing summary, e.g. "10% off on orders over ₹999"
+export function describeCoupon(coupon, settings = DEFAULT_STORE_SETTINGS) {
+  const money = (amount) => formatPrice(amount, settings)
+  let offer
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENT:
+      offer = `${coupon.value}% off${coupon.maxDiscount ? ` (up to ${money(coupon.maxDiscount)})` : ''}`
+      break
+    case COUPON_TYPES.FLAT:
+      offer = `${money(coupon.value)} off`
+      break
+    case COUPON_TYPES.FREE_SHIPPING:
+      offer = 'Free shipping'
+      break
+    case COUPON_TYPES.BUY_X_GET_Y:
+      offer = `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free`
+      break
+    default:
+      offer = coupon.description || coupon.code
+  }
+  const scope = coupon.categoryIds?.length ? ' on selected plants' : ''
+  const minimum = coupon.minOrderAmount > 0 ? ` on orders over ${money(coupon.minOrderAmount)}` : ''
+  return `${offer}${scope}${minimum}`
+}
+
+/**
+ * Order totals for cart lines with an optional coupon quote applied.
+ * `shippingRate` is the charge quoted for the delivery pincode (lib/shipping.js); until
+ * there is one the store's flat fee stands in. The free-shipping threshold looks at the
+ * cart value before the discount, and GST (lib/gst.js) is worked out on what the customer
+ * actually pays. `stateCode` is the delivery state, which decides the CGST/SGST or IGST split.
+ * When prices include GST the tax is part of the total rather than added to it.
+ */
+export function calculateOrderTotals(items, settings = DEFAULT_STORE_SETTINGS, { quote = null, shippingRate = null, stateCode = '' } = {}) {
+  const subtotal = items.reduce((sum, item) => sum + (Number(item.price) || 0) * item.quantity, 0)
+  const discount = Math.min(subtotal, quote?.discount || 0)
+  const standardShipping = shippingRate ?? calculateShipping(subtotal, settings)
+  const shipping = quote?.freeShipping ? 0 : standardShipping
+  const gst = calculateGst(items, settings, { discount, shipping, stateCode })
+  return {
+    subtotal,
+    discount,
+    shipping,
+    shippingDiscount: standardShipping - shipping,
+    tax: gst.tax,
+    gst,
+    total: subtotal - discount + shipping + (gst.inclusive ? 0 : gst.tax),
+  }
+}
+
+const optionalCount = z.number({ error: 'Enter a whole number' }).int('Enter a whole number').min(1, 'At least 1').nullable()
+
+export const couponSchema = z
+  .object({
+    code: z
+      .string()
+      .trim()
+      .min(3, 'Use at least 3 characters')
+      .max(32, 'Keep codes under 32 characters')
+      .regex(/^[A-Za-z0-9_-]+$/, 'Letters, numbers, - and _ only'),
+    description: z.string().max(200, 'Keep the description under 200 characters'),
+    type: z.enum(Object.values(COUPON_TYPES)),
+    value: z.number({ error: 'Enter a value' }).min(0, 'Cannot be negative'),
+    maxDiscount: z.number().min(1, 'At least 1').nullable(),
+    buyQuantity: z.number().int().min(0),
+    getQuantity: z.number().int().min(0),
+    categoryIds: z.array(z.number()),
+    minOrderAmount: z.number({ error: 'Enter an amount' }).min(0, 'Cannot be negative'),
+    usageLimit: optionalCount,
+    perCustomerLimit: optionalCount,
+    startsAt: z.string().nullable(),
+    expiresAt: z.string().nullable(),
+    isActive: z.boolean(),
+    isFeatured: z.boolean(),
+  })
+  .superRefine((data, ctx) => {
+    if (data.type === COUPON_TYPES.PERCENT && (data.value <= 0 || data.value > 100)) {
+      ctx.addIssue({ code: 'custom', path: ['value'], message: 'Enter a percentage between 1 and 100' })
+    }
+    if (data.type === COUPON_TYPES.FLAT && data.value <= 0) {
+      ctx.addIssue({ code: 'custom', path: ['value'], message: 'Enter an amount above 0' })
+    }
+    if (data.type === COUPON_TYPES.BUY_X_GET_Y) {
+      if (data.buyQuantity < 1) ctx.addIssue({ code: 'custom', path: ['buyQuantity'], message: 'At least 1' })
+      if (data.getQuantity < 1) ctx.addIssue({ code: 'custom', path: ['getQuantity'], message: 'At least 1' })
+    }
+    if (data.startsAt && data.expiresAt && new Date(data.expiresAt) <= new Date(data.startsAt)) {
+      ctx.addIssue({ code: 'custom', path: ['expiresAt'], message: 'Must be after the start date' })
+    }
+  })
+
+/**
+ * Validate the admin coupon form. Returns `{ [field]: message }`, empty when valid.
+ */
+export function validateCoupon(coupon) {
+  const result = couponSchema.safeParse(coupon)
+  if (result.success) return {}
+  const errors = {}
+  result.error.issues.forEach((issue) => {
+    const field = issue.path[0]
+    if (field && !errors[field]) errors[field] = issue.message
+  })
+  return errors
+}
@@ -0,0 +1,117 @@
+/**
+ * Minimal RFC 4180 CSV helpers shared by product import and export.
+ * Quoted fields may contain commas, doubled quotes and line breaks.
+ */
+
+/**
+ * Parse CSV text into rows of `{ line, cells }`, where `line` is the 1-based line of the file
+ * the row starts on. Blank lines are dropped, and a quoted field with line breaks makes its row
+ * span several lines, so `line` is the only reliable way back to the source.
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let rowLine = 1
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        // CRLF counts once, on its LF
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push({ line: rowLine, cells: row })
+      row = []
+      field = ''
+      line++
+      rowLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push({ line: rowLine, cells: row })
+  }
+
+  return rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+}
+
+// Spreadsheets run text starting with one of these as a formula. Text that already starts with
+// apostrophes before one gets another too, so restoreFormulaText can always strip exactly one.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/
+
+/**
+ * Text that a spreadsheet would evaluate gets a leading apostrophe, so an exported
+ * `=HYPERLINK(...)` shows as text instead of running. Numbers are left alone.
+ */
+export const neutralizeFormula = (value) =>
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+
+// Undo neutralizeFormula when a file we exported comes back in
+const restoreFormulaText = (text) => (/^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text)
+
+/**
+ * Parse CSV text with a header row into `{ headers, records }`. Each record is
+ * `{ line, values }`: its line in the file and a map of header name to (trimmed) cell value.
+ */
+export function parseCsvWithHeaders(text) {
+  const [headerRow = { cells: [] }, ...rows] = parseCsv(text)
+  const headers = headerRow.cells.map((header) => header.trim())
+  const records = rows.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(headers.map((header, index) => [header, restoreFormulaText((cells[index] ?? '').trim())])),
+  }))
+  return { headers, records }
+}
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'number') return String(value)
+  const text = neutralizeFormula(Array.isArray(value) ? value.join(',') : String(value))
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Serialize rows (arrays of values) to CSV text
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n')
+}
+
+// Trigger a browser download for generated file contents
+export function downloadFile(contents, filename, type = 'text/csv;charset=utf-8') {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
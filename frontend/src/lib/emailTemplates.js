@@ -0,0 +1,380 @@
+/**
+ * Transactional email templates. Each template renders `{ subject, html, text }` from its data
+ * and the store settings, and carries sample data so the admin can preview it without a real
+ * order. The admin previews and test sends render from this module; the API renders the mail it
+ * sends from its own copy of these templates, so a copy change belongs in both.
+ *
+ * `setting` names the store setting that switches a template off; templates without one
+ * (account security mail) are always sent.
+ */
+
+import { DEFAULT_STORE_SETTINGS, formatPrice } from './storeSettings'
+import { formatDeliveryWindow } from './shipping'
+import { RETURN_WINDOW_DAYS } from './returns'
+import { CONFIRMATION_TTL_DAYS } from './newsletter'
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const paragraphs = (text) =>
+  String(text || '')
+    .split(/\n{2,}/)
+    .map((block) => `<p style="margin:0 0 16px">${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+    .join('')
+
+const button = (href, label) =>
+  `<p style="margin:24px 0"><a href="${escapeHtml(href)}" style="background:#16a34a;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:600">${escapeHtml(label)}</a></p>`
+
+// Shared frame: store name header, body, contact footer
+const layout = (settings, body) => `<!doctype html>
+<html>
+<body style="margin:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:12px;overflow:hidden">
+<tr><td style="background:#166534;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:700">${escapeHtml(settings.siteName)}</td></tr>
+<tr><td style="padding:24px;font-size:15px;line-height:1.5">${body}</td></tr>
+<tr><td style="padding:16px 24px;background:#f9fafb;color:#6b7280;font-size:12px">
+Questions? Reply to this email or write to ${escapeHtml(settings.supportEmail)}${settings.phoneNumber ? ` · ${escapeHtml(settings.phoneNumber)}` : ''}<br>${escapeHtml(settings.address)}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`
+
+const footerText = (settings) =>
+  `\n\n--\n${settings.siteName}\n${settings.supportEmail}${settings.phoneNumber ? ` · ${settings.phoneNumber}` : ''}\n${settings.address}`
+
+const itemRows = (order, settings) =>
+  order.items
+    .map(
+      (item) =>
+        `<tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb">${escapeHtml(item.name)}${
+          item.variantTitle ? ` <span style="color:#6b7280">(${escapeHtml(item.variantTitle)})</span>` : ''
+        } × ${item.quantity}</td><td align="right" style="padding:8px 0;border-bottom:1px solid #e5e7eb">${escapeHtml(
+          formatPrice(item.price * item.quantity, settings)
+        )}</td></tr>`
+    )
+    .join('')
+
+const itemLines = (order, settings) =>
+  order.items
+    .map((item) => `- ${item.name}${item.variantTitle ? ` (${item.variantTitle})` : ''} × ${item.quantity}  ${formatPrice(item.price * item.quantity, settings)}`)
+    .join('\n')
+
+const totalRows = (order, settings) => {
+  const rows = [
+    ['Subtotal', formatPrice(order.subtotal, settings)],
+    ...order.discounts.map((line) => [line.label, `-${formatPrice(line.amount, settings)}`]),
+    ['Shipping', order.shipping === 0 ? 'Free' : formatPrice(order.shipping, settings)],
+    ...(order.tax > 0 ? [['GST', formatPrice(order.tax, settings)]] : []),
+  ]
+  return { rows, total: ['Total', formatPrice(order.total, settings)] }
+}
+
+const orderSummaryHtml = (order, settings) => {
+  const { rows, total } = totalRows(order, settings)
+  return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px">
+${itemRows(order, settings)}
+${rows.map(([label, value]) => `<tr><td style="padding:4px 0;color:#4b5563">${escapeHtml(label)}</td><td align="right" style="padding:4px 0">${escapeHtml(value)}</td></tr>`).join('')}
+<tr><td style="padding:8px 0;font-weight:700">${total[0]}</td><td align="right" style="padding:8px 0;font-weight:700">${escapeHtml(total[1])}</td></tr>
+</table>`
+}
+
+const orderSummaryText = (order, settings) => {
+  const { rows, total } = totalRows(order, settings)
+  return [itemLines(order, settings), '', ...rows.map(([label, value]) => `${label}: ${value}`), `${total[0]}: ${total[1]}`].join('\n')
+}
+
+const addressText = (address) =>
+  [address.name, address.street, `${address.city}, ${address.state} ${address.postalCode}`].filter(Boolean).join('\n')
+
+const orderUrl = (baseUrl, order) => `${baseUrl}/account/orders/${encodeURIComponent(order.orderNumber)}`
+
+const SAMPLE_ORDER = {
+  id: 1042,
+  orderNumber: 'CN-1042',
+  customerName: 'Priya Patel',
+  customerEmail: 'priya@example.com',
+  items: [
+    { name: 'Money Plant', variantTitle: '6 inch pot', price: 349, quantity: 2 },
+    { name: 'Areca Palm', variantTitle: '', price: 899, quantity: 1 },
+  ],
+  subtotal: 1597,
+  discounts: [{ code: 'GREEN10', label: 'Coupon GREEN10', amount: 159.7 }],
+  shipping: 0,
+  tax: 0,
+  total: 1437.3,
+  paymentMethod: 'upi',
+  estimatedDelivery: { from: '2026-10-21', to: '2026-10-23' },
+  shippingAddress: { name: 'Priya Patel', street: '14 Shanti Nagar', city: 'Ahmedabad', state: 'Gujarat', postalCode: '380015' },
+}
+
+const SAMPLE_CAMPAIGN = {
+  subject: 'Monsoon care for your indoor plants',
+  intro: 'The rains are here, and with them the most common question we get at the nursery: how much should I water now?\n\nHere are our favourite reads this month, and a few plants that love the humidity.',
+  posts: [
+    { id: 12, title: 'Watering indoor plants in the monsoon', excerpt: 'Why your pots need less water when the air is this damp, and how to check.', path: '/blog/12', image: null },
+    { id: 9, title: 'Spotting root rot early', excerpt: 'Yellow leaves and a soggy smell are the first signs. What to do next.', path: '/blog/9', image: null },
+  ],
+  products: [
+    { id: 3, name: 'Areca Palm', price: 899, path: '/product/3', image: null },
+    { id: 7, name: 'Boston Fern', price: 449, path: '/product/7', image: null },
+  ],
+}
+
+const campaignPostsHtml = (posts, baseUrl) =>
+  posts
+    .map(
+      (post) => `<div style="margin:0 0 20px">
+${post.image ? `<img src="${escapeHtml(post.image)}" alt="" width="552" style="width:100%;max-width:552px;border-radius:8px;margin:0 0 8px">` : ''}
+<p style="margin:0 0 4px;font-size:17px;font-weight:700"><a href="${escapeHtml(baseUrl + post.path)}" style="color:#166534;text-decoration:none">${escapeHtml(post.title)}</a></p>
+<p style="margin:0;color:#4b5563">${escapeHtml(post.excerpt)}</p>
+</div>`
+    )
+    .join('')
+
+const campaignProductsHtml = (products, settings, baseUrl) =>
+  `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px">${products
+    .map(
+      (product) => `<tr><td style="padding:8px 0;border-bottom:1px solid #e5e7eb"><a href="${escapeHtml(baseUrl + product.path)}" style="color:#111827;text-decoration:none;font-weight:600">${escapeHtml(product.name)}</a></td><td align="right" style="padding:8px 0;border-bottom:1px solid #e5e7eb">${escapeHtml(formatPrice(product.price, settings))}</td></tr>`
+    )
+    .join('')}</table>`
+
+export const EMAIL_TEMPLATES = {
+  order_confirmation: {
+    name: 'Order confirmation',
+    description: 'Sent to the customer once an order is paid or confirmed as cash on delivery.',
+    audience: 'customer',
+    setting: 'emailNotifications',
+    sample: { order: SAMPLE_ORDER },
+    render: ({ order }, settings, baseUrl) => {
+      const deliveryWindow = formatDeliveryWindow(order.estimatedDelivery)
+      return {
+        subject: `Order ${order.orderNumber} confirmed`,
+        html: layout(
+          settings,
+          `<h1 style="font-size:20px;margin:0 0 16px">Thank you, ${escapeHtml(order.customerName || 'there')}!</h1>
+<p style="margin:0 0 16px">We have received order <strong>${escapeHtml(order.orderNumber)}</strong> and are getting your plants ready.${
+            deliveryWindow ? ` It should reach you ${escapeHtml(deliveryWindow)}.` : ''
+          }</p>
+${orderSummaryHtml(order, settings)}
+<p style="margin:16px 0 0;color:#4b5563">Delivering to:<br>${escapeHtml(addressText(order.shippingAddress)).replace(/\n/g, '<br>')}</p>
+${button(orderUrl(baseUrl, order), 'View your order')}`
+        ),
+        text: `Thank you, ${order.customerName || 'there'}!\n\nWe have received order ${order.orderNumber} and are getting your plants ready.${
+          deliveryWindow ? ` It should reach you ${deliveryWindow}.` : ''
+        }\n\n${orderSummaryText(order, settings)}\n\nDelivering to:\n${addressText(order.shippingAddress)}\n\nView your order: ${orderUrl(baseUrl, order)}${footerText(settings)}`,
+      }
+    },
+  },
+
+  order_shipped: {
+    name: 'Order shipped',
+    description: 'Sent when a parcel is handed to the courier, with its tracking number.',
+    audience: 'customer',
+    setting: 'emailNotifications',
+    sample: { order: SAMPLE_ORDER, shipment: { carrierName: 'Delhivery', awb: 'DL1234567890', trackingUrl: '' } },
+    render: ({ order, shipment }, settings, baseUrl) => {
+      const trackUrl = shipment?.trackingUrl || `${orderUrl(baseUrl, order)}?tab=tracking`
+      const tracking = shipment?.awb ? `${shipment.carrierName || 'The courier'} tracking number: ${shipment.awb}` : ''
+      return {
+        subject: `Your order ${order.orderNumber} is on its way`,
+        html: layout(
+          settings,
+          `<h1 style="font-size:20px;margin:0 0 16px">Your plants are on their way</h1>
+<p style="margin:0 0 16px">Order <strong>${escapeHtml(order.orderNumber)}</strong> has left the nursery.</p>
+${tracking ? `<p style="margin:0 0 16px">${escapeHtml(tracking)}</p>` : ''}
+<p style="margin:0 0 16px;color:#4b5563">Plants travel best when they are unpacked soon after they arrive, so please keep an eye out for the courier.</p>
+${button(trackUrl, 'Track your parcel')}`
+        ),
+        text: `Your plants are on their way\n\nOrder ${order.orderNumber} has left the nursery.\n${tracking ? `${tracking}\n` : ''}\nTrack your parcel: ${trackUrl}${footerText(settings)}`,
+      }
+    },
+  },
+
+  order_delivered: {
+    name: 'Order delivered',
+    description: 'Sent on delivery, with care tips and how to report damaged plants.',
+    audience: 'customer',
+    setting: 'emailNotifications',
+    sample: { order: SAMPLE_ORDER },
+    render: ({ order }, settings, baseUrl) => ({
+      subject: `Order ${order.orderNumber} has been delivered`,
+      html: layout(
+        settings,
+        `<h1 style="font-size:20px;margin:0 0 16px">Your plants have arrived</h1>
+<p style="margin:0 0 16px">Order <strong>${escapeHtml(order.orderNumber)}</strong> was delivered. Unpack the plants today, water them lightly and give them a few days of bright, indirect light to settle in.</p>
+<p style="margin:0 0 16px">If anything arrived damaged or unwell, report it with a photo from your order page within ${RETURN_WINDOW_DAYS} days and we will replace it or refund you.</p>
+${button(orderUrl(baseUrl, order), 'View your order')}`
+      ),
+      text: `Your plants have arrived\n\nOrder ${order.orderNumber} was delivered. Unpack the plants today, water them lightly and give them a few days of bright, indirect light to settle in.\n\nIf anything arrived damaged or unwell, report it with a photo from your order page within ${RETURN_WINDOW_DAYS} days and we will replace it or refund you: ${orderUrl(baseUrl, order)}${footerText(settings)}`,
+    }),
+  },
+
+  password_changed: {
+    name: 'Password changed',
+    description: 'Security notice sent by the API when the sign-in provider reports a password change.',
+    audience: 'customer',
+    setting: null,
+    sample: { name: 'Priya Patel', changedAt: '2026-10-18T09:30:00.000Z' },
+    render: ({ name, changedAt }, settings) => {
+      const when = new Date(changedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: settings.timezone })
+      return {
+        subject: `Your ${settings.siteName} password was changed`,
+        html: layout(
+          settings,
+          `<p style="margin:0 0 16px">Hi ${escapeHtml(name || 'there')},</p>
+<p style="margin:0 0 16px">The password for your account was changed on ${escapeHtml(when)}.</p>
+<p style="margin:0 0 16px">If this wasn't you, reset your password straight away and contact us at ${escapeHtml(settings.supportEmail)}.</p>`
+        ),
+        text: `Hi ${name || 'there'},\n\nThe password for your account was changed on ${when}.\n\nIf this wasn't you, reset your password straight away and contact us at ${settings.supportEmail}.${footerText(settings)}`,
+      }
+    },
+  },
+
+  role_changed: {
+    name: 'Account role changed',
+    description: 'Sent when an admin grants or removes admin access.',
+    audience: 'customer',
+    setting: null,
+    sample: { name: 'Rahul Shah', role: 'admin', previousRole: 'customer' },
+    render: ({ name, role, previousRole }, settings, baseUrl) => {
+      const summary =
+        role === 'admin'
+          ? `You now have admin access to ${settings.siteName}.`
+          : `Your account is now a ${role} account${previousRole === 'admin' ? ' and no longer has admin access' : ''}.`
+      return {
+        subject: `Your ${settings.siteName} account access has changed`,
+        html: layout(
+          settings,
+          `<p style="margin:0 0 16px">Hi ${escapeHtml(name || 'there')},</p>
+<p style="margin:0 0 16px">${escapeHtml(summary)}</p>
+${role === 'admin' ? button(`${baseUrl}/admin`, 'Open the admin panel') : ''}
+<p style="margin:0 0 16px;color:#4b5563">If you did not expect this change, contact us at ${escapeHtml(settings.supportEmail)}.</p>`
+        ),
+        text: `Hi ${name || 'there'},\n\n${summary}\n\nIf you did not expect this change, contact us at ${settings.supportEmail}.${footerText(settings)}`,
+      }
+    },
+  },
+
+  contact_reply: {
+    name: 'Contact form reply',
+    description: "A staff reply from the enquiry inbox, quoting the customer's last message.",
+    audience: 'customer',
+    setting: null,
+    sample: {
+      name: 'Priya Patel',
+      subject: 'Yellow leaves on my Areca Palm',
+      reference: '#58',
+      message: 'The lower leaves on the palm I bought last week are turning yellow. Am I overwatering it?',
+      reply: 'Hi Priya,\n\nA little yellowing on the lowest leaves is normal while a palm settles in. Let the top 2 cm of soil dry out between waterings and keep it out of direct afternoon sun.\n\nSend us a photo if new leaves start yellowing too.',
+    },
+    // The ticket reference in the subject lets the API thread the customer's answer onto the ticket
+    render: ({ name, subject, message, reply, reference }, settings) => ({
+      subject: `Re: ${subject}${reference ? ` [${reference}]` : ''}`,
+      html: layout(
+        settings,
+        `${paragraphs(reply)}
+<blockquote style="margin:24px 0 0;padding:12px 16px;border-left:3px solid #d1d5db;color:#6b7280">
+<p style="margin:0 0 8px;font-size:13px">${escapeHtml(name || 'You')} wrote:</p>${paragraphs(message)}
+</blockquote>`
+      ),
+      text: `${reply}\n\n> ${name || 'You'} wrote:\n${String(message || '').split('\n').map((line) => `> ${line}`).join('\n')}${footerText(settings)}`,
+    }),
+  },
+
+  new_order_alert: {
+    name: 'New order alert',
+    description: 'Sent to the store contact email for every new order.',
+    audience: 'store',
+    setting: 'orderNotifications',
+    sample: { order: SAMPLE_ORDER },
+    render: ({ order }, settings, baseUrl) => ({
+      subject: `New order ${order.orderNumber} – ${formatPrice(order.total, settings)}`,
+      html: layout(
+        settings,
+        `<p style="margin:0 0 16px"><strong>${escapeHtml(order.customerName || 'A customer')}</strong> placed order <strong>${escapeHtml(order.orderNumber)}</strong> (${escapeHtml(order.paymentMethod === 'cod' ? 'cash on delivery' : 'prepaid')}).</p>
+${orderSummaryHtml(order, settings)}
+${button(`${baseUrl}/admin/orders`, 'Open orders')}`
+      ),
+      text: `${order.customerName || 'A customer'} placed order ${order.orderNumber} (${order.paymentMethod === 'cod' ? 'cash on delivery' : 'prepaid'}).\n\n${orderSummaryText(order, settings)}\n\nOpen orders: ${baseUrl}/admin/orders`,
+    }),
+  },
+
+  newsletter_confirm: {
+    name: 'Newsletter confirmation',
+    description: 'Asks a new subscriber to confirm their address before any newsletter is sent.',
+    audience: 'subscriber',
+    setting: null,
+    sample: { confirmUrl: '/newsletter/confirm?token=sample' },
+    render: ({ confirmUrl }, settings, baseUrl) => {
+      const url = confirmUrl.startsWith('/') ? baseUrl + confirmUrl : confirmUrl
+      return {
+        subject: `Confirm your ${settings.siteName} newsletter subscription`,
+        html: layout(
+          settings,
+          `<p style="margin:0 0 16px">Thanks for signing up for plant care tips, offers and new arrivals from ${escapeHtml(settings.siteName)}.</p>
+<p style="margin:0 0 16px">Please confirm that this is your email address so we can start sending them.</p>
+${button(url, 'Confirm subscription')}
+<p style="margin:0 0 16px;color:#4b5563">This link works for ${CONFIRMATION_TTL_DAYS} days. If you did not sign up, ignore this email and you will not hear from us again.</p>`
+        ),
+        text: `Thanks for signing up for plant care tips, offers and new arrivals from ${settings.siteName}.\n\nConfirm your subscription: ${url}\n\nThis link works for ${CONFIRMATION_TTL_DAYS} days. If you did not sign up, ignore this email and you will not hear from us again.${footerText(settings)}`,
+      }
+    },
+  },
+
+  newsletter_campaign: {
+    name: 'Newsletter',
+    description: 'A newsletter campaign composed on the Newsletter page, with featured posts and products.',
+    audience: 'subscriber',
+    setting: null,
+    sample: { campaign: SAMPLE_CAMPAIGN, unsubscribeUrl: '/newsletter/unsubscribe?token=sample' },
+    render: ({ campaign, unsubscribeUrl }, settings, baseUrl) => {
+      const unsubscribe = unsubscribeUrl.startsWith('/') ? baseUrl + unsubscribeUrl : unsubscribeUrl
+      const postsText = campaign.posts.map((post) => `${post.title}\n${post.excerpt}\n${baseUrl}${post.path}`).join('\n\n')
+      const productsText = campaign.products
+        .map((product) => `- ${product.name}  ${formatPrice(product.price, settings)}  ${baseUrl}${product.path}`)
+        .join('\n')
+      return {
+        subject: campaign.subject,
+        html: layout(
+          settings,
+          `${paragraphs(campaign.intro)}
+${campaign.posts.length ? `<h2 style="margin:24px 0 12px;font-size:18px">From the blog</h2>${campaignPostsHtml(campaign.posts, baseUrl)}` : ''}
+${campaign.products.length ? `<h2 style="margin:24px 0 12px;font-size:18px">Featured plants</h2>${campaignProductsHtml(campaign.products, settings, baseUrl)}${button(`${baseUrl}/catalog`, 'Shop all plants')}` : ''}
+<p style="margin:24px 0 0;color:#6b7280;font-size:12px">You are receiving this because you subscribed to the ${escapeHtml(settings.siteName)} newsletter. <a href="${escapeHtml(unsubscribe)}" style="color:#6b7280">Unsubscribe</a></p>`
+        ),
+        text: [
+          campaign.intro,
+          campaign.posts.length ? `FROM THE BLOG\n\n${postsText}` : '',
+          campaign.products.length ? `FEATURED PLANTS\n\n${productsText}\n\nShop all plants: ${baseUrl}/catalog` : '',
+          `Unsubscribe: ${unsubscribe}`,
+        ]
+          .filter(Boolean)
+          .join('\n\n') + footerText(settings),
+      }
+    },
+  },
+}
+
+export const isTemplateEnabled = (templateId, settings = DEFAULT_STORE_SETTINGS) => {
+  const template = EMAIL_TEMPLATES[templateId]
+  return Boolean(template) && (!template.setting || settings[template.setting] !== false)
+}
+
+/**
+ * Render a template. `data` defaults to the template's sample, for previews.
+ * Throws for an unknown template id.
+ */
+export function renderEmail(templateId, data, { settings = DEFAULT_STORE_SETTINGS, baseUrl = '' } = {}) {
+  const template = EMAIL_TEMPLATES[templateId]
+  if (!template) throw new Error(`Unknown email template: ${templateId}`)
+  return template.render(data ?? template.sample, { ...DEFAULT_STORE_SETTINGS, ...settings }, baseUrl.replace(/\/$/, ''))
+}
@@ -0,0 +1,202 @@
+/**
+ * GST for the cart, checkout, orders and invoices.
+ *
+ * Every category carries an HSN code and a GST slab. Subcategories without their
+ * own inherit the parent's, and the store default covers anything left. The server
+ * resolves this per product and sends `hsn_code`/`gst_rate` with products and cart
+ * lines, computes the tax again when the order is created and prints it on the
+ * numbered invoice. The helpers here estimate it for the summaries.
+ *
+ * A store without a GSTIN is not registered and charges no GST. A supply inside the
+ * store's state pays CGST and SGST at half the rate each; one to another state pays
+ * IGST at the full rate.
+ */
+
+import { z } from 'zod'
+
+// The slabs GST is levied at; live plants (HSN 0602) are nil-rated
+export const GST_RATES = [0, 5, 12, 18, 28]
+
+// GST state codes, the first two digits of every GSTIN
+export const INDIAN_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+]
+
+export const getStateName = (code) => INDIAN_STATES.find((state) => state.code === code)?.name || ''
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+
+// HSN codes are 4, 6 or 8 digits
+export const HSN_PATTERN = /^[0-9]{4}([0-9]{2}){0,2}$/
+
+export const isGstRegistered = (settings) => Boolean(settings?.gstin)
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100
+
+const toRate = (value) => (value === undefined || value === null || value === '' ? null : Number(value))
+
+/**
+ * A category's own tax class, or the nearest ancestor's, or the store default.
+ * `categoriesById` maps ids to categories with `parentId`, `hsnCode` and `gstRate`.
+ */
+export function resolveTaxClass(category, categoriesById, settings) {
+  const seen = new Set()
+  let current = category
+  while (current && !seen.has(current.id)) {
+    if (current.hsnCode) return { hsnCode: current.hsnCode, gstRate: toRate(current.gstRate) ?? 0, from: current }
+    seen.add(current.id)
+    current = current.parentId ? categoriesById.get(String(current.parentId)) : null
+  }
+  return { hsnCode: settings.defaultHsnCode, gstRate: Number(settings.defaultGstRate) || 0, from: null }
+}
+
+// Lines from carts saved before tax classes were sent fall back to the store default
+const lineRate = (item, settings) => toRate(item.gstRate) ?? (Number(settings.defaultGstRate) || 0)
+
+const taxOn = (gross, rate, inclusive) => (inclusive ? (gross * rate) / (100 + rate) : (gross * rate) / 100)
+
+/**
+ * Estimate GST for a cart. The coupon discount comes off each line in proportion to
+ * its value, and shipping is taxed at the rate of the line that makes up most of the
+ * order, as the principal supply of the consignment.
+ *
+ * `stateCode` is the place of supply (the delivery state). Until it is known the split
+ * is unknown and only the total tax is reliable.
+ *
+ * Returns `{ registered, inclusive, interState, tax, cgst, sgst, igst, byRate: [{ rate, taxable, tax }] }`.
+ */
+export function calculateGst(items, settings, { discount = 0, shipping = 0, stateCode = '' } = {}) {
+  const inclusive = settings.pricesIncludeTax !== false
+  const empty = { registered: false, inclusive, interState: null, tax: 0, cgst: 0, sgst: 0, igst: 0, byRate: [] }
+  if (!isGstRegistered(settings)) return empty
+
+  const lines = items.map((item) => ({ rate: lineRate(item, settings), value: (Number(item.price) || 0) * item.quantity }))
+  const gross = lines.reduce((sum, line) => sum + line.value, 0)
+  if (gross <= 0) return { ...empty, registered: true }
+
+  const groups = new Map()
+  const add = (rate, amount) => groups.set(rate, (groups.get(rate) || 0) + amount)
+  const share = Math.min(discount, gross) / gross
+  lines.forEach((line) => add(line.rate, line.value * (1 - share)))
+  if (shipping > 0) {
+    const principal = lines.reduce((best, line) => (line.value > best.value ? line : best), lines[0])
+    add(principal.rate, shipping)
+  }
+
+  const byRate = [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, amount]) => {
+      const tax = roundPaise(taxOn(amount, rate, inclusive))
+      return { rate, taxable: roundPaise(inclusive ? amount - tax : amount), tax }
+    })
+  const tax = roundPaise(byRate.reduce((sum, group) => sum + group.tax, 0))
+  const interState = stateCode ? stateCode !== settings.businessStateCode : null
+  const half = roundPaise(tax / 2)
+
+  return {
+    registered: true,
+    inclusive,
+    interState,
+    tax,
+    cgst: interState === false ? half : 0,
+    sgst: interState === false ? roundPaise(tax - half) : 0,
+    igst: interState === true ? tax : 0,
+    byRate,
+  }
+}
+
+/**
+ * Tax as recorded on an order by the server:
+ * `{ gstin, placeOfSupply, interState, inclusive, cgst, sgst, igst, lines: [{ hsnCode, rate, taxable, tax }] }`.
+ */
+export const normalizeOrderTax = (raw) => {
+  if (!raw) return null
+  return {
+    gstin: raw.gstin || '',
+    placeOfSupply: raw.placeOfSupply ?? raw.place_of_supply ?? '',
+    interState: Boolean(raw.interState ?? raw.inter_state),
+    inclusive: (raw.inclusive ?? raw.prices_include_tax) !== false,
+    cgst: Number(raw.cgst) || 0,
+    sgst: Number(raw.sgst) || 0,
+    igst: Number(raw.igst) || 0,
+    lines: (raw.lines || []).map((line) => ({
+      hsnCode: line.hsnCode ?? line.hsn_code ?? '',
+      rate: Number(line.rate) || 0,
+      taxable: Number(line.taxable ?? line.taxable_value) || 0,
+      tax: Number(line.tax) || 0,
+    })),
+  }
+}
+
+// Summary rows for an order's tax: the split when the server recorded one, else the plain total
+export function getOrderTaxRows(order) {
+  const breakdown = order.taxBreakdown
+  if (!breakdown) return order.tax > 0 ? [{ label: 'Tax', amount: order.tax }] : []
+  const suffix = breakdown.inclusive ? ' (included)' : ''
+  const rows = breakdown.interState
+    ? [{ label: `IGST${suffix}`, amount: breakdown.igst }]
+    : [
+        { label: `CGST${suffix}`, amount: breakdown.cgst },
+        { label: `SGST${suffix}`, amount: breakdown.sgst },
+      ]
+  return rows.filter((row) => row.amount > 0)
+}
+
+// Invoices are numbered by the server when the order is paid (or confirmed, for cash on delivery)
+export const normalizeInvoice = (raw) => {
+  if (!raw?.number && !raw?.invoice_number) return null
+  return {
+    number: raw.number ?? raw.invoice_number,
+    issuedAt: raw.issuedAt ?? raw.issued_at ?? null,
+  }
+}
+
+export const gstSettingsSchema = {
+  gstin: z.union([z.literal(''), z.string().regex(GSTIN_PATTERN, 'Enter a valid 15-character GSTIN')]),
+  businessStateCode: z.enum(INDIAN_STATES.map((state) => state.code), { error: 'Choose the state you ship from' }),
+  pricesIncludeTax: z.boolean(),
+  defaultHsnCode: z.string().regex(HSN_PATTERN, 'HSN codes are 4, 6 or 8 digits'),
+  defaultGstRate: z.number().refine((rate) => GST_RATES.includes(rate), 'Choose a GST slab'),
+}
+
+// A GSTIN starts with the code of the state it was issued in
+export const refineGstin = (data, ctx) => {
+  if (data.gstin && data.gstin.slice(0, 2) !== data.businessStateCode) {
+    ctx.addIssue({ code: 'custom', path: ['gstin'], message: `This GSTIN is not registered in ${getStateName(data.businessStateCode) || 'that state'}` })
+  }
+}
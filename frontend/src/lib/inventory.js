@@ -0,0 +1,99 @@
+/**
+ * Inventory ledger. Stock is never edited as a bare number: every change is a
+ * movement appended to the ledger, and a product's (or variant's) on-hand count is
+ * the sum of its movements.
+ *
+ *   receipt     +  stock received from a grower or supplier
+ *   sale        -  written by the server when a reserved order is paid or confirmed as COD
+ *   adjustment  ±  stock count corrections, including edits made in the product form
+ *   damage      -  plants lost to damage, pests or disease
+ *   return      +  sellable stock coming back from a return, written by the server when an
+ *                  admin restocks the lines of a resolved return request (see lib/returns.js)
+ *
+ * Placing an order reserves its quantities: reserved stock still counts as on hand but
+ * is not available to other customers. The server releases the reservation when the
+ * order is cancelled or when payment is not confirmed before `reservationExpiresAt`,
+ * and turns it into a `sale` movement once the order is paid (or confirmed as COD).
+ */
+
+export const MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'damage', 'return']
+
+export const MOVEMENT_LABELS = {
+  receipt: 'Receipt',
+  sale: 'Sale',
+  adjustment: 'Adjustment',
+  damage: 'Damage / plant loss',
+  return: 'Return',
+}
+
+// Types an admin can record by hand; sales and returns come from orders
+export const MANUAL_MOVEMENT_TYPES = ['receipt', 'adjustment', 'damage']
+
+// Used when a product has no threshold of its own (matches the product form default)
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5
+
+export const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW: 'low',
+  OUT: 'out',
+}
+
+export function getStockStatus(available, threshold = DEFAULT_LOW_STOCK_THRESHOLD) {
+  if (available <= 0) return STOCK_STATUS.OUT
+  if (available <= threshold) return STOCK_STATUS.LOW
+  return STOCK_STATUS.IN_STOCK
+}
+
+// Receipts and returns add stock, sales and damage remove it; adjustments carry their own sign
+export function signedQuantity(type, quantity) {
+  const amount = Math.abs(Number(quantity) || 0)
+  if (type === 'adjustment') return Number(quantity) || 0
+  return type === 'sale' || type === 'damage' ? -amount : amount
+}
+
+const toNumber = (value) => Number(value) || 0
+
+export const normalizeStockLevel = (level) => {
+  const onHand = toNumber(level.onHand ?? level.on_hand ?? level.inventory ?? level.stock)
+  const reserved = toNumber(level.reserved)
+  const available = level.available !== undefined ? toNumber(level.available) : onHand - reserved
+  const threshold = Number(level.lowStockThreshold ?? level.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD)
+  return {
+    productId: level.productId ?? level.product_id,
+    variantId: level.variantId ?? level.variant_id ?? null,
+    name: level.name || level.product_name || '',
+    variantTitle: level.variantTitle || level.variant_title || '',
+    sku: level.sku || '',
+    image: level.image || level.image_url || '',
+    onHand,
+    reserved,
+    available,
+    threshold,
+    status: getStockStatus(available, threshold),
+  }
+}
+
+export const normalizeMovement = (movement) => ({
+  id: movement.id,
+  productId: movement.productId ?? movement.product_id,
+  variantId: movement.variantId ?? movement.variant_id ?? null,
+  type: movement.type,
+  quantity: toNumber(movement.quantity),
+  balance: movement.balance ?? movement.balance_after ?? null,
+  orderId: movement.orderId ?? movement.order_id ?? null,
+  returnId: movement.returnId ?? movement.return_id ?? null,
+  note: movement.note || '',
+  actor: movement.actor || movement.actor_name || movement.created_by || 'System',
+  createdAt: movement.createdAt || movement.created_at,
+})
+
+// Orders answer with when their stock hold lapses; an expired hold means the order must be placed again
+export const getReservationExpiry = (order) => {
+  const value = order?.reservationExpiresAt ?? order?.reservation_expires_at
+  return value ? new Date(value) : null
+}
+
+export const isReservationExpired = (order, now = Date.now()) => {
+  const expiry = getReservationExpiry(order)
+  return Boolean(expiry) && expiry.getTime() <= now
+}
@@ -0,0 +1,128 @@
+/**
+ * Newsletter subscribers, segments and campaigns.
+ *
+ * Subscribing is double opt-in: a signup is stored as `pending` and only becomes `subscribed`
+ * once the confirmation link in the email is opened. Every campaign carries a one-click
+ * unsubscribe link. Segment membership is worked out by the API when a campaign is sent:
+ * indoor plant buyers from paid orders placed with the subscriber's email, care guide readers
+ * from the reading activity recorded by the storefront.
+ */
+
+import { z } from 'zod'
+
+export const SUBSCRIBER_STATUS = {
+  PENDING: 'pending', // signed up, waiting for the confirmation link to be opened
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed',
+}
+
+export const SUBSCRIBER_STATUS_LABELS = {
+  pending: 'Awaiting confirmation',
+  subscribed: 'Subscribed',
+  unsubscribed: 'Unsubscribed',
+}
+
+// Unconfirmed signups are discarded after this, and the confirmation link stops working
+export const CONFIRMATION_TTL_DAYS = 7
+
+export const NEWSLETTER_SEGMENTS = {
+  all: { label: 'All subscribers', description: 'Everyone who has confirmed their subscription.' },
+  indoor_buyers: { label: 'Indoor plant buyers', description: 'Subscribers who have bought an indoor plant.' },
+  care_readers: { label: 'Care guide readers', description: 'Subscribers who have read a plant care guide.' },
+}
+
+export const CAMPAIGN_STATUS = {
+  DRAFT: 'draft',
+  SENDING: 'sending', // recipients are being queued
+  SENT: 'sent',
+}
+
+export const CAMPAIGN_STATUS_LABELS = {
+  draft: 'Draft',
+  sending: 'Sending',
+  sent: 'Sent',
+}
+
+export const MAX_CAMPAIGN_POSTS = 3
+export const MAX_CAMPAIGN_PRODUCTS = 4
+
+// Where the signup came from, stored with the subscriber
+export const SIGNUP_SOURCES = ['home', 'footer', 'blog', 'care']
+
+// Reading activity the storefront reports for segmenting
+export const ACTIVITY_TYPES = {
+  CARE_GUIDE_READ: 'care_guide_read',
+}
+
+const absoluteImage = (url) => (typeof url === 'string' && /^https?:\/\//.test(url) ? url : null)
+
+// Campaigns keep a snapshot of what they feature, so later edits to a post or product do not
+// change a campaign that has already gone out
+export const toCampaignPost = (post) => ({
+  id: post.id,
+  title: post.title,
+  excerpt: post.excerpt || '',
+  path: `/blog/${post.id}`,
+  image: absoluteImage(post.coverImage || post.image || post.featuredImage),
+})
+
+export const toCampaignProduct = (product) => {
+  const image = product.images?.[0]
+  return {
+    id: product.id,
+    name: product.name,
+    price: Number(product.price) || 0,
+    path: `/product/${product.id}`,
+    image: absoluteImage(typeof product.image === 'string' ? product.image : image?.full_url || image?.image_url || image?.url),
+  }
+}
+
+export const normalizeSubscriber = (raw) => ({
+  id: raw.id,
+  email: raw.email || '',
+  name: raw.name || '',
+  status: raw.status || SUBSCRIBER_STATUS.PENDING,
+  source: raw.source || null,
+  segments: Array.isArray(raw.segments) ? raw.segments : [],
+  createdAt: raw.createdAt ?? raw.created_at,
+  confirmedAt: raw.confirmedAt ?? raw.confirmed_at ?? null,
+  unsubscribedAt: raw.unsubscribedAt ?? raw.unsubscribed_at ?? null,
+})
+
+export const normalizeCampaign = (raw) => ({
+  id: raw.id,
+  subject: raw.subject || '',
+  intro: raw.intro || '',
+  segment: raw.segment || 'all',
+  posts: Array.isArray(raw.posts) ? raw.posts : [],
+  products: Array.isArray(raw.products) ? raw.products : [],
+  status: raw.status || CAMPAIGN_STATUS.DRAFT,
+  recipientCount: Number(raw.recipientCount ?? raw.recipient_count) || 0,
+  createdAt: raw.createdAt ?? raw.created_at,
+  sentAt: raw.sentAt ?? raw.sent_at ?? null,
+})
+
+export const campaignSchema = z
+  .object({
+    subject: z.string().trim().min(1, 'Subject is required').max(150, 'Keep the subject under 150 characters'),
+    intro: z.string().trim().min(1, 'Write a short introduction').max(2000, 'Keep the introduction under 2000 characters'),
+    segment: z.enum(Object.keys(NEWSLETTER_SEGMENTS)),
+    posts: z.array(z.object({ id: z.any() }).passthrough()).max(MAX_CAMPAIGN_POSTS, `Pick up to ${MAX_CAMPAIGN_POSTS} posts`),
+    products: z.array(z.object({ id: z.any() }).passthrough()).max(MAX_CAMPAIGN_PRODUCTS, `Pick up to ${MAX_CAMPAIGN_PRODUCTS} products`),
+  })
+  .refine((campaign) => campaign.posts.length + campaign.products.length > 0, {
+    message: 'Feature at least one post or product',
+    path: ['posts'],
+  })
+
+// Field -> first error message; empty when the campaign can be saved
+export function validateCampaign(campaign) {
+  const result = campaignSchema.safeParse(campaign)
+  if (result.success) return {}
+  const errors = {}
+  result.error.issues.forEach((issue) => {
+    const field = issue.path[0]
+    if (field && !errors[field]) errors[field] = issue.message
+  })
+  return errors
+}
@@ -0,0 +1,44 @@
+/**
+ * Order status state machine. The server enforces these transitions (and answers 409
+ * for anything else); the admin console uses the same table to only offer valid moves.
+ *
+ *   pending -> processing -> shipped -> delivered
+ *      \            \            \           \
+ *       cancelled    cancelled    returned    returned
+ */
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned']
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+}
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  returned: 'Returned',
+}
+
+export function getNextStatuses(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || []
+}
+
+export function canTransition(from, to) {
+  return getNextStatuses(from).includes(to)
+}
+
+// Statuses every order in the selection can move to, for bulk updates
+export function getCommonNextStatuses(statuses) {
+  if (statuses.length === 0) return []
+  return statuses
+    .map(getNextStatuses)
+    .reduce((common, next) => common.filter((status) => next.includes(status)))
+}
@@ -0,0 +1,91 @@
+import { toCsv } from './csv'
+import { buildXlsx } from './xlsx'
+import { IMPORT_FIELDS } from './productImport'
+
+/**
+ * Product catalog export. Columns are the import field keys, so an exported file
+ * maps itself when it is imported again: edit prices in a spreadsheet, save as
+ * CSV and load it on the import page.
+ */
+
+export const EXPORT_COLUMNS = IMPORT_FIELDS.map((field) => field.key)
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+const formatDimensions = (value) => {
+  const dimensions = parseMaybeJson(value)
+  if (!dimensions || typeof dimensions !== 'object') return ''
+  const { length, width, height } = dimensions
+  if ([length, width, height].some((part) => part === null || part === undefined || part === '')) return ''
+  return `${length}x${width}x${height}`
+}
+
+const formatList = (value) => {
+  const list = parseMaybeJson(value)
+  if (Array.isArray(list)) return list.join(',')
+  return list || ''
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return ''
+  const number = Number(value)
+  return Number.isFinite(number) ? number : ''
+}
+
+// One spreadsheet row per product, in EXPORT_COLUMNS order
+export function productToRow(product, categories = []) {
+  const categoryId = product.category_id ?? product.categoryIds?.[0] ?? product.category_ids?.[0]
+  const category = categories.find((entry) => String(entry.id) === String(categoryId))
+  const images = product.image_urls || (product.images || []).map((image) => image.full_url || image.image_url || image.url)
+
+  const values = {
+    name: product.name,
+    slug: product.slug,
+    sku: product.sku,
+    description: product.description,
+    price: toNumber(product.price),
+    compare_price: toNumber(product.compare_price ?? product.comparePrice),
+    inventory: toNumber(product.inventory ?? product.stock),
+    // Names read better in a spreadsheet and the importer resolves them back to ids
+    category: category?.name || categoryId || '',
+    difficulty: product.difficulty,
+    status: product.status,
+    tags: formatList(product.tags),
+    dimensions: formatDimensions(product.dimensions),
+    weight: toNumber(product.weight),
+    image_url: formatList(images.filter(Boolean)),
+    featured: product.featured ? 'true' : 'false',
+    low_stock_threshold: toNumber(product.low_stock_threshold ?? product.lowStockThreshold),
+    local_delivery_only: product.local_delivery_only ?? product.localDeliveryOnly ? 'true' : 'false',
+    short_description: product.short_description ?? product.shortDescription,
+    plant_type: product.plant_type ?? product.plantType,
+    light_requirement: product.light_requirement ?? product.lightRequirement,
+    watering_frequency: product.watering_frequency ?? product.wateringFrequency,
+    botanical_name: product.botanical_name ?? product.botanicalName,
+    blooming_season: product.blooming_season ?? product.bloomingSeason,
+    care_instructions: product.care_instructions ?? product.careInstructions,
+  }
+
+  return EXPORT_COLUMNS.map((column) => values[column] ?? '')
+}
+
+/**
+ * Build the export file. `format` is 'csv' or 'xlsx'; returns `{ contents, filename }`
+ * ready for downloadFile.
+ */
+export function buildProductExport(products, categories, format = 'csv') {
+  const rows = [EXPORT_COLUMNS, ...products.map((product) => productToRow(product, categories))]
+  const stamp = new Date().toISOString().slice(0, 10)
+
+  if (format === 'xlsx') {
+    return { contents: buildXlsx(rows, 'Products'), filename: `products-${stamp}.xlsx` }
+  }
+  return { contents: toCsv(rows), filename: `products-${stamp}.csv` }
+}
@@ -0,0 +1,249 @@
+import { z } from 'zod'
+import { toCsv } from './csv'
+
+/**
+ * Product CSV import: column mapping, row validation and category resolution.
+ *
+ * The browser parses and validates the file, then sends clean rows to
+ * POST /api/admin/products/import. The server upserts each row (matching an
+ * existing product by SKU when the row has one, otherwise by slug) and, with
+ * `dryRun: true`, only reports what it would do.
+ */
+
+// Fields a CSV column can be mapped to, with the header names recognised for each
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'title', 'product_name', 'product'] },
+  { key: 'slug', label: 'Slug', aliases: ['slug', 'handle', 'url_key'] },
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'item_code', 'code'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details', 'body'] },
+  { key: 'price', label: 'Price', aliases: ['price', 'selling_price', 'sale_price'] },
+  { key: 'compare_price', label: 'Compare-at price', aliases: ['compare_price', 'mrp', 'compare_at_price', 'list_price'] },
+  { key: 'inventory', label: 'Inventory', aliases: ['inventory', 'stock', 'quantity', 'qty'] },
+  { key: 'category', label: 'Category (name or id)', aliases: ['category', 'category_id', 'category_name'] },
+  { key: 'difficulty', label: 'Care difficulty', aliases: ['difficulty', 'care_level'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'state'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'keywords'] },
+  { key: 'dimensions', label: 'Dimensions (LxWxH)', aliases: ['dimensions', 'size'] },
+  { key: 'weight', label: 'Weight', aliases: ['weight'] },
+  { key: 'image_url', label: 'Image URL', aliases: ['image_url', 'image', 'image_urls', 'images'] },
+  { key: 'featured', label: 'Featured', aliases: ['featured', 'is_featured'] },
+  { key: 'low_stock_threshold', label: 'Low stock threshold', aliases: ['low_stock_threshold', 'reorder_level'] },
+  { key: 'local_delivery_only', label: 'Local delivery only', aliases: ['local_delivery_only', 'local_only'] },
+  { key: 'short_description', label: 'Short description', aliases: ['short_description', 'summary'] },
+  // Plant attributes, same values the product form offers
+  { key: 'plant_type', label: 'Plant type', aliases: ['plant_type', 'planttype', 'type'] },
+  { key: 'light_requirement', label: 'Light requirement', aliases: ['light_requirement', 'lightrequirement', 'light', 'sunlight'] },
+  { key: 'watering_frequency', label: 'Watering frequency', aliases: ['watering_frequency', 'wateringfrequency', 'watering'] },
+  { key: 'botanical_name', label: 'Botanical name', aliases: ['botanical_name', 'botanicalname', 'scientific_name'] },
+  { key: 'blooming_season', label: 'Blooming season', aliases: ['blooming_season', 'bloomingseason'] },
+  { key: 'care_instructions', label: 'Care instructions', aliases: ['care_instructions', 'careinstructions', 'care'] },
+]
+
+export const PLANT_TYPES = ['indoor', 'outdoor', 'succulent', 'flowering', 'foliage', 'herb', 'vegetable', 'fruit', 'tree', 'shrub']
+export const LIGHT_REQUIREMENTS = ['low', 'medium', 'high', 'bright-indirect']
+export const WATERING_FREQUENCIES = ['daily', 'weekly', 'bi-weekly', 'monthly']
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+// Best-effort mapping of target field -> CSV header, editable by the admin before the dry run
+export function guessColumnMapping(headers) {
+  const mapping = {}
+  IMPORT_FIELDS.forEach((field) => {
+    const match = headers.find((header) => field.aliases.includes(normalizeHeader(header)))
+    mapping[field.key] = match || ''
+  })
+  return mapping
+}
+
+export const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+
+// "12x8x24" (length x width x height, any of x/X/×/*) -> { length, width, height }
+export function parseDimensions(value) {
+  const parts = value.split(/\s*[xX×*]\s*/).map(Number)
+  if (parts.length !== 3 || parts.some((part) => !Number.isFinite(part) || part < 0)) return null
+  const [length, width, height] = parts
+  return { length, width, height }
+}
+
+const parseTags = (value) =>
+  value
+    .split(/[,;|]/)
+    .map((tag) => tag.trim())
+    .filter(Boolean)
+
+/**
+ * Look a category up by id, slug or name (case-insensitive).
+ * Returns the category or null.
+ */
+export function resolveCategory(value, categories = []) {
+  const needle = String(value).trim().toLowerCase()
+  if (!needle) return null
+  return (
+    categories.find((category) => String(category.id).toLowerCase() === needle) ||
+    categories.find((category) => category.slug?.toLowerCase() === needle) ||
+    categories.find((category) => category.name?.toLowerCase() === needle) ||
+    null
+  )
+}
+
+const optionalNumber = (label) =>
+  z
+    .string()
+    .transform((value, ctx) => {
+      if (value === '') return undefined
+      const number = Number(value.replace(/[₹,\s]/g, ''))
+      if (!Number.isFinite(number) || number < 0) {
+        ctx.addIssue({ code: 'custom', message: `${label} must be a non-negative number` })
+        return z.NEVER
+      }
+      return number
+    })
+
+// Empty, or one of the allowed values (case-insensitive)
+const optionalChoice = (label, values) =>
+  z
+    .string()
+    .transform((value) => value.toLowerCase())
+    .refine((value) => value === '' || values.includes(value), `${label} must be one of: ${values.join(', ')}`)
+
+const rowSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(200, 'Name must be 200 characters or fewer'),
+  slug: z
+    .string()
+    .regex(/^[a-z0-9-]*$/, 'Slug may only contain lowercase letters, numbers and hyphens'),
+  sku: z.string().max(64, 'SKU must be 64 characters or fewer'),
+  description: z.string(),
+  price: optionalNumber('Price'),
+  compare_price: optionalNumber('Compare-at price'),
+  inventory: optionalNumber('Inventory').refine(
+    (value) => value === undefined || Number.isInteger(value),
+    'Inventory must be a whole number'
+  ),
+  difficulty: optionalChoice('Difficulty', ['easy', 'medium', 'hard']),
+  status: optionalChoice('Status', ['active', 'inactive', 'draft']),
+  weight: optionalNumber('Weight'),
+  featured: z.string().transform((value) => ['1', 'true', 'yes', 'y'].includes(value.toLowerCase())),
+  low_stock_threshold: optionalNumber('Low stock threshold'),
+  local_delivery_only: z.string().transform((value) => ['1', 'true', 'yes', 'y'].includes(value.toLowerCase())),
+  short_description: z.string().max(500, 'Short description must be 500 characters or fewer'),
+  plant_type: optionalChoice('Plant type', PLANT_TYPES),
+  light_requirement: optionalChoice('Light requirement', LIGHT_REQUIREMENTS),
+  watering_frequency: optionalChoice('Watering frequency', WATERING_FREQUENCIES),
+  botanical_name: z.string(),
+  blooming_season: z.string(),
+  care_instructions: z.string().max(1000, 'Care instructions must be 1000 characters or fewer'),
+})
+
+/**
+ * Turn parsed CSV records into import rows using the column mapping.
+ * Each row is `{ line, source, product, errors }`; `line` is the 1-based line the record
+ * starts on in the file (from parseCsvWithHeaders) and `product` is only set when there are
+ * no errors.
+ */
+export function buildImportRows(records, mapping, categories = []) {
+  return records.map(({ line, values: record }) => {
+    const read = (key) => (mapping[key] ? record[mapping[key]] ?? '' : '')
+    const errors = []
+
+    const parsed = rowSchema.safeParse(
+      Object.fromEntries(Object.keys(rowSchema.shape).map((key) => [key, read(key)]))
+    )
+    if (!parsed.success) {
+      parsed.error.issues.forEach((issue) => errors.push(issue.message))
+    }
+
+    let category = null
+    const categoryValue = read('category')
+    if (categoryValue) {
+      category = resolveCategory(categoryValue, categories)
+      if (!category) errors.push(`Unknown category "${categoryValue}"`)
+    }
+
+    let dimensions = null
+    const dimensionsValue = read('dimensions')
+    if (dimensionsValue) {
+      dimensions = parseDimensions(dimensionsValue)
+      if (!dimensions) errors.push(`Dimensions "${dimensionsValue}" must look like 12x8x24`)
+    }
+
+    if (errors.length > 0) {
+      return { line, source: record, product: null, errors }
+    }
+
+    const data = parsed.data
+    const product = {
+      name: data.name,
+      slug: data.slug || slugify(data.name),
+      sku: data.sku || undefined,
+      description: data.description || undefined,
+      price: data.price,
+      compare_price: data.compare_price,
+      inventory: data.inventory,
+      category_id: category?.id,
+      difficulty: data.difficulty || undefined,
+      status: data.status || undefined,
+      tags: read('tags') ? parseTags(read('tags')) : undefined,
+      dimensions: dimensions || undefined,
+      weight: data.weight,
+      image_urls: read('image_url') ? parseTags(read('image_url')) : undefined,
+      featured: mapping.featured ? data.featured : undefined,
+      low_stock_threshold: data.low_stock_threshold,
+      local_delivery_only: mapping.local_delivery_only ? data.local_delivery_only : undefined,
+      short_description: data.short_description || undefined,
+      plant_type: data.plant_type || undefined,
+      light_requirement: data.light_requirement || undefined,
+      watering_frequency: data.watering_frequency || undefined,
+      botanical_name: data.botanical_name || undefined,
+      blooming_season: data.blooming_season || undefined,
+      care_instructions: data.care_instructions || undefined,
+    }
+
+    // Leave unmapped/empty columns out so an update keeps the product's current values
+    Object.keys(product).forEach((key) => product[key] === undefined && delete product[key])
+
+    return { line, source: record, product, errors }
+  })
+}
+
+/**
+ * Merge the server's per-row outcome (`{ line, action, productId, errors }`) into
+ * the locally validated rows. Rows that failed validation never reach the server
+ * and are reported as `error`.
+ */
+export function mergeImportResults(rows, results = []) {
+  const byLine = new Map(results.map((result) => [result.line, result]))
+  return rows.map((row) => {
+    if (row.errors.length > 0) return { ...row, action: 'error' }
+    const result = byLine.get(row.line) || {}
+    const errors = result.errors || []
+    return {
+      ...row,
+      action: errors.length > 0 ? 'error' : result.action || 'skip',
+      productId: result.productId,
+      reason: result.reason,
+      errors,
+    }
+  })
+}
+
+export function summarizeImport(rows) {
+  return rows.reduce(
+    (summary, row) => ({ ...summary, [row.action]: (summary[row.action] || 0) + 1 }),
+    { create: 0, update: 0, skip: 0, error: 0 }
+  )
+}
+
+// CSV of the failing rows: their original cells plus the line number and what went wrong
+export function buildErrorReport(rows, headers) {
+  const failed = rows.filter((row) => row.action === 'error')
+  return toCsv([
+    ['line', ...headers, 'errors'],
+    ...failed.map((row) => [row.line, ...headers.map((header) => row.source[header]), row.errors.join('; ')]),
+  ])
+}
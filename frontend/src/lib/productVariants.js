@@ -0,0 +1,183 @@
+import { z } from 'zod'
+
+/**
+ * Product variants. A product defines up to three options (e.g. pot size, plant
+ * height, planter colour), and each combination of option values is a variant with
+ * its own SKU, price and stock. Products without options are sold as they are.
+ *
+ *   options:  [{ name: 'Pot size', values: ['4"', '6"'] }, { name: 'Planter colour', values: ['White', 'Black'] }]
+ *   variants: [{ id, options: { 'Pot size': '4"', 'Planter colour': 'White' }, sku, price, inventory, isActive }]
+ *
+ * The server decrements the ordered variant's stock; the product's stock is the sum.
+ */
+
+export const MAX_VARIANT_OPTIONS = 3
+
+// Suggestions offered in the product form; admins can rename them or add their own values
+export const VARIANT_OPTION_PRESETS = [
+  { name: 'Pot size', values: ['4"', '6"', '8"', '10"'] },
+  { name: 'Plant height', values: ['1 ft', '2 ft', '3 ft', '4 ft'] },
+  { name: 'Planter colour', values: ['White', 'Black', 'Terracotta', 'Grey'] },
+]
+
+export const variantOptionSchema = z.object({
+  name: z.string().trim().min(1, 'Option name is required').max(40, 'Option name must be 40 characters or fewer'),
+  values: z.array(z.string().trim().min(1)).min(1, 'Add at least one value'),
+})
+
+export const variantSchema = z.object({
+  id: z.union([z.string(), z.number()]).optional().nullable(),
+  options: z.record(z.string(), z.string()),
+  sku: z.string().max(50, 'SKU must be less than 50 characters').optional().or(z.literal('')),
+  price: z.number().min(0.01, 'Price must be greater than 0').max(999999),
+  compareAtPrice: z.number().min(0).max(999999).optional().nullable(),
+  inventory: z.number().int('Stock must be a whole number').min(0, 'Stock cannot be negative'),
+  isActive: z.boolean().default(true),
+})
+
+export const variantOptionsSchema = z
+  .array(variantOptionSchema)
+  .max(MAX_VARIANT_OPTIONS, `At most ${MAX_VARIANT_OPTIONS} options`)
+  .refine(
+    (options) => new Set(options.map((option) => option.name.toLowerCase())).size === options.length,
+    'Option names must be unique'
+  )
+
+const parseMaybeJson = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback
+  try {
+    return JSON.parse(value)
+  } catch {
+    return fallback
+  }
+}
+
+// Stable key for a combination of option values, in option order
+export const variantKey = (options, selection) => options.map((option) => selection[option.name] ?? '').join(' / ')
+
+export const variantTitle = (variant, options) =>
+  options ? variantKey(options, variant.options) : Object.values(variant.options || {}).join(' / ')
+
+const normalizeVariant = (raw) => ({
+  id: raw.id ?? null,
+  options: parseMaybeJson(raw.options ?? raw.option_values, {}) || {},
+  sku: raw.sku || '',
+  price: Number(raw.price) || 0,
+  compareAtPrice:
+    raw.compareAtPrice ?? raw.compare_at_price ?? raw.compare_price ?? null,
+  inventory: Math.max(0, Number(raw.inventory ?? raw.stock) || 0),
+  isActive: raw.isActive ?? raw.is_active ?? true,
+})
+
+// { options, variants } from whichever shape the API sent (camelCase, snake_case or JSON strings)
+export function getProductVariants(product = {}) {
+  const options = (parseMaybeJson(product.variantOptions ?? product.variant_options, []) || [])
+    .filter((option) => option?.name && Array.isArray(option.values) && option.values.length > 0)
+  const variants = options.length > 0 ? (parseMaybeJson(product.variants, []) || []).map(normalizeVariant) : []
+  return { options, variants }
+}
+
+export const hasVariants = (product) => getProductVariants(product).variants.length > 0
+
+const skuPart = (value) => value.toUpperCase().replace(/[^A-Z0-9]+/g, '')
+
+/**
+ * Every combination of the options' values, reusing the SKU/price/stock of variants
+ * that already exist for a combination so editing options never loses data.
+ */
+export function buildVariantMatrix(options, existing = [], defaults = {}) {
+  const usable = options.filter((option) => option.name.trim() && option.values.length > 0)
+  if (usable.length === 0) return []
+
+  const combinations = usable.reduce(
+    (acc, option) => acc.flatMap((combo) => option.values.map((value) => ({ ...combo, [option.name]: value }))),
+    [{}]
+  )
+  const byKey = new Map(existing.map((variant) => [variantKey(usable, variant.options), variant]))
+
+  return combinations.map((combo) => {
+    const match = byKey.get(variantKey(usable, combo))
+    return match
+      ? { ...match, options: combo }
+      : {
+          id: null,
+          options: combo,
+          sku: defaults.sku ? `${defaults.sku}-${Object.values(combo).map(skuPart).join('-')}` : '',
+          price: Number(defaults.price) || 0,
+          compareAtPrice: null,
+          inventory: 0,
+          isActive: true,
+        }
+  })
+}
+
+export const findVariant = (variants, selection) =>
+  variants.find((variant) =>
+    Object.entries(variant.options).every(([name, value]) => selection[name] === value)
+  ) || null
+
+// Whether picking `value` for `optionName` (keeping the other selections) leads to a sellable variant
+export function isValueAvailable(variants, selection, optionName, value) {
+  const candidate = { ...selection, [optionName]: value }
+  return variants.some(
+    (variant) =>
+      variant.isActive &&
+      variant.inventory > 0 &&
+      Object.entries(candidate).every(([name, selected]) => !selected || variant.options[name] === selected)
+  )
+}
+
+// First in-stock active variant's values, so the product page opens on something buyable
+export function getDefaultSelection(options, variants) {
+  const first =
+    variants.find((variant) => variant.isActive && variant.inventory > 0) ||
+    variants.find((variant) => variant.isActive) ||
+    variants[0]
+  return first ? { ...first.options } : Object.fromEntries(options.map((option) => [option.name, option.values[0]]))
+}
+
+// The variant a product page opens on, titled for the cart; null for products without variants
+export function getDefaultVariant(product) {
+  const { options, variants } = getProductVariants(product)
+  if (variants.length === 0) return null
+  const variant = findVariant(variants, getDefaultSelection(options, variants))
+  return variant && { ...variant, title: variantTitle(variant, options) }
+}
+
+export function getVariantPriceRange(variants) {
+  const prices = variants.filter((variant) => variant.isActive).map((variant) => variant.price)
+  if (prices.length === 0) return null
+  return { min: Math.min(...prices), max: Math.max(...prices) }
+}
+
+export const getTotalInventory = (variants) =>
+  variants.reduce((sum, variant) => sum + (variant.isActive ? variant.inventory : 0), 0)
+
+// Errors to show before saving; an empty list means the variants are valid
+export function validateVariants({ options = [], variants = [] }) {
+  const errors = []
+  if (options.some((option) => !option.name.trim())) errors.push('Every option needs a name')
+  if (options.some((option) => option.values.length === 0)) errors.push('Every option needs at least one value')
+  const names = options.map((option) => option.name.trim().toLowerCase())
+  if (new Set(names).size !== names.length) errors.push('Option names must be unique')
+  if (variants.some((variant) => variant.isActive && !(variant.price > 0))) {
+    errors.push('Every active variant needs a price greater than 0')
+  }
+  const skus = variants.map((variant) => variant.sku.trim()).filter(Boolean)
+  if (new Set(skus).size !== skus.length) errors.push('Variant SKUs must be unique')
+  return errors
+}
+
+// Payload fields the product endpoints accept
+export const serializeVariants = (options, variants) => ({
+  variant_options: options,
+  variants: variants.map((variant) => ({
+    id: variant.id || undefined,
+    options: variant.options,
+    sku: variant.sku || undefined,
+    price: variant.price,
+    compare_at_price: variant.compareAtPrice ?? undefined,
+    inventory: variant.inventory,
+    is_active: variant.isActive,
+  })),
+})
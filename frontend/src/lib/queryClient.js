@@ -41,6 +41,8 @@ export const queryKeys = {
     featured: () => [...queryKeys.products.all, 'featured'],
     related: (id) => [...queryKeys.products.all, 'related', id],
     search: (query, filters) => [...queryKeys.products.all, 'search', { query, filters }],
+    catalog: (params) => [...queryKeys.products.all, 'catalog', params],
+    admin: (filters) => [...queryKeys.products.all, 'admin', { filters }],
   },
 
   // Categories
@@ -74,6 +76,103 @@ export const queryKeys = {
     detail: (id) => [...queryKeys.plantCare.details(), id],
     search: (query) => [...queryKeys.plantCare.all, 'search', query],
   },
+
+  // Orders
+  orders: {
+    all: ['orders'],
+    lists: () => [...queryKeys.orders.all, 'list'],
+    list: (filters) => [...queryKeys.orders.lists(), { filters }],
+    details: () => [...queryKeys.orders.all, 'detail'],
+    detail: (id) => [...queryKeys.orders.details(), id],
+    user: (userId) => [...queryKeys.orders.all, 'user', userId],
+    history: (id) => [...queryKeys.orders.detail(id), 'history'],
+    shipments: (id) => [...queryKeys.orders.detail(id), 'shipments'],
+  },
+
+  // Reviews
+  reviews: {
+    all: ['reviews'],
+    product: (productId) => [...queryKeys.reviews.all, 'product', productId],
+    eligibility: (productId) => [...queryKeys.reviews.all, 'eligibility', productId],
+    moderation: (filters) => [...queryKeys.reviews.all, 'moderation', { filters }],
+  },
+
+  // Users (admin)
+  users: {
+    all: ['users'],
+    lists: () => [...queryKeys.users.all, 'list'],
+    list: (filters) => [...queryKeys.users.lists(), { filters }],
+    details: () => [...queryKeys.users.all, 'detail'],
+    detail: (id) => [...queryKeys.users.details(), id],
+  },
+
+  // Inventory ledger
+  inventory: {
+    all: ['inventory'],
+    levels: (filters) => [...queryKeys.inventory.all, 'levels', { filters }],
+    lowStock: () => [...queryKeys.inventory.all, 'lowStock'],
+    movements: (filters) => [...queryKeys.inventory.all, 'movements', { filters }],
+  },
+
+  // Coupons and promotions
+  coupons: {
+    all: ['coupons'],
+    admin: () => [...queryKeys.coupons.all, 'admin'],
+    featured: () => [...queryKeys.coupons.all, 'featured'],
+    quote: (code, lines) => [...queryKeys.coupons.all, 'quote', code, { lines }],
+  },
+
+  // Return, replacement and refund requests
+  returns: {
+    all: ['returns'],
+    order: (orderId) => [...queryKeys.returns.all, 'order', orderId],
+    admin: (filters) => [...queryKeys.returns.all, 'admin', { filters }],
+  },
+
+  // Delivery zones, pincode serviceability and shipping quotes
+  shipping: {
+    all: ['shipping'],
+    zones: () => [...queryKeys.shipping.all, 'zones'],
+    serviceability: (pincode, productId, variantId) => [...queryKeys.shipping.all, 'serviceability', pincode, { productId, variantId }],
+    quote: (pincode, lines) => [...queryKeys.shipping.all, 'quote', pincode, { lines }],
+  },
+
+  // Transactional mail outbox
+  mail: {
+    all: ['mail'],
+    outbox: (filters) => [...queryKeys.mail.all, 'outbox', { filters }],
+  },
+
+  // Contact-form enquiries in the admin inbox
+  tickets: {
+    all: ['tickets'],
+    lists: () => [...queryKeys.tickets.all, 'list'],
+    list: (filters) => [...queryKeys.tickets.lists(), { filters }],
+    detail: (id) => [...queryKeys.tickets.all, 'detail', id],
+    unread: () => [...queryKeys.tickets.all, 'unread'],
+  },
+
+  // Newsletter subscribers, segment sizes and campaigns
+  newsletter: {
+    all: ['newsletter'],
+    subscribers: (filters) => [...queryKeys.newsletter.all, 'subscribers', { filters }],
+    segments: () => [...queryKeys.newsletter.all, 'segments'],
+    campaigns: () => [...queryKeys.newsletter.all, 'campaigns'],
+  },
+
+  // Storefront search index and synonym groups
+  search: {
+    all: ['search'],
+    index: () => [...queryKeys.search.all, 'index'],
+    synonyms: () => [...queryKeys.search.all, 'synonyms'],
+  },
+
+  // Store settings
+  settings: {
+    all: ['settings'],
+    public: () => [...queryKeys.settings.all, 'public'],
+    admin: () => [...queryKeys.settings.all, 'admin'],
+  },
 }
 
 /**
@@ -0,0 +1,143 @@
+import { queryKeys } from './queryClient'
+
+/**
+ * Typed events on GET /api/sse/events. Each SSE message carries an `id:` line
+ * (monotonic, used for Last-Event-ID resume) and a JSON body:
+ *
+ *   { "type": "order.status_changed", "data": { "id": 42, "status": "shipped", "userId": 7 }, "at": "2026-..." }
+ *
+ * The server only sends a client the events its token may see: storefront
+ * visitors get product, category, blog, care-guide, stock and approved-review
+ * events; signed-in customers also get their own orders and wishlist alerts;
+ * admins get everything.
+ */
+
+export const EVENT_TYPES = {
+  PRODUCT_CREATED: 'product.created',
+  PRODUCT_UPDATED: 'product.updated',
+  PRODUCT_DELETED: 'product.deleted',
+  CATEGORY_CREATED: 'category.created',
+  CATEGORY_UPDATED: 'category.updated',
+  CATEGORY_DELETED: 'category.deleted',
+  // Published posts and guides only; drafts never reach the storefront
+  BLOG_POST_PUBLISHED: 'blog_post.published',
+  BLOG_POST_UPDATED: 'blog_post.updated',
+  BLOG_POST_DELETED: 'blog_post.deleted',
+  CARE_GUIDE_PUBLISHED: 'care_guide.published',
+  CARE_GUIDE_UPDATED: 'care_guide.updated',
+  CARE_GUIDE_DELETED: 'care_guide.deleted',
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_PAYMENT_UPDATED: 'order.payment_updated',
+  // A carrier scan was ingested for one of the order's shipments
+  SHIPMENT_UPDATED: 'shipment.updated',
+  // A customer raised a return request / an admin resolved or rejected one
+  RETURN_CREATED: 'return.created',
+  RETURN_UPDATED: 'return.updated',
+  // A contact-form enquiry arrived / a ticket changed (staff reply, assignment, or the customer answered by email)
+  TICKET_CREATED: 'ticket.created',
+  TICKET_UPDATED: 'ticket.updated',
+  STOCK_CHANGED: 'stock.changed',
+  STOCK_LOW: 'stock.low',
+  REVIEW_CREATED: 'review.created',
+  REVIEW_MODERATED: 'review.moderated',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  // Only sent to the customer whose wishlist it concerns
+  WISHLIST_ALERT: 'wishlist.alert',
+}
+
+// Names the pre-typed server used, still accepted while older deployments are around
+const LEGACY_TYPES = {
+  category_created: EVENT_TYPES.CATEGORY_CREATED,
+  category_updated: EVENT_TYPES.CATEGORY_UPDATED,
+  category_deleted: EVENT_TYPES.CATEGORY_DELETED,
+}
+
+/**
+ * Parse one SSE message into `{ id, type, data, at }`.
+ * Returns null for payloads that are not JSON or have no type (heartbeats, comments).
+ */
+export function parseEvent(message) {
+  let body
+  try {
+    body = JSON.parse(message.data)
+  } catch {
+    return null
+  }
+  if (!body?.type) return null
+  // Old-style events put their fields next to `type` instead of under `data`
+  const { type, data, at, ...rest } = body
+  return {
+    id: message.lastEventId || body.id || null,
+    type: LEGACY_TYPES[type] || type,
+    data: data ?? rest,
+    at: at || null,
+  }
+}
+
+// Query keys to invalidate for each event; prefixes, so one key covers every list and filter
+const INVALIDATIONS = {
+  // The search index holds a copy of every product and category name
+  [EVENT_TYPES.PRODUCT_CREATED]: () => [queryKeys.products.all, queryKeys.search.index()],
+  [EVENT_TYPES.PRODUCT_UPDATED]: () => [queryKeys.products.all, queryKeys.search.index()],
+  [EVENT_TYPES.PRODUCT_DELETED]: () => [queryKeys.products.all, queryKeys.inventory.all, queryKeys.search.index()],
+  [EVENT_TYPES.CATEGORY_CREATED]: () => [queryKeys.categories.all, queryKeys.search.index()],
+  [EVENT_TYPES.CATEGORY_UPDATED]: () => [queryKeys.categories.all, queryKeys.search.index()],
+  [EVENT_TYPES.CATEGORY_DELETED]: () => [queryKeys.categories.all, queryKeys.products.all, queryKeys.search.index()],
+  [EVENT_TYPES.BLOG_POST_PUBLISHED]: () => [queryKeys.blog.all],
+  [EVENT_TYPES.BLOG_POST_UPDATED]: () => [queryKeys.blog.all],
+  [EVENT_TYPES.BLOG_POST_DELETED]: () => [queryKeys.blog.all],
+  // Care guides are in the search index too
+  [EVENT_TYPES.CARE_GUIDE_PUBLISHED]: () => [queryKeys.plantCare.all, queryKeys.search.index()],
+  [EVENT_TYPES.CARE_GUIDE_UPDATED]: () => [queryKeys.plantCare.all, queryKeys.search.index()],
+  [EVENT_TYPES.CARE_GUIDE_DELETED]: () => [queryKeys.plantCare.all, queryKeys.search.index()],
+  [EVENT_TYPES.ORDER_CREATED]: () => [queryKeys.orders.lists(), queryKeys.inventory.all],
+  [EVENT_TYPES.ORDER_STATUS_CHANGED]: ({ id, orderNumber, userId }) => [
+    queryKeys.orders.lists(),
+    ...(id !== undefined ? [queryKeys.orders.detail(id), queryKeys.orders.history(id)] : []),
+    // Customer order pages are cached under the order number
+    ...(orderNumber ? [queryKeys.orders.detail(orderNumber)] : []),
+    ...(userId !== undefined ? [queryKeys.orders.user(userId)] : []),
+    // Cancellations release reserved stock
+    queryKeys.inventory.all,
+  ],
+  [EVENT_TYPES.ORDER_PAYMENT_UPDATED]: ({ id }) => [
+    queryKeys.orders.lists(),
+    ...(id !== undefined ? [queryKeys.orders.detail(id)] : []),
+  ],
+  // Shipments are cached under their order, by id and (on customer pages) by order number
+  [EVENT_TYPES.SHIPMENT_UPDATED]: ({ orderId, orderNumber, userId }) => [
+    queryKeys.orders.lists(),
+    ...(orderId !== undefined ? [queryKeys.orders.detail(orderId)] : []),
+    ...(orderNumber ? [queryKeys.orders.detail(orderNumber)] : []),
+    ...(userId !== undefined ? [queryKeys.orders.user(userId)] : []),
+  ],
+  [EVENT_TYPES.RETURN_CREATED]: () => [[...queryKeys.returns.all, 'admin']],
+  // Resolving a return can refund the order and put stock back
+  [EVENT_TYPES.RETURN_UPDATED]: ({ orderId, orderNumber }) => [
+    queryKeys.returns.all,
+    ...(orderId !== undefined ? [queryKeys.orders.detail(orderId)] : []),
+    ...(orderNumber ? [queryKeys.orders.detail(orderNumber)] : []),
+    queryKeys.inventory.all,
+  ],
+  [EVENT_TYPES.TICKET_CREATED]: () => [queryKeys.tickets.lists(), queryKeys.tickets.unread()],
+  [EVENT_TYPES.TICKET_UPDATED]: ({ id }) => [
+    queryKeys.tickets.lists(),
+    queryKeys.tickets.unread(),
+    ...(id !== undefined ? [queryKeys.tickets.detail(String(id))] : []),
+  ],
+  // Product queries carry stock counts too
+  [EVENT_TYPES.STOCK_CHANGED]: () => [queryKeys.inventory.all, queryKeys.products.all],
+  [EVENT_TYPES.STOCK_LOW]: () => [queryKeys.inventory.lowStock()],
+  [EVENT_TYPES.REVIEW_CREATED]: () => [[...queryKeys.reviews.all, 'moderation']],
+  [EVENT_TYPES.REVIEW_MODERATED]: ({ productId }) => [
+    [...queryKeys.reviews.all, 'moderation'],
+    ...(productId !== undefined ? [queryKeys.reviews.product(productId), queryKeys.products.detail(productId)] : []),
+  ],
+  [EVENT_TYPES.USER_ROLE_CHANGED]: ({ id }) => [
+    queryKeys.users.lists(),
+    ...(id !== undefined ? [queryKeys.users.detail(id)] : []),
+  ],
+}
+
+export const getInvalidations = (event) => INVALIDATIONS[event.type]?.(event.data || {}) || []
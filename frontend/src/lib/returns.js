@@ -0,0 +1,169 @@
+/**
+ * Returns, replacements and refunds for delivered orders.
+ *
+ *   requested -> replaced   a replacement order ships the same plants again at no charge
+ *             -> refunded   money goes back through the payment gateway (or by hand for COD)
+ *             -> rejected   with a reason the customer can see
+ *
+ * Customers raise a request from the order page within RETURN_WINDOW_DAYS of delivery,
+ * with photos of the damage. When an admin resolves it, each line is either restocked
+ * (the server writes a `return` movement to the inventory ledger, see lib/inventory.js)
+ * or discarded; dead or unsellable plants stay out of stock, their loss already counted
+ * by the original sale.
+ */
+
+// Matches the plant health guarantee on product pages
+export const RETURN_WINDOW_DAYS = 30
+
+export const MAX_RETURN_PHOTOS = 5
+
+export const RETURN_REASONS = {
+  damaged_in_transit: 'Arrived damaged',
+  dead_on_arrival: 'Arrived dead or dying',
+  pests_or_disease: 'Pests or disease',
+  wrong_item: 'Wrong plant or size',
+  missing_item: 'Item missing from the parcel',
+  other: 'Something else',
+}
+
+// Photos are how we judge plant damage, so only a missing item can be reported without one
+export const PHOTO_OPTIONAL_REASONS = ['missing_item']
+
+export const RETURN_STATUSES = ['requested', 'replaced', 'refunded', 'rejected']
+
+export const RETURN_STATUS_LABELS = {
+  requested: 'Under review',
+  replaced: 'Replacement sent',
+  refunded: 'Refunded',
+  rejected: 'Rejected',
+}
+
+export const RETURN_RESOLUTIONS = {
+  replacement: 'Send a replacement',
+  refund: 'Refund',
+}
+
+export const RETURN_DISPOSITIONS = {
+  restock: 'Back in stock',
+  discard: 'Discard',
+}
+
+const toNumber = (value) => Number(value) || 0
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+// Order items have ids once saved; the product/variant pair covers older payloads
+export const getLineKey = (item) => String(item.id ?? item.itemId ?? `${item.productId}:${item.variantId ?? ''}`)
+
+export const getDeliveredAt = (order) => {
+  const value = order?.deliveredAt
+  return value ? new Date(value) : null
+}
+
+// The last day a return can be raised, or null when the delivery date is unknown
+export const getReturnDeadline = (order) => {
+  const deliveredAt = getDeliveredAt(order)
+  return deliveredAt ? new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) : null
+}
+
+// The server checks the window again, so an order without a delivery date is left to it
+export const isReturnWindowOpen = (order, now = Date.now()) => {
+  if (order?.status !== 'delivered') return false
+  const deadline = getReturnDeadline(order)
+  return !deadline || deadline.getTime() > now
+}
+
+/**
+ * Quantity of each order line that can still be returned: ordered minus what open or
+ * resolved requests already cover. Rejected requests give their quantities back.
+ * Returns `{ [lineKey]: quantity }`.
+ */
+export function getReturnableQuantities(order, returns = []) {
+  const claimed = {}
+  returns
+    .filter((request) => request.status !== 'rejected')
+    .forEach((request) => {
+      request.items.forEach((item) => {
+        claimed[item.lineKey] = (claimed[item.lineKey] || 0) + item.quantity
+      })
+    })
+  return Object.fromEntries(
+    (order?.items || []).map((item) => {
+      const key = getLineKey(item)
+      return [key, Math.max(0, item.quantity - (claimed[key] || 0))]
+    })
+  )
+}
+
+// What is left to refund on the order's payment
+export const getRefundableAmount = (order) =>
+  round2(Math.max(0, toNumber(order?.total) - toNumber(order?.payment?.amountRefunded)))
+
+/**
+ * Suggested refund for the returned lines: their share of what the customer paid for goods,
+ * so coupon discounts and GST are spread over the lines the same way they were charged.
+ * Returning every item refunds the whole order including shipping. Capped at what is left
+ * to refund; admins can still lower it.
+ */
+export function suggestRefundAmount(order, lines = []) {
+  if (!order) return 0
+  const quantities = Object.fromEntries(lines.map((line) => [line.lineKey, toNumber(line.quantity)]))
+  const itemsValue = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  const returnedValue = order.items.reduce(
+    (sum, item) => sum + item.price * Math.min(item.quantity, quantities[getLineKey(item)] || 0),
+    0
+  )
+  if (!(itemsValue > 0) || !(returnedValue > 0)) return 0
+
+  const everything = order.items.every((item) => (quantities[getLineKey(item)] || 0) >= item.quantity)
+  const goodsPaid = Math.max(0, order.total - order.shipping)
+  const amount = everything ? order.total : (goodsPaid * returnedValue) / itemsValue
+  return Math.min(round2(amount), getRefundableAmount(order))
+}
+
+const normalizeReturnItem = (item) => ({
+  lineKey: String(item.lineKey ?? item.itemId ?? item.order_item_id ?? `${item.productId ?? item.product_id}:${item.variantId ?? item.variant_id ?? ''}`),
+  productId: item.productId ?? item.product_id,
+  variantId: item.variantId ?? item.variant_id ?? null,
+  name: item.name || item.product_name || '',
+  variantTitle: item.variantTitle || item.variant_title || '',
+  image: item.image || item.product_image || '',
+  price: toNumber(item.price),
+  quantity: toNumber(item.quantity) || 1,
+  // Set once resolved: 'restock' | 'discard'
+  disposition: item.disposition || null,
+})
+
+const normalizeRefund = (refund) =>
+  refund
+    ? {
+        provider: refund.provider || 'manual',
+        refundId: refund.refundId ?? refund.refund_id ?? null,
+        amount: toNumber(refund.amount),
+        reference: refund.reference || '',
+        createdAt: refund.createdAt ?? refund.created_at ?? null,
+      }
+    : null
+
+/**
+ * `{ id, orderId, orderNumber, status, reason, description, images, items, resolution, refund,
+ *    replacementOrderNumber, rejectionReason, customerName, createdAt, resolvedAt }`.
+ * Admin lists also embed the order (`raw.order`), which callers normalize themselves.
+ */
+export const normalizeReturn = (raw) => ({
+  id: raw.id,
+  orderId: raw.orderId ?? raw.order_id,
+  orderNumber: raw.orderNumber || raw.order_number || String(raw.orderId ?? raw.order_id ?? ''),
+  status: raw.status || 'requested',
+  reason: raw.reason || 'other',
+  description: raw.description || '',
+  images: raw.images || raw.photos || [],
+  items: (raw.items || raw.return_items || []).map(normalizeReturnItem),
+  resolution: raw.resolution || null,
+  refund: normalizeRefund(raw.refund),
+  replacementOrderNumber: raw.replacementOrderNumber || raw.replacement_order_number || null,
+  rejectionReason: raw.rejectionReason || raw.rejection_reason || '',
+  customerName: raw.customerName || raw.customer_name || '',
+  createdAt: raw.createdAt || raw.created_at,
+  resolvedAt: raw.resolvedAt || raw.resolved_at || null,
+})
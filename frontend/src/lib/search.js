@@ -0,0 +1,383 @@
+import { z } from 'zod'
+import { categoryPath } from './catalogFilters.js'
+
+/**
+ * Storefront search: text normalisation, synonyms and typo-tolerant matching.
+ *
+ * The header autocomplete runs in the browser over the compact index from
+ * `GET /api/search/index` (products, categories and care guides). A submitted search goes to
+ * the catalog (`/catalog?search=`), where the API applies the same rules, so a suggestion and
+ * the results page agree:
+ *
+ * - Text is lower-cased, Latin accents dropped and punctuation removed; Devanagari and Gujarati
+ *   are kept as typed. Filler words ("plant", "the") are ignored and a trailing plural `s` is
+ *   stripped.
+ * - Every query word has to match, exactly, by prefix (the word still being typed) or within
+ *   one typo for words of 4–7 letters and two beyond that ("monstra" finds Monstera).
+ * - Synonym groups make local, English and botanical names interchangeable: searching "mogra"
+ *   also matches "jasmine" and "Jasminum sambac". Groups are edited on the admin Search page.
+ */
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'for', 'of', 'with', 'in', 'plant', 'plants', 'paudha', 'paudhe'])
+
+// Field weights: a hit in the name outranks one in the description
+const FIELD_WEIGHTS = { title: 3, names: 2, tags: 2, category: 1, body: 1 }
+
+export const SUGGESTION_LIMITS = { product: 5, category: 3, guide: 3 }
+
+export const MAX_SYNONYM_TERMS = 20
+
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+
+const stem = (token) => (token.length > 3 && /[a-z]s$/.test(token) && !token.endsWith('ss') ? token.slice(0, -1) : token)
+
+export const tokenize = (text, { keepStopWords = false } = {}) => {
+  const tokens = normalizeText(text).split(' ').filter(Boolean)
+  const kept = keepStopWords ? tokens : tokens.filter((token) => !STOP_WORDS.has(token))
+  // A query made only of filler words still searches for them
+  return (kept.length ? kept : tokens).map(stem)
+}
+
+const maxTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2)
+
+// Optimal string alignment distance (a swap of neighbours counts as one typo); gives up once
+// the distance is certain to exceed `limit`
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1
+  let prevPrev = []
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1)
+      }
+      current[j] = value
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > limit) return limit + 1
+    prevPrev = prev
+    prev = current
+  }
+  return prev[b.length]
+}
+
+// How well a query word matches an indexed word: 1 exact, less for prefixes and typos, 0 none
+const matchToken = (queryToken, token, allowPrefix) => {
+  if (queryToken === token) return 1
+  if (allowPrefix && token.startsWith(queryToken)) return 0.8
+  const limit = maxTypos(queryToken.length)
+  if (limit === 0) return 0
+  const distance = editDistance(queryToken, token, limit)
+  if (distance <= limit) return 0.7 - 0.1 * distance
+  if (allowPrefix && token.length > queryToken.length) {
+    const prefixDistance = editDistance(queryToken, token.slice(0, queryToken.length), limit)
+    if (prefixDistance <= limit) return 0.6 - 0.1 * prefixDistance
+  }
+  return 0
+}
+
+/**
+ * Synonyms
+ */
+
+export const normalizeSynonymGroup = (raw) => ({
+  id: raw.id,
+  terms: (Array.isArray(raw.terms) ? raw.terms : String(raw.terms || '').split(','))
+    .map((term) => String(term).trim())
+    .filter(Boolean),
+  updatedAt: raw.updatedAt ?? raw.updated_at ?? null,
+})
+
+// Starter list offered on the admin Search page while no groups exist
+export const DEFAULT_SYNONYMS = [
+  ['tulsi', 'tulasi', 'holy basil', 'Ocimum tenuiflorum', 'तुलसी', 'તુલસી'],
+  ['mogra', 'jasmine', 'Jasminum sambac', 'मोगरा', 'મોગરો'],
+  ['money plant', 'pothos', 'Epipremnum aureum', 'मनी प्लांट'],
+  ['snake plant', 'sansevieria', 'mother in law tongue', 'Dracaena trifasciata'],
+  ['curry leaf', 'kadi patta', 'meetho limdo', 'Murraya koenigii', 'कढ़ी पत्ता', 'મીઠો લીમડો'],
+  ['neem', 'limdo', 'Azadirachta indica', 'नीम', 'લીમડો'],
+  ['aloe vera', 'ghritkumari', 'kunvarpathu', 'Aloe barbadensis', 'घृतकुमारी', 'કુંવારપાઠું'],
+  ['marigold', 'genda', 'galgota', 'Tagetes', 'गेंदा', 'ગલગોટા'],
+  ['hibiscus', 'gudhal', 'jasud', 'Hibiscus rosa-sinensis', 'गुड़हल', 'જાસૂદ'],
+  ['rose', 'gulab', 'Rosa', 'गुलाब', 'ગુલાબ'],
+  ['periwinkle', 'sadabahar', 'barmasi', 'Catharanthus roseus', 'सदाबहार', 'બારમાસી'],
+  ['lemongrass', 'lili chai', 'Cymbopogon citratus', 'लेमनग्रास', 'લીલી ચા'],
+  ['ashoka', 'asopalav', 'Polyalthia longifolia', 'अशोक', 'આસોપાલવ'],
+  ['monstera', 'swiss cheese plant', 'Monstera deliciosa'],
+].map((terms) => ({ terms }))
+
+export const synonymGroupSchema = z.object({
+  terms: z
+    .array(z.string().trim().min(1).max(60, 'Keep each name under 60 characters'))
+    .min(2, 'Add at least two names that mean the same plant')
+    .max(MAX_SYNONYM_TERMS, `A group can hold at most ${MAX_SYNONYM_TERMS} names`),
+})
+
+// Returns { terms: message } or null. A name may only belong to one group, otherwise a search
+// for it would silently merge two groups.
+export const validateSynonymGroup = (group, otherGroups = []) => {
+  const result = synonymGroupSchema.safeParse({ terms: group.terms })
+  if (!result.success) return { terms: result.error.issues[0].message }
+
+  const seen = new Set()
+  for (const term of group.terms) {
+    const key = normalizeText(term)
+    if (seen.has(key)) return { terms: `"${term}" is listed twice` }
+    seen.add(key)
+  }
+  for (const other of otherGroups) {
+    if (other.id === group.id) continue
+    const clash = other.terms.find((term) => seen.has(normalizeText(term)))
+    if (clash) return { terms: `"${clash}" is already in the group ${other.terms.slice(0, 2).join(' / ')}` }
+  }
+  return null
+}
+
+// Term (as a token list) → every term of its group, as token lists
+const buildSynonymLookup = (groups = []) => {
+  const lookup = new Map()
+  groups.forEach((group) => {
+    const variants = group.terms.map((term) => tokenize(term, { keepStopWords: true })).filter((tokens) => tokens.length)
+    variants.forEach((tokens) => lookup.set(tokens.join(' '), variants))
+  })
+  return lookup
+}
+
+// Splits the query into clauses, each a list of alternative token sequences: a phrase from a
+// synonym group ("holy basil") becomes one clause holding every name in the group.
+export const parseQuery = (query, synonyms = []) => {
+  const lookup = buildSynonymLookup(synonyms)
+  // Filler words are kept until phrases are found, so "money plant" still reaches its group
+  const tokens = tokenize(query, { keepStopWords: true })
+  const fillerOnly = tokens.every((token) => STOP_WORDS.has(token))
+  const longest = Math.max(1, ...[...lookup.keys()].map((key) => key.split(' ').length))
+  const clauses = []
+
+  for (let i = 0; i < tokens.length;) {
+    let matched = null
+    for (let size = Math.min(longest, tokens.length - i); size > 1 && !matched; size--) {
+      const variants = lookup.get(tokens.slice(i, i + size).join(' '))
+      if (variants) matched = { size, variants, term: tokens.slice(i, i + size) }
+    }
+    if (!matched && STOP_WORDS.has(tokens[i]) && !fillerOnly) {
+      i += 1
+      continue
+    }
+    if (!matched) {
+      // Single words also find their group through a typo ("tulsii", "mongra")
+      const token = tokens[i]
+      const limit = maxTypos(token.length)
+      let best = null
+      lookup.forEach((variants, key) => {
+        if (key.includes(' ')) return
+        const distance = key === token ? 0 : limit ? editDistance(token, key, limit) : limit + 1
+        if (distance <= limit && (!best || distance < best.distance)) best = { distance, variants, term: key.split(' ') }
+      })
+      matched = { size: 1, variants: best ? best.variants : [], term: best?.term }
+    }
+
+    // What was typed, then the group term it was read as (a typo fix isn't a synonym), then
+    // the rest of the group
+    const own = tokens.slice(i, i + matched.size)
+    const direct = [own, matched.term].filter(Boolean).filter((sequence, n, list) => n === 0 || sequence.join(' ') !== list[0].join(' '))
+    const seen = new Set(direct.map((sequence) => sequence.join(' ')))
+    const alternatives = [...direct, ...matched.variants.filter((variant) => !seen.has(variant.join(' ')))]
+    clauses.push({ alternatives, direct: direct.length, isLast: i + matched.size === tokens.length })
+    i += matched.size
+  }
+  return clauses
+}
+
+/**
+ * Index
+ */
+
+const joinList = (value) => (Array.isArray(value) ? value.join(' ') : value || '')
+
+const toDocument = (type, raw) => {
+  if (type === 'product') {
+    return {
+      type,
+      id: raw.id,
+      title: raw.name || '',
+      subtitle: raw.botanicalName ?? raw.botanical_name ?? raw.category?.name ?? raw.category ?? '',
+      image: raw.image ?? raw.image_url ?? raw.thumbnail ?? '',
+      price: raw.price !== undefined ? Number(raw.price) : null,
+      path: `/product/${raw.id}`,
+      fields: {
+        title: raw.name,
+        names: [raw.botanicalName ?? raw.botanical_name, joinList(raw.localNames ?? raw.local_names), joinList(raw.commonNames ?? raw.common_names)].join(' '),
+        tags: joinList(raw.tags),
+        category: raw.category?.name ?? raw.category_name ?? raw.category,
+        body: [
+          raw.description,
+          raw.lightRequirement ?? raw.light_requirement,
+          raw.careLevel ?? raw.care_level,
+          joinList(raw.features),
+        ].join(' '),
+      },
+    }
+  }
+  if (type === 'category') {
+    const slug = raw.slug || String(raw.id)
+    return {
+      type,
+      id: raw.id,
+      title: raw.name || '',
+      subtitle: raw.productCount ? `${raw.productCount} products` : '',
+      path: categoryPath(slug),
+      fields: { title: raw.name, body: raw.description },
+    }
+  }
+  return {
+    type,
+    id: raw.id,
+    title: raw.title || '',
+    subtitle: 'Care guide',
+    image: raw.coverImage ?? raw.image ?? '',
+    path: `/care/${raw.slug || raw.id}`,
+    fields: { title: raw.title, names: raw.plantName ?? raw.plant_name, tags: joinList(raw.tags), body: raw.excerpt },
+  }
+}
+
+// Builds the in-memory index: every distinct word → the documents containing it, with the
+// weight of the best field it appears in
+export const buildSearchIndex = ({ products = [], categories = [], guides = [] } = {}) => {
+  const documents = [
+    ...products.map((raw) => toDocument('product', raw)),
+    ...categories.filter((raw) => !raw.status || raw.status === 'active').map((raw) => toDocument('category', raw)),
+    ...guides.map((raw) => toDocument('guide', raw)),
+  ]
+  const vocabulary = new Map()
+
+  documents.forEach((document, index) => {
+    Object.entries(document.fields).forEach(([field, text]) => {
+      tokenize(text, { keepStopWords: true }).forEach((token) => {
+        const postings = vocabulary.get(token) || new Map()
+        postings.set(index, Math.max(postings.get(index) || 0, FIELD_WEIGHTS[field]))
+        vocabulary.set(token, postings)
+      })
+    })
+    delete document.fields
+  })
+
+  return { documents, vocabulary }
+}
+
+// Best score per document for one query word
+const scoreToken = (index, queryToken, allowPrefix) => {
+  const scores = new Map()
+  index.vocabulary.forEach((postings, token) => {
+    const quality = matchToken(queryToken, token, allowPrefix)
+    if (!quality) return
+    postings.forEach((weight, documentIndex) => {
+      scores.set(documentIndex, Math.max(scores.get(documentIndex) || 0, quality * weight))
+    })
+  })
+  return scores
+}
+
+// Documents that match every clause, best first. Each result carries `matchedSynonym` when it
+// only matched through a synonym, so the dropdown can say why it showed up.
+export const searchIndex = (index, query, { synonyms = [], limits = SUGGESTION_LIMITS } = {}) => {
+  const clauses = parseQuery(query, synonyms)
+  if (!index || clauses.length === 0) return []
+
+  let totals = null
+  const viaSynonym = new Set()
+  const cache = new Map()
+  const scoresFor = (token, allowPrefix) => {
+    const key = `${token}|${allowPrefix}`
+    if (!cache.has(key)) cache.set(key, scoreToken(index, token, allowPrefix))
+    return cache.get(key)
+  }
+  for (const clause of clauses) {
+    const clauseScores = new Map()
+    clause.alternatives.forEach((tokens, alternative) => {
+      // Every word of the alternative has to match; the last query word may be a prefix
+      let combined = null
+      tokens.forEach((token, position) => {
+        const allowPrefix = clause.isLast && position === tokens.length - 1
+        const scores = scoresFor(token, allowPrefix)
+        combined = combined
+          ? new Map([...combined].filter(([doc]) => scores.has(doc)).map(([doc, score]) => [doc, score + scores.get(doc)]))
+          : scores
+      })
+      combined.forEach((score, doc) => {
+        const normalized = score / tokens.length
+        if (normalized > (clauseScores.get(doc)?.score || 0)) {
+          clauseScores.set(doc, { score: normalized, synonym: alternative >= clause.direct })
+        }
+      })
+    })
+
+    totals = totals
+      ? new Map([...totals].filter(([doc]) => clauseScores.has(doc)).map(([doc, score]) => [doc, score + clauseScores.get(doc).score]))
+      : new Map([...clauseScores].map(([doc, { score }]) => [doc, score]))
+    clauseScores.forEach(({ synonym }, doc) => synonym && viaSynonym.add(doc))
+    if (totals.size === 0) return []
+  }
+
+  const counts = {}
+  return [...totals]
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || index.documents[a].title.localeCompare(index.documents[b].title))
+    .map(([doc, score]) => ({ ...index.documents[doc], score, matchedSynonym: viaSynonym.has(doc) }))
+    .filter((result) => {
+      counts[result.type] = (counts[result.type] || 0) + 1
+      return counts[result.type] <= (limits[result.type] ?? Infinity)
+    })
+}
+
+/**
+ * Analytics
+ */
+
+export const SEARCH_REPORT_RANGES = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days' }
+
+const toQueryRow = (raw) => {
+  const searches = Number(raw.searches ?? raw.count) || 0
+  const clicks = Number(raw.clicks) || 0
+  return {
+    query: raw.query || '',
+    searches,
+    clicks,
+    // Share of searches for this query followed by at least one result click
+    ctr: raw.ctr !== undefined ? Number(raw.ctr) : searches ? Math.min(1, clicks / searches) : 0,
+    avgResults: raw.avgResults ?? raw.avg_results ?? null,
+    lastSearchedAt: raw.lastSearchedAt ?? raw.last_searched_at ?? null,
+  }
+}
+
+// Report from `GET /api/admin/analytics/search?days=`: totals over the range, the most frequent
+// queries and the queries that found nothing (in the catalog or the autocomplete)
+export const normalizeSearchReport = (raw = {}) => {
+  const searches = Number(raw.totals?.searches) || 0
+  const zeroResults = Number(raw.totals?.zeroResultSearches ?? raw.totals?.zero_result_searches) || 0
+  const clickedSearches = Number(raw.totals?.clickedSearches ?? raw.totals?.clicked_searches) || 0
+  return {
+    totals: {
+      searches,
+      zeroResults,
+      zeroResultRate: searches ? zeroResults / searches : 0,
+      ctr: searches ? clickedSearches / searches : 0,
+    },
+    topQueries: (raw.topQueries ?? raw.top_queries ?? []).map(toQueryRow),
+    zeroResultQueries: (raw.zeroResultQueries ?? raw.zero_result_queries ?? []).map(toQueryRow),
+  }
+}
+
+// The synonym group a query already belongs to, if any
+export const findSynonymGroup = (groups, term) => {
+  const key = normalizeText(term)
+  return groups.find((group) => group.terms.some((existing) => normalizeText(existing) === key)) || null
+}
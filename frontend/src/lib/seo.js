@@ -0,0 +1,149 @@
+/**
+ * Titles, descriptions, canonical URLs and Open Graph tags for the public pages.
+ *
+ * The same builders feed `components/Seo.jsx` in the browser and `scripts/prerender.mjs`,
+ * which writes static HTML for crawlers and link previews, so both always agree. Node loads
+ * this file directly, so it only imports other plain modules with explicit extensions.
+ *
+ * A builder returns `{ title, description, canonical, image, type, robots, article }`.
+ * `seoTitle`/`seoDescription` entered in the admin win over anything derived from the content.
+ */
+import { categoryPath } from './catalogFilters.js'
+
+export const SITE_NAME = 'Chamunda Nursery'
+export const DESCRIPTION_LIMIT = 160
+export const DEFAULT_IMAGE = '/logo.png'
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }
+
+// Rich-text fields (blog content, product descriptions) → one line of plain text
+export const stripHtml = (value) =>
+  String(value ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim()
+
+// Cuts at a word boundary and marks the cut, so descriptions never end mid-word
+export const truncate = (value, limit = DESCRIPTION_LIMIT) => {
+  const text = stripHtml(value)
+  if (text.length <= limit) return text
+  const cut = text.slice(0, limit - 1)
+  const space = cut.lastIndexOf(' ')
+  return `${(space > limit * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:–-]+$/, '')}…`
+}
+
+export const absoluteUrl = (path, siteUrl = '') => {
+  if (!path) return ''
+  if (/^https?:\/\//i.test(path)) return path
+  if (path.startsWith('//')) return `https:${path}`
+  return `${siteUrl.replace(/\/+$/, '')}${path.startsWith('/') ? '' : '/'}${path}`
+}
+
+// Products store images as URLs or `{ full_url | image_url | url }` objects
+export const itemImages = (item) => {
+  const fromList = (Array.isArray(item.images) ? item.images : [])
+    .map((image) => (typeof image === 'string' ? image : image?.full_url || image?.image_url || image?.url))
+    .filter(Boolean)
+  if (fromList.length) return fromList
+  const single = item.coverImage || item.image || item.image_url || item.thumbnail
+  return single ? [single] : []
+}
+
+const build = ({ title, description, path, image, type = 'website', robots, article }, { siteUrl = '' } = {}) => ({
+  title,
+  description: truncate(description),
+  canonical: absoluteUrl(path, siteUrl),
+  image: absoluteUrl(image || DEFAULT_IMAGE, siteUrl),
+  type,
+  robots,
+  article,
+})
+
+export const productPath = (product) => `/product/${product.id}`
+
+export const productSeo = (product, { siteName = SITE_NAME, ...options } = {}) =>
+  build({
+    title: product.seoTitle || `${product.name} • ${siteName}`,
+    description:
+      product.seoDescription ||
+      product.metaDescription ||
+      product.meta_description ||
+      product.shortDescription ||
+      product.description ||
+      `Buy ${product.name} online from ${siteName}.`,
+    path: productPath(product),
+    image: itemImages(product)[0],
+    type: 'product',
+  }, options)
+
+// `page` > 1 keeps its own canonical so later pages of a category are indexed too
+export const categorySeo = (category, { siteName = SITE_NAME, page = 1, ...options } = {}) =>
+  build({
+    title: category.seoTitle || `${category.name} • ${siteName}`,
+    description:
+      category.seoDescription ||
+      category.description ||
+      `Shop ${category.name} online from ${siteName}, delivered with care.`,
+    path: `${categoryPath(category.slug || String(category.id))}${page > 1 ? `?page=${page}` : ''}`,
+    image: category.image || category.image_url,
+  }, options)
+
+// The unfiltered catalog. Searches and facet combinations point back here and stay out of the
+// index (`noindex`), or crawlers would find endless near-duplicate pages.
+export const catalogSeo = ({ siteName = SITE_NAME, title, description, page = 1, indexable = true, ...options } = {}) =>
+  build({
+    title: `${title || 'Catalog'} • ${siteName}`,
+    description: description || 'Browse plants and gardening supplies',
+    path: `/catalog${page > 1 ? `?page=${page}` : ''}`,
+    robots: indexable ? undefined : 'noindex, follow',
+  }, options)
+
+export const ARTICLE_KINDS = {
+  blog: { path: (post) => `/blog/${post.id}`, suffix: (siteName) => `${siteName} Blog` },
+  care: { path: (post) => `/care/${post.id}`, suffix: (siteName) => `Plant Care Guide • ${siteName}` },
+}
+
+// Blog posts and care guides
+export const articleSeo = (post, kind, { siteName = SITE_NAME, ...options } = {}) =>
+  build({
+    title: post.seoTitle || `${post.title} • ${ARTICLE_KINDS[kind].suffix(siteName)}`,
+    description:
+      post.seoDescription || post.excerpt || post.description || post.content || `${post.title} from ${siteName}.`,
+    path: ARTICLE_KINDS[kind].path(post),
+    image: post.coverImage || post.image,
+    type: 'article',
+    article: {
+      publishedTime: post.publishedAt || post.published_at || post.createdAt,
+      modifiedTime: post.updatedAt || post.updated_at,
+      author: typeof post.author === 'string' ? post.author : post.author?.name,
+      section: typeof post.category === 'string' ? post.category : post.category?.name,
+      tags: Array.isArray(post.tags) ? post.tags : [],
+    },
+  }, options)
+
+// The `<meta>` tags for a built page, as attribute objects. Empty values are left out.
+export const seoMeta = (seo, { siteName = SITE_NAME } = {}) =>
+  [
+    { name: 'description', content: seo.description },
+    { name: 'robots', content: seo.robots },
+    { property: 'og:site_name', content: siteName },
+    { property: 'og:type', content: seo.type },
+    { property: 'og:title', content: seo.title },
+    { property: 'og:description', content: seo.description },
+    { property: 'og:url', content: seo.canonical },
+    { property: 'og:image', content: seo.image },
+    { name: 'twitter:card', content: 'summary_large_image' },
+    { name: 'twitter:title', content: seo.title },
+    { name: 'twitter:description', content: seo.description },
+    { name: 'twitter:image', content: seo.image },
+    ...(seo.article
+      ? [
+          { property: 'article:published_time', content: seo.article.publishedTime },
+          { property: 'article:modified_time', content: seo.article.modifiedTime },
+          { property: 'article:author', content: seo.article.author },
+          { property: 'article:section', content: seo.article.section },
+          ...seo.article.tags.map((tag) => ({ property: 'article:tag', content: tag })),
+        ]
+      : []),
+  ].filter((meta) => meta.content)
@@ -0,0 +1,179 @@
+/**
+ * Delivery serviceability and shipping rates.
+ *
+ * Delivery is organised in zones. A zone covers a set of pincode prefixes, takes
+ * a few days to reach and charges by weight slab. Live plants can't go everywhere:
+ * a pincode outside every active zone is not serviceable, and products flagged
+ * `local_delivery_only` (large trees, heavy planters) only go to local zones.
+ *
+ * The server answers serviceability and prices the cart with these rules
+ * (GET /api/shipping/serviceability, POST /api/shipping/quote) and applies them
+ * again when the order is created. The helpers here validate pincodes, explain
+ * weights in the admin and format what the server says.
+ */
+
+import { z } from 'zod'
+
+// Indian PIN codes: six digits, never starting with 0
+export const PINCODE_PATTERN = /^[1-9][0-9]{5}$/
+
+export const normalizePincode = (value) => String(value ?? '').replace(/\s+/g, '')
+
+export const isValidPincode = (value) => PINCODE_PATTERN.test(normalizePincode(value))
+
+// Courier convention: length × width × height in cm divided by 5000 gives kg
+export const VOLUMETRIC_DIVISOR = 5000
+
+const roundWeight = (kg) => Math.round(kg * 100) / 100
+
+export function getVolumetricWeight(dimensions = {}) {
+  const length = Number(dimensions?.length) || 0
+  const width = Number(dimensions?.width) || 0
+  const height = Number(dimensions?.height) || 0
+  if (!length || !width || !height) return 0
+  return roundWeight((length * width * height) / VOLUMETRIC_DIVISOR)
+}
+
+// What a parcel is billed as: the heavier of its actual and volumetric weight
+export function getChargeableWeight({ weight, dimensions } = {}) {
+  const parsed = typeof dimensions === 'string' ? safeParse(dimensions) : dimensions
+  return roundWeight(Math.max(Number(weight) || 0, getVolumetricWeight(parsed)))
+}
+
+// Parcel weight for booking an order: what checkout charged it as, else what its items weigh
+export function getOrderWeight(order = {}) {
+  const charged = Number(order.chargeableWeight) || 0
+  if (charged > 0) return charged
+  return roundWeight((order.items || []).reduce(
+    (kg, item) => kg + getChargeableWeight(item) * (Number(item.quantity) || 1),
+    0
+  ))
+}
+
+function safeParse(value) {
+  try { return JSON.parse(value) } catch { return {} }
+}
+
+/**
+ * Rate for a chargeable weight: the first slab that covers it, and beyond the
+ * last slab `additionalPerKg` for every started kilogram over it.
+ */
+export function rateForWeight(zone, kg) {
+  const slabs = [...(zone.slabs || [])].sort((a, b) => a.upToKg - b.upToKg)
+  if (slabs.length === 0) return 0
+  const slab = slabs.find((entry) => kg <= entry.upToKg)
+  if (slab) return slab.rate
+  const last = slabs[slabs.length - 1]
+  return last.rate + Math.ceil(kg - last.upToKg) * (zone.additionalPerKg || 0)
+}
+
+export const normalizeZone = (raw = {}) => ({
+  id: raw.id,
+  name: raw.name || '',
+  // Pincodes whose first digits match one of these belong to the zone, e.g. '380' or '3820'
+  pincodePrefixes: (raw.pincodePrefixes ?? raw.pincode_prefixes ?? []).map(String),
+  // Local zones are served by our own vans and accept local-delivery-only products
+  isLocal: Boolean(raw.isLocal ?? raw.is_local),
+  isActive: raw.isActive ?? raw.is_active ?? true,
+  minDays: Number(raw.minDays ?? raw.min_days) || 0,
+  maxDays: Number(raw.maxDays ?? raw.max_days) || 0,
+  slabs: (raw.slabs || []).map((slab) => ({
+    upToKg: Number(slab.upToKg ?? slab.up_to_kg) || 0,
+    rate: Number(slab.rate) || 0,
+  })),
+  additionalPerKg: Number(raw.additionalPerKg ?? raw.additional_per_kg) || 0,
+})
+
+export const SERVICEABILITY_REASONS = {
+  NOT_SERVICEABLE: 'NOT_SERVICEABLE',
+  LOCAL_ONLY: 'LOCAL_ONLY',
+}
+
+// `{ from, to }`; a single date (older orders, carrier estimates) becomes a one-day window
+export const normalizeDeliveryEstimate = (raw) => {
+  if (typeof raw === 'string') return { from: raw, to: raw }
+  return raw?.from || raw?.to ? { from: raw.from || raw.to, to: raw.to || raw.from } : null
+}
+
+/**
+ * Server answer for a pincode, with or without a cart:
+ * `{ pincode, serviceable, zoneName, isLocal, shipping, chargeableWeight, estimatedDelivery: { from, to },
+ *    unserviceableItems: [{ productId, variantId, name, reason }] }`.
+ * `shipping` is the final charge for the cart, free-shipping threshold included.
+ */
+export const normalizeServiceability = (raw = {}) => ({
+  pincode: normalizePincode(raw.pincode),
+  serviceable: Boolean(raw.serviceable),
+  zoneName: raw.zoneName ?? raw.zone_name ?? raw.zone?.name ?? '',
+  isLocal: Boolean(raw.isLocal ?? raw.is_local ?? raw.zone?.isLocal),
+  shipping: raw.shipping === undefined || raw.shipping === null ? null : Number(raw.shipping) || 0,
+  chargeableWeight: Number(raw.chargeableWeight ?? raw.chargeable_weight) || 0,
+  estimatedDelivery: normalizeDeliveryEstimate(raw.estimatedDelivery ?? raw.estimated_delivery),
+  unserviceableItems: (raw.unserviceableItems ?? raw.unserviceable_items ?? []).map((item) => ({
+    productId: item.productId ?? item.product_id,
+    variantId: item.variantId ?? item.variant_id ?? null,
+    name: item.name || '',
+    reason: item.reason || SERVICEABILITY_REASONS.NOT_SERVICEABLE,
+  })),
+})
+
+export function getUnserviceableMessage(reason, pincode) {
+  return reason === SERVICEABILITY_REASONS.LOCAL_ONLY
+    ? `Only delivered locally by our own team - not available for ${pincode}`
+    : `We can't deliver live plants to ${pincode} yet`
+}
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })
+
+// "Tue, 21 Oct – Thu, 23 Oct", or a single day when the window is one day
+export function formatDeliveryWindow(estimate) {
+  if (!estimate) return ''
+  const from = formatDay(estimate.from)
+  const to = formatDay(estimate.to)
+  return from === to ? from : `${from} – ${to}`
+}
+
+export const zoneSchema = z
+  .object({
+    name: z.string().trim().min(2, 'Name the zone'),
+    pincodePrefixes: z
+      .array(z.string().regex(/^[1-9][0-9]{0,5}$/, 'Prefixes are 1 to 6 digits and never start with 0'))
+      .min(1, 'Add at least one pincode prefix'),
+    isLocal: z.boolean(),
+    isActive: z.boolean(),
+    minDays: z.number({ error: 'Enter a number of days' }).int().min(0, 'Cannot be negative'),
+    maxDays: z.number({ error: 'Enter a number of days' }).int().min(0, 'Cannot be negative'),
+    slabs: z
+      .array(
+        z.object({
+          upToKg: z.number().positive('Slab weights must be above 0'),
+          rate: z.number().min(0, 'Rates cannot be negative'),
+        })
+      )
+      .min(1, 'Add at least one weight slab'),
+    additionalPerKg: z.number({ error: 'Enter an amount' }).min(0, 'Cannot be negative'),
+  })
+  .superRefine((data, ctx) => {
+    if (data.maxDays < data.minDays) {
+      ctx.addIssue({ code: 'custom', path: ['maxDays'], message: 'Must be at least the minimum' })
+    }
+    const weights = data.slabs.map((slab) => slab.upToKg)
+    if (new Set(weights).size !== weights.length) {
+      ctx.addIssue({ code: 'custom', path: ['slabs'], message: 'Each slab needs a different weight' })
+    }
+  })
+
+/**
+ * Validate the admin zone form. Returns `{ [field]: message }`, empty when valid.
+ */
+export function validateZone(zone) {
+  const result = zoneSchema.safeParse(zone)
+  if (result.success) return {}
+  const errors = {}
+  result.error.issues.forEach((issue) => {
+    const field = issue.path[0]
+    if (field && !errors[field]) errors[field] = issue.message
+  })
+  return errors
+}
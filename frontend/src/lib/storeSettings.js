@@ -0,0 +1,171 @@
+/**
+ * Store settings shared by the admin settings page and the storefront.
+ * Defaults mirror what the storefront charged before settings were persisted,
+ * so the shop keeps working when /api/settings is unavailable.
+ */
+
+import { z } from 'zod'
+import { gstSettingsSchema, refineGstin } from './gst'
+
+export const DEFAULT_STORE_SETTINGS = {
+  // General
+  siteName: 'Chamunda Nursery',
+  siteDescription: 'Premium plants and gardening supplies',
+  contactEmail: 'info@chamundanursery.com',
+  supportEmail: 'support@chamundanursery.com',
+  // Optional: the storefront leaves out the phone link when it is empty
+  phoneNumber: '',
+  address: '123 Garden Street, Green Valley, GV 12345',
+
+  // Business
+  currency: 'INR',
+  timezone: 'Asia/Kolkata',
+  // GST: no GSTIN means the store is not registered and charges none
+  gstin: '',
+  businessStateCode: '24',
+  pricesIncludeTax: true,
+  defaultHsnCode: '0602',
+  defaultGstRate: 0,
+  shippingFee: 99,
+  freeShippingThreshold: 499,
+
+  // Email
+  smtpHost: '',
+  smtpPort: 587,
+  smtpUsername: '',
+  smtpPassword: '',
+
+  // Payment
+  stripePublicKey: '',
+  stripeSecretKey: '',
+  paypalClientId: '',
+
+  // Notifications
+  emailNotifications: true,
+  orderNotifications: true,
+  inventoryAlerts: true,
+  reviewNotifications: false,
+
+  // Security
+  twoFactorAuth: false,
+  sessionTimeout: 30,
+  passwordMinLength: 8,
+  requireSpecialChars: true,
+
+  // SEO
+  metaTitle: 'Chamunda Nursery - Premium Plants & Garden Supplies',
+  metaDescription: 'Discover premium plants, gardening tools, and expert care guides at Chamunda Nursery. Transform your space with our curated collection.',
+  metaKeywords: 'plants, nursery, gardening, indoor plants, outdoor plants',
+
+  // Social Media
+  facebookUrl: 'https://facebook.com/chamundanursery',
+  instagramUrl: 'https://instagram.com/chamundanursery',
+  twitterUrl: 'https://twitter.com/chamundanursery',
+  youtubeUrl: '',
+}
+
+/**
+ * Fields the server never returns in clear text. It sends a masked value
+ * (e.g. "sk_test_••••4242") which must not be written back on save.
+ */
+export const SECRET_SETTING_FIELDS = ['smtpPassword', 'stripeSecretKey', 'paypalClientId']
+
+const optionalUrl = z.union([z.literal(''), z.string().url('Enter a full URL, including https://')])
+const money = z.number({ error: 'Enter an amount' }).min(0, 'Cannot be negative')
+
+// One schema per admin tab so errors can be reported against the tab that owns the field
+export const settingsSchemas = {
+  general: z.object({
+    siteName: z.string().trim().min(2, 'Site name is required'),
+    siteDescription: z.string().max(300, 'Keep the description under 300 characters'),
+    contactEmail: z.string().email('Enter a valid email address'),
+    supportEmail: z.string().email('Enter a valid email address'),
+    phoneNumber: z.union([z.literal(''), z.string().regex(/^\+?[0-9\- ()]{7,}$/, 'Enter a valid phone number')]),
+    address: z.string().trim().min(5, 'Business address is required'),
+  }),
+  business: z
+    .object({
+      currency: z.enum(['INR', 'USD', 'EUR', 'GBP', 'CAD']),
+      timezone: z.string().min(1, 'Timezone is required'),
+      ...gstSettingsSchema,
+      shippingFee: money,
+      freeShippingThreshold: money,
+    })
+    .superRefine(refineGstin),
+  email: z.object({
+    smtpHost: z.string(),
+    smtpPort: z.number({ error: 'Enter a port' }).int().min(1).max(65535, 'Enter a valid port'),
+    smtpUsername: z.string(),
+    smtpPassword: z.string(),
+  }),
+  payment: z.object({
+    stripePublicKey: z.union([z.literal(''), z.string().startsWith('pk_', 'Stripe publishable keys start with pk_')]),
+    stripeSecretKey: z.string(),
+    paypalClientId: z.string(),
+  }),
+  notifications: z.object({
+    emailNotifications: z.boolean(),
+    orderNotifications: z.boolean(),
+    inventoryAlerts: z.boolean(),
+    reviewNotifications: z.boolean(),
+  }),
+  security: z.object({
+    twoFactorAuth: z.boolean(),
+    sessionTimeout: z.number({ error: 'Enter a timeout' }).int().min(5, 'At least 5 minutes').max(1440, 'At most 24 hours'),
+    passwordMinLength: z.number({ error: 'Enter a length' }).int().min(6, 'At least 6 characters').max(64),
+    requireSpecialChars: z.boolean(),
+  }),
+  seo: z.object({
+    metaTitle: z.string().trim().min(10, 'Use at least 10 characters').max(70, 'Keep titles under 70 characters'),
+    metaDescription: z.string().trim().min(50, 'Use at least 50 characters').max(160, 'Keep descriptions under 160 characters'),
+    metaKeywords: z.string(),
+  }),
+  social: z.object({
+    facebookUrl: optionalUrl,
+    instagramUrl: optionalUrl,
+    twitterUrl: optionalUrl,
+    youtubeUrl: optionalUrl,
+  }),
+}
+
+/**
+ * Validate every tab. Returns `{ [tab]: { [field]: message } }`, empty when valid.
+ */
+export function validateSettings(settings) {
+  const errors = {}
+  Object.entries(settingsSchemas).forEach(([tab, schema]) => {
+    const result = schema.safeParse(settings)
+    if (result.success) return
+    errors[tab] = {}
+    result.error.issues.forEach((issue) => {
+      const field = issue.path[0]
+      if (field && !errors[tab][field]) errors[tab][field] = issue.message
+    })
+  })
+  return errors
+}
+
+/**
+ * Drop secret fields the admin did not touch, so masked placeholders are never saved.
+ */
+export function withoutUnchangedSecrets(settings, loaded = {}) {
+  const payload = { ...settings }
+  SECRET_SETTING_FIELDS.forEach((field) => {
+    if (payload[field] === loaded[field]) delete payload[field]
+  })
+  return payload
+}
+
+export function calculateShipping(subtotal, settings = DEFAULT_STORE_SETTINGS) {
+  if (subtotal <= 0) return 0
+  return subtotal > settings.freeShippingThreshold ? 0 : settings.shippingFee
+}
+
+export function formatPrice(amount, settings = DEFAULT_STORE_SETTINGS) {
+  return new Intl.NumberFormat(settings.currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency: settings.currency || 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(Number(amount) || 0)
+}
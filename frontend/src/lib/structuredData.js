@@ -0,0 +1,149 @@
+/**
+ * schema.org JSON-LD for the public pages: `Product` with its `Offer`s and `AggregateRating`,
+ * `Article` for blog posts, `HowTo` for care guides with steps, and a `BreadcrumbList` built
+ * from the same trail BreadcrumbNav shows (lib/breadcrumbs.js).
+ *
+ * Like lib/seo.js this runs in the browser (components/Seo.jsx) and in scripts/prerender.mjs.
+ */
+import { SITE_NAME, ARTICLE_KINDS, absoluteUrl, itemImages, productPath, stripHtml, truncate } from './seo.js'
+import { getProductVariants } from './productVariants.js'
+
+const CONTEXT = 'https://schema.org'
+const HEADLINE_LIMIT = 110
+
+// `</script>` inside a value must not end the tag it is embedded in
+export const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c')
+
+const isoDate = (value) => {
+  const date = value ? new Date(value) : null
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined
+}
+
+// Same review fields getProductRating reads
+const productRating = (product) => {
+  const count = Number(product.reviewCount ?? product.review_count) || 0
+  const average = Number(product.averageRating ?? product.average_rating) || 0
+  return { average, count }
+}
+
+// Simple products report stock as a flag or a count; no stock field means it's sold as available
+const isInStock = (product) => {
+  const stock = product.inventory ?? product.stock
+  return product.inStock ?? product.in_stock ?? (stock === undefined || stock === null ? true : Number(stock) > 0)
+}
+
+// Absolute image URLs, or nothing at all rather than an empty list
+const imageUrls = (item, siteUrl) => {
+  const images = itemImages(item).map((image) => absoluteUrl(image, siteUrl))
+  return images.length ? images : undefined
+}
+
+const availability = (inStock) => `${CONTEXT}/${inStock ? 'InStock' : 'OutOfStock'}`
+
+// One Offer per active variant, or one for the product itself
+export const productJsonLd = (product, { siteUrl = '', currency = 'INR' } = {}) => {
+  const url = absoluteUrl(productPath(product), siteUrl)
+  const { variants } = getProductVariants(product)
+  const offers = (variants.length
+    ? variants.filter((variant) => variant.isActive).map((variant) => ({ price: variant.price, inStock: variant.inventory > 0, sku: variant.sku }))
+    : [{ price: Number(product.price) || 0, inStock: isInStock(product), sku: product.sku }]
+  )
+    .filter((offer) => offer.price > 0)
+    .map((offer) => ({
+      '@type': 'Offer',
+      url,
+      price: offer.price.toFixed(2),
+      priceCurrency: currency,
+      availability: availability(offer.inStock),
+      ...(offer.sku && { sku: offer.sku }),
+    }))
+  const { average, count } = productRating(product)
+
+  return {
+    '@context': CONTEXT,
+    '@type': 'Product',
+    name: product.name,
+    description: truncate(product.description || product.shortDescription, 5000) || undefined,
+    image: imageUrls(product, siteUrl),
+    url,
+    ...(product.sku && { sku: product.sku }),
+    ...(offers.length && { offers: offers.length === 1 ? offers[0] : offers }),
+    ...(count > 0 && average > 0 && {
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: average.toFixed(1),
+        reviewCount: count,
+        bestRating: 5,
+        worstRating: 1,
+      },
+    }),
+  }
+}
+
+const articleBase = (post, kind, { siteUrl = '', siteName = SITE_NAME } = {}) => {
+  const author = typeof post.author === 'string' ? post.author : post.author?.name
+  return {
+    '@context': CONTEXT,
+    description: truncate(post.seoDescription || post.excerpt || post.description) || undefined,
+    image: imageUrls(post, siteUrl),
+    url: absoluteUrl(ARTICLE_KINDS[kind].path(post), siteUrl),
+    datePublished: isoDate(post.publishedAt || post.published_at || post.createdAt || post.created_at),
+    dateModified: isoDate(post.updatedAt || post.updated_at),
+    author: author ? { '@type': 'Person', name: author } : { '@type': 'Organization', name: siteName },
+    publisher: {
+      '@type': 'Organization',
+      name: siteName,
+      logo: { '@type': 'ImageObject', url: absoluteUrl('/logo.png', siteUrl) },
+    },
+  }
+}
+
+export const articleJsonLd = (post, kind, options) => ({
+  ...articleBase(post, kind, options),
+  '@type': 'Article',
+  headline: truncate(post.title, HEADLINE_LIMIT),
+  mainEntityOfPage: absoluteUrl(ARTICLE_KINDS[kind].path(post), options?.siteUrl),
+  ...(Array.isArray(post.tags) && post.tags.length && { keywords: post.tags.join(', ') }),
+})
+
+// Headed sections or numbered steps become HowTo steps, preferring the one CareDetail shows
+const careSteps = (guide) => {
+  if (Array.isArray(guide.sections) && guide.sections.length) {
+    return guide.sections.map((section) => ({ name: section.heading, text: section.body || section.heading }))
+  }
+  if (Array.isArray(guide.steps)) {
+    return guide.steps.map((step) => ({ name: step.label, text: step.description || step.label }))
+  }
+  return []
+}
+
+// Care guides without steps are plain articles
+export const careGuideJsonLd = (guide, options) => {
+  const steps = careSteps(guide).filter((step) => step.name)
+  if (!steps.length) return articleJsonLd(guide, 'care', options)
+  const base = articleBase(guide, 'care', options)
+  return {
+    ...base,
+    '@type': 'HowTo',
+    name: guide.title,
+    step: steps.map((step, index) => ({
+      '@type': 'HowToStep',
+      position: index + 1,
+      name: stripHtml(step.name),
+      text: stripHtml(step.text),
+      url: `${base.url}#step-${index + 1}`,
+    })),
+  }
+}
+
+// Home, then the trail; the current page has no link, as in BreadcrumbNav
+export const breadcrumbJsonLd = (trail, { siteUrl = '' } = {}) => ({
+  '@context': CONTEXT,
+  '@type': 'BreadcrumbList',
+  itemListElement: [{ label: 'Home', href: '/' }, ...trail].map((crumb, index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    name: crumb.label,
+    ...(crumb.href && { item: absoluteUrl(crumb.href, siteUrl) }),
+  })),
+})
@@ -0,0 +1,75 @@
+/**
+ * Contact-form enquiries, kept as tickets in the admin inbox.
+ *
+ * A ticket opens as `new` when the contact form is submitted. Staff move it through
+ * `in_progress` and `quoted` (a price was sent for a landscaping job or bulk order) to `closed`.
+ * Staff replies are emailed to the customer; when the customer writes back to that email the
+ * API threads their message onto the ticket and reopens it if it was closed. A ticket is unread
+ * while it has customer messages no staff member has opened yet.
+ */
+
+export const TICKET_STATUS = {
+  NEW: 'new',
+  IN_PROGRESS: 'in_progress',
+  QUOTED: 'quoted',
+  CLOSED: 'closed',
+}
+
+export const TICKET_STATUS_LABELS = {
+  new: 'New',
+  in_progress: 'In progress',
+  quoted: 'Quoted',
+  closed: 'Closed',
+}
+
+export const TICKET_STATUS_COLORS = {
+  new: 'bg-blue-100 text-blue-800',
+  in_progress: 'bg-yellow-100 text-yellow-800',
+  quoted: 'bg-purple-100 text-purple-800',
+  closed: 'bg-gray-100 text-gray-700',
+}
+
+// What the enquiry is about, picked on the contact form so the inbox can be triaged
+export const ENQUIRY_TYPES = {
+  general: 'General question',
+  plant_care: 'Plant care advice',
+  bulk_order: 'Bulk / corporate order',
+  landscaping: 'Landscaping project',
+  order_issue: 'An existing order',
+}
+
+export const MESSAGE_AUTHORS = {
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+}
+
+export const MAX_REPLY_LENGTH = 5000
+
+export const normalizeTicketMessage = (raw) => ({
+  id: raw.id,
+  author: raw.author || MESSAGE_AUTHORS.CUSTOMER,
+  // Staff member who wrote a reply
+  staffName: raw.staffName ?? raw.staff_name ?? null,
+  body: raw.body || '',
+  createdAt: raw.createdAt ?? raw.created_at,
+})
+
+export const normalizeTicket = (raw) => ({
+  id: raw.id,
+  reference: raw.reference || `#${raw.id}`,
+  name: raw.name || '',
+  email: raw.email || '',
+  phone: raw.phone || '',
+  subject: raw.subject || '',
+  type: raw.type || 'general',
+  status: raw.status || TICKET_STATUS.NEW,
+  assignee: raw.assignee
+    ? { id: raw.assignee.id, name: raw.assignee.name || raw.assignee.email || '' }
+    : null,
+  unread: Boolean(raw.unread ?? (Number(raw.unreadCount ?? raw.unread_count) > 0)),
+  messages: Array.isArray(raw.messages) ? raw.messages.map(normalizeTicketMessage) : [],
+  // List responses carry only the latest message
+  preview: raw.preview ?? raw.lastMessage ?? '',
+  createdAt: raw.createdAt ?? raw.created_at,
+  updatedAt: raw.updatedAt ?? raw.updated_at ?? raw.createdAt ?? raw.created_at,
+})
@@ -0,0 +1,149 @@
+/**
+ * Minimal single-sheet XLSX writer. Produces an uncompressed ("stored") zip of the
+ * five parts Excel, Numbers and LibreOffice need; strings are written inline so no
+ * shared-strings table is required.
+ */
+
+import { neutralizeFormula } from './csv'
+
+const encoder = new TextEncoder()
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Zip archive with every entry stored as-is
+function zip(files) {
+  const chunks = []
+  const central = []
+  let offset = 0
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // version needed
+    local.setUint16(8, 0, true) // method: stored
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, 0x02014b50, true)
+    header.setUint16(4, 20, true) // version made by
+    header.setUint16(6, 20, true) // version needed
+    header.setUint32(16, crc, true)
+    header.setUint32(20, data.length, true)
+    header.setUint32(24, data.length, true)
+    header.setUint16(28, nameBytes.length, true)
+    header.setUint32(42, offset, true)
+    central.push(new Uint8Array(header.buffer), nameBytes)
+
+    offset += 30 + nameBytes.length + data.length
+  })
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return [...chunks, ...central, new Uint8Array(end.buffer)]
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function sheetXml(rows) {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          if (value === null || value === undefined || value === '') return ''
+          const ref = `${columnName(c)}${r + 1}`
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`
+          }
+          const text = neutralizeFormula(Array.isArray(value) ? value.join(',') : String(value))
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+        })
+        .join('')
+      return `<row r="${r + 1}">${cells}</row>`
+    })
+    .join('')
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  )
+}
+
+/**
+ * Build an .xlsx Blob from rows (arrays of values). Numbers stay numeric so
+ * prices and stock can be edited and summed in the spreadsheet.
+ */
+export function buildXlsx(rows, sheetName = 'Sheet1') {
+  const parts = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>',
+    'xl/worksheets/sheet1.xml': sheetXml(rows),
+  }
+
+  const files = Object.entries(parts).map(([name, xml]) => ({ name, data: encoder.encode(xml) }))
+  return new Blob(zip(files), { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+}
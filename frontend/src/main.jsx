@@ -11,6 +11,7 @@ import { HelmetProvider } from 'react-helmet-async'
 import App from './App.jsx'
 import UserProvider from './hooks/UserProvider.jsx'
 import CartProvider from './hooks/CartProvider.jsx'
+import WishlistProvider from './hooks/WishlistProvider.jsx'
 import ToastProvider from './components/ToastProvider.jsx'
 import NotificationRenderer from './components/NotificationRenderer.jsx'
 import ClerkProvider, { ClerkLoadingSpinner } from './providers/ClerkProvider.jsx'
@@ -24,6 +25,7 @@ const Home = React.lazy(() => import('./pages/Home.jsx'))
 const Catalog = React.lazy(() => import('./pages/Catalog.jsx'))
 const Product = React.lazy(() => import('./pages/Product.jsx'))
 const Cart = React.lazy(() => import('./pages/Cart.jsx'))
+const Wishlist = React.lazy(() => import('./pages/Wishlist.jsx'))
 const Checkout = React.lazy(() => import('./pages/Checkout.jsx'))
 
 // Auth components
@@ -34,6 +36,7 @@ const AuthLayout = React.lazy(() => import('./components/AuthLayout.jsx'))
 
 // User pages (lazy-loaded)
 const Orders = React.lazy(() => import('./pages/Orders.jsx'))
+const OrderDetail = React.lazy(() => import('./pages/OrderDetail.jsx'))
 
 // Static pages (lazy-loaded)
 const About = React.lazy(() => import('./pages/About.jsx'))
@@ -46,6 +49,7 @@ const Blog = React.lazy(() => import('./pages/Blog.jsx'))
 const BlogDetail = React.lazy(() => import('./pages/BlogDetail.jsx'))
 const Care = React.lazy(() => import('./pages/Care.jsx'))
 const CareDetail = React.lazy(() => import('./pages/CareDetail.jsx'))
+const Newsletter = React.lazy(() => import('./pages/Newsletter.jsx'))
 
 // Lazy-load admin pages and layout
 const AdminLayout = React.lazy(() => import('./admin/AdminLayout.jsx'))
@@ -56,7 +60,16 @@ const AdminBlogManagement = React.lazy(() => import('./admin/BlogManagement.jsx'
 const AdminOrders = React.lazy(() => import('./admin/Orders.jsx'))
 const AdminUsers = React.lazy(() => import('./admin/Users.jsx'))
 const AdminReviews = React.lazy(() => import('./admin/Reviews.jsx'))
+const AdminReturns = React.lazy(() => import('./admin/Returns.jsx'))
+const AdminEmails = React.lazy(() => import('./admin/Emails.jsx'))
+const AdminInbox = React.lazy(() => import('./admin/Inbox.jsx'))
+const AdminNewsletter = React.lazy(() => import('./admin/Newsletter.jsx'))
+const AdminSearch = React.lazy(() => import('./admin/Search.jsx'))
 const AdminBulkUpload = React.lazy(() => import('./admin/BulkUpload.jsx'))
+const AdminInventory = React.lazy(() => import('./admin/Inventory.jsx'))
+const AdminCoupons = React.lazy(() => import('./admin/Coupons.jsx'))
+const AdminShipping = React.lazy(() => import('./admin/Shipping.jsx'))
+const AdminSettings = React.lazy(() => import('./pages/AdminSettings.jsx'))
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -66,6 +79,7 @@ createRoot(document.getElementById('root')).render(
           <UserProvider>
           <ToastProvider>
           <CartProvider>
+          <WishlistProvider>
           <DataProvider>
           <QueryClientProvider client={queryClient}>
             <ErrorBoundary>
@@ -90,6 +104,7 @@ createRoot(document.getElementById('root')).render(
                         {/* Public Routes */}
                         <Route index element={<Home />} />
                         <Route path="catalog" element={<Catalog />} />
+                        <Route path="catalog/:category" element={<Catalog />} />
                         <Route path="product/:id" element={<Product />} />
                         <Route path="about" element={<About />} />
                         <Route path="contact" element={<Contact />} />
@@ -101,6 +116,9 @@ createRoot(document.getElementById('root')).render(
                         <Route path="blog/:id" element={<BlogDetail />} />
                         <Route path="care" element={<Care />} />
                         <Route path="care/:id" element={<CareDetail />} />
+                        <Route path="newsletter/confirm" element={<Newsletter action="confirm" />} />
+                        <Route path="newsletter/unsubscribe" element={<Newsletter action="unsubscribe" />} />
+                        <Route path="wishlist" element={<Wishlist />} />
                         
                         {/* Protected User Routes */}
                         <Route path="cart" element={
@@ -123,6 +141,11 @@ createRoot(document.getElementById('root')).render(
                             <Orders />
                           </UserRoute>
                         } />
+                        <Route path="account/orders/:orderId" element={
+                          <UserRoute pageTitle="Order Details">
+                            <OrderDetail />
+                          </UserRoute>
+                        } />
                       </Route>
 
                       {/* Admin Routes */}
@@ -133,12 +156,22 @@ createRoot(document.getElementById('root')).render(
                       }>
                         <Route index element={<AdminDashboard />} />
                         <Route path="products" element={<AdminProductsUnified />} />
+                        <Route path="inventory" element={<AdminInventory />} />
                         <Route path="categories" element={<AdminCategories />} />
+                        <Route path="search" element={<AdminSearch />} />
                         <Route path="blog" element={<AdminBlogManagement />} />
                         <Route path="orders" element={<AdminOrders />} />
+                        <Route path="returns" element={<AdminReturns />} />
+                        <Route path="emails" element={<AdminEmails />} />
+                        <Route path="inbox" element={<AdminInbox />} />
+                        <Route path="inbox/:ticketId" element={<AdminInbox />} />
+                        <Route path="newsletter" element={<AdminNewsletter />} />
+                        <Route path="coupons" element={<AdminCoupons />} />
+                        <Route path="shipping" element={<AdminShipping />} />
                         <Route path="users" element={<AdminUsers />} />
                         <Route path="reviews" element={<AdminReviews />} />
                         <Route path="bulk-upload" element={<AdminBulkUpload />} />
+                        <Route path="settings" element={<AdminSettings />} />
                       </Route>
 
                     </Routes>
@@ -149,6 +182,7 @@ createRoot(document.getElementById('root')).render(
             </ErrorBoundary>
           </QueryClientProvider>
           </DataProvider>
+          </WishlistProvider>
           </CartProvider>
           </ToastProvider>
           </UserProvider>
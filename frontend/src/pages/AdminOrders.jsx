@@ -1,378 +0,0 @@
-import React, { useState } from 'react';
-import { motion } from 'framer-motion';
-import { 
-  Search, 
-  Filter, 
-  Eye, 
-  Edit, 
-  Package, 
-  Truck, 
-  CheckCircle, 
-  XCircle,
-  Clock,
-  DollarSign,
-  Calendar,
-  User
-} from 'lucide-react';
-
-const AdminOrders = () => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [selectedOrders, setSelectedOrders] = useState([]);
-
-  // Mock orders data
-  const orders = [
-    {
-      id: 'ORD-001',
-      customerName: 'Sarah Johnson',
-      customerEmail: 'sarah@example.com',
-      total: 125.97,
-      status: 'delivered',
-      items: 3,
-      createdAt: '2024-01-15T10:30:00Z',
-      shippingAddress: '123 Main St, New York, NY 10001'
-    },
-    {
-      id: 'ORD-002',
-      customerName: 'Mike Chen',
-      customerEmail: 'mike@example.com',
-      total: 89.99,
-      status: 'shipped',
-      items: 2,
-      createdAt: '2024-01-14T14:20:00Z',
-      shippingAddress: '456 Oak Ave, Los Angeles, CA 90210'
-    },
-    {
-      id: 'ORD-003',
-      customerName: 'Emma Wilson',
-      customerEmail: 'emma@example.com',
-      total: 67.98,
-      status: 'processing',
-      items: 1,
-      createdAt: '2024-01-13T09:15:00Z',
-      shippingAddress: '789 Pine St, Chicago, IL 60601'
-    },
-    {
-      id: 'ORD-004',
-      customerName: 'David Rodriguez',
-      customerEmail: 'david@example.com',
-      total: 45.99,
-      status: 'pending',
-      items: 1,
-      createdAt: '2024-01-12T16:45:00Z',
-      shippingAddress: '321 Elm St, Houston, TX 77001'
-    },
-    {
-      id: 'ORD-005',
-      customerName: 'Lisa Anderson',
-      customerEmail: 'lisa@example.com',
-      total: 156.47,
-      status: 'cancelled',
-      items: 4,
-      createdAt: '2024-01-11T11:30:00Z',
-      shippingAddress: '654 Maple Dr, Phoenix, AZ 85001'
-    }
-  ];
-
-  const stats = [
-    {
-      title: 'Total Orders',
-      value: orders.length,
-      icon: Package,
-      color: 'bg-blue-500',
-      change: '+12%'
-    },
-    {
-      title: 'Revenue',
-      value: `$${orders.reduce((sum, order) => sum + order.total, 0).toFixed(2)}`,
-      icon: DollarSign,
-      color: 'bg-green-500',
-      change: '+8.2%'
-    },
-    {
-      title: 'Pending',
-      value: orders.filter(o => o.status === 'pending').length,
-      icon: Clock,
-      color: 'bg-yellow-500',
-      change: 'Needs attention'
-    },
-    {
-      title: 'Delivered',
-      value: orders.filter(o => o.status === 'delivered').length,
-      icon: CheckCircle,
-      color: 'bg-green-600',
-      change: 'This month'
-    }
-  ];
-
-  const getStatusBadge = (status) => {
-    const statusConfig = {
-      pending: { color: 'bg-yellow-100 text-yellow-800', label: 'Pending', icon: Clock },
-      processing: { color: 'bg-blue-100 text-blue-800', label: 'Processing', icon: Package },
-      shipped: { color: 'bg-purple-100 text-purple-800', label: 'Shipped', icon: Truck },
-      delivered: { color: 'bg-green-100 text-green-800', label: 'Delivered', icon: CheckCircle },
-      cancelled: { color: 'bg-red-100 text-red-800', label: 'Cancelled', icon: XCircle }
-    };
-
-    const config = statusConfig[status] || statusConfig.pending;
-    const IconComponent = config.icon;
-    
-    return (
-      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${config.color}`}>
-        <IconComponent className="w-3 h-3" />
-        {config.label}
-      </span>
-    );
-  };
-
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-
-  const filteredOrders = orders.filter(order => {
-    const matchesSearch = order.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         order.customerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         order.customerEmail.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = filterStatus === 'all' || order.status === filterStatus;
-    
-    return matchesSearch && matchesStatus;
-  });
-
-  const handleSelectOrder = (orderId) => {
-    setSelectedOrders(prev => 
-      prev.includes(orderId) 
-        ? prev.filter(id => id !== orderId)
-        : [...prev, orderId]
-    );
-  };
-
-  const handleSelectAll = () => {
-    if (selectedOrders.length === filteredOrders.length) {
-      setSelectedOrders([]);
-    } else {
-      setSelectedOrders(filteredOrders.map(o => o.id));
-    }
-  };
-
-  return (
-    <div className="p-6 max-w-7xl mx-auto">
-      {/* Header */}
-      <div className="flex items-center justify-between mb-6">
-        <div>
-          <h1 className="text-2xl font-bold text-gray-900">Orders</h1>
-          <p className="text-gray-600">Manage customer orders and fulfillment</p>
-        </div>
-      </div>
-
-      {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
-        {stats.map((stat, index) => {
-          const IconComponent = stat.icon;
-          return (
-            <motion.div
-              key={stat.title}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.3, delay: index * 0.1 }}
-              className="bg-white rounded-lg shadow-sm p-6"
-            >
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">{stat.title}</p>
-                  <p className="text-2xl font-bold text-gray-900">{stat.value}</p>
-                  <p className="text-sm text-gray-500 mt-1">{stat.change}</p>
-                </div>
-                <div className={`p-3 rounded-lg ${stat.color}`}>
-                  <IconComponent className="w-6 h-6 text-white" />
-                </div>
-              </div>
-            </motion.div>
-          );
-        })}
-      </div>
-
-      {/* Filters and Search */}
-      <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-        <div className="flex flex-col lg:flex-row gap-4">
-          <div className="flex-1 relative">
-            <Search className="w-5 h-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
-            <input
-              type="text"
-              placeholder="Search orders..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
-            />
-          </div>
-          
-          <div className="flex gap-4">
-            <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
-              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
-            >
-              <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="processing">Processing</option>
-              <option value="shipped">Shipped</option>
-              <option value="delivered">Delivered</option>
-              <option value="cancelled">Cancelled</option>
-            </select>
-          </div>
-        </div>
-
-        {selectedOrders.length > 0 && (
-          <div className="mt-4 flex items-center gap-4">
-            <span className="text-sm text-gray-600">
-              {selectedOrders.length} order(s) selected
-            </span>
-            <div className="flex gap-2">
-              <button className="text-sm text-blue-600 hover:text-blue-700 font-medium">
-                Update Status
-              </button>
-              <button className="text-sm text-green-600 hover:text-green-700 font-medium">
-                Export
-              </button>
-            </div>
-          </div>
-        )}
-      </div>
-
-      {/* Orders Table */}
-      <div className="bg-white rounded-lg shadow-sm overflow-hidden">
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left">
-                  <input
-                    type="checkbox"
-                    checked={selectedOrders.length === filteredOrders.length && filteredOrders.length > 0}
-                    onChange={handleSelectAll}
-                    className="rounded border-gray-300 text-green-600 focus:ring-green-500"
-                  />
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Order ID
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Customer
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Items
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Total
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Date
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredOrders.map((order) => (
-                <motion.tr
-                  key={order.id}
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  className="hover:bg-gray-50"
-                >
-                  <td className="px-6 py-4">
-                    <input
-                      type="checkbox"
-                      checked={selectedOrders.includes(order.id)}
-                      onChange={() => handleSelectOrder(order.id)}
-                      className="rounded border-gray-300 text-green-600 focus:ring-green-500"
-                    />
-                  </td>
-                  <td className="px-6 py-4">
-                    <div className="text-sm font-medium text-gray-900">
-                      {order.id}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4">
-                    <div>
-                      <div className="text-sm font-medium text-gray-900">
-                        {order.customerName}
-                      </div>
-                      <div className="text-sm text-gray-500">
-                        {order.customerEmail}
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 text-sm text-gray-900">
-                    {order.items} item{order.items !== 1 ? 's' : ''}
-                  </td>
-                  <td className="px-6 py-4 text-sm font-medium text-gray-900">
-                    ${order.total.toFixed(2)}
-                  </td>
-                  <td className="px-6 py-4">
-                    {getStatusBadge(order.status)}
-                  </td>
-                  <td className="px-6 py-4 text-sm text-gray-900">
-                    {formatDate(order.createdAt)}
-                  </td>
-                  <td className="px-6 py-4 text-sm font-medium">
-                    <div className="flex items-center gap-2">
-                      <button className="text-blue-600 hover:text-blue-700">
-                        <Eye className="w-4 h-4" />
-                      </button>
-                      <button className="text-green-600 hover:text-green-700">
-                        <Edit className="w-4 h-4" />
-                      </button>
-                    </div>
-                  </td>
-                </motion.tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-
-        {filteredOrders.length === 0 && (
-          <div className="text-center py-12">
-            <Package className="w-16 h-16 text-gray-300 mx-auto mb-4" />
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">No Orders Found</h3>
-            <p className="text-gray-600">No orders match your current filters.</p>
-          </div>
-        )}
-      </div>
-
-      {/* Pagination */}
-      {filteredOrders.length > 0 && (
-        <div className="mt-6 flex items-center justify-between">
-          <div className="text-sm text-gray-700">
-            Showing {filteredOrders.length} of {orders.length} orders
-          </div>
-          <div className="flex items-center gap-2">
-            <button className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50">
-              Previous
-            </button>
-            <button className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm">
-              1
-            </button>
-            <button className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
-              2
-            </button>
-            <button className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
-              Next
-            </button>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-};
-
-export default AdminOrders;
\ No newline at end of file
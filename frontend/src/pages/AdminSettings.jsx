@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   Settings, 
@@ -18,62 +19,33 @@ import {
   EyeOff,
   Upload,
   AlertCircle,
-  CheckCircle
+  CheckCircle,
+  Loader2,
+  Send
 } from 'lucide-react';
+import { useAdminSettings, useUpdateSettings } from '../hooks/queries/useSettings';
+import { useSendTestMail } from '../hooks/queries/useMail';
+import { DEFAULT_STORE_SETTINGS, validateSettings, withoutUnchangedSecrets } from '../lib/storeSettings';
+import { GST_RATES, INDIAN_STATES } from '../lib/gst';
+import useUIStore from '../stores/uiStore';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent';
 
 const AdminSettings = () => {
   const [activeTab, setActiveTab] = useState('general');
   const [showApiKey, setShowApiKey] = useState(false);
-  const [settings, setSettings] = useState({
-    // General Settings
-    siteName: 'Chamunda Nursery',
-    siteDescription: 'Premium plants and gardening supplies',
-    contactEmail: 'info@chamundanursery.com',
-    supportEmail: 'support@chamundanursery.com',
-    phoneNumber: '+1 (555) 123-4567',
-    address: '123 Garden Street, Plant City, PC 12345',
-    
-    // Business Settings
-    currency: 'USD',
-    timezone: 'America/New_York',
-    taxRate: 8.5,
-    shippingFee: 9.99,
-    freeShippingThreshold: 75.00,
-    
-    // Email Settings
-    smtpHost: 'smtp.gmail.com',
-    smtpPort: 587,
-    smtpUsername: 'noreply@chamundanursery.com',
-    smtpPassword: '••••••••••••',
-    
-    // Payment Settings
-    stripePublicKey: 'pk_test_••••••••••••',
-    stripeSecretKey: 'sk_test_••••••••••••',
-    paypalClientId: '••••••••••••',
-    
-    // Notification Settings
-    emailNotifications: true,
-    orderNotifications: true,
-    inventoryAlerts: true,
-    reviewNotifications: false,
-    
-    // Security Settings
-    twoFactorAuth: false,
-    sessionTimeout: 30,
-    passwordMinLength: 8,
-    requireSpecialChars: true,
-    
-    // SEO Settings
-    metaTitle: 'Chamunda Nursery - Premium Plants & Garden Supplies',
-    metaDescription: 'Discover premium plants, gardening tools, and expert care guides at Chamunda Nursery. Transform your space with our curated collection.',
-    metaKeywords: 'plants, nursery, gardening, indoor plants, outdoor plants',
-    
-    // Social Media
-    facebookUrl: 'https://facebook.com/chamundanursery',
-    instagramUrl: 'https://instagram.com/chamundanursery',
-    twitterUrl: 'https://twitter.com/chamundanursery',
-    youtubeUrl: ''
-  });
+  const { data: loadedSettings, isLoading, isError } = useAdminSettings();
+  const updateSettings = useUpdateSettings();
+  const [settings, setSettings] = useState(DEFAULT_STORE_SETTINGS);
+  // Validation errors keyed by tab, then field
+  const [errors, setErrors] = useState({});
+  const sendTestMail = useSendTestMail();
+  const [testRecipient, setTestRecipient] = useState('');
+
+  // Seed the form once the saved settings arrive
+  useEffect(() => {
+    if (loadedSettings) setSettings(loadedSettings);
+  }, [loadedSettings]);
 
   const tabs = [
     { id: 'general', label: 'General', icon: Settings },
@@ -86,6 +58,17 @@ const AdminSettings = () => {
     { id: 'social', label: 'Social Media', icon: Users }
   ];
 
+  const tabFields = {
+    general: ['siteName', 'siteDescription', 'contactEmail', 'supportEmail', 'phoneNumber', 'address'],
+    business: ['currency', 'timezone', 'gstin', 'businessStateCode', 'pricesIncludeTax', 'defaultHsnCode', 'defaultGstRate', 'shippingFee', 'freeShippingThreshold'],
+    email: ['smtpHost', 'smtpPort', 'smtpUsername', 'smtpPassword'],
+    payment: ['stripePublicKey', 'stripeSecretKey', 'paypalClientId'],
+    notifications: ['emailNotifications', 'orderNotifications', 'inventoryAlerts', 'reviewNotifications'],
+    security: ['twoFactorAuth', 'sessionTimeout', 'passwordMinLength', 'requireSpecialChars'],
+    seo: ['metaTitle', 'metaDescription', 'metaKeywords'],
+    social: ['facebookUrl', 'instagramUrl', 'twitterUrl', 'youtubeUrl']
+  };
+
   const handleInputChange = (field, value) => {
     setSettings(prev => ({
       ...prev,
@@ -94,9 +77,40 @@ const AdminSettings = () => {
   };
 
   const handleSave = () => {
-    // Here you would typically save to your backend
-    console.log('Saving settings:', settings);
-    // Show success message
+    const validationErrors = validateSettings(settings);
+    setErrors(validationErrors);
+
+    const invalidTabs = tabs.filter((tab) => validationErrors[tab.id]);
+    if (invalidTabs.length > 0) {
+      setActiveTab(invalidTabs[0].id);
+      useUIStore.getState().showError(
+        `Please fix the highlighted fields in: ${invalidTabs.map((tab) => tab.label).join(', ')}`,
+        'Settings not saved'
+      );
+      return;
+    }
+
+    updateSettings.mutate(withoutUnchangedSecrets(settings, loadedSettings), {
+      onError: (error) => {
+        // Map server field errors back onto the tab that owns each field
+        const serverErrors = {};
+        Object.entries(error.fieldErrors || {}).forEach(([field, message]) => {
+          const tab = tabs.find((t) => tabFields[t.id]?.includes(field))?.id || activeTab;
+          serverErrors[tab] = { ...serverErrors[tab], [field]: message };
+        });
+        setErrors(serverErrors);
+      }
+    });
+  };
+
+  const fieldError = (field) => {
+    const message = errors[activeTab]?.[field];
+    return message ? (
+      <p className="mt-1 text-sm text-red-600 flex items-center gap-1">
+        <AlertCircle className="w-4 h-4" />
+        {message}
+      </p>
+    ) : null;
   };
 
   const renderGeneralSettings = () => (
@@ -112,8 +126,9 @@ const AdminSettings = () => {
               type="text"
               value={settings.siteName}
               onChange={(e) => handleInputChange('siteName', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('siteName')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -123,8 +138,9 @@ const AdminSettings = () => {
               type="email"
               value={settings.contactEmail}
               onChange={(e) => handleInputChange('contactEmail', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('contactEmail')}
           </div>
         </div>
         <div className="mt-4">
@@ -135,8 +151,9 @@ const AdminSettings = () => {
             value={settings.siteDescription}
             onChange={(e) => handleInputChange('siteDescription', e.target.value)}
             rows={3}
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            className={inputClass}
           />
+          {fieldError('siteDescription')}
         </div>
       </div>
 
@@ -151,8 +168,9 @@ const AdminSettings = () => {
               type="tel"
               value={settings.phoneNumber}
               onChange={(e) => handleInputChange('phoneNumber', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('phoneNumber')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -162,8 +180,9 @@ const AdminSettings = () => {
               type="email"
               value={settings.supportEmail}
               onChange={(e) => handleInputChange('supportEmail', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('supportEmail')}
           </div>
         </div>
         <div className="mt-4">
@@ -174,8 +193,9 @@ const AdminSettings = () => {
             value={settings.address}
             onChange={(e) => handleInputChange('address', e.target.value)}
             rows={2}
-            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            className={inputClass}
           />
+          {fieldError('address')}
         </div>
       </div>
     </div>
@@ -193,13 +213,15 @@ const AdminSettings = () => {
             <select
               value={settings.currency}
               onChange={(e) => handleInputChange('currency', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             >
+              <option value="INR">INR - Indian Rupee</option>
               <option value="USD">USD - US Dollar</option>
               <option value="EUR">EUR - Euro</option>
               <option value="GBP">GBP - British Pound</option>
               <option value="CAD">CAD - Canadian Dollar</option>
             </select>
+            {fieldError('currency')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -208,55 +230,124 @@ const AdminSettings = () => {
             <select
               value={settings.timezone}
               onChange={(e) => handleInputChange('timezone', e.target.value)}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             >
+              <option value="Asia/Kolkata">India Standard Time</option>
               <option value="America/New_York">Eastern Time</option>
               <option value="America/Chicago">Central Time</option>
               <option value="America/Denver">Mountain Time</option>
               <option value="America/Los_Angeles">Pacific Time</option>
             </select>
+            {fieldError('timezone')}
           </div>
         </div>
       </div>
 
       <div>
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Pricing & Shipping</h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">GST</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Each category sets its own HSN code and GST slab; these defaults cover products whose categories don't.
+          Orders to {INDIAN_STATES.find((state) => state.code === settings.businessStateCode)?.name || 'your state'} pay CGST + SGST, other states pay IGST.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Tax Rate (%)
+              GSTIN
             </label>
             <input
-              type="number"
-              step="0.1"
-              value={settings.taxRate}
-              onChange={(e) => handleInputChange('taxRate', parseFloat(e.target.value))}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              type="text"
+              value={settings.gstin}
+              onChange={(e) => handleInputChange('gstin', e.target.value.toUpperCase().trim())}
+              placeholder="Leave empty if not registered"
+              maxLength={15}
+              className={`${inputClass} uppercase`}
             />
+            {fieldError('gstin')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              State of Business
+            </label>
+            <select
+              value={settings.businessStateCode}
+              onChange={(e) => handleInputChange('businessStateCode', e.target.value)}
+              className={inputClass}
+            >
+              {INDIAN_STATES.map((state) => (
+                <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+              ))}
+            </select>
+            {fieldError('businessStateCode')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Shipping Fee ($)
+              Default HSN Code
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={settings.defaultHsnCode}
+              onChange={(e) => handleInputChange('defaultHsnCode', e.target.value.trim())}
+              maxLength={8}
+              className={inputClass}
+            />
+            {fieldError('defaultHsnCode')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Default GST Slab
+            </label>
+            <select
+              value={settings.defaultGstRate}
+              onChange={(e) => handleInputChange('defaultGstRate', Number(e.target.value))}
+              className={inputClass}
+            >
+              {GST_RATES.map((rate) => (
+                <option key={rate} value={rate}>{rate === 0 ? 'Nil (0%)' : `${rate}%`}</option>
+              ))}
+            </select>
+            {fieldError('defaultGstRate')}
+          </div>
+        </div>
+        <label className="flex items-center mt-4">
+          <input
+            type="checkbox"
+            checked={settings.pricesIncludeTax}
+            onChange={(e) => handleInputChange('pricesIncludeTax', e.target.checked)}
+            className="rounded border-gray-300 text-green-600 focus:ring-green-500 mr-2"
+          />
+          <span className="text-sm text-gray-700">Product prices include GST</span>
+        </label>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Shipping</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Shipping Fee ({settings.currency})
             </label>
             <input
               type="number"
               step="0.01"
               value={settings.shippingFee}
               onChange={(e) => handleInputChange('shippingFee', parseFloat(e.target.value))}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('shippingFee')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Free Shipping Threshold ($)
+              Free Shipping Threshold ({settings.currency})
             </label>
             <input
               type="number"
               step="0.01"
               value={settings.freeShippingThreshold}
               onChange={(e) => handleInputChange('freeShippingThreshold', parseFloat(e.target.value))}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('freeShippingThreshold')}
           </div>
         </div>
       </div>
@@ -269,9 +360,9 @@ const AdminSettings = () => {
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Email Notifications</h3>
         <div className="space-y-4">
           {[
-            { key: 'emailNotifications', label: 'Enable Email Notifications', description: 'Receive email notifications for important events' },
-            { key: 'orderNotifications', label: 'Order Notifications', description: 'Get notified when new orders are placed' },
-            { key: 'inventoryAlerts', label: 'Inventory Alerts', description: 'Receive alerts when products are low in stock' },
+            { key: 'emailNotifications', label: 'Enable Email Notifications', description: 'Email customers their order confirmation, shipping and delivery updates' },
+            { key: 'orderNotifications', label: 'Order Notifications', description: 'Email the contact address when a new order is placed' },
+            { key: 'inventoryAlerts', label: 'Inventory Alerts', description: 'Show low-stock products on the dashboard and email when stock falls to its threshold' },
             { key: 'reviewNotifications', label: 'Review Notifications', description: 'Get notified when customers leave reviews' }
           ].map((item) => (
             <div key={item.key} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
@@ -329,8 +420,9 @@ const AdminSettings = () => {
               type="number"
               value={settings.sessionTimeout}
               onChange={(e) => handleInputChange('sessionTimeout', parseInt(e.target.value))}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('sessionTimeout')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -340,8 +432,9 @@ const AdminSettings = () => {
               type="number"
               value={settings.passwordMinLength}
               onChange={(e) => handleInputChange('passwordMinLength', parseInt(e.target.value))}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              className={inputClass}
             />
+            {fieldError('passwordMinLength')}
           </div>
         </div>
         <div className="mt-4">
@@ -359,16 +452,264 @@ const AdminSettings = () => {
     </div>
   );
 
+  const renderEmailSettings = () => (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">SMTP Server</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              SMTP Host
+            </label>
+            <input
+              type="text"
+              value={settings.smtpHost}
+              onChange={(e) => handleInputChange('smtpHost', e.target.value)}
+              placeholder="smtp.gmail.com"
+              className={inputClass}
+            />
+            {fieldError('smtpHost')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              SMTP Port
+            </label>
+            <input
+              type="number"
+              value={settings.smtpPort}
+              onChange={(e) => handleInputChange('smtpPort', parseInt(e.target.value))}
+              className={inputClass}
+            />
+            {fieldError('smtpPort')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Username
+            </label>
+            <input
+              type="text"
+              value={settings.smtpUsername}
+              onChange={(e) => handleInputChange('smtpUsername', e.target.value)}
+              className={inputClass}
+            />
+            {fieldError('smtpUsername')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              value={settings.smtpPassword}
+              onChange={(e) => handleInputChange('smtpPassword', e.target.value)}
+              autoComplete="new-password"
+              className={inputClass}
+            />
+            {fieldError('smtpPassword')}
+          </div>
+        </div>
+        <p className="mt-3 text-sm text-gray-500 flex items-center gap-2">
+          <Lock className="w-4 h-4" />
+          Saved passwords are shown masked. Leave the field as is to keep the current password.
+        </p>
+      </div>
+
+      <div className="border-t border-gray-200 pt-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Test Delivery</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Sends a sample order confirmation through the saved SMTP settings. Save any changes first.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="email"
+            value={testRecipient}
+            onChange={(e) => setTestRecipient(e.target.value)}
+            placeholder={settings.contactEmail || 'you@example.com'}
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={() => sendTestMail.mutate({ to: testRecipient || settings.contactEmail, settings })}
+            disabled={sendTestMail.isPending || !(testRecipient || settings.contactEmail)}
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+          >
+            {sendTestMail.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Send test email
+          </button>
+        </div>
+        <p className="mt-3 text-sm text-gray-500">
+          Preview every template and check the delivery log on the{' '}
+          <Link to="/admin/emails" className="text-green-600 hover:text-green-700 font-medium">Emails</Link> page.
+        </p>
+      </div>
+    </div>
+  );
+
+  const renderPaymentSettings = () => (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Stripe</h3>
+        <div className="grid grid-cols-1 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Publishable Key
+            </label>
+            <input
+              type="text"
+              value={settings.stripePublicKey}
+              onChange={(e) => handleInputChange('stripePublicKey', e.target.value)}
+              placeholder="pk_live_..."
+              className={inputClass}
+            />
+            {fieldError('stripePublicKey')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Secret Key
+            </label>
+            <div className="relative">
+              <input
+                type={showApiKey ? 'text' : 'password'}
+                value={settings.stripeSecretKey}
+                onChange={(e) => handleInputChange('stripeSecretKey', e.target.value)}
+                autoComplete="off"
+                className={`${inputClass} pr-10`}
+              />
+              <button
+                type="button"
+                onClick={() => setShowApiKey((show) => !show)}
+                className="absolute inset-y-0 right-0 px-3 text-gray-500 hover:text-gray-700"
+                aria-label={showApiKey ? 'Hide secret key' : 'Show secret key'}
+              >
+                {showApiKey ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+              </button>
+            </div>
+            {fieldError('stripeSecretKey')}
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">PayPal</h3>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Client ID
+          </label>
+          <input
+            type={showApiKey ? 'text' : 'password'}
+            value={settings.paypalClientId}
+            onChange={(e) => handleInputChange('paypalClientId', e.target.value)}
+            autoComplete="off"
+            className={inputClass}
+          />
+          {fieldError('paypalClientId')}
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500 flex items-center gap-2">
+        <Lock className="w-4 h-4" />
+        Secret keys are stored on the server and only ever shown masked here.
+      </p>
+    </div>
+  );
+
+  const renderSeoSettings = () => (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Default Meta Tags</h3>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meta Title
+            </label>
+            <input
+              type="text"
+              value={settings.metaTitle}
+              onChange={(e) => handleInputChange('metaTitle', e.target.value)}
+              className={inputClass}
+            />
+            <p className="mt-1 text-xs text-gray-500">{settings.metaTitle.length}/70 characters</p>
+            {fieldError('metaTitle')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meta Description
+            </label>
+            <textarea
+              value={settings.metaDescription}
+              onChange={(e) => handleInputChange('metaDescription', e.target.value)}
+              rows={3}
+              className={inputClass}
+            />
+            <p className="mt-1 text-xs text-gray-500">{settings.metaDescription.length}/160 characters</p>
+            {fieldError('metaDescription')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meta Keywords
+            </label>
+            <input
+              type="text"
+              value={settings.metaKeywords}
+              onChange={(e) => handleInputChange('metaKeywords', e.target.value)}
+              className={inputClass}
+            />
+            {fieldError('metaKeywords')}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderSocialSettings = () => (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Social Profiles</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[
+            { key: 'facebookUrl', label: 'Facebook' },
+            { key: 'instagramUrl', label: 'Instagram' },
+            { key: 'twitterUrl', label: 'Twitter' },
+            { key: 'youtubeUrl', label: 'YouTube' }
+          ].map((item) => (
+            <div key={item.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {item.label} URL
+              </label>
+              <input
+                type="url"
+                value={settings[item.key]}
+                onChange={(e) => handleInputChange(item.key, e.target.value)}
+                placeholder="https://"
+                className={inputClass}
+              />
+              {fieldError(item.key)}
+            </div>
+          ))}
+        </div>
+        <p className="mt-3 text-sm text-gray-500">Leave a profile empty to hide it from the site footer.</p>
+      </div>
+    </div>
+  );
+
   const renderCurrentTab = () => {
     switch (activeTab) {
       case 'general':
         return renderGeneralSettings();
       case 'business':
         return renderBusinessSettings();
+      case 'email':
+        return renderEmailSettings();
+      case 'payment':
+        return renderPaymentSettings();
       case 'notifications':
         return renderNotificationSettings();
       case 'security':
         return renderSecuritySettings();
+      case 'seo':
+        return renderSeoSettings();
+      case 'social':
+        return renderSocialSettings();
       default:
         return (
           <div className="text-center py-12">
@@ -390,13 +731,21 @@ const AdminSettings = () => {
         </div>
         <button
           onClick={handleSave}
-          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
+          disabled={isLoading || updateSettings.isPending}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
         >
-          <Save className="w-4 h-4" />
-          Save Changes
+          {updateSettings.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          {updateSettings.isPending ? 'Saving...' : 'Save Changes'}
         </button>
       </div>
 
+      {isError && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center gap-3 text-sm text-yellow-800">
+          <AlertCircle className="w-5 h-5" />
+          Saved settings could not be loaded. Showing defaults; saving will overwrite the stored settings.
+        </div>
+      )}
+
       <div className="flex flex-col lg:flex-row gap-6">
         {/* Sidebar */}
         <div className="lg:w-64">
@@ -415,6 +764,9 @@ const AdminSettings = () => {
                 >
                   <IconComponent className="w-5 h-5" />
                   {tab.label}
+                  {errors[tab.id] && (
+                    <AlertCircle className="w-4 h-4 ml-auto text-red-500" aria-label="Has errors" />
+                  )}
                 </button>
               );
             })}
@@ -430,7 +782,12 @@ const AdminSettings = () => {
             transition={{ duration: 0.3 }}
             className="bg-white rounded-lg shadow-sm p-6"
           >
-            {renderCurrentTab()}
+            {isLoading ? (
+              <div className="flex items-center justify-center py-12 text-gray-500">
+                <Loader2 className="w-6 h-6 animate-spin mr-2" />
+                Loading settings...
+              </div>
+            ) : renderCurrentTab()}
           </motion.div>
         </div>
       </div>
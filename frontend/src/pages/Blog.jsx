@@ -26,6 +26,7 @@ import {
   ErrorState 
 } from '../components/LoadingSkeletons.jsx'
 import { useData } from '../context/DataProvider.jsx'
+import NewsletterInlineForm from '../components/NewsletterInlineForm.jsx'
 
 export default function Blog() {
   const [searchTerm, setSearchTerm] = useState('')
@@ -554,16 +555,7 @@ export default function Blog() {
             <p className="text-green-100 mb-8">
               Get the latest articles and exclusive plant care guides delivered to your inbox
             </p>
-            <div className="flex flex-col sm:flex-row gap-4 max-w-md mx-auto">
-              <input
-                type="email"
-                placeholder="Enter your email"
-                className="flex-1 px-4 py-3 rounded-lg border-0 focus:ring-2 focus:ring-white focus:ring-opacity-50"
-              />
-              <button className="bg-white hover:bg-gray-100 text-green-600 font-semibold px-6 py-3 rounded-lg transition-colors duration-200">
-                Subscribe
-              </button>
-            </div>
+            <NewsletterInlineForm source="blog" />
           </motion.div>
         </div>
       </section>
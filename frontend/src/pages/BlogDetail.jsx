@@ -1,6 +1,5 @@
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
-import { Helmet } from 'react-helmet-async'
 import { motion } from 'framer-motion'
 import { 
   Calendar, 
@@ -11,16 +10,24 @@ import {
   Share2,
   BookOpen,
   Heart,
-  MessageCircle,
-  ChevronRight
+  MessageCircle
 } from 'lucide-react'
 import { useBlogPost, useFeaturedBlogs, useApiError } from '../hooks/usePublicData.js'
 import { BlogCardSkeleton, ErrorState } from '../components/LoadingSkeletons.jsx'
 import { useData } from '../context/DataProvider.jsx'
+import NewsletterInlineForm from '../components/NewsletterInlineForm.jsx'
+import { recordNewsletterActivity } from '../hooks/queries/useNewsletter'
+import { ACTIVITY_TYPES } from '../lib/newsletter'
+import Seo, { useSeoOptions } from '../components/Seo.jsx'
+import BreadcrumbNav from '../components/BreadcrumbNav.jsx'
+import { articleSeo } from '../lib/seo.js'
+import { articleJsonLd, breadcrumbJsonLd } from '../lib/structuredData.js'
+import { articleTrail } from '../lib/breadcrumbs.js'
 
 export default function BlogDetail() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const seoOptions = useSeoOptions()
   
   // Fallback data from context
   const { blogPosts: fallbackBlogPosts } = useData()
@@ -50,6 +57,11 @@ export default function BlogDetail() {
     return fallbackBlogPosts?.find(p => p.id.toString() === id) || null
   }, [blogPost, fallbackBlogPosts, id])
 
+  // Care guide readers form a newsletter segment
+  useEffect(() => {
+    if (blogPost?.category === 'care-guide') recordNewsletterActivity(ACTIVITY_TYPES.CARE_GUIDE_READ, blogPost.id)
+  }, [blogPost?.id, blogPost?.category])
+
   const related = useMemo(() => {
     if (relatedPosts) return relatedPosts.filter(p => p.id.toString() !== id).slice(0, 3)
     // Fallback to static data
@@ -150,26 +162,15 @@ export default function BlogDetail() {
 
   return (
     <div>
-      <Helmet>
-        <title>{post.title} • Chamunda Nursery Blog</title>
-        <meta name="description" content={post.excerpt} />
-        <meta property="og:title" content={post.title} />
-        <meta property="og:description" content={post.excerpt} />
-        <meta property="og:image" content={post.coverImage || post.image} />
-        <meta property="og:type" content="article" />
-        <meta name="twitter:card" content="summary_large_image" />
-      </Helmet>
+      <Seo
+        seo={articleSeo(post, 'blog', seoOptions)}
+        structuredData={[articleJsonLd(post, 'blog', seoOptions), breadcrumbJsonLd(articleTrail(post, 'blog'), seoOptions)]}
+      />
 
       {/* Breadcrumb */}
       <section className="bg-white border-b">
         <div className="container mx-auto px-4 py-4">
-          <nav className="flex items-center space-x-2 text-sm text-gray-600">
-            <Link to="/" className="hover:text-green-600 transition-colors">Home</Link>
-            <ChevronRight className="w-4 h-4" />
-            <Link to="/blog" className="hover:text-green-600 transition-colors">Blog</Link>
-            <ChevronRight className="w-4 h-4" />
-            <span className="text-gray-900 font-medium truncate">{post.title}</span>
-          </nav>
+          <BreadcrumbNav customBreadcrumbs={articleTrail(post, 'blog')} className="" />
         </div>
       </section>
 
@@ -438,16 +439,7 @@ export default function BlogDetail() {
               <p className="text-green-100 mb-8 text-lg">
                 Get the latest gardening advice and plant care guides delivered to your inbox
               </p>
-              <div className="flex flex-col sm:flex-row gap-4 max-w-md mx-auto">
-                <input
-                  type="email"
-                  placeholder="Enter your email"
-                  className="flex-1 px-4 py-3 rounded-lg border-0 focus:ring-2 focus:ring-green-300 focus:outline-none"
-                />
-                <button className="bg-white text-green-600 hover:bg-gray-100 px-6 py-3 rounded-lg font-medium transition-colors">
-                  Subscribe
-                </button>
-              </div>
+              <NewsletterInlineForm source="blog" />
             </motion.div>
           </div>
         </div>
@@ -17,6 +17,7 @@ import {
 import { 
   usePlantCareArticles, 
   usePlantCareSearch,
+  useCategories,
   useApiError 
 } from '../hooks/usePublicData.js'
 import { 
@@ -25,7 +26,7 @@ import {
   ErrorState 
 } from '../components/LoadingSkeletons.jsx'
 import { useData } from '../context/DataProvider.jsx'
-import { useCategories } from '../hooks/useCategories.js'
+import NewsletterInlineForm from '../components/NewsletterInlineForm.jsx'
 
 export default function Care() {
   // State for search and filters
@@ -40,7 +41,8 @@ export default function Care() {
   const { careGuides: fallbackCareGuides } = useData()
 
   // Fetch dynamic categories
-  const { categories: dynamicCategories, loading: categoriesLoading } = useCategories()
+  const { data: categoriesData, isLoading: categoriesLoading } = useCategories()
+  const dynamicCategories = categoriesData?.categories
 
   // Dynamic API data
   const { 
@@ -436,16 +438,7 @@ export default function Care() {
               <p className="text-green-100 mb-8 text-lg">
                 Subscribe to receive weekly care guides and seasonal plant tips
               </p>
-              <div className="flex flex-col sm:flex-row gap-4 max-w-md mx-auto">
-                <input
-                  type="email"
-                  placeholder="Enter your email"
-                  className="flex-1 px-4 py-3 rounded-lg border-0 focus:ring-2 focus:ring-green-300 focus:outline-none"
-                />
-                <button className="bg-white text-green-600 hover:bg-gray-100 px-6 py-3 rounded-lg font-medium transition-colors">
-                  Subscribe
-                </button>
-              </div>
+              <NewsletterInlineForm source="care" />
             </motion.div>
           </div>
         </div>
@@ -1,6 +1,5 @@
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
-import { Helmet } from 'react-helmet-async'
 import { motion } from 'framer-motion'
 import { 
   ArrowLeft, 
@@ -16,12 +15,21 @@ import {
   Info
 } from 'lucide-react'
 import { usePlantCareArticle, usePlantCareArticles, useApiError } from '../hooks/usePublicData'
-import { useData } from '../context/DataContext'
+import { useData } from '../context/DataProvider.jsx'
 import { BlogCardSkeleton, ErrorState } from '../components/LoadingSkeletons'
+import NewsletterInlineForm from '../components/NewsletterInlineForm.jsx'
+import { recordNewsletterActivity } from '../hooks/queries/useNewsletter'
+import { ACTIVITY_TYPES } from '../lib/newsletter'
+import Seo, { useSeoOptions } from '../components/Seo.jsx'
+import BreadcrumbNav from '../components/BreadcrumbNav.jsx'
+import { articleSeo } from '../lib/seo.js'
+import { careGuideJsonLd, breadcrumbJsonLd } from '../lib/structuredData.js'
+import { articleTrail } from '../lib/breadcrumbs.js'
 
 export default function CareDetail() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const seoOptions = useSeoOptions()
   const { careGuides: fallbackCareGuides } = useData()
 
   // Fetch the specific care article
@@ -50,6 +58,11 @@ export default function CareDetail() {
     return fallbackCareGuides?.find(guide => guide.id === parseInt(id) || guide.id === id)
   }, [careArticle, fallbackCareGuides, id])
 
+  // Care guide readers form a newsletter segment
+  useEffect(() => {
+    if (careArticle?.id) recordNewsletterActivity(ACTIVITY_TYPES.CARE_GUIDE_READ, careArticle.id)
+  }, [careArticle?.id])
+
   // Related articles with fallback
   const relatedArticles = useMemo(() => {
     if (relatedData?.articles) return relatedData.articles
@@ -159,18 +172,16 @@ export default function CareDetail() {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <Helmet>
-        <title>{article.title} • Plant Care Guide • Chamunda Nursery</title>
-        <meta name="description" content={article.description || article.excerpt || `Learn about ${article.title} with our comprehensive plant care guide.`} />
-        <meta property="og:title" content={`${article.title} • Plant Care Guide`} />
-        <meta property="og:description" content={article.description || article.excerpt} />
-        <meta property="og:image" content={article.coverImage || article.image} />
-      </Helmet>
+      <Seo
+        seo={articleSeo(article, 'care', seoOptions)}
+        structuredData={[careGuideJsonLd(article, seoOptions), breadcrumbJsonLd(articleTrail(article, 'care'), seoOptions)]}
+      />
 
       {/* Header */}
       <section className="bg-white border-b">
         <div className="container mx-auto px-4 py-6">
           <div className="max-w-4xl mx-auto">
+            <BreadcrumbNav customBreadcrumbs={articleTrail(article, 'care')} className="mb-4" />
             <button
               onClick={() => navigate(-1)}
               className="inline-flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-4 transition-colors"
@@ -260,6 +271,7 @@ export default function CareDetail() {
                     {article.sections.map((section, index) => (
                       <motion.div
                         key={index}
+                        id={`step-${index + 1}`}
                         initial={{ opacity: 0, y: 20 }}
                         whileInView={{ opacity: 1, y: 0 }}
                         viewport={{ once: true }}
@@ -282,6 +294,7 @@ export default function CareDetail() {
                     {article.steps.map((step, index) => (
                       <motion.div
                         key={step.id || index}
+                        id={`step-${index + 1}`}
                         initial={{ opacity: 0, x: -20 }}
                         whileInView={{ opacity: 1, x: 0 }}
                         viewport={{ once: true }}
@@ -434,16 +447,7 @@ export default function CareDetail() {
               <p className="text-green-100 mb-8 text-lg">
                 Subscribe to receive weekly care guides and expert advice
               </p>
-              <div className="flex flex-col sm:flex-row gap-4 max-w-md mx-auto">
-                <input
-                  type="email"
-                  placeholder="Enter your email"
-                  className="flex-1 px-4 py-3 rounded-lg border-0 focus:ring-2 focus:ring-green-300 focus:outline-none"
-                />
-                <button className="bg-white text-green-600 hover:bg-gray-100 px-6 py-3 rounded-lg font-medium transition-colors">
-                  Subscribe
-                </button>
-              </div>
+              <NewsletterInlineForm source="care" />
             </motion.div>
           </div>
         </div>
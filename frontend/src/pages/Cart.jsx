@@ -1,110 +1,27 @@
 import React from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link } from 'react-router-dom'
 import { Helmet } from 'react-helmet-async'
-import { motion } from 'framer-motion'
-import useCartStore from '../stores/cartStore'
-import useAuthStore from '../stores/authStore'
-import useUIStore from '../stores/uiStore'
-import CartItem from '../components/CartItem'
-import CartSummary from '../components/CartSummary'
-import EmptyCart from '../components/EmptyCart'
-import LoadingSpinner from '../components/LoadingSpinner'
+import { motion, AnimatePresence } from 'framer-motion'
+import { ArrowLeft, ShoppingCart, ShoppingBag, Leaf, Minus, Plus, Trash2, Heart } from 'lucide-react'
+import { useCart } from '../hooks/CartProvider.jsx'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
+import useCartCoupon from '../hooks/useCartCoupon'
+import CouponField from '../components/CouponField.jsx'
+import TaxLines from '../components/TaxLines.jsx'
+import { formatPrice } from '../lib/storeSettings'
 
 const Cart = () => {
-  const navigate = useNavigate()
-  
-  // Zustand stores
-  const { 
-    items, 
-    total, 
-    itemCount, 
-    updateQuantity, 
-    removeItem, 
-    clearCart,
-    isLoading 
-  } = useCartStore()
-  
-  const { isAuthenticated } = useAuthStore()
-  const { showSuccess, showConfirm } = useUIStore()
-  
-  // Handlers
-  const handleQuantityChange = (id, quantity) => {
-    if (quantity <= 0) {
-      handleRemoveItem(id)
-    } else {
-      updateQuantity(id, quantity)
-    }
-  }
-  
-  const handleRemoveItem = (id) => {
-    const item = items.find(item => item.id === id)
-    if (item) {
-      showConfirm(
-        `Remove ${item.name} from cart?`,
-        'This action cannot be undone.',
-        () => {
-          removeItem(id)
-          showSuccess('Item removed from cart')
-        }
-      )
-    }
-  }
-  
-  const handleClearCart = () => {
-    showConfirm(
-      'Clear entire cart?',
-      'This will remove all items from your cart.',
-      () => {
-        clearCart()
-        showSuccess('Cart cleared')
-      }
-    )
-  }
-  
-  const handleCheckout = () => {
-    if (!isAuthenticated) {
-      showConfirm(
-        'Sign in required',
-        'Please sign in to continue with checkout.',
-        () => navigate('/account/login?redirect=/checkout')
-      )
-      return
-    }
-    
-    navigate('/checkout')
-  }
-  
-  const handleContinueShopping = () => {
-    navigate('/catalog')
-  }
-  
-  // Animation variants
-  const containerVariants = {
-    hidden: { opacity: 0 },
-    visible: {
-      opacity: 1,
-      transition: {
-        staggerChildren: 0.1
-      }
-    }
-  }
-  
-  const itemVariants = {
-    hidden: { opacity: 0, x: -20 },
-    visible: { opacity: 1, x: 0 }
-  }
-  
-  if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <LoadingSpinner size="lg" />
-      </div>
-    )
-  }
-  
-  if (items.length === 0) {
-    return <EmptyCart onContinueShopping={handleContinueShopping} />
+  const { items, itemCount, subtotal, updateQty, remove, offline } = useCart()
+  const { code: couponCode, totals, settings } = useCartCoupon()
+  const { discount, shipping, shippingDiscount, total } = totals
+  const wishlist = useWishlist()
+
+  // Save for later: the plant moves to the wishlist and out of the cart
+  const moveToWishlist = (item) => {
+    wishlist.add({ ...item, id: item.productId ?? item.id, hasVariants: Boolean(item.variantId) })
+    remove(item.id)
   }
+  const amountForFreeShipping = Math.max(0, settings.freeShippingThreshold - subtotal)
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 via-white to-emerald-50 relative overflow-hidden">
@@ -212,7 +129,7 @@ const Cart = () => {
                   >
                     <div className="flex items-center justify-between mb-6">
                       <h2 className="text-xl font-semibold text-gray-900">
-                        Cart Items ({items.length})
+                        Cart Items ({itemCount})
                       </h2>
                       <motion.div
                         className="text-sm text-gray-500"
@@ -220,13 +137,13 @@ const Cart = () => {
                         animate={{ opacity: 1 }}
                         transition={{ delay: 0.3 }}
                       >
-                        {subtotal > 499 ? (
+                        {shipping === 0 ? (
                           <span className="text-green-600 font-medium">
                             🎉 Free shipping unlocked!
                           </span>
                         ) : (
                           <span>
-                            Add ₹{499 - subtotal} more for free shipping
+                            Add {formatPrice(amountForFreeShipping, settings)} more for free shipping
                           </span>
                         )}
                       </motion.div>
@@ -262,7 +179,7 @@ const Cart = () => {
                                   animate={{ scale: 1 }}
                                   transition={{ delay: 0.2 }}
                                 >
-                                  {item.qty}
+                                  {item.quantity}
                                 </motion.div>
                               </div>
 
@@ -271,6 +188,9 @@ const Cart = () => {
                                 <h3 className="font-semibold text-gray-900 truncate">
                                   {item.name}
                                 </h3>
+                                {item.variantTitle && (
+                                  <p className="text-sm text-gray-500">{item.variantTitle}</p>
+                                )}
                                 <p className="text-sm text-gray-600 mt-1">
                                   ₹{item.price} each
                                 </p>
@@ -280,7 +200,7 @@ const Cart = () => {
                                   <div className="flex items-center bg-white rounded-lg border border-gray-300 overflow-hidden">
                                     <motion.button
                                       className="p-2 hover:bg-gray-100 transition-colors"
-                                      onClick={() => updateQty(item.id, item.qty - 1)}
+                                      onClick={() => updateQty(item.id, item.quantity - 1)}
                                       whileHover={{ scale: 1.1 }}
                                       whileTap={{ scale: 0.9 }}
                                       aria-label="Decrease quantity"
@@ -288,11 +208,11 @@ const Cart = () => {
                                       <Minus className="w-4 h-4" />
                                     </motion.button>
                                     <span className="px-4 py-2 min-w-[50px] text-center font-medium">
-                                      {item.qty}
+                                      {item.quantity}
                                     </span>
                                     <motion.button
                                       className="p-2 hover:bg-gray-100 transition-colors"
-                                      onClick={() => updateQty(item.id, item.qty + 1)}
+                                      onClick={() => updateQty(item.id, item.quantity + 1)}
                                       whileHover={{ scale: 1.1 }}
                                       whileTap={{ scale: 0.9 }}
                                       aria-label="Increase quantity"
@@ -310,17 +230,27 @@ const Cart = () => {
                                     <Trash2 className="w-4 h-4" />
                                     <span className="text-sm">Remove</span>
                                   </motion.button>
+
+                                  <motion.button
+                                    className="flex items-center gap-1 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                                    onClick={() => moveToWishlist(item)}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                  >
+                                    <Heart className="w-4 h-4" />
+                                    <span className="text-sm">Save for later</span>
+                                  </motion.button>
                                 </div>
                               </div>
 
                               {/* Item Total */}
                               <div className="text-right">
                                 <div className="text-lg font-bold text-gray-900">
-                                  ₹{item.price * item.qty}
+                                  ₹{item.price * item.quantity}
                                 </div>
-                                {item.qty > 1 && (
+                                {item.quantity > 1 && (
                                   <div className="text-sm text-gray-500">
-                                    ₹{item.price} × {item.qty}
+                                    ₹{item.price} × {item.quantity}
                                   </div>
                                 )}
                               </div>
@@ -351,25 +281,36 @@ const Cart = () => {
                 
                 <div className="space-y-4">
                   <div className="flex justify-between text-gray-600">
-                    <span>Subtotal ({items.length} items)</span>
-                    <span>₹{subtotal}</span>
+                    <span>Subtotal ({itemCount} items)</span>
+                    <span>{formatPrice(subtotal, settings)}</span>
                   </div>
                   
+                  {discount > 0 && (
+                    <div className="flex justify-between text-green-700">
+                      <span>Discount ({couponCode})</span>
+                      <span>-{formatPrice(discount, settings)}</span>
+                    </div>
+                  )}
+
                   <div className="flex justify-between text-gray-600">
-                    <span>Shipping</span>
+                    <span>Shipping{shippingDiscount > 0 && ` (${couponCode})`}</span>
                     <span className={shipping === 0 ? 'text-green-600 font-medium' : ''}>
-                      {shipping === 0 ? 'Free' : `₹${shipping}`}
+                      {shipping === 0 ? 'Free' : formatPrice(shipping, settings)}
                     </span>
                   </div>
+
+                  <TaxLines gst={totals.gst} settings={settings} className="flex justify-between text-gray-600" />
                   
+                  <CouponField />
+
                   <hr className="border-gray-200" />
                   
                   <div className="flex justify-between text-lg font-bold text-gray-900">
                     <span>Total</span>
-                    <span>₹{total}</span>
+                    <span>{formatPrice(total, settings)}</span>
                   </div>
                   
-                  {subtotal < 499 && (
+                  {shipping > 0 && (
                     <motion.div
                       className="bg-yellow-50 border border-yellow-200 rounded-lg p-3"
                       initial={{ opacity: 0, scale: 0.95 }}
@@ -377,17 +318,23 @@ const Cart = () => {
                       transition={{ delay: 0.3 }}
                     >
                       <p className="text-sm text-yellow-800">
-                        Add ₹{499 - subtotal} more to get free shipping!
+                        Add {formatPrice(amountForFreeShipping, settings)} more to get free shipping!
                       </p>
                       <div className="w-full bg-yellow-200 rounded-full h-2 mt-2">
                         <div 
                           className="bg-yellow-500 h-2 rounded-full transition-all duration-500"
-                          style={{ width: `${Math.min((subtotal / 499) * 100, 100)}%` }}
+                          style={{ width: `${Math.min((subtotal / settings.freeShippingThreshold) * 100, 100)}%` }}
                         />
                       </div>
                     </motion.div>
                   )}
                   
+                  {offline && (
+                    <p className="text-xs text-amber-700" role="status">
+                      You're offline. Cart changes will sync when you reconnect.
+                    </p>
+                  )}
+
                   <motion.div
                     className="pt-4"
                     whileHover={{ scale: 1.02 }}
@@ -1,126 +1,177 @@
-// Catalog page with multi-level filters and responsive product grid
-import React, { useEffect, useState, useMemo } from 'react'
+// Catalog page with faceted filters kept in the URL and a responsive product grid
+import React, { useState, useMemo, useEffect, useRef } from 'react'
 import { motion } from 'framer-motion'
+import { X, SlidersHorizontal } from 'lucide-react'
 import ScrollReveal from '../components/animations/ScrollReveal.jsx'
-import { Helmet } from 'react-helmet-async'
-import { Link, useSearchParams } from 'react-router-dom'
-import { ProductCardSkeleton } from '../components/Skeleton.jsx'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import Seo, { useSeoOptions } from '../components/Seo.jsx'
 import ProductCard from '../components/ProductCard.jsx'
-import { useData } from '../context/DataProvider.jsx'
-import { 
-  useProducts, 
-  useCategories, 
-  useApiError 
+import FilterSidebar from '../components/FilterSidebar.jsx'
+import Pagination from '../components/Pagination.jsx'
+import BreadcrumbNav from '../components/BreadcrumbNav.jsx'
+import {
+  useCatalogSearch,
+  useCategories,
+  useApiError
 } from '../hooks/usePublicData.js'
-import { 
-  ProductGridSkeleton, 
-  ErrorState 
+import {
+  ProductGridSkeleton,
+  ErrorState
 } from '../components/LoadingSkeletons.jsx'
+import {
+  CATALOG_PAGE_SIZE,
+  CATALOG_SORTS,
+  FEATURE_OPTIONS,
+  CARE_LEVEL_OPTIONS,
+  LIGHT_OPTIONS,
+  parseCatalogParams,
+  catalogUrl,
+  orderCategories,
+  updateCatalogFilters,
+  clearCatalogFilters,
+  hasActiveFilters
+} from '../lib/catalogFilters.js'
+import { logSearch, logSearchClick, SEARCH_SOURCES } from '../services/searchTracking.js'
+import { catalogSeo, categorySeo } from '../lib/seo.js'
+import { breadcrumbJsonLd } from '../lib/structuredData.js'
+import { categoryTrail } from '../lib/breadcrumbs.js'
+
+const capitalize = (value) => String(value).charAt(0).toUpperCase() + String(value).slice(1)
 
 export default function Catalog() {
   const [params] = useSearchParams()
-  const activeCategory = params.get('category')
-  const [sort, setSort] = useState('popular')
-  const [page, setPage] = useState(1)
-  const [openGroups, setOpenGroups] = useState({})
+  const { category: pathCategory } = useParams()
+  const navigate = useNavigate()
+  const seoOptions = useSeoOptions()
+  const [showFilters, setShowFilters] = useState(false)
+
+  // The URL is the only copy of the filters
+  const filters = useMemo(() => parseCatalogParams(params, pathCategory), [params, pathCategory])
 
-  // Dynamic API data
-  const { 
-    data: productsData, 
-    isLoading: productsLoading, 
+  const applyFilters = (next) => navigate(catalogUrl(next))
+
+  const {
+    data: catalogData,
+    isLoading: productsLoading,
+    isFetching: productsFetching,
+    isPlaceholderData,
     error: productsError,
-    refetch: refetchProducts 
-  } = useProducts({ 
-    category: activeCategory, 
-    sort, 
-    page,
-    limit: 20 
-  })
+    refetch: refetchProducts
+  } = useCatalogSearch(filters)
 
-  const { 
-    data: categoriesData, 
-    isLoading: categoriesLoading, 
-    error: categoriesError 
+  const {
+    data: categoriesData,
+    isLoading: categoriesLoading,
+    error: categoriesError
   } = useCategories()
 
   // Error handling
   const productsErrorInfo = useApiError(productsError)
   const categoriesErrorInfo = useApiError(categoriesError)
 
-  // Memoized data processing - use only dynamic API data
+  // A submitted search is logged once, with its real result count, for the search report;
+  // paging or filtering the same search doesn't log it again
+  const searchLog = useRef({ query: null, searchId: null })
+  useEffect(() => {
+    if (!filters.search || !catalogData || isPlaceholderData || searchLog.current.query === filters.search) return
+    searchLog.current = {
+      query: filters.search,
+      searchId: logSearch({ query: filters.search, resultCount: catalogData.total, source: SEARCH_SOURCES.CATALOG }),
+    }
+  }, [filters.search, catalogData, isPlaceholderData])
+
+  const handleResultClick = (product, index) => {
+    if (!filters.search || searchLog.current.query !== filters.search) return
+    logSearchClick({
+      searchId: searchLog.current.searchId,
+      query: filters.search,
+      resultType: 'product',
+      resultId: product.id || product._id,
+      position: (filters.page - 1) * CATALOG_PAGE_SIZE + index + 1,
+    })
+  }
+
   const products = useMemo(() => {
-    const productList = productsData?.products || []
+    const productList = catalogData?.products || []
     return Array.isArray(productList) ? productList : []
-  }, [productsData?.products])
+  }, [catalogData?.products])
 
-  const categories = useMemo(() => {
-    if (categoriesData?.categories && categoriesData.categories.length > 0) {
-      // Build hierarchical structure from API data
-      const categoryMap = new Map()
-      const rootCategories = []
-      
-      // First pass: create all categories
-      categoriesData.categories.forEach(cat => {
-        if (cat.status === 'active') { // Only include active categories
-          categoryMap.set(cat.id, { ...cat, children: [] })
-        }
-      })
-      
-      // Second pass: build hierarchy
-      categoriesData.categories.forEach(cat => {
-        if (cat.status === 'active' && cat.parent_id) {
-          const parent = categoryMap.get(cat.parent_id)
-          const child = categoryMap.get(cat.id)
-          if (parent && child) {
-            parent.children.push(child)
-          }
-        } else if (cat.status === 'active' && !cat.parent_id) {
-          rootCategories.push(categoryMap.get(cat.id))
-        }
-      })
-      
-      // Convert to the expected format for rendering
-      const result = {}
-      rootCategories.forEach(rootCat => {
-        if (rootCat.children.length > 0) {
-          result[rootCat.name] = rootCat.children
-        } else {
-          // If no children, show the root category itself
-          result[rootCat.name] = [rootCat]
-        }
-      })
-      
-      return result
-    }
-    // Fallback to static categories
-    return {
-      Plants: ['indoor', 'outdoor', 'bonsai', 'fruits', 'vegetables'],
-      Supplies: ['tools', 'seeds', 'pots']
-    }
-  }, [categoriesData?.categories])
+  // Active categories, each parent followed by its subcategories
+  const categories = useMemo(() => orderCategories(categoriesData?.categories), [categoriesData?.categories])
 
-  // Initialize open groups when categories load
-  useEffect(() => {
-    if (Object.keys(categories).length > 0) {
-      setOpenGroups(prev => {
-        const newGroups = Object.keys(categories).reduce((acc, k) => ({ 
-          ...acc, 
-          [k]: prev[k] !== undefined ? prev[k] : true 
-        }), {})
-        return newGroups
-      })
+  const categoryName = (slug) =>
+    categories.find((cat) => cat.slug === slug)?.name || capitalize(slug)
+
+  const handleFilterChange = (key, value) => {
+    if (key === 'priceRange') {
+      applyFilters({ ...updateCatalogFilters(filters, 'minPrice', value.min), maxPrice: value.max })
+      return
     }
-  }, [categories])
+    applyFilters(updateCatalogFilters(filters, key, value))
+  }
+
+  const handlePageChange = (page) => {
+    applyFilters(updateCatalogFilters(filters, 'page', page))
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
 
-  const isLoading = productsLoading || categoriesLoading
-  const hasError = productsErrorInfo || categoriesErrorInfo
+  // One removable chip per applied filter value
+  const activeChips = [
+    filters.search && { label: `“${filters.search}”`, remove: () => handleFilterChange('search', '') },
+    ...filters.category.map((slug) => ({
+      label: categoryName(slug),
+      remove: () => handleFilterChange('category', filters.category.filter((v) => v !== slug))
+    })),
+    ...[
+      ['features', FEATURE_OPTIONS],
+      ['careLevel', CARE_LEVEL_OPTIONS],
+      ['lightRequirement', LIGHT_OPTIONS],
+      ['tags', {}]
+    ].flatMap(([key, labels]) =>
+      filters[key].map((value) => ({
+        label: labels[value] || capitalize(value),
+        remove: () => handleFilterChange(key, filters[key].filter((v) => v !== value))
+      }))
+    ),
+    (filters.minPrice !== null || filters.maxPrice !== null) && {
+      label: filters.maxPrice === null
+        ? `₹${filters.minPrice}+`
+        : `₹${filters.minPrice ?? 0} – ₹${filters.maxPrice}`,
+      remove: () => handleFilterChange('priceRange', { min: null, max: null })
+    },
+    filters.rating && { label: `${filters.rating}★ & up`, remove: () => handleFilterChange('rating', null) }
+  ].filter(Boolean)
+
+  const heading = filters.search
+    ? `Results for “${filters.search}”`
+    : filters.category.length === 1
+      ? categoryName(filters.category[0])
+      : 'All Products'
+
+  const total = catalogData?.total ?? 0
+  const totalPages = catalogData?.totalPages ?? 1
+  const filtered = hasActiveFilters(filters)
+
+  // Only the plain catalog and single-category pages are indexed; searches and facet
+  // combinations point crawlers at the page they narrow down
+  const singleCategory = filters.category.length === 1 && categories.find((cat) => cat.slug === filters.category[0])
+  const seo = singleCategory
+    ? {
+        ...categorySeo(singleCategory, { ...seoOptions, page: filters.page }),
+        robots: hasActiveFilters({ ...filters, category: [] }) ? 'noindex, follow' : undefined
+      }
+    : catalogSeo({
+        ...seoOptions,
+        title: heading === 'All Products' ? 'Catalog' : heading,
+        page: filtered ? 1 : filters.page,
+        indexable: !filtered
+      })
+  const trail = singleCategory ? categoryTrail(singleCategory, categories) : null
 
   return (
     <div className="page-container grid grid-cols-1 lg:grid-cols-4 gap-6">
-      <Helmet>
-        <title>Catalog • Chamunda Nursery</title>
-        <meta name="description" content="Browse plants and gardening supplies" />
-      </Helmet>
+      <Seo seo={seo} structuredData={trail ? [breadcrumbJsonLd(trail, seoOptions)] : []} />
+      {trail && <BreadcrumbNav customBreadcrumbs={trail} className="lg:col-span-4 -mb-2" />}
 
       {/* Page intro / dynamic heading */}
       <div className="lg:col-span-4 -mt-2">
@@ -131,15 +182,22 @@ export default function Catalog() {
           className="rounded-xl border border-neutral-200 bg-white p-4 md:p-5 shadow-soft"
         >
           <h1 className="font-display text-2xl md:text-3xl font-semibold text-neutral-900">
-            {activeCategory ? String(activeCategory).charAt(0).toUpperCase() + String(activeCategory).slice(1) : 'All Products'}
+            {heading}
           </h1>
           <p className="text-neutral-700 text-sm md:text-base mt-1">Explore curated plants and gardening essentials. Use filters to refine your selection.</p>
         </motion.div>
       </div>
 
       {/* Filters sidebar */}
-      <aside className="lg:col-span-1 space-y-4" aria-label="Filters">
-        {categoriesLoading ? (
+      <aside className="lg:col-span-1" aria-label="Filters">
+        {categoriesErrorInfo ? (
+          <ErrorState
+            title="Failed to load categories"
+            message={categoriesErrorInfo.message}
+            onRetry={() => window.location.reload()}
+            compact
+          />
+        ) : categoriesLoading ? (
           <div className="rounded-lg border border-neutral-200 bg-white p-4">
             <div className="animate-pulse space-y-3">
               <div className="h-4 bg-neutral-200 rounded w-3/4"></div>
@@ -150,74 +208,73 @@ export default function Catalog() {
               </div>
             </div>
           </div>
-        ) : categoriesErrorInfo ? (
-          <ErrorState
-            title="Failed to load categories"
-            message={categoriesErrorInfo.message}
-            onRetry={() => window.location.reload()}
-            compact
-          />
         ) : (
-          Object.entries(categories).map(([group, items]) => (
-            <ScrollReveal key={group} variant="fadeUp" className="rounded-lg border border-neutral-200 bg-white">
-              <button
-                className="w-full flex items-center justify-between px-4 py-3"
-                aria-expanded={openGroups[group]}
-                onClick={() => setOpenGroups((o) => ({ ...o, [group]: !o[group] }))}
-              >
-                <span className="font-semibold text-base md:text-lg">{group}</span>
-                <span className={`transition-transform duration-300 ${openGroups[group] ? 'rotate-180' : 'rotate-0'}`}>▾</span>
-              </button>
-              <motion.ul
-                initial={false}
-                animate={openGroups[group] ? 'open' : 'collapsed'}
-                variants={{ open: { height: 'auto', opacity: 1 }, collapsed: { height: 0, opacity: 0 } }}
-                transition={{ duration: 0.3, ease: 'easeOut' }}
-                className="overflow-hidden px-4 pb-3 space-y-2"
-              >
-                {(Array.isArray(items) ? items : []).map((item) => {
-                  const itemSlug = typeof item === 'object' ? item.slug : item
-                  const itemName = typeof item === 'object' ? item.name : item
-                  return (
-                    <li key={itemSlug}>
-                      <Link 
-                        className={`link-hover ${activeCategory === itemSlug ? 'text-primary font-semibold' : ''}`} 
-                        to={`/catalog?category=${itemSlug}`}
-                      >
-                        {itemName[0].toUpperCase() + itemName.slice(1)}
-                      </Link>
-                    </li>
-                  )
-                })}
-              </motion.ul>
-            </ScrollReveal>
-          ))
+          <FilterSidebar
+            isOpen={showFilters}
+            onClose={() => setShowFilters(false)}
+            filters={filters}
+            facets={catalogData?.facets}
+            categories={categories}
+            onFilterChange={handleFilterChange}
+            onClearFilters={() => applyFilters(clearCatalogFilters(filters))}
+          />
         )}
-        <motion.div
-          initial={{ opacity: 0, y: 10 }}
-          whileInView={{ opacity: 1, y: 0 }}
-          viewport={{ once: true, amount: 0.3 }}
-          transition={{ duration: 0.35, ease: 'easeOut' }}
-          className="rounded-lg border border-neutral-200 bg-white p-4"
-        >
-          <h3 className="font-semibold mb-2">Sort</h3>
-          <select 
-            className="input input-bordered w-full" 
-            value={sort} 
-            onChange={(e) => setSort(e.target.value)} 
-            aria-label="Sort products"
-          >
-            <option value="popular">Most Popular</option>
-            <option value="price_asc">Price: Low to High</option>
-            <option value="price_desc">Price: High to Low</option>
-            <option value="newest">Newest</option>
-            <option value="name">Name A-Z</option>
-          </select>
-        </motion.div>
       </aside>
 
       {/* Product grid */}
       <section className="lg:col-span-3" aria-label="Products">
+        {/* Toolbar */}
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowFilters(true)}
+              className="lg:hidden inline-flex items-center gap-2 px-3 py-2 rounded-md border border-neutral-200 bg-white text-sm text-neutral-700 hover:bg-neutral-50"
+            >
+              <SlidersHorizontal className="w-4 h-4" />
+              Filters{activeChips.length > 0 && ` (${activeChips.length})`}
+            </button>
+            {!productsLoading && !productsErrorInfo && (
+              <p className="text-sm text-neutral-600" aria-live="polite">
+                {total} {total === 1 ? 'product' : 'products'}
+                {totalPages > 1 && ` · Page ${filters.page} of ${totalPages}`}
+              </p>
+            )}
+          </div>
+          <select
+            className="input input-bordered w-auto"
+            value={filters.sort}
+            onChange={(e) => handleFilterChange('sort', e.target.value)}
+            aria-label="Sort products"
+          >
+            {Object.entries(CATALOG_SORTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Applied filters */}
+        {activeChips.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {activeChips.map((chip, index) => (
+              <button
+                key={`${index}-${chip.label}`}
+                onClick={chip.remove}
+                className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-primary/10 text-primary text-sm hover:bg-primary/20"
+                aria-label={`Remove filter ${chip.label}`}
+              >
+                {chip.label}
+                <X className="w-3 h-3" />
+              </button>
+            ))}
+            <button
+              onClick={() => applyFilters({ ...clearCatalogFilters(filters), search: '' })}
+              className="text-sm text-neutral-600 underline hover:text-neutral-900"
+            >
+              Clear all
+            </button>
+          </div>
+        )}
+
         {productsErrorInfo && (
           <ErrorState
             title="Failed to load products"
@@ -226,83 +283,44 @@ export default function Catalog() {
             className="mb-6"
           />
         )}
-        
-        {isLoading ? (
+
+        {productsLoading ? (
           <ProductGridSkeleton count={12} />
-        ) : products.length === 0 ? (
+        ) : productsErrorInfo ? null : products.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-neutral-400 text-6xl mb-4">🌱</div>
             <h3 className="text-xl font-semibold text-neutral-700 mb-2">
-              {activeCategory ? 'No products in this category' : 'No products found'}
+              {filtered ? 'No products match these filters' : 'No products found'}
             </h3>
             <p className="text-neutral-500">
-              {activeCategory ? 'Try browsing other categories or check back later.' : 'Check back later for new arrivals.'}
+              {filtered ? 'Try removing a filter or broadening your search.' : 'Check back later for new arrivals.'}
             </p>
           </div>
         ) : (
           <>
-            <div className="flex justify-between items-center mb-4">
-              <p className="text-sm text-neutral-600">
-                Showing {products.length} {products.length === 1 ? 'product' : 'products'}
-                {activeCategory && ` in ${activeCategory}`}
-              </p>
-              {productsData?.totalPages > 1 && (
-                <p className="text-sm text-neutral-600">
-                  Page {page} of {productsData.totalPages}
-                </p>
-              )}
-            </div>
-            
-            <ScrollReveal variant="fadeUp" className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
-              {products.map((item) => (
-                <ProductCard 
-                  key={item.id || item._id} 
-                  product={item}
-                  tag={activeCategory ? activeCategory[0].toUpperCase() + activeCategory.slice(1) : undefined}
-                />
+            <ScrollReveal
+              variant="fadeUp"
+              className={`grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4 transition-opacity ${productsFetching ? 'opacity-60' : ''}`}
+            >
+              {products.map((item, index) => (
+                <div key={item.id || item._id} onClickCapture={() => handleResultClick(item, index)}>
+                  <ProductCard
+                    product={item}
+                    tag={filters.category.length === 1 ? categoryName(filters.category[0]) : undefined}
+                  />
+                </div>
               ))}
             </ScrollReveal>
 
-            {/* Pagination */}
-            {productsData?.totalPages > 1 && (
-              <div className="flex justify-center items-center space-x-2 mt-8">
-                <button
-                  onClick={() => setPage(p => Math.max(1, p - 1))}
-                  disabled={page === 1}
-                  className="px-3 py-2 rounded-md border border-neutral-200 bg-white text-neutral-700 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-neutral-50"
-                >
-                  Previous
-                </button>
-                
-                {Array.from({ length: Math.min(5, productsData.totalPages) }, (_, i) => {
-                  const pageNum = i + 1
-                  return (
-                    <button
-                      key={pageNum}
-                      onClick={() => setPage(pageNum)}
-                      className={`px-3 py-2 rounded-md border ${
-                        page === pageNum
-                          ? 'border-primary bg-primary text-white'
-                          : 'border-neutral-200 bg-white text-neutral-700 hover:bg-neutral-50'
-                      }`}
-                    >
-                      {pageNum}
-                    </button>
-                  )
-                })}
-                
-                <button
-                  onClick={() => setPage(p => Math.min(productsData.totalPages, p + 1))}
-                  disabled={page === productsData.totalPages}
-                  className="px-3 py-2 rounded-md border border-neutral-200 bg-white text-neutral-700 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-neutral-50"
-                >
-                  Next
-                </button>
-              </div>
-            )}
+            <Pagination
+              currentPage={filters.page}
+              totalPages={totalPages}
+              onPageChange={handlePageChange}
+              className="mt-8"
+            />
           </>
         )}
       </section>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -1,24 +1,57 @@
-// Checkout page placeholder with secure payment gateway section
-import React, { useMemo, useState } from 'react'
+// Checkout page: collects shipping/payment details and places the order through the orders API
+import React, { useEffect, useMemo, useState } from 'react'
 import { Helmet } from 'react-helmet-async'
 import { useForm } from 'react-hook-form'
+import { useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
+import { Elements, CardElement, useElements, useStripe } from '@stripe/react-stripe-js'
 import { User, Phone, MapPin, CreditCard, Calendar, Lock, Smartphone, Banknote, ShoppingCart, CheckCircle, Package } from 'lucide-react'
 import { useCart } from '../hooks/CartProvider.jsx'
 import { useToast } from '../components/ToastProvider.jsx'
-import { FormField, SubmitFormButton } from '../components/forms'
+import { useAbandonOrder, useCreateOrder, useRecordOrderPayment } from '../hooks/queries/useOrders'
+import { getPaymentProvider, getStripe, PAYMENT_STATUS, getPaymentErrorMessage } from '../services/payments/paymentGateway'
+import { FormField, SelectFormField, SubmitFormButton } from '../components/forms'
+import PaymentChallenge from '../components/PaymentChallenge.jsx'
+import useCartCoupon from '../hooks/useCartCoupon'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import CouponField from '../components/CouponField.jsx'
+import TaxLines from '../components/TaxLines.jsx'
+import { formatPrice } from '../lib/storeSettings'
+import { getCouponErrorMessage } from '../lib/coupons'
+import { INDIAN_STATES, getStateName } from '../lib/gst'
+import { useShippingQuote } from '../hooks/queries/useShipping'
+import useDeliveryStore from '../stores/deliveryStore'
+import {
+  PINCODE_PATTERN,
+  SERVICEABILITY_REASONS,
+  formatDeliveryWindow,
+  getUnserviceableMessage,
+  isValidPincode,
+  normalizePincode,
+} from '../lib/shipping'
+import { cartLineId } from '../stores/cartStore'
+import { getReservationExpiry, isReservationExpired } from '../lib/inventory'
 
+const paymentProvider = getPaymentProvider()
 
-
-export default function Checkout() {
-  const { items, subtotal, clear } = useCart()
+function CheckoutPage() {
+  const { items, subtotal, clear, updateQty, updatePrice, remove, couponCode, removeCoupon } = useCart()
   const toast = useToast()
+  const navigate = useNavigate()
+  const createOrder = useCreateOrder()
+  const recordPayment = useRecordOrderPayment()
+  const abandonOrder = useAbandonOrder()
+  // Both null unless the provider uses Stripe's hosted card fields and a publishable key is set
+  const stripe = useStripe()
+  const elements = useElements()
   const [submitting, setSubmitting] = useState(false)
   const [pay, setPay] = useState('card')
-  const [orderSuccess, setOrderSuccess] = useState(false)
-  const shipping = useMemo(() => (subtotal > 499 ? 0 : 99), [subtotal])
-  const total = useMemo(() => subtotal + shipping, [subtotal, shipping])
-
+  const [placedOrder, setPlacedOrder] = useState(null)
+  // Order created on the server but not yet paid for; reused when the customer retries payment
+  const [pendingOrder, setPendingOrder] = useState(null)
+  const [challenge, setChallenge] = useState(null)
+  // Per-line notes from the server when stock or price changed since the item was added
+  const [itemNotices, setItemNotices] = useState({})
   const { 
     control, 
     handleSubmit, 
@@ -31,7 +64,8 @@ export default function Checkout() {
       phone: '',
       address: '',
       city: '',
-      postal: '',
+      postal: useDeliveryStore.getState().pincode,
+      state: '',
       card: '',
       expiry: '',
       cvv: '',
@@ -42,35 +76,230 @@ export default function Checkout() {
   // Watch form values for validation animations
   const watchedValues = watch()
 
+  // Shipping is quoted for the delivery pincode as soon as it is complete
+  const deliveryPincode = isValidPincode(watchedValues.postal) ? normalizePincode(watchedValues.postal) : ''
+  const shippingQuery = useShippingQuote(deliveryPincode, items)
+  const delivery = deliveryPincode && shippingQuery.data?.pincode === deliveryPincode ? shippingQuery.data : null
+  const undeliverable = delivery?.unserviceableItems || []
+  const cannotDeliver = Boolean(delivery) && (!delivery.serviceable || undeliverable.length > 0)
+  const { quote: couponQuote, totals, settings: storeSettings } = useCartCoupon({
+    shipping: delivery?.shipping ?? null,
+    // The delivery state is the GST place of supply
+    stateCode: watchedValues.state,
+  })
+  const { discount, shipping, shippingDiscount, tax, total } = totals
+
+  useEffect(() => {
+    if (deliveryPincode) useDeliveryStore.getState().setPincode(deliveryPincode)
+  }, [deliveryPincode])
+
+  const undeliverableNote = (line) => {
+    const blocked = undeliverable.find((entry) =>
+      entry.variantId === null
+        ? String(entry.productId) === String(line.productId ?? line.id)
+        : cartLineId(entry.productId, entry.variantId) === line.id
+    )
+    return blocked ? getUnserviceableMessage(blocked.reason, deliveryPincode) : ''
+  }
+
+  // Card/UPI details are not part of the order; they belong to the payment step
+  const buildOrderPayload = (data) => ({
+    items: items.map((i) => ({
+      productId: i.productId ?? i.id,
+      // Stock is reserved and decremented per variant when the line has one
+      variantId: i.variantId ?? undefined,
+      sku: i.sku || undefined,
+      name: i.name,
+      price: Number(i.price) || 0,
+      quantity: i.quantity,
+    })),
+    shippingAddress: {
+      name: data.name,
+      phone: data.phone,
+      street: data.address,
+      city: data.city,
+      postalCode: data.postal,
+      state: getStateName(data.state),
+      stateCode: data.state,
+    },
+    paymentMethod: pay,
+    // The server re-checks serviceability and re-prices shipping for this pincode
+    estimatedDelivery: delivery?.estimatedDelivery || undefined,
+    // Only a code the server has quoted for this cart; it re-checks and re-prices it anyway
+    couponCode: couponQuote?.code || undefined,
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    total,
+  })
+
+  // Reconcile the cart with the server's item-level rejections so the customer can retry
+  const applyRejections = (rejections) => {
+    const notices = {}
+    rejections.forEach((rejection) => {
+      const lineId = cartLineId(rejection.productId, rejection.variantId)
+      const line =
+        items.find((i) => String(i.id) === String(lineId)) ||
+        items.find((i) => String(i.productId ?? i.id) === String(rejection.productId))
+      if (!line) return
+
+      if (rejection.code === 'OUT_OF_STOCK') {
+        const available = Math.max(0, Number(rejection.available) || 0)
+        if (available === 0) {
+          remove(line.id)
+          toast.push('warning', `${line.name} is out of stock and was removed from your cart`, { duration: 5000 })
+        } else {
+          updateQty(line.id, available)
+          notices[line.id] = `Only ${available} left in stock - quantity updated`
+        }
+      } else if (Object.values(SERVICEABILITY_REASONS).includes(rejection.code)) {
+        // Still a fine plant, just not for this address
+        notices[line.id] = getUnserviceableMessage(rejection.code, deliveryPincode)
+      } else if (rejection.code === 'PRICE_CHANGED') {
+        updatePrice(line.id, rejection.price)
+        notices[line.id] = `Price changed from ₹${line.price} to ₹${rejection.price}`
+      } else {
+        remove(line.id)
+        toast.push('warning', `${line.name} is no longer available and was removed from your cart`, { duration: 5000 })
+      }
+    })
+    setItemNotices(notices)
+  }
+
+  // What the unpaid order was placed for. Cart syncs rebuild `items` without changing it, so only
+  // real edits to lines, quantities, coupon or address count as a different cart.
+  const cartSignature = [
+    items.map((line) => `${line.id}x${line.quantity}`).join(','),
+    couponCode || '',
+    deliveryPincode,
+    watchedValues.state || '',
+  ].join('|')
+
+  // A changed cart no longer matches the unpaid order: cancel it so its stock is released, and
+  // let the next attempt place a fresh one
+  useEffect(() => {
+    if (placedOrder || !pendingOrder || pendingOrder.cartSignature === cartSignature) return
+    abandonOrder.mutate(pendingOrder.id)
+    setPendingOrder(null)
+  }, [cartSignature, placedOrder, pendingOrder, abandonOrder.mutate])
+
+  const payForOrder = async (order, data) => {
+    // Hosted card fields hand the card straight to Stripe; only the payment method id reaches our API
+    const paymentMethod = pay === 'card'
+      ? await paymentProvider.createPaymentMethod(paymentProvider.hostedCardFields
+          ? { stripe, element: elements?.getElement(CardElement) }
+          : { number: data.card, expiry: data.expiry, cvv: data.cvv })
+      : null
+    const intent = await paymentProvider.createIntent({
+      orderId: order.id,
+      amount: Number(order.total ?? order.total_amount) || total,
+      method: pay,
+    })
+    if (intent.status === PAYMENT_STATUS.PAY_ON_DELIVERY) return intent
+
+    const confirmed = await paymentProvider.confirm(intent.id, paymentMethod
+      ? { paymentMethodId: paymentMethod.id }
+      : { upi: { vpa: data.upi } })
+    // A real 3-D Secure step runs in Stripe's window; only the mock's falls through to PaymentChallenge
+    if (confirmed.status === PAYMENT_STATUS.REQUIRES_ACTION && paymentProvider.completeAction) {
+      return paymentProvider.completeAction(confirmed, { stripe })
+    }
+    return confirmed
+  }
+
+  const finishOrder = async (order, intent) => {
+    try {
+      // Only the intent id: the server asks the gateway whether it was paid, then emails the
+      // order confirmation and the store's new-order alert
+      await recordPayment.mutateAsync({
+        id: order.id,
+        payment: {
+          provider: paymentProvider.name,
+          intentId: intent.id,
+          ...(paymentProvider.receipt && { receipt: paymentProvider.receipt(intent.id) }),
+        },
+      })
+    } catch (err) {
+      // The money has been taken and the gateway webhook will still mark the order paid, so carry
+      // on to the order page, but say the status may lag rather than hide the failure
+      console.warn('Failed to record payment on order', err)
+      toast.push('warning', 'Your payment went through, but your order may show as unpaid for a few minutes while we confirm it.', { duration: 8000 })
+    }
+
+    const orderNumber = order.orderNumber || order.order_number || order.id
+    setPlacedOrder({ orderNumber, total: Number(order.total ?? order.total_amount) || total })
+    setPendingOrder(null)
+
+    // Only empty the cart once the server has accepted the order and payment went through
+    await clear()
+
+    // Allow success animation to play before showing the order
+    setTimeout(() => {
+      navigate(`/account/orders/${encodeURIComponent(orderNumber)}`, { replace: true })
+    }, 2000)
+  }
+
   const onSubmit = async (data) => {
     if (items.length === 0) {
       toast.push('error', 'Your cart is empty')
       return
     }
+    if (cannotDeliver) {
+      toast.push('warning', `Some items can't be delivered to ${deliveryPincode}. Remove them or use a different address.`)
+      return
+    }
     
     setSubmitting(true)
+    setItemNotices({})
     try {
-      // Simulate API call for order processing
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      
-      setOrderSuccess(true)
-      toast.push('success', `Order placed successfully! Total: ₹${total}`)
-      
-      // Allow success animation to play before clearing cart
-      setTimeout(() => {
-        clear()
-        setOrderSuccess(false)
-      }, 3000)
-      
-      // In a real app, redirect to order confirmation page
-      console.log('Order data:', { ...data, paymentMethod: pay, total, items })
+      // Once the stock hold lapses the server has released the items, so place the order again
+      const reusable = pendingOrder && !isReservationExpired(pendingOrder) ? pendingOrder : null
+      const order = reusable || { ...await createOrder.mutateAsync(buildOrderPayload(data)), cartSignature }
+      setPendingOrder(order)
+
+      const intent = await payForOrder(order, data)
+      if (intent.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+        setChallenge({ order, intent })
+        return
+      }
+      await finishOrder(order, intent)
     } catch (err) {
-      console.error('Order processing error:', err)
-      toast.push('error', 'Failed to process order. Please try again.')
+      if (err.rejections?.length) {
+        applyRejections(err.rejections)
+        toast.push('warning', 'Some items in your cart changed. Please review your order and try again.', { duration: 5000 })
+      } else if (err.couponError) {
+        // The coupon stopped applying between the quote and the order (expired, used up...)
+        removeCoupon()
+        toast.push('warning', `${getCouponErrorMessage(err.couponError)} It was removed - please review your total and try again.`, { duration: 6000 })
+      } else if (err.code) {
+        toast.push('error', getPaymentErrorMessage(err), { duration: 5000 })
+      } else {
+        console.error('Order processing error:', err)
+        toast.push('error', err.message || 'Failed to process order. Please try again.')
+      }
     } finally {
       setSubmitting(false)
     }
   }
+
+  const handleChallengeSubmit = async (otp) => {
+    const { order, intent } = challenge
+    try {
+      const confirmed = await paymentProvider.confirm(intent.id, { otp })
+      setChallenge(null)
+      await finishOrder(order, confirmed)
+    } catch (err) {
+      setChallenge(null)
+      toast.push('error', getPaymentErrorMessage(err), { duration: 5000 })
+    }
+  }
+
+  const handleChallengeCancel = () => {
+    setChallenge(null)
+    toast.push('warning', 'Payment was not completed. You can try again when ready.')
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 via-white to-pink-50 relative overflow-hidden">
       <Helmet>
@@ -84,9 +313,15 @@ export default function Checkout() {
       </div>
 
 
+      <PaymentChallenge
+        intent={challenge?.intent}
+        onSubmit={handleChallengeSubmit}
+        onCancel={handleChallengeCancel}
+      />
+
       {/* Success Overlay */}
       <AnimatePresence>
-        {orderSuccess && (
+        {placedOrder && (
           <motion.div
             className="fixed inset-0 bg-green-500/90 backdrop-blur-sm z-50 flex items-center justify-center"
             initial={{ opacity: 0 }}
@@ -104,7 +339,7 @@ export default function Checkout() {
               <CheckCircle className="w-32 h-32 mx-auto mb-4 text-white" />
               <h2 className="text-3xl font-bold mb-2">Order Placed!</h2>
               <p className="text-xl opacity-90">Thank you for your purchase</p>
-              <p className="text-lg opacity-75 mt-2">Total: ₹{total}</p>
+              <p className="text-lg opacity-75 mt-2">Order {placedOrder.orderNumber} • Total: ₹{placedOrder.total}</p>
             </motion.div>
           </motion.div>
         )}
@@ -277,7 +512,7 @@ export default function Checkout() {
                     rules={{
                       required: 'Postal code is required',
                       pattern: {
-                        value: /^[0-9]{6}$/,
+                        value: PINCODE_PATTERN,
                         message: 'Please enter a valid 6-digit postal code'
                       }
                     }}
@@ -300,6 +535,17 @@ export default function Checkout() {
                     )}
                   </AnimatePresence>
                 </div>
+
+                <div className="md:col-span-2">
+                  <SelectFormField
+                    name="state"
+                    control={control}
+                    rules={{ required: 'State is required' }}
+                    label="State"
+                    placeholder="Select your state"
+                    options={INDIAN_STATES.map((state) => ({ value: state.code, label: state.name }))}
+                  />
+                </div>
               </div>
             </motion.div>
 
@@ -366,7 +612,26 @@ export default function Checkout() {
                 </motion.label>
               </div>
 
-              {pay === 'card' && (
+              {pay === 'card' && paymentProvider.hostedCardFields && (
+                <motion.div 
+                  className="mt-4 p-4 bg-blue-50 rounded-lg"
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: 'auto' }}
+                  exit={{ opacity: 0, height: 0 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                    <CreditCard className="w-4 h-4 mr-2" />
+                    Card Details
+                  </label>
+                  {/* Stripe's own iframe: the card number never enters this page */}
+                  <div className="px-4 py-3 bg-white border border-gray-300 rounded-lg">
+                    <CardElement options={{ hidePostalCode: true }} />
+                  </div>
+                </motion.div>
+              )}
+
+              {pay === 'card' && !paymentProvider.hostedCardFields && (
                 <motion.div 
                   className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 p-4 bg-blue-50 rounded-lg"
                   initial={{ opacity: 0, height: 0 }}
@@ -380,7 +645,7 @@ export default function Checkout() {
                       type="text"
                       control={control}
                       rules={{
-                        required: pay === 'card' ? 'Card number is required' : false,
+                        required: pay === 'card' && !paymentProvider.hostedCardFields ? 'Card number is required' : false,
                         pattern: {
                           value: /^[0-9\s]{13,19}$/,
                           message: 'Please enter a valid card number'
@@ -412,7 +677,7 @@ export default function Checkout() {
                       type="text"
                       control={control}
                       rules={{
-                        required: pay === 'card' ? 'Expiry date is required' : false,
+                        required: pay === 'card' && !paymentProvider.hostedCardFields ? 'Expiry date is required' : false,
                         pattern: {
                           value: /^(0[1-9]|1[0-2])\/([0-9]{2})$/,
                           message: 'Please enter MM/YY format'
@@ -444,7 +709,7 @@ export default function Checkout() {
                       type="text"
                       control={control}
                       rules={{
-                        required: pay === 'card' ? 'CVV is required' : false,
+                        required: pay === 'card' && !paymentProvider.hostedCardFields ? 'CVV is required' : false,
                         pattern: {
                           value: /^[0-9]{3,4}$/,
                           message: 'Please enter a valid CVV'
@@ -537,15 +802,28 @@ export default function Checkout() {
               transition={{ duration: 0.6, delay: 0.4 }}
             >
               <div className="w-full sm:w-auto">
+                {pendingOrder && getReservationExpiry(pendingOrder) && !isReservationExpired(pendingOrder) && (
+                  <p className="text-sm text-gray-600 mb-2 text-right" role="status">
+                    Your items are held until{' '}
+                    {getReservationExpiry(pendingOrder).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' })}
+                  </p>
+                )}
+                {cannotDeliver && (
+                  <p className="text-sm text-red-600 mb-2 text-right" role="alert">
+                    {delivery.serviceable
+                      ? `Some items can't be delivered to ${deliveryPincode}. Remove them or use a different address.`
+                      : getUnserviceableMessage(SERVICEABILITY_REASONS.NOT_SERVICEABLE, deliveryPincode)}
+                  </p>
+                )}
                 <SubmitFormButton
                   isLoading={submitting}
                   isValid={isValid}
-                  disabled={!isDirty || items.length === 0}
+                  disabled={!isDirty || items.length === 0 || cannotDeliver}
                   loadingText="Processing Order..."
                   size="lg"
                   icon={ShoppingCart}
                 >
-                  Place Order • ₹{total}
+                  Place Order • {formatPrice(total, storeSettings)}
                 </SubmitFormButton>
               </div>
             </motion.div>
@@ -568,28 +846,53 @@ export default function Checkout() {
                   </div>
                 )}
                 {items.map(i => (
-                  <div key={i.id} className="flex justify-between items-center py-2 border-b border-gray-100">
-                    <div>
-                      <span className="text-gray-800 font-medium">{i.name}</span>
-                      <span className="text-gray-500 text-sm ml-2">× {i.qty}</span>
+                  <div key={i.id} className="py-2 border-b border-gray-100">
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <span className="text-gray-800 font-medium">{i.name}</span>
+                        {i.variantTitle && <span className="text-gray-500 text-sm ml-2">{i.variantTitle}</span>}
+                        <span className="text-gray-500 text-sm ml-2">× {i.quantity}</span>
+                      </div>
+                      <span className="text-gray-800 font-medium">₹{i.price * i.quantity}</span>
                     </div>
-                    <span className="text-gray-800 font-medium">₹{i.price * i.qty}</span>
+                    {itemNotices[i.id] && (
+                      <p className="text-xs text-amber-700 mt-1" role="status">{itemNotices[i.id]}</p>
+                    )}
+                    {!itemNotices[i.id] && undeliverableNote(i) && (
+                      <p className="text-xs text-red-600 mt-1" role="status">{undeliverableNote(i)}</p>
+                    )}
                   </div>
                 ))}
               </div>
 
+              {items.length > 0 && <CouponField className="mb-4" />}
+
               <div className="border-t border-gray-200 pt-4 space-y-2">
                 <div className="flex justify-between text-gray-600">
                   <span>Subtotal</span>
-                  <span>₹{subtotal}</span>
+                  <span>{formatPrice(subtotal, storeSettings)}</span>
                 </div>
+                {discount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Discount ({couponQuote.code})</span>
+                    <span>-{formatPrice(discount, storeSettings)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-gray-600">
-                  <span>Shipping</span>
-                  <span>{shipping === 0 ? 'Free' : `₹${shipping}`}</span>
+                  <span>Shipping{shippingDiscount > 0 && ` (${couponQuote.code})`}</span>
+                  <span>{shipping === 0 ? 'Free' : formatPrice(shipping, storeSettings)}</span>
                 </div>
+                {delivery?.estimatedDelivery && !cannotDeliver ? (
+                  <p className="text-sm text-green-700">
+                    Estimated delivery: {formatDeliveryWindow(delivery.estimatedDelivery)}
+                  </p>
+                ) : !deliveryPincode && (
+                  <p className="text-xs text-gray-500">Enter your postal code to see delivery dates and the exact shipping charge.</p>
+                )}
+                <TaxLines gst={totals.gst} settings={storeSettings} className="flex justify-between text-gray-600" />
                 <div className="flex justify-between text-lg font-semibold text-gray-800 pt-2 border-t border-gray-200">
                   <span>Total</span>
-                  <span>₹{total}</span>
+                  <span>{formatPrice(total, storeSettings)}</span>
                 </div>
               </div>
               
@@ -609,6 +912,19 @@ export default function Checkout() {
   )
 }
 
+// Stripe.js loads only for the server provider, with the publishable key from the payment settings
+export default function Checkout() {
+  const settings = useStoreSettings()
+  const publishableKey = paymentProvider.hostedCardFields ? settings.stripePublicKey : null
+  const stripePromise = useMemo(() => (publishableKey ? getStripe(publishableKey) : null), [publishableKey])
+
+  return (
+    <Elements stripe={stripePromise}>
+      <CheckoutPage />
+    </Elements>
+  )
+}
+
               {/* Empty Cart Animation */}
               <div className="text-center py-16">
                 <ShoppingCart className="w-32 h-32 mx-auto text-gray-400 mb-4" />
@@ -24,14 +24,18 @@ import {
 } from 'lucide-react'
 import FormField from '../components/forms/FormField'
 import TextareaFormField from '../components/forms/TextareaFormField'
+import SelectFormField from '../components/forms/SelectFormField'
 import SubmitFormButton from '../components/forms/SubmitFormButton'
 import { useToast } from '../components/ToastProvider.jsx'
+import { useCreateTicket } from '../hooks/queries/useTickets'
+import { ENQUIRY_TYPES } from '../lib/tickets'
 
 export default function Contact() {
   const toast = useToast()
-  const [isSubmitting, setIsSubmitting] = useState(false)
+  const createTicket = useCreateTicket()
   const [sent, setSent] = useState(false)
-  const [messageSent, setMessageSent] = useState(false)
+  // Reference of the ticket the message opened, shown in the success overlay
+  const [messageSent, setMessageSent] = useState(null)
 
   const {
     control,
@@ -45,6 +49,7 @@ export default function Contact() {
       name: '',
       email: '',
       phone: '',
+      type: 'general',
       subject: '',
       message: ''
     }
@@ -53,28 +58,33 @@ export default function Contact() {
   const watchedFields = watch()
 
   const onSubmit = async (data) => {
-    setIsSubmitting(true)
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      
-      console.log('Contact form submitted:', data)
+      const ticket = await createTicket.mutateAsync({
+        name: data.name.trim(),
+        email: data.email.trim(),
+        phone: data.phone.trim() || null,
+        type: data.type,
+        subject: data.subject.trim(),
+        message: data.message.trim(),
+      })
       
       // Show success state
-      setMessageSent(true)
+      setMessageSent(ticket.reference)
       
       // Hide success overlay after 3 seconds
       setTimeout(() => {
-        setMessageSent(false)
+        setMessageSent(null)
         reset()
       }, 3000)
       
       toast.success('Message sent successfully!')
     } catch (error) {
       console.error('Error submitting form:', error)
-      toast.error('Failed to send message. Please try again.')
-    } finally {
-      setIsSubmitting(false)
+      toast.error(
+        error.status === 429
+          ? 'You have sent several messages in a short time. Please wait a few minutes and try again.'
+          : 'Failed to send message. Please try again.'
+      )
     }
   }
 
@@ -107,6 +117,7 @@ export default function Contact() {
               </div>
               <h2 className="text-3xl font-bold mb-2">Message Sent!</h2>
               <p className="text-xl opacity-90">We'll get back to you soon</p>
+              <p className="mt-2 opacity-80">Your reference is {messageSent}</p>
             </motion.div>
           </motion.div>
         )}
@@ -243,6 +254,16 @@ export default function Contact() {
                   </div>
                 </div>
                 
+                <SelectFormField
+                  name="type"
+                  control={control}
+                  rules={{ required: 'Please choose what your enquiry is about' }}
+                  label="Enquiry Type"
+                  placeholder="What is this about?"
+                  options={Object.entries(ENQUIRY_TYPES).map(([value, label]) => ({ value, label }))}
+                  hint="Landscaping and bulk orders go straight to our projects team"
+                />
+                
                 <div className="relative">
                   <TextareaFormField
                     name="message"
@@ -273,7 +294,7 @@ export default function Contact() {
                 
                 <div className="pt-2">
                   <SubmitFormButton
-                    isLoading={isSubmitting}
+                    isLoading={createTicket.isPending}
                     isValid={isValid}
                     disabled={!isDirty}
                     loadingText="Sending Message..."
@@ -19,6 +19,8 @@ import RecentlyViewed from '../components/RecentlyViewed.jsx'
 import ImageCarousel from '../components/ui/ImageCarousel.jsx'
 import ProductCarousel from '../components/ProductCarousel.jsx'
 import { useData } from '../context/DataProvider.jsx'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { formatPrice } from '../lib/storeSettings'
 import { useScrollAnimation, useStaggerAnimation } from '../hooks/useScrollAnimation.js'
 import { 
   useProducts, 
@@ -35,6 +37,8 @@ import {
 } from '../components/LoadingSkeletons.jsx'
 
 export default function Home() {
+  const storeSettings = useStoreSettings()
+
   // Dynamic API data hooks
   const { 
     data: heroSlidesData, 
@@ -115,7 +119,7 @@ export default function Home() {
 
       {/* Full-width gradient band with CTA */}
       <ColorBand
-        title="Free Shipping Over ₹499"
+        title={`Free Shipping Over ${formatPrice(storeSettings.freeShippingThreshold, storeSettings)}`}
         subtitle="Healthy plants. Secure payments. Fast delivery."
         ctaText="Shop Now"
         onCtaClick={() => (window.location.href = '/catalog')}
@@ -0,0 +1,100 @@
+// Landing page for the links in newsletter emails: confirming a signup and unsubscribing
+import React, { useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Helmet } from 'react-helmet-async'
+import { motion } from 'framer-motion'
+import { CheckCircle, Loader2, MailX, AlertCircle } from 'lucide-react'
+import { useConfirmSubscription, useUnsubscribe } from '../hooks/queries/useNewsletter'
+import { CONFIRMATION_TTL_DAYS } from '../lib/newsletter'
+
+const copy = {
+  confirm: {
+    title: 'Confirm Subscription',
+    pending: 'Confirming your subscription…',
+    success: {
+      icon: CheckCircle,
+      heading: "You're subscribed!",
+      body: (email) => `Plant care tips, offers and new arrivals will now reach ${email || 'your inbox'}.`,
+    },
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    pending: 'Unsubscribing…',
+    success: {
+      icon: MailX,
+      heading: "You've been unsubscribed",
+      body: (email) => `We won't send any more newsletters to ${email || 'this address'}. Order and account emails are not affected.`,
+    },
+  },
+}
+
+const errorMessage = (action, error) => {
+  if (error.code === 'token_expired') {
+    return `This confirmation link is more than ${CONFIRMATION_TTL_DAYS} days old. Sign up again and we'll send a fresh one.`
+  }
+  if (error.status === 404) return 'This link is not valid. Please use the latest link from your email.'
+  return action === 'confirm' ? 'We could not confirm your subscription. Please try again.' : 'We could not unsubscribe you. Please try again.'
+}
+
+export default function Newsletter({ action = 'confirm' }) {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const confirm = useConfirmSubscription()
+  const unsubscribe = useUnsubscribe()
+  const mutation = action === 'confirm' ? confirm : unsubscribe
+  const { title, pending, success } = copy[action]
+  // Links are single-use on the server, so the request must not repeat when effects run twice
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (!token || requested.current) return
+    requested.current = true
+    mutation.mutate(token)
+  }, [token, mutation])
+
+  const SuccessIcon = success.icon
+
+  return (
+    <div className="page-container py-16">
+      <Helmet>
+        <title>{`${title} • Chamunda Nursery`}</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-md mx-auto bg-white rounded-2xl shadow-lg border border-gray-100 p-8 text-center"
+      >
+        {!token ? (
+          <>
+            <AlertCircle className="w-12 h-12 text-amber-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Link incomplete</h1>
+            <p className="text-gray-600">Open the link straight from your email, or copy the whole address into your browser.</p>
+          </>
+        ) : mutation.isSuccess ? (
+          <>
+            <SuccessIcon className="w-12 h-12 text-green-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">{success.heading}</h1>
+            <p className="text-gray-600">{success.body(mutation.data.email)}</p>
+          </>
+        ) : mutation.isError ? (
+          <>
+            <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Something went wrong</h1>
+            <p className="text-gray-600">{errorMessage(action, mutation.error)}</p>
+          </>
+        ) : (
+          <div className="flex items-center justify-center gap-2 text-gray-600 py-6">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            {pending}
+          </div>
+        )}
+
+        <Link to="/" className="inline-block mt-8 text-green-600 hover:text-green-700 font-medium">
+          Back to the shop
+        </Link>
+      </motion.div>
+    </div>
+  )
+}
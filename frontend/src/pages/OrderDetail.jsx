@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   ArrowLeft, 
@@ -14,102 +14,48 @@ import {
   Download,
   MessageCircle,
   Star,
-  Calendar
+  Calendar,
+  RotateCcw
 } from 'lucide-react';
+import { useOrder, useDownloadInvoice } from '../hooks/queries/useOrders';
+import { getOrderTaxRows } from '../lib/gst';
+import { useOrderShipments } from '../hooks/queries/useShipments';
+import { isShipmentActive } from '../services/carriers/carrierGateway';
+import { formatDeliveryWindow, normalizeDeliveryEstimate } from '../lib/shipping';
+import ShipmentTimeline from '../components/ShipmentTimeline.jsx';
+import ReturnRequestForm from '../components/ReturnRequestForm.jsx';
+import { useOrderReturns } from '../hooks/queries/useReturns';
+import {
+  RETURN_REASONS,
+  RETURN_STATUS_LABELS,
+  getReturnDeadline,
+  getReturnableQuantities,
+  isReturnWindowOpen
+} from '../lib/returns';
+
+const paymentLabels = {
+  card: 'Credit/Debit Card',
+  upi: 'UPI',
+  cod: 'Cash on Delivery'
+};
+
+const returnStatusColors = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  replaced: 'bg-green-100 text-green-800',
+  refunded: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
 
 const OrderDetail = () => {
   const { orderId } = useParams();
-  const [activeTab, setActiveTab] = useState('details');
-
-  // Mock order data - in a real app, this would come from an API
-  const order = {
-    id: orderId || 'ORD-2024-001',
-    orderNumber: 'ORD-2024-001',
-    status: 'shipped',
-    orderDate: '2024-01-15T10:30:00Z',
-    estimatedDelivery: '2024-01-22T18:00:00Z',
-    total: 156.47,
-    subtotal: 142.98,
-    shipping: 9.99,
-    tax: 11.43,
-    discount: 7.93,
-    paymentMethod: 'Credit Card ending in 4242',
-    shippingAddress: {
-      name: 'Sarah Johnson',
-      street: '123 Garden Street',
-      city: 'Plant City',
-      state: 'PC',
-      zipCode: '12345',
-      phone: '+1 (555) 123-4567',
-      email: 'sarah@example.com'
-    },
-    billingAddress: {
-      name: 'Sarah Johnson',
-      street: '123 Garden Street',
-      city: 'Plant City',
-      state: 'PC',
-      zipCode: '12345'
-    },
-    items: [
-      {
-        id: 1,
-        name: 'Monstera Deliciosa',
-        image: '/api/placeholder/100/100',
-        price: 45.99,
-        quantity: 2,
-        size: 'Medium',
-        sku: 'MON-DEL-MED'
-      },
-      {
-        id: 2,
-        name: 'Snake Plant',
-        image: '/api/placeholder/100/100',
-        price: 29.99,
-        quantity: 1,
-        size: 'Large',
-        sku: 'SNK-PLT-LRG'
-      },
-      {
-        id: 3,
-        name: 'Pothos Golden',
-        image: '/api/placeholder/100/100',
-        price: 21.01,
-        quantity: 3,
-        size: 'Small',
-        sku: 'POT-GOL-SML'
-      }
-    ],
-    tracking: {
-      carrier: 'FedEx',
-      trackingNumber: '1234567890123456',
-      updates: [
-        {
-          date: '2024-01-18T14:30:00Z',
-          status: 'Out for delivery',
-          location: 'Plant City, PC',
-          description: 'Package is out for delivery and will arrive today'
-        },
-        {
-          date: '2024-01-17T09:15:00Z',
-          status: 'In transit',
-          location: 'Distribution Center, PC',
-          description: 'Package has departed from distribution center'
-        },
-        {
-          date: '2024-01-16T16:45:00Z',
-          status: 'Processed',
-          location: 'Fulfillment Center, PC',
-          description: 'Package has been processed at fulfillment center'
-        },
-        {
-          date: '2024-01-15T11:00:00Z',
-          status: 'Order confirmed',
-          location: 'Chamunda Nursery',
-          description: 'Order has been confirmed and is being prepared'
-        }
-      ]
-    }
-  };
+  const [searchParams] = useSearchParams();
+  // The order list links straight to tracking with ?tab=tracking
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'details');
+  const { data: order, isLoading, isError } = useOrder(orderId);
+  const { data: shipments = [], isLoading: shipmentsLoading } = useOrderShipments(order?.id);
+  const { data: returns = [] } = useOrderReturns(order?.id);
+  const [showReturnForm, setShowReturnForm] = useState(false);
+  const downloadInvoice = useDownloadInvoice();
 
   const getStatusColor = (status) => {
     const statusColors = {
@@ -146,13 +92,46 @@ const OrderDetail = () => {
   };
 
   const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
+    return new Intl.NumberFormat('en-IN', {
       style: 'currency',
-      currency: 'USD'
+      currency: 'INR'
     }).format(amount);
   };
 
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 flex items-center justify-center">
+        <p className="text-gray-600">Loading order…</p>
+      </div>
+    );
+  }
+
+  if (isError || !order) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <Link
+            to="/account/orders"
+            className="inline-flex items-center text-green-600 hover:text-green-700 mb-4"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Orders
+          </Link>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-gray-700">We couldn't find order {orderId}.</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   const StatusIcon = getStatusIcon(order.status);
+  // The courier's estimate for a parcel on its way beats the window promised at checkout
+  const deliveryEstimate =
+    normalizeDeliveryEstimate(shipments.find(isShipmentActive)?.estimatedDelivery) || order.estimatedDelivery;
+  const returnable = getReturnableQuantities(order, returns);
+  const canRequestReturn = isReturnWindowOpen(order) && Object.values(returnable).some((quantity) => quantity > 0);
+  const returnDeadline = getReturnDeadline(order);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -182,10 +161,27 @@ const OrderDetail = () => {
                 <StatusIcon className="w-4 h-4" />
                 {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
               </span>
-              <button className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2">
-                <Download className="w-4 h-4" />
-                Invoice
-              </button>
+              {order.invoice && (
+                <button
+                  onClick={() => downloadInvoice.mutate(order.id)}
+                  disabled={downloadInvoice.isPending}
+                  title={`Invoice ${order.invoice.number}`}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2 disabled:opacity-60"
+                >
+                  <Download className="w-4 h-4" />
+                  {downloadInvoice.isPending ? 'Preparing…' : 'Invoice'}
+                </button>
+              )}
+              {canRequestReturn && (
+                <button
+                  onClick={() => setShowReturnForm(true)}
+                  title={returnDeadline ? `Available until ${returnDeadline.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}` : undefined}
+                  className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Report a problem
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -236,8 +232,9 @@ const OrderDetail = () => {
                         />
                         <div className="flex-1">
                           <h3 className="font-medium text-gray-900">{item.name}</h3>
-                          <p className="text-sm text-gray-600">Size: {item.size}</p>
-                          <p className="text-sm text-gray-600">SKU: {item.sku}</p>
+                          {item.variantTitle && <p className="text-sm text-gray-600">{item.variantTitle}</p>}
+                          {item.size && <p className="text-sm text-gray-600">Size: {item.size}</p>}
+                          {item.sku && <p className="text-sm text-gray-600">SKU: {item.sku}</p>}
                         </div>
                         <div className="text-right">
                           <p className="font-medium text-gray-900">
@@ -250,6 +247,51 @@ const OrderDetail = () => {
                   </div>
                 </div>
 
+                {/* Returns & replacements */}
+                {returns.length > 0 && (
+                  <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+                    <h2 className="text-lg font-semibold text-gray-900 mb-4">Returns &amp; Replacements</h2>
+                    <div className="space-y-4">
+                      {returns.map((request) => (
+                        <div key={request.id} className="p-4 border border-gray-200 rounded-lg space-y-2">
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <p className="font-medium text-gray-900">{RETURN_REASONS[request.reason] || request.reason}</p>
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${returnStatusColors[request.status] || 'bg-gray-100 text-gray-800'}`}>
+                              {RETURN_STATUS_LABELS[request.status] || request.status}
+                            </span>
+                          </div>
+                          <p className="text-sm text-gray-600">
+                            {request.items.map((item) => `${item.quantity} × ${item.name}`).join(', ')}
+                            {' · '}Requested {formatDate(request.createdAt)}
+                          </p>
+                          {request.status === 'refunded' && request.refund && (
+                            <p className="text-sm text-green-700">
+                              {formatCurrency(request.refund.amount)} refunded
+                              {request.refund.provider === 'manual' ? ' to your bank account or UPI' : ' to your original payment method'}
+                            </p>
+                          )}
+                          {request.status === 'replaced' && (
+                            <p className="text-sm text-green-700">
+                              Your replacement is on its way
+                              {request.replacementOrderNumber && (
+                                <>
+                                  {' '}as order{' '}
+                                  <Link to={`/account/orders/${request.replacementOrderNumber}`} className="underline">
+                                    {request.replacementOrderNumber}
+                                  </Link>
+                                </>
+                              )}
+                            </p>
+                          )}
+                          {request.status === 'rejected' && request.rejectionReason && (
+                            <p className="text-sm text-gray-600">{request.rejectionReason}</p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Shipping Address */}
                 <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
                   <h2 className="text-lg font-semibold text-gray-900 mb-4">Shipping Address</h2>
@@ -259,17 +301,19 @@ const OrderDetail = () => {
                       <p className="font-medium text-gray-900">{order.shippingAddress.name}</p>
                       <p className="text-gray-600">{order.shippingAddress.street}</p>
                       <p className="text-gray-600">
-                        {order.shippingAddress.city}, {order.shippingAddress.state} {order.shippingAddress.zipCode}
+                        {order.shippingAddress.city}, {order.shippingAddress.state} {order.shippingAddress.postalCode}
                       </p>
                       <div className="mt-2 space-y-1">
                         <p className="text-sm text-gray-600 flex items-center gap-2">
                           <Phone className="w-4 h-4" />
                           {order.shippingAddress.phone}
                         </p>
-                        <p className="text-sm text-gray-600 flex items-center gap-2">
-                          <Mail className="w-4 h-4" />
-                          {order.shippingAddress.email}
-                        </p>
+                        {order.shippingAddress.email && (
+                          <p className="text-sm text-gray-600 flex items-center gap-2">
+                            <Mail className="w-4 h-4" />
+                            {order.shippingAddress.email}
+                          </p>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -287,16 +331,20 @@ const OrderDetail = () => {
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Shipping</span>
-                      <span className="text-gray-900">{formatCurrency(order.shipping)}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Tax</span>
-                      <span className="text-gray-900">{formatCurrency(order.tax)}</span>
-                    </div>
-                    <div className="flex justify-between text-green-600">
-                      <span>Discount</span>
-                      <span>-{formatCurrency(order.discount)}</span>
+                      <span className="text-gray-900">{order.shipping === 0 ? 'Free' : formatCurrency(order.shipping)}</span>
                     </div>
+                    {getOrderTaxRows(order).map((row) => (
+                      <div key={row.label} className="flex justify-between">
+                        <span className="text-gray-600">{row.label}</span>
+                        <span className="text-gray-900">{formatCurrency(row.amount)}</span>
+                      </div>
+                    ))}
+                    {order.discounts.map((line, index) => (
+                      <div key={`${line.code}-${index}`} className="flex justify-between text-green-600">
+                        <span>{line.label}</span>
+                        <span>-{formatCurrency(line.amount)}</span>
+                      </div>
+                    ))}
                     <div className="border-t pt-3">
                       <div className="flex justify-between font-semibold text-lg">
                         <span className="text-gray-900">Total</span>
@@ -309,17 +357,17 @@ const OrderDetail = () => {
                     <h3 className="font-medium text-gray-900 mb-2">Payment Method</h3>
                     <div className="flex items-center gap-2">
                       <CreditCard className="w-4 h-4 text-gray-400" />
-                      <span className="text-sm text-gray-600">{order.paymentMethod}</span>
+                      <span className="text-sm text-gray-600">{paymentLabels[order.paymentMethod] || order.paymentMethod}</span>
                     </div>
                   </div>
 
-                  {order.status === 'shipped' && (
+                  {deliveryEstimate && ['confirmed', 'processing', 'shipped'].includes(order.status) && (
                     <div className="mt-6 pt-6 border-t">
                       <h3 className="font-medium text-gray-900 mb-2">Estimated Delivery</h3>
                       <div className="flex items-center gap-2">
                         <Calendar className="w-4 h-4 text-gray-400" />
                         <span className="text-sm text-gray-600">
-                          {formatDate(order.estimatedDelivery)}
+                          {formatDeliveryWindow(deliveryEstimate)}
                         </span>
                       </div>
                     </div>
@@ -331,41 +379,14 @@ const OrderDetail = () => {
 
           {activeTab === 'tracking' && (
             <div className="bg-white rounded-lg shadow-sm p-6">
-              <div className="flex items-center justify-between mb-6">
-                <h2 className="text-lg font-semibold text-gray-900">Package Tracking</h2>
-                <div className="text-right">
-                  <p className="text-sm text-gray-600">Tracking Number</p>
-                  <p className="font-mono text-sm font-medium text-gray-900">
-                    {order.tracking.trackingNumber}
-                  </p>
-                  <p className="text-xs text-gray-500">via {order.tracking.carrier}</p>
-                </div>
-              </div>
-
-              <div className="space-y-6">
-                {order.tracking.updates.map((update, index) => (
-                  <div key={index} className="flex gap-4">
-                    <div className="flex flex-col items-center">
-                      <div className={`w-3 h-3 rounded-full ${
-                        index === 0 ? 'bg-green-500' : 'bg-gray-300'
-                      }`} />
-                      {index < order.tracking.updates.length - 1 && (
-                        <div className="w-px h-12 bg-gray-200 mt-2" />
-                      )}
-                    </div>
-                    <div className="flex-1 pb-6">
-                      <div className="flex items-center justify-between mb-1">
-                        <h3 className="font-medium text-gray-900">{update.status}</h3>
-                        <span className="text-sm text-gray-500">
-                          {formatDate(update.date)}
-                        </span>
-                      </div>
-                      <p className="text-sm text-gray-600 mb-1">{update.description}</p>
-                      <p className="text-xs text-gray-500">{update.location}</p>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <h2 className="text-lg font-semibold text-gray-900 mb-6">Package Tracking</h2>
+              {shipmentsLoading ? (
+                <p className="text-sm text-gray-600">Loading tracking…</p>
+              ) : shipments.length === 0 ? (
+                <p className="text-sm text-gray-600">Tracking details will appear here once your order ships.</p>
+              ) : (
+                <ShipmentTimeline shipments={shipments} />
+              )}
             </div>
           )}
 
@@ -420,6 +441,13 @@ const OrderDetail = () => {
           )}
         </motion.div>
       </div>
+
+      <ReturnRequestForm
+        order={order}
+        returnable={returnable}
+        open={showReturnForm}
+        onClose={() => setShowReturnForm(false)}
+      />
     </div>
   );
 };
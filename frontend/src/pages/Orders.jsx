@@ -3,6 +3,8 @@ import { Helmet } from 'react-helmet-async'
 import useUser from '../hooks/useUser.js'
 import { Link } from 'react-router-dom'
 import { useData } from '../context/DataProvider.jsx'
+import { normalizeShipment } from '../hooks/queries/useShipments'
+import { ShipmentStatusBadge } from '../components/ShipmentTimeline.jsx'
 
 export default function Orders() {
   const { user } = useUser()
@@ -31,20 +33,40 @@ export default function Orders() {
                   <th className="py-2 pr-4">Date</th>
                   <th className="py-2 pr-4">Total</th>
                   <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Delivery</th>
                 </tr>
               </thead>
               <tbody>
-                {(orders || []).map(o => (
-                  <tr key={o.id} className="border-t border-neutral-200">
-                    <td className="py-2 pr-4">{o.id}</td>
-                    <td className="py-2 pr-4">{o.date}</td>
-                    <td className="py-2 pr-4">₹{o.total}</td>
-                    <td className="py-2 pr-4">{o.status}</td>
-                  </tr>
-                ))}
+                {(orders || []).map(o => {
+                  const orderPath = `/account/orders/${o.orderNumber || o.order_number || o.id}`
+                  // The order list carries each order's most recent shipment
+                  const shipment = normalizeShipment(o.latestShipment ?? o.latest_shipment)
+                  return (
+                    <tr key={o.id} className="border-t border-neutral-200">
+                      <td className="py-2 pr-4">
+                        <Link to={orderPath} className="text-primary hover:underline">
+                          {o.orderNumber || o.order_number || o.id}
+                        </Link>
+                      </td>
+                      <td className="py-2 pr-4">{o.date}</td>
+                      <td className="py-2 pr-4">₹{o.total}</td>
+                      <td className="py-2 pr-4">{o.status}</td>
+                      <td className="py-2 pr-4">
+                        {shipment ? (
+                          <span className="flex items-center gap-2">
+                            <ShipmentStatusBadge status={shipment.status} />
+                            <Link to={`${orderPath}?tab=tracking`} className="text-primary hover:underline">Track</Link>
+                          </span>
+                        ) : (
+                          <span className="text-neutral-500">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
                 {(orders || []).length === 0 && !loading && (
                   <tr>
-                    <td colSpan={4} className="py-3 text-neutral-600">No orders found.</td>
+                    <td colSpan={5} className="py-3 text-neutral-600">No orders found.</td>
                   </tr>
                 )}
               </tbody>
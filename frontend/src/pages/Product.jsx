@@ -1,6 +1,11 @@
 // Product detail page with dynamic API data and image galleries
 import React, { useEffect, useMemo, useState } from 'react'
-import { Helmet } from 'react-helmet-async'
+import Seo, { useSeoOptions } from '../components/Seo.jsx'
+import BreadcrumbNav from '../components/BreadcrumbNav.jsx'
+import { productSeo } from '../lib/seo.js'
+import { productJsonLd, breadcrumbJsonLd } from '../lib/structuredData.js'
+import { productTrail } from '../lib/breadcrumbs.js'
+import { orderCategories } from '../lib/catalogFilters.js'
 import { useParams, Link, useNavigate, useLocation } from 'react-router-dom'
 import ImageLazy from '../components/ImageLazy.jsx'
 import { recordRecentlyViewed } from '../services/api.js'
@@ -9,6 +14,8 @@ import { StarIcon } from '@heroicons/react/24/solid'
 import ProductCard from '../components/ProductCard.jsx'
 import { ProductCardSkeleton } from '../components/Skeleton.jsx'
 import { useCart } from '../hooks/CartProvider.jsx'
+import { useStoreSettings } from '../hooks/queries/useSettings'
+import { formatPrice } from '../lib/storeSettings'
 import { useToast } from '../components/ToastProvider.jsx'
 import useUser from '../hooks/useUser.js'
 import Tabs from '../components/Tabs.jsx'
@@ -16,11 +23,18 @@ import RelatedCarousel from '../components/RelatedCarousel.jsx'
 import FrequentlyBoughtTogether from '../components/FrequentlyBoughtTogether.jsx'
 import { motion } from 'framer-motion'
 import RecentlyViewed from '../components/RecentlyViewed.jsx'
+import ReviewSection from '../components/ReviewSection.jsx'
+import { getProductRating } from '../hooks/queries/useReviews.js'
+import useVariantSelection from '../hooks/useVariantSelection.js'
+import VariantSelector from '../components/VariantSelector.jsx'
+import WishlistButton from '../components/WishlistButton.jsx'
+import PincodeChecker from '../components/PincodeChecker.jsx'
 import { 
   useProduct, 
   useRelatedProducts, 
   useApiError,
-  usePrefetchRelated 
+  usePrefetchRelated,
+  useCategories
 } from '../hooks/usePublicData.js'
 import { 
   ProductDetailSkeleton, 
@@ -34,6 +48,9 @@ export default function Product() {
   const { user } = useUser()
   const navigate = useNavigate()
   const location = useLocation()
+  const seoOptions = useSeoOptions()
+  const storeSettings = useStoreSettings()
+  const freeShippingOver = formatPrice(storeSettings.freeShippingThreshold, storeSettings)
   const [selectedImg, setSelectedImg] = useState(0)
   const [qty, setQty] = useState(1)
 
@@ -129,18 +146,32 @@ export default function Product() {
     setSelectedImg(0)
   }, [item?.id])
 
-  const rating = Number(item?.rating ?? 4.5)
-  const reviews = Number(item?.reviews ?? item?.reviewsCount ?? 28)
-  const mrp = Number(item?.mrp) || Math.round((Number(item?.price) || 0) * 1.2)
-  const savings = Math.max(0, mrp - Number(item?.price || 0))
+  const { average: rating, count: reviews } = getProductRating(item || {})
+  const variantSelection = useVariantSelection(item)
+  const { variant } = variantSelection
+  // The selected variant's price replaces the product's own
+  const price = variant ? variant.price : item?.price
+  const canBuy = !variantSelection.hasVariants || Boolean(variant?.isActive && variant.inventory > 0)
+  const mrp = Number(variant?.compareAtPrice) || Number(item?.mrp) || Math.round((Number(price) || 0) * 1.2)
+  const savings = Math.max(0, mrp - Number(price || 0))
   const offerPercent = mrp ? Math.round((savings / mrp) * 100) : 0
 
+  // The same trail feeds the visible breadcrumbs and their JSON-LD
+  const { data: categoriesData } = useCategories()
+  const categories = useMemo(() => orderCategories(categoriesData?.categories), [categoriesData?.categories])
+  const trail = item ? productTrail(item, categories) : null
+
   return (
     <div className="page-container">
-      <Helmet>
-        <title>{item ? item.name : `Product #${id}`} • Chamunda Nursery</title>
-        <meta name="description" content={item?.description || "Product details, specifications, and care instructions"} />
-      </Helmet>
+      {item && (
+        <>
+          <Seo
+            seo={productSeo(item, seoOptions)}
+            structuredData={[productJsonLd(item, seoOptions), breadcrumbJsonLd(trail, seoOptions)]}
+          />
+          <BreadcrumbNav customBreadcrumbs={trail} />
+        </>
+      )}
       
       {productErrorInfo && (
         <ErrorState
@@ -228,7 +259,9 @@ export default function Product() {
                   {Array.from({ length: 5 }).map((_, i) => (
                     <StarIcon key={i} className={`h-5 w-5 ${i + 0.5 <= rating ? 'text-accent' : 'text-neutral-300'}`} aria-hidden="true" />
                   ))}
-                  <span className="text-neutral-700">{rating.toFixed(1)} • {reviews} reviews</span>
+                  <span className="text-neutral-700">
+                    {reviews > 0 ? `${rating.toFixed(1)} • ${reviews} ${reviews === 1 ? 'review' : 'reviews'}` : 'No reviews yet'}
+                  </span>
                 </div>
                 <div className="mt-2 flex flex-wrap gap-2">
                   {item.category && <span className="badge badge-primary">{String(item.category).charAt(0).toUpperCase() + String(item.category).slice(1)}</span>}
@@ -240,8 +273,8 @@ export default function Product() {
 
             <div className="flex flex-wrap items-center gap-2">
               {offerPercent > 0 && <span className="badge badge-primary">Save {offerPercent}%</span>}
-              <span className="badge bg-green-100 text-primary">Free shipping over ₹499</span>
-              {mrp > (item.price || 0) && <span className="text-neutral-600 text-sm">MRP: <span className="line-through">₹{mrp}</span></span>}
+              <span className="badge bg-green-100 text-primary">Free shipping over {freeShippingOver}</span>
+              {mrp > (price || 0) && <span className="text-neutral-600 text-sm">MRP: <span className="line-through">₹{mrp}</span></span>}
             </div>
             <p className="text-serif-soft">{item.description || 'Premium plant with great care needs. Ideal for home and garden.'}</p>
 
@@ -284,7 +317,7 @@ export default function Product() {
                     <p className="text-sm text-neutral-700">{item.description || 'Premium plant with vibrant foliage, perfect for homes and offices.'}</p>
                   )},
                   { label: 'Reviews', content: (
-                    <p className="text-sm text-neutral-700">No reviews yet.</p>
+                    <ReviewSection productId={item.id} />
                   )},
                 ]}
               />
@@ -315,10 +348,21 @@ export default function Product() {
           <aside className="lg:col-span-1">
             <div className="rounded-xl border border-neutral-200 bg-white p-4 shadow-premium lg:sticky lg:top-20">
               <div className="flex items-baseline gap-3">
-                <div className="text-2xl font-semibold">₹{item.price}</div>
-                {mrp > (item.price || 0) && <div className="text-neutral-500 line-through">₹{mrp}</div>}
+                <div className="text-2xl font-semibold">₹{price}</div>
+                {mrp > (price || 0) && <div className="text-neutral-500 line-through">₹{mrp}</div>}
               </div>
               <p className="mt-1 text-sm text-neutral-700">Inclusive of all taxes</p>
+              {variantSelection.hasVariants && (
+                <div className="mt-4">
+                  <VariantSelector
+                    options={variantSelection.options}
+                    variants={variantSelection.variants}
+                    selection={variantSelection.selection}
+                    onSelect={variantSelection.select}
+                  />
+                  {!canBuy && <p className="mt-2 text-sm text-red-600">This combination is out of stock</p>}
+                </div>
+              )}
               <div className="mt-4 flex items-center gap-3">
                 <span className="text-sm">Quantity</span>
                 <div className="inline-flex items-center rounded-md border border-neutral-300 overflow-hidden">
@@ -331,6 +375,7 @@ export default function Product() {
                 <motion.button
                   className="btn btn-primary w-full"
                   whileTap={{ scale: 0.98 }}
+                  disabled={!canBuy}
                   onClick={() => {
                     console.log('Add to cart clicked', { item, user, cart, toast })
                     if (!item) {
@@ -342,8 +387,7 @@ export default function Product() {
                       navigate('/account/login', { state: { from: location } })
                       return
                     }
-                    console.log('Adding to cart:', { id: item.id || id, name: item.name, price: item.price, image: item.image }, qty)
-                    cart.add({ id: item.id || id, name: item.name, price: item.price, image: item.image }, qty)
+                    cart.add({ id: item.id || id, name: item.name, price: item.price, image: item.image }, qty, variant)
                     console.log('Showing toast')
                     toast.push('success', 'Added to cart')
                     console.log('Opening drawer')
@@ -354,8 +398,10 @@ export default function Product() {
                 </motion.button>
                 <Link to="/checkout" className="btn btn-accent w-full">Buy Now</Link>
               </div>
+              <WishlistButton product={{ ...item, id: item.id || id }} showAlerts className="mt-3" />
+              <PincodeChecker productId={item.id || id} variantId={variant?.id} className="mt-3" />
               <div className="mt-4 rounded-lg bg-primary/10 text-primary p-3 text-sm">
-                Free shipping on orders over ₹499 • Secure payments
+                Free shipping on orders over {freeShippingOver} • Secure payments
               </div>
             </div>
           </aside>
@@ -3,7 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { Helmet } from 'react-helmet-async'
 import { motion } from 'framer-motion'
 import { useProduct, usePrefetchProduct } from '../hooks/queries/useProducts'
-import useCartStore from '../stores/cartStore'
+import { useCart } from '../hooks/CartProvider.jsx'
+import { useWishlist } from '../hooks/WishlistProvider.jsx'
 import useUIStore from '../stores/uiStore'
 import useAuthStore from '../stores/authStore'
 import LoadingSpinner from '../components/LoadingSpinner'
@@ -24,7 +25,8 @@ const ProductDetail = () => {
   const [selectedVariant, setSelectedVariant] = useState(null)
   
   // Zustand stores
-  const { addItem, toggleCart } = useCartStore()
+  const { add: addToCart } = useCart()
+  const wishlist = useWishlist()
   const { showSuccess, showError } = useUIStore()
   const { user, isAuthenticated } = useAuthStore()
   
@@ -59,19 +61,18 @@ const ProductDetail = () => {
   }, [product])
   
   // Handlers
-  const handleAddToCart = () => {
+  // ProductInfo passes the chosen variant and quantity; Buy Now calls this without them
+  const handleAddToCart = (selection) => {
     if (!product) return
     
     const cartItem = {
       id: product.id,
       name: product.name,
       price: productPrice.price,
-      image: productImages[0],
-      quantity: quantity,
-      variant: selectedVariant
+      image: productImages[0]
     }
     
-    addItem(cartItem)
+    addToCart(cartItem, selection?.quantity ?? quantity, selection?.variant)
     showSuccess(`${product.name} added to cart!`)
   }
   
@@ -212,6 +213,8 @@ const ProductDetail = () => {
                 onQuantityChange={handleQuantityChange}
                 onVariantChange={handleVariantChange}
                 onAddToCart={handleAddToCart}
+                onAddToWishlist={wishlist.toggle}
+                isInWishlist={wishlist.has(product.id)}
                 onBuyNow={handleBuyNow}
                 isAuthenticated={isAuthenticated}
               />
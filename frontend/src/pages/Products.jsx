@@ -1,15 +1,17 @@
 import React, { useState, useMemo } from 'react'
 import { Helmet } from 'react-helmet-async'
 import { motion } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
 import { useProducts, useProductSearch } from '../hooks/queries/useProducts'
 import { useCategories } from '../hooks/queries/useCategories'
 import useUIStore from '../stores/uiStore'
-import useCartStore from '../stores/cartStore'
+import { useCart } from '../hooks/CartProvider.jsx'
 import ProductCard from '../components/ProductCard'
 import LoadingSpinner from '../components/LoadingSpinner'
 import SearchBar from '../components/ui/SearchBar'
 import FilterSidebar from '../components/FilterSidebar'
 import Pagination from '../components/Pagination'
+import { hasVariants } from '../lib/productVariants'
 
 const Products = () => {
   const [filters, setFilters] = useState({
@@ -25,7 +27,8 @@ const Products = () => {
   
   // Zustand stores
   const { loading } = useUIStore()
-  const { addItem } = useCartStore()
+  const { add: addToCart } = useCart()
+  const navigate = useNavigate()
   
   // React Query hooks
   const { data: products = [], isLoading: productsLoading, error: productsError } = useProducts(filters)
@@ -56,12 +59,16 @@ const Products = () => {
   
   // Add to cart handler
   const handleAddToCart = (product) => {
-    addItem({
+    // Size and planter have to be picked on the product page first
+    if (hasVariants(product)) {
+      navigate(`/product/${product.id}`)
+      return
+    }
+    addToCart({
       id: product.id,
       name: product.name,
       price: product.price,
-      image: product.image || product.thumbnail,
-      quantity: 1
+      image: product.image || product.thumbnail
     })
   }
   
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Helmet } from 'react-helmet-async'
+import { motion } from 'framer-motion'
+import { Heart } from 'lucide-react'
+import WishlistPanel from '../components/WishlistPanel.jsx'
+import useUser from '../hooks/useUser.js'
+import { Link } from 'react-router-dom'
+
+// Open to guests too: their wishlist lives on this device until they sign in
+const Wishlist = () => {
+  const { user } = useUser()
+
+  return (
+    <div className="page-container py-8">
+      <Helmet>
+        <title>Wishlist • Chamunda Nursery</title>
+        <meta name="description" content="Plants you have saved for later" />
+      </Helmet>
+
+      <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="flex items-center gap-3 mb-6">
+        <Heart className="w-7 h-7 text-red-500" />
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Wishlist</h1>
+      </motion.div>
+
+      {!user?.isAuthenticated && (
+        <p className="mb-4 rounded-lg bg-green-50 text-green-800 p-3 text-sm">
+          Saved on this device.{' '}
+          <Link to="/account/login" className="font-medium underline">
+            Sign in
+          </Link>{' '}
+          to keep your wishlist across devices and get price-drop and back-in-stock alerts.
+        </p>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm p-4 sm:p-6">
+        <WishlistPanel />
+      </div>
+    </div>
+  )
+}
+
+export default Wishlist
@@ -45,10 +45,24 @@ const MOCK_CARE_GUIDES = Array.from({ length: 5 }).map((_, i) => ({
   ],
 }))
 
+// Fired on window whenever the API session token is stored or cleared
+export const AUTH_CHANGED_EVENT = 'auth:changed'
+
+export function notifyAuthChanged() {
+  window.dispatchEvent(new Event(AUTH_CHANGED_EVENT))
+}
+
+// The Clerk bridge stores `{ token, user }` under `auth`; the email login stores `auth.token`
+export function getAuthToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY) || JSON.parse(localStorage.getItem('auth') || '{}').token || null
+  } catch {
+    return null
+  }
+}
+
 async function request(path, options = {}) {
-  const token = (() => {
-    try { return localStorage.getItem(TOKEN_KEY) } catch { return null }
-  })()
+  const token = getAuthToken()
   const baseHeaders = { 'Content-Type': 'application/json' }
   const authHeaders = token ? { Authorization: `Bearer ${token}` } : {}
   const mergedHeaders = { ...baseHeaders, ...authHeaders, ...(options.headers || {}) }
@@ -191,24 +205,6 @@ export async function recordRecentlyViewed(productId, { userId } = {}) {
   }
 }
 
-export async function uploadProductsBulk(file) {
-  try {
-    const formData = new FormData()
-    formData.append('file', file)
-    const token = (() => { try { return localStorage.getItem(TOKEN_KEY) } catch { return null } })()
-    const res = await fetch(`${BASE_URL}/api/admin/products/bulk`, {
-      method: 'POST',
-      body: formData,
-      headers: token ? { Authorization: `Bearer ${token}` } : undefined,
-    })
-    if (!res.ok) throw new Error(`Failed to upload bulk products: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Bulk upload failed; returning mock result', e)
-    return { imported: 0, errors: [{ line: 1, message: 'Demo mode' }] }
-  }
-}
-
 // --- Admin Dashboard API ---
 export async function fetchDashboardStats() {
   try {
@@ -274,143 +270,103 @@ export async function deleteProduct(productId) {
 }
 
 // --- Cart API endpoints ---
-export async function fetchCartItems() {
-  try {
-    const res = await request('/api/cart')
-    if (!res.ok) throw new Error(`Failed to fetch cart items: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage
-    try {
-      const raw = localStorage.getItem('cart.items')
-      return raw ? JSON.parse(raw) : []
-    } catch {
-      return []
-    }
+// The cart engine (stores/cartStore.js) owns offline handling, so these only talk to the server.
+// Lines are addressed by product id. Errors carry the HTTP `status` (absent for network failures).
+async function sessionRequest(path, options, action) {
+  const res = await request(path, options)
+  if (!res.ok) {
+    const error = new Error(`Failed to ${action}: ${res.status}`)
+    error.status = res.status
+    throw error
   }
+  return res.json()
 }
 
-export async function addToCart(productId, quantity = 1) {
-  try {
-    const res = await request('/api/cart/add', {
-      method: 'POST',
-      body: JSON.stringify({ productId, quantity })
-    })
-    if (!res.ok) throw new Error(`Failed to add to cart: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage - get product details first
-    try {
-      const product = await fetchProductById(productId)
-      const raw = localStorage.getItem('cart.items')
-      const items = raw ? JSON.parse(raw) : []
-      
-      const existingIndex = items.findIndex(item => String(item.id) === String(productId))
-      if (existingIndex >= 0) {
-        items[existingIndex].qty += quantity
-      } else {
-        items.push({
-          id: product.id,
-          name: product.name,
-          price: Number(product.price) || 0,
-          image: product.image,
-          qty: quantity
-        })
-      }
-      
-      localStorage.setItem('cart.items', JSON.stringify(items))
-      return { success: true, item: items[existingIndex >= 0 ? existingIndex : items.length - 1] }
-    } catch {
-      throw new Error('Failed to add to cart')
-    }
-  }
+export function fetchCartItems() {
+  return sessionRequest('/api/cart', {}, 'fetch cart items')
 }
 
-export async function updateCartItem(itemId, quantity) {
-  try {
-    const res = await request(`/api/cart/update/${itemId}`, {
-      method: 'PUT',
-      body: JSON.stringify({ quantity })
-    })
-    if (!res.ok) throw new Error(`Failed to update cart item: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage
-    try {
-      const raw = localStorage.getItem('cart.items')
-      const items = raw ? JSON.parse(raw) : []
-      const updatedItems = items.map(item => 
-        String(item.id) === String(itemId) 
-          ? { ...item, qty: Math.max(1, quantity) }
-          : item
-      )
-      localStorage.setItem('cart.items', JSON.stringify(updatedItems))
-      return { success: true }
-    } catch {
-      throw new Error('Failed to update cart item')
-    }
-  }
+// Lines for products with variants are addressed by product id plus ?variantId=
+const variantQuery = (variantId) =>
+  variantId === null || variantId === undefined ? '' : `?variantId=${encodeURIComponent(variantId)}`
+
+export function addToCart(productId, quantity = 1, variantId = null) {
+  return sessionRequest('/api/cart/add', {
+    method: 'POST',
+    body: JSON.stringify({ productId, variantId, quantity })
+  }, 'add to cart')
 }
 
-export async function removeFromCart(itemId) {
-  try {
-    const res = await request(`/api/cart/remove/${itemId}`, {
-      method: 'DELETE'
-    })
-    if (!res.ok) throw new Error(`Failed to remove from cart: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage
-    try {
-      const raw = localStorage.getItem('cart.items')
-      const items = raw ? JSON.parse(raw) : []
-      const filteredItems = items.filter(item => String(item.id) !== String(itemId))
-      localStorage.setItem('cart.items', JSON.stringify(filteredItems))
-      return { success: true }
-    } catch {
-      throw new Error('Failed to remove from cart')
-    }
-  }
+export function updateCartItem(productId, quantity, variantId = null) {
+  return sessionRequest(`/api/cart/update/${productId}${variantQuery(variantId)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ quantity })
+  }, 'update cart item')
 }
 
-export async function clearCart() {
-  try {
-    const res = await request('/api/cart/clear', {
-      method: 'DELETE'
-    })
-    if (!res.ok) throw new Error(`Failed to clear cart: ${res.status}`)
-    return res.json()
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage
-    try {
-      localStorage.setItem('cart.items', JSON.stringify([]))
-      return { success: true }
-    } catch {
-      throw new Error('Failed to clear cart')
-    }
-  }
+export function removeFromCart(productId, variantId = null) {
+  return sessionRequest(`/api/cart/remove/${productId}${variantQuery(variantId)}`, { method: 'DELETE' }, 'remove from cart')
+}
+
+export function clearCart() {
+  return sessionRequest('/api/cart/clear', { method: 'DELETE' }, 'clear cart')
+}
+
+// Adds guest lines to the signed-in user's cart (quantities summed, capped by stock) and returns the merged cart
+export function mergeCart(items) {
+  return sessionRequest('/api/cart/merge', {
+    method: 'POST',
+    body: JSON.stringify({ items })
+  }, 'merge cart')
 }
 
 export async function getCartCount() {
-  try {
-    const res = await request('/api/cart/count')
-    if (!res.ok) throw new Error(`Failed to get cart count: ${res.status}`)
-    const data = await res.json()
-    return data.count || 0
-  } catch (e) {
-    console.warn('Cart API unavailable, using localStorage fallback', e)
-    // Fallback to localStorage
-    try {
-      const raw = localStorage.getItem('cart.items')
-      const items = raw ? JSON.parse(raw) : []
-      return items.reduce((sum, item) => sum + (item.qty || 1), 0)
-    } catch {
-      return 0
-    }
-  }
-}
\ No newline at end of file
+  const data = await sessionRequest('/api/cart/count', {}, 'get cart count')
+  return data.count || 0
+}
+
+// --- Wishlist API endpoints ---
+// Used by stores/wishlistStore.js once a session token exists; guests keep their wishlist locally.
+// Entries are addressed by product id and carry the customer's alert choices.
+export function fetchWishlist() {
+  return sessionRequest('/api/wishlist', {}, 'fetch wishlist')
+}
+
+export function addToWishlist(productId, alerts = {}) {
+  return sessionRequest('/api/wishlist', {
+    method: 'POST',
+    body: JSON.stringify({ productId, alerts })
+  }, 'add to wishlist')
+}
+
+export function removeFromWishlist(productId) {
+  return sessionRequest(`/api/wishlist/${productId}`, { method: 'DELETE' }, 'remove from wishlist')
+}
+
+// `alerts` is `{ priceDrop, backInStock }`; the server compares against the price and stock at opt-in time
+export function updateWishlistAlerts(productId, alerts) {
+  return sessionRequest(`/api/wishlist/${productId}/alerts`, {
+    method: 'PUT',
+    body: JSON.stringify(alerts)
+  }, 'update wishlist alerts')
+}
+
+// Adds guest entries to the signed-in user's wishlist (keeping the earlier alert choices) and returns the result
+export function mergeWishlist(items) {
+  return sessionRequest('/api/wishlist/merge', {
+    method: 'POST',
+    body: JSON.stringify({ items })
+  }, 'merge wishlist')
+}
+
+// Price-drop and back-in-stock alerts raised while the customer was away
+export function fetchWishlistAlerts() {
+  return sessionRequest('/api/wishlist/alerts', {}, 'fetch wishlist alerts')
+}
+
+export function acknowledgeWishlistAlerts(ids) {
+  return sessionRequest('/api/wishlist/alerts/ack', {
+    method: 'POST',
+    body: JSON.stringify({ ids })
+  }, 'acknowledge wishlist alerts')
+}
@@ -0,0 +1,65 @@
+// Carrier adapter for swapping between the local fake courier and the live API.
+// Set VITE_CARRIER_PROVIDER=server in .env once a courier account is configured on the backend.
+// Development builds default to the fake carrier so shipping and tracking work offline; other
+// builds have no provider until one is set, and never the fake one.
+//
+// Every provider implements the same contract:
+//   createShipment({ orderId, carrier, address, weightKg, codAmount }, { idempotencyKey }) -> booking;
+//                                                                      the same key returns the first booking
+//   track(awb)                                                         -> booking with the latest scans
+//   verifyWebhook(rawBody, signature)                                  -> parsed event, throws on a bad signature
+// A booking is `{ carrier, awb, status, trackingUrl, estimatedDelivery, events: [{ status, description, location, occurredAt }] }`.
+// Failures throw an Error with a `code` from shipmentStatus.js.
+
+import fakeCarrier from './fakeCarrier'
+import serverCarrier from './serverCarrier'
+
+export {
+  CARRIERS,
+  SHIPMENT_STATUS,
+  SHIPMENT_STATUS_LABELS,
+  FINAL_SHIPMENT_STATUSES,
+  getCarrierName,
+  isShipmentActive,
+} from './shipmentStatus'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const providers = {
+  // Its AWBs are made up, so a production order must never be booked with it
+  ...(import.meta.env.DEV && { fake: fakeCarrier }),
+  server: serverCarrier,
+}
+
+// null when no carrier can book pickups in this build; AWBs are then entered by hand
+export function getCarrierProvider(name = import.meta.env.VITE_CARRIER_PROVIDER || (import.meta.env.DEV ? 'fake' : '')) {
+  if (!name) return null
+  const provider = providers[name]
+  if (!provider) {
+    console.error(`Carrier provider "${name}" is not available in this build`)
+    return null
+  }
+  return provider
+}
+
+/**
+ * Development only: advance the fake carrier's parcels and deliver its signed webhooks to
+ * POST /api/webhooks/carriers/fake, where the API ingests scans exactly as it does for real
+ * carriers. Returns a function that stops the bridge.
+ */
+export function startFakeCarrierBridge() {
+  const stopListening = fakeCarrier.onWebhook(({ rawBody, signature }) => {
+    fetch(`${API_BASE}/api/webhooks/carriers/fake`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Carrier-Signature': signature },
+      body: rawBody,
+    }).catch((error) => console.warn('Fake carrier webhook delivery failed', error))
+  })
+  const timer = setInterval(fakeCarrier.advance, Math.min(fakeCarrier.stepMs, 10000))
+  return () => {
+    clearInterval(timer)
+    stopListening()
+  }
+}
+
+export default getCarrierProvider
@@ -0,0 +1,159 @@
+// Local fake courier so booking and tracking can be exercised without a carrier account.
+// A booked parcel moves one scan along its journey every STEP_MS
+// (VITE_FAKE_CARRIER_STEP_MS, 30 seconds by default):
+//   label created -> picked up -> two hub scans -> out for delivery -> delivered
+// Parcels for pincodes ending in 999 miss the first delivery attempt and are delivered on the next run.
+// Every new scan is emitted as a signed webhook, the way a real carrier POSTs to our webhook endpoint.
+
+import { SHIPMENT_STATUS, carrierError } from './shipmentStatus'
+
+const STORAGE_KEY = 'carriers.fake.shipments'
+const WEBHOOK_SECRET = 'whsec_fake_carrier_local'
+const STEP_MS = Number(import.meta.env.VITE_FAKE_CARRIER_STEP_MS) || 30000
+const LATENCY_MS = 500
+
+const JOURNEY = [
+  { status: SHIPMENT_STATUS.LABEL_CREATED, description: 'Shipment booked, awaiting pickup', location: 'Chamunda Nursery' },
+  { status: SHIPMENT_STATUS.PICKED_UP, description: 'Picked up from the nursery', location: 'Ahmedabad' },
+  { status: SHIPMENT_STATUS.IN_TRANSIT, description: 'Arrived at sorting hub', location: 'Ahmedabad hub' },
+  { status: SHIPMENT_STATUS.IN_TRANSIT, description: 'Arrived at destination hub', location: 'Destination hub' },
+  { status: SHIPMENT_STATUS.OUT_FOR_DELIVERY, description: 'Out for delivery', location: 'Local delivery centre' },
+]
+
+const FAILED_ATTEMPT = [
+  { status: SHIPMENT_STATUS.EXCEPTION, description: 'Delivery attempted, customer not available', location: 'Local delivery centre' },
+  { status: SHIPMENT_STATUS.OUT_FOR_DELIVERY, description: 'Out for delivery (second attempt)', location: 'Local delivery centre' },
+]
+
+const DELIVERED = { status: SHIPMENT_STATUS.DELIVERED, description: 'Delivered', location: 'Customer address' }
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms))
+
+const randomId = (prefix) => `${prefix}_fake_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+
+// FK and ten digits, the length of most Indian courier AWBs
+const randomAwb = () => `FK${String(Date.now()).slice(-6)}${Math.floor(Math.random() * 10000).toString().padStart(4, '0')}`
+
+const loadShipments = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const saveShipment = (shipment) => {
+  const shipments = loadShipments()
+  shipments[shipment.awb] = shipment
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(shipments))
+  } catch {}
+  return shipment
+}
+
+const journeyFor = (shipment) => [...JOURNEY, ...(shipment.failFirstAttempt ? FAILED_ATTEMPT : []), DELIVERED]
+
+// The scans that have happened by `now`, each timestamped one step after the last
+const scansAt = (shipment, now = Date.now()) => {
+  const createdAt = new Date(shipment.createdAt).getTime()
+  const journey = journeyFor(shipment)
+  const count = Math.min(journey.length, Math.floor((now - createdAt) / STEP_MS) + 1)
+  return journey.slice(0, count).map((scan, index) => ({
+    ...scan,
+    occurredAt: new Date(createdAt + index * STEP_MS).toISOString(),
+  }))
+}
+
+const snapshot = (shipment) => {
+  const events = scansAt(shipment)
+  return {
+    carrier: 'fake',
+    awb: shipment.awb,
+    status: events[events.length - 1].status,
+    trackingUrl: null,
+    estimatedDelivery: new Date(new Date(shipment.createdAt).getTime() + journeyFor(shipment).length * STEP_MS).toISOString(),
+    // Newest first, as carriers list them
+    events: [...events].reverse(),
+  }
+}
+
+// FNV-1a, like the mock payment gateway; the API server checks it with the same shared secret
+const sign = (rawBody) => {
+  let hash = 0x811c9dc5
+  const input = `${WEBHOOK_SECRET}.${rawBody}`
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return `fake_sig_${hash.toString(16)}`
+}
+
+const webhookListeners = new Set()
+
+const emitWebhook = (type, data) => {
+  const rawBody = JSON.stringify({ id: randomId('evt'), type, created: new Date().toISOString(), data })
+  const signature = sign(rawBody)
+  webhookListeners.forEach((listener) => {
+    try { listener({ rawBody, signature }) } catch (e) { console.warn('Fake carrier webhook listener failed', e) }
+  })
+}
+
+const fakeCarrier = {
+  name: 'fake',
+
+  createShipment: async ({ orderId, address = {}, weightKg = 1 } = {}, { idempotencyKey } = {}) => {
+    if (!orderId) throw carrierError('invalid_request', 'An order is required to book a shipment')
+    const booked = idempotencyKey && Object.values(loadShipments()).find((shipment) => shipment.idempotencyKey === idempotencyKey)
+    if (booked) return snapshot(booked)
+    const pincode = String(address.postalCode || '')
+    if (!/^[1-9][0-9]{5}$/.test(pincode)) throw carrierError('invalid_request', 'The shipping address needs a valid pincode')
+    await sleep(LATENCY_MS)
+
+    const shipment = saveShipment({
+      awb: randomAwb(),
+      orderId,
+      pincode,
+      weightKg,
+      failFirstAttempt: pincode.endsWith('999'),
+      createdAt: new Date().toISOString(),
+      emittedCount: 1,
+      idempotencyKey: idempotencyKey || null,
+    })
+    const booking = snapshot(shipment)
+    emitWebhook('shipment.scan', { ...booking, orderId })
+    return booking
+  },
+
+  track: async (awb) => {
+    const shipment = loadShipments()[awb]
+    if (!shipment) throw carrierError('shipment_not_found')
+    await sleep(LATENCY_MS / 2)
+    return snapshot(shipment)
+  },
+
+  verifyWebhook: async (rawBody, signature) => {
+    if (!signature || signature !== sign(rawBody)) throw carrierError('invalid_signature')
+    return JSON.parse(rawBody)
+  },
+
+  // Dev-only: move every parcel along and emit a webhook for each parcel with new scans
+  advance: () => {
+    Object.values(loadShipments()).forEach((shipment) => {
+      const count = scansAt(shipment).length
+      if (count <= shipment.emittedCount) return
+      saveShipment({ ...shipment, emittedCount: count })
+      emitWebhook('shipment.scan', { ...snapshot(shipment), orderId: shipment.orderId })
+    })
+  },
+
+  stepMs: STEP_MS,
+
+  // Dev-only: receive the signed events a real carrier would POST to the webhook endpoint
+  onWebhook: (listener) => {
+    webhookListeners.add(listener)
+    return () => webhookListeners.delete(listener)
+  },
+}
+
+export default fakeCarrier
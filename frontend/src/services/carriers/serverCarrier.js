@@ -0,0 +1,40 @@
+// Carrier adapter backed by the API server, which holds the courier account credentials,
+// books pickups, receives the carrier's tracking webhooks and polls carriers that have none.
+
+import { carrierError } from './shipmentStatus'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const request = async (path, { method = 'GET', body, idempotencyKey } = {}) => {
+  const response = await fetch(`${API_BASE}/api/carriers${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+      'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw carrierError(data.code || 'unavailable', data.message, { status: response.status })
+  }
+  return data
+}
+
+const serverCarrier = {
+  name: 'server',
+
+  // The API replays the first booking for a repeated key instead of booking another pickup
+  createShipment: ({ orderId, carrier, address, weightKg, codAmount } = {}, { idempotencyKey } = {}) =>
+    request('/bookings', { method: 'POST', body: { orderId, carrier, address, weightKg, codAmount }, idempotencyKey }),
+
+  track: (awb) => request(`/tracking/${encodeURIComponent(awb)}`),
+
+  verifyWebhook: async () => {
+    // Carrier webhooks are signed with a secret that never reaches the browser
+    throw carrierError('invalid_request', 'Webhook signatures are verified by the API server')
+  },
+}
+
+export default serverCarrier
@@ -0,0 +1,57 @@
+// Shared vocabulary for carrier adapters: carriers, shipment statuses and error codes.
+// Carriers report in their own terms; adapters map every scan onto these statuses.
+
+export const SHIPMENT_STATUS = {
+  LABEL_CREATED: 'label_created',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  // A failed delivery attempt, a held parcel or an address problem; the parcel is still moving
+  EXCEPTION: 'exception',
+  RETURNED: 'returned',
+}
+
+export const SHIPMENT_STATUS_LABELS = {
+  [SHIPMENT_STATUS.LABEL_CREATED]: 'Label created',
+  [SHIPMENT_STATUS.PICKED_UP]: 'Picked up',
+  [SHIPMENT_STATUS.IN_TRANSIT]: 'In transit',
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [SHIPMENT_STATUS.DELIVERED]: 'Delivered',
+  [SHIPMENT_STATUS.EXCEPTION]: 'Delivery issue',
+  [SHIPMENT_STATUS.RETURNED]: 'Returned to us',
+}
+
+// No more scans are expected once a shipment is in one of these
+export const FINAL_SHIPMENT_STATUSES = [SHIPMENT_STATUS.DELIVERED, SHIPMENT_STATUS.RETURNED]
+
+export const isShipmentActive = (shipment) => !FINAL_SHIPMENT_STATUSES.includes(shipment?.status)
+
+// Couriers an admin can enter an AWB for; `own` is our delivery van for local zones
+export const CARRIERS = [
+  { id: 'delhivery', name: 'Delhivery' },
+  { id: 'bluedart', name: 'Blue Dart' },
+  { id: 'dtdc', name: 'DTDC' },
+  { id: 'xpressbees', name: 'Xpressbees' },
+  { id: 'indiapost', name: 'India Post' },
+  { id: 'own', name: 'Chamunda delivery van' },
+  { id: 'fake', name: 'Fake carrier (development)' },
+]
+
+export const getCarrierName = (id) => CARRIERS.find((carrier) => carrier.id === id)?.name || id || 'Courier'
+
+const CARRIER_ERROR_MESSAGES = {
+  invalid_request: 'The shipment details are incomplete or invalid.',
+  not_serviceable: 'The carrier does not deliver to this pincode.',
+  shipment_not_found: 'This shipment could not be found with the carrier.',
+  invalid_signature: 'Webhook signature verification failed.',
+  unavailable: 'The carrier could not be reached. Please try again.',
+}
+
+// Adapters throw plain Errors tagged with a `code`, like the payment providers
+export function carrierError(code, message, extra = {}) {
+  const error = new Error(message || CARRIER_ERROR_MESSAGES[code] || 'Carrier request failed')
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
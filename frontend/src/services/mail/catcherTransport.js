@@ -0,0 +1,149 @@
+// Local mail catcher so the admin Emails page can send test copies without an SMTP server.
+// Test mail is rendered, queued and "delivered" into an outbox kept in localStorage, where the
+// Emails page shows it. Delivery runs through the same queue and retry schedule as the API, and
+// recipient domains drive failures the way test cards drive the mock payment gateway:
+//   anything@bounce.test  -> rejected permanently (550), never retried
+//   anything@flaky.test   -> temporary failure (421) on the first two attempts, then sent
+//   anything@down.test    -> temporary failure on every attempt until retries run out
+// Every other well-formed address is delivered on the first attempt.
+
+import { renderEmail } from '../../lib/emailTemplates'
+import { MAIL_STATUS, MAX_ATTEMPTS, getRetryDelay, mailError } from './mailStatus'
+
+const STORAGE_KEY = 'mail.catcher.messages'
+// Oldest messages are dropped past this so localStorage does not fill up
+const MAX_MESSAGES = 200
+const LATENCY_MS = 300
+// Retries are compressed in development so the whole schedule plays out in about a minute
+const RETRY_SPEEDUP = Number(import.meta.env.VITE_MAIL_CATCHER_RETRY_SPEEDUP) || 60
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms))
+
+const randomId = (prefix) => `${prefix}_catcher_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+
+const loadMessages = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : []
+  } catch {
+    return []
+  }
+}
+
+const saveMessages = (messages) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(messages.slice(-MAX_MESSAGES)))
+  } catch {}
+}
+
+const updateMessage = (id, changes) => {
+  const messages = loadMessages()
+  const index = messages.findIndex((message) => message.id === id)
+  if (index === -1) return null
+  messages[index] = { ...messages[index], ...changes }
+  saveMessages(messages)
+  return messages[index]
+}
+
+// What the pretend SMTP server says to this recipient on this attempt
+const smtpOutcome = (to, attempt) => {
+  const domain = to.split('@')[1]?.toLowerCase()
+  if (domain === 'bounce.test') throw mailError('mailbox_unavailable', '550 5.1.1 Mailbox unavailable', { permanent: true })
+  if (domain === 'down.test' || (domain === 'flaky.test' && attempt <= 2)) {
+    throw mailError('temporary_failure', '421 4.3.2 Service not available, try again later')
+  }
+}
+
+let timer = null
+
+// Deliver every message that is due, then sleep until the next retry
+const processQueue = async () => {
+  clearTimeout(timer)
+  timer = null
+  const now = Date.now()
+  const due = loadMessages().filter(
+    (message) => message.status === MAIL_STATUS.QUEUED && new Date(message.nextAttemptAt).getTime() <= now
+  )
+
+  for (const { id } of due) {
+    // Another run may have picked it up while this one was waiting on an earlier message
+    const message = loadMessages().find((candidate) => candidate.id === id)
+    if (message?.status !== MAIL_STATUS.QUEUED) continue
+    const attempts = message.attempts + 1
+    updateMessage(message.id, { status: MAIL_STATUS.SENDING, attempts })
+    await sleep(LATENCY_MS)
+    try {
+      smtpOutcome(message.to, attempts)
+      updateMessage(message.id, { status: MAIL_STATUS.SENT, sentAt: new Date().toISOString(), nextAttemptAt: null, lastError: null })
+    } catch (error) {
+      const giveUp = error.permanent || attempts >= MAX_ATTEMPTS
+      updateMessage(message.id, {
+        status: giveUp ? MAIL_STATUS.FAILED : MAIL_STATUS.QUEUED,
+        lastError: error.message,
+        nextAttemptAt: giveUp ? null : new Date(Date.now() + getRetryDelay(attempts) / RETRY_SPEEDUP).toISOString(),
+      })
+    }
+  }
+
+  const next = loadMessages()
+    .filter((message) => message.status === MAIL_STATUS.QUEUED)
+    .map((message) => new Date(message.nextAttemptAt).getTime())
+    .sort((a, b) => a - b)[0]
+  if (next !== undefined) timer = setTimeout(processQueue, Math.max(0, next - Date.now()))
+}
+
+const enqueue = ({ template, to, subject, html, text }) => {
+  if (!EMAIL_PATTERN.test(String(to || ''))) throw mailError('invalid_recipient')
+  const message = {
+    id: randomId('msg'),
+    template,
+    to,
+    subject,
+    html,
+    text,
+    status: MAIL_STATUS.QUEUED,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: new Date().toISOString(),
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+  }
+  saveMessages([...loadMessages(), message])
+  processQueue()
+  return message
+}
+
+const catcherTransport = {
+  name: 'catcher',
+
+  // Newest first. Filters: status
+  list: async ({ status } = {}) => {
+    // Pick up retries that fell due while no tab was open
+    if (!timer) processQueue()
+    return loadMessages()
+      .filter((message) => !status || message.status === status)
+      .reverse()
+  },
+
+  retry: async (id) => {
+    const message = loadMessages().find((candidate) => candidate.id === id)
+    if (!message) throw mailError('message_not_found')
+    if (message.status !== MAIL_STATUS.FAILED) throw mailError('not_retryable')
+    const updated = updateMessage(id, { status: MAIL_STATUS.QUEUED, attempts: 0, nextAttemptAt: new Date().toISOString() })
+    processQueue()
+    return updated
+  },
+
+  sendTest: async ({ to, template = 'order_confirmation', settings, baseUrl }) => {
+    const rendered = renderEmail(template, undefined, { settings, baseUrl })
+    return enqueue({ template, to, ...rendered, subject: `[Test] ${rendered.subject}` })
+  },
+
+  clear: async () => {
+    saveMessages([])
+  },
+}
+
+export default catcherTransport
@@ -0,0 +1,37 @@
+// Mail transport adapter for swapping between the local mail catcher and the live API.
+// Development builds default to the catcher so admin test sends work without an API or SMTP
+// server; every other build uses the server, and the catcher is refused outside development.
+//
+// The API sends all real mail itself; the browser only reads the outbox and sends test copies.
+// Transactional mail therefore never reaches the browser catcher. To catch it in development,
+// run the API with its own catcher (MAIL_TRANSPORT=catcher, see docs/email.md) and read its
+// outbox through the server transport.
+// Every transport implements the same contract:
+//   list({ status })                              -> outbox messages, newest first
+//   retry(id)                                     -> the message, queued again
+//   sendTest({ to, template, settings, baseUrl }) -> queued test message
+// The catcher also has clear(). A message is
+// `{ id, template, to, subject, html, text, status, attempts, lastError, nextAttemptAt, createdAt, sentAt }`.
+// Failures throw an Error with a `code` from mailStatus.js.
+
+import catcherTransport from './catcherTransport'
+import serverTransport from './serverTransport'
+
+export { MAIL_STATUS, MAIL_STATUS_LABELS, MAX_ATTEMPTS } from './mailStatus'
+
+const transports = {
+  // Mail "delivered" into localStorage never reaches anyone, so only development builds get it
+  ...(import.meta.env.DEV && { catcher: catcherTransport }),
+  server: serverTransport,
+}
+
+export function getMailTransport(name = import.meta.env.VITE_MAIL_TRANSPORT || (import.meta.env.DEV ? 'catcher' : 'server')) {
+  const transport = transports[name]
+  if (!transport) {
+    console.error(`Mail transport "${name}" is not available in this build, using the server`)
+    return serverTransport
+  }
+  return transport
+}
+
+export default getMailTransport
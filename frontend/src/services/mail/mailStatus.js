@@ -0,0 +1,40 @@
+// Shared vocabulary for mail transports: outbox statuses, the retry schedule and error codes.
+
+export const MAIL_STATUS = {
+  QUEUED: 'queued', // waiting for its first attempt or a retry
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed', // permanently rejected or out of attempts
+}
+
+export const MAIL_STATUS_LABELS = {
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+  failed: 'Failed',
+}
+
+export const MAX_ATTEMPTS = 5
+
+// Wait before attempt n + 1 after n failed attempts: 30 s, 2 min, 10 min, 1 h
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000]
+
+export const getRetryDelay = (attempts) => RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1] ?? 0
+
+const MAIL_ERROR_MESSAGES = {
+  invalid_recipient: 'The recipient address is not valid.',
+  unknown_template: 'There is no email template with that name.',
+  message_not_found: 'This message could not be found.',
+  not_retryable: 'Only failed messages can be retried.',
+  temporary_failure: 'The mail server is temporarily unavailable.',
+  mailbox_unavailable: 'The mail server rejected the recipient address.',
+}
+
+// Transports throw plain Errors tagged with a `code`, the same way payment providers do.
+// `permanent` failures are not retried.
+export function mailError(code, message, extra = {}) {
+  const error = new Error(message || MAIL_ERROR_MESSAGES[code] || 'Mail delivery failed')
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
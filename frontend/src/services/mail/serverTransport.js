@@ -0,0 +1,37 @@
+// Mail transport backed by the API server, which renders the templates, keeps the send queue
+// and relays through the SMTP server in the admin email settings.
+
+import { mailError } from './mailStatus'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${API_BASE}/api/admin/mail${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw mailError(data.code || 'temporary_failure', data.message, { status: response.status })
+  }
+  return data
+}
+
+const serverTransport = {
+  name: 'server',
+
+  list: async ({ status } = {}) => {
+    const data = await request(`/messages${status ? `?status=${encodeURIComponent(status)}` : ''}`)
+    return Array.isArray(data) ? data : data.messages || []
+  },
+
+  retry: (id) => request(`/messages/${id}/retry`, { method: 'POST' }),
+
+  sendTest: ({ to, template }) => request('/test', { method: 'POST', body: { to, template } }),
+}
+
+export default serverTransport
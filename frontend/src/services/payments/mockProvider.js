@@ -0,0 +1,218 @@
+// Local mock payment gateway so checkout and refunds can be exercised offline.
+// Outcomes are driven by test inputs, the same way real gateways use test cards:
+//   Card 4242 4242 4242 4242  -> success
+//   Card 4000 0000 0000 0002  -> declined
+//   Card 4000 0000 0000 3220  -> 3-D Secure challenge (OTP 123456 passes, anything else fails)
+//   Card 4000 0000 0000 0119  -> gateway timeout
+//   UPI  declined@upi / challenge@upi / timeout@upi behave like the cards above
+// Any other well-formed card number or UPI ID succeeds.
+
+import { PAYMENT_METHODS, PAYMENT_STATUS, paymentError } from './paymentStatus'
+
+const STORAGE_KEY = 'payments.mock.intents'
+const WEBHOOK_SECRET = 'whsec_mock_local'
+const LATENCY_MS = 800
+const TIMEOUT_MS = 8000
+
+export const MOCK_OTP = '123456'
+
+const CARD_SCENARIOS = {
+  '4000000000000002': 'decline',
+  '4000000000003220': 'challenge',
+  '4000000000000119': 'timeout',
+}
+
+const UPI_SCENARIOS = {
+  'declined@upi': 'decline',
+  'challenge@upi': 'challenge',
+  'timeout@upi': 'timeout',
+}
+
+// Card numbers behind the mock's payment method ids, so confirm can pick the test scenario
+const tokenizedCards = new Map()
+
+const sleep = (ms) => new Promise((res) => setTimeout(res, ms))
+
+const randomId = (prefix) => `${prefix}_mock_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+
+// Intents are kept in localStorage so refunds still work after a page reload
+const loadIntents = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch {
+    return {}
+  }
+}
+
+const saveIntent = (intent) => {
+  const intents = loadIntents()
+  intents[intent.id] = intent
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(intents))
+  } catch {}
+  return intent
+}
+
+const getIntent = (intentId) => {
+  const intent = loadIntents()[intentId]
+  if (!intent) throw paymentError('intent_not_found')
+  return intent
+}
+
+// FNV-1a is plenty for a local signature; real providers sign with HMAC on the server
+const sign = (rawBody) => {
+  let hash = 0x811c9dc5
+  const input = `${WEBHOOK_SECRET}.${rawBody}`
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return `mock_sig_${hash.toString(16)}`
+}
+
+const webhookListeners = new Set()
+
+const emitWebhook = (type, data) => {
+  const rawBody = JSON.stringify({ id: randomId('evt'), type, created: new Date().toISOString(), data })
+  const signature = sign(rawBody)
+  webhookListeners.forEach((listener) => {
+    try { listener({ rawBody, signature }) } catch (e) { console.warn('Mock webhook listener failed', e) }
+  })
+}
+
+const scenarioFor = (intent, details) => {
+  if (intent.method === 'card') {
+    const number = tokenizedCards.get(details.paymentMethodId) || ''
+    if (number.length < 13) throw paymentError('invalid_request', 'A valid card number is required')
+    return CARD_SCENARIOS[number] || 'success'
+  }
+  const vpa = String(details.upi?.vpa || '').trim().toLowerCase()
+  if (!vpa.includes('@')) throw paymentError('invalid_request', 'A valid UPI ID is required')
+  return UPI_SCENARIOS[vpa] || 'success'
+}
+
+const succeed = (intent) => {
+  const updated = saveIntent({ ...intent, status: PAYMENT_STATUS.SUCCEEDED, nextAction: null, paidAt: new Date().toISOString() })
+  emitWebhook('payment.succeeded', updated)
+  return updated
+}
+
+const fail = (intent, code) => {
+  const updated = saveIntent({ ...intent, status: PAYMENT_STATUS.FAILED, nextAction: null, failureCode: code })
+  emitWebhook('payment.failed', updated)
+  return paymentError(code, undefined, { intent: updated })
+}
+
+const mockProvider = {
+  name: 'mock',
+  // Plain inputs, so the test card numbers above can be typed in
+  hostedCardFields: false,
+
+  createPaymentMethod: async (card) => {
+    const number = String(card?.number || '').replace(/\D/g, '')
+    if (number.length < 13) throw paymentError('invalid_request', 'A valid card number is required')
+    const id = randomId('pm')
+    tokenizedCards.set(id, number)
+    return { id }
+  },
+
+  createIntent: async ({ orderId, amount, currency = 'INR', method }) => {
+    if (!PAYMENT_METHODS.includes(method)) throw paymentError('invalid_request', `Unsupported payment method: ${method}`)
+    if (!(Number(amount) > 0)) throw paymentError('invalid_request', 'Payment amount must be greater than zero')
+    await sleep(LATENCY_MS / 2)
+
+    return saveIntent({
+      id: randomId('pi'),
+      provider: 'mock',
+      orderId,
+      amount: Number(amount),
+      currency,
+      method,
+      // Cash on delivery needs no online confirmation; it is collected by the courier
+      status: method === 'cod' ? PAYMENT_STATUS.PAY_ON_DELIVERY : PAYMENT_STATUS.REQUIRES_CONFIRMATION,
+      nextAction: null,
+      amountRefunded: 0,
+      refunds: [],
+      createdAt: new Date().toISOString(),
+    })
+  },
+
+  confirm: async (intentId, details = {}) => {
+    const intent = getIntent(intentId)
+    if (intent.status === PAYMENT_STATUS.SUCCEEDED || intent.status === PAYMENT_STATUS.PAY_ON_DELIVERY) return intent
+    await sleep(LATENCY_MS)
+
+    // Second leg of a 3-D Secure challenge
+    if (intent.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+      if (String(details.otp || '').trim() === MOCK_OTP) return succeed(intent)
+      throw fail(intent, 'authentication_failed')
+    }
+
+    const scenario = scenarioFor(intent, details)
+    if (scenario === 'decline') throw fail(intent, 'card_declined')
+    if (scenario === 'challenge') {
+      return saveIntent({
+        ...intent,
+        status: PAYMENT_STATUS.REQUIRES_ACTION,
+        nextAction: { type: 'three_d_secure', hint: `Use OTP ${MOCK_OTP} to approve this test payment` },
+      })
+    }
+    if (scenario === 'timeout') {
+      saveIntent({ ...intent, status: PAYMENT_STATUS.PROCESSING })
+      await sleep(TIMEOUT_MS)
+      throw paymentError('timeout', undefined, { intent: getIntent(intentId) })
+    }
+    return succeed(intent)
+  },
+
+  verifyWebhook: async (rawBody, signature) => {
+    if (!signature || signature !== sign(rawBody)) throw paymentError('invalid_signature')
+    return JSON.parse(rawBody)
+  },
+
+  // Mock intents exist only in this browser, so the dev API can't look them up at the gateway.
+  // Checkout sends this signed copy with the payment instead; the API checks the signature with
+  // the shared mock secret and refuses mock receipts when it runs in production.
+  receipt: (intentId) => {
+    const payload = JSON.stringify(getIntent(intentId))
+    return { payload, signature: sign(payload) }
+  },
+
+  refund: async (intentId, { amount, reason = 'requested_by_customer' } = {}) => {
+    const intent = getIntent(intentId)
+    const refundable = [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED]
+    if (!refundable.includes(intent.status)) throw paymentError('not_refundable')
+
+    const remaining = intent.amount - (intent.amountRefunded || 0)
+    const refundAmount = amount == null ? remaining : Number(amount)
+    if (!(refundAmount > 0) || refundAmount > remaining) throw paymentError('refund_exceeds_payment')
+    await sleep(LATENCY_MS)
+
+    const refund = {
+      id: randomId('re'),
+      intentId,
+      amount: refundAmount,
+      reason,
+      status: PAYMENT_STATUS.SUCCEEDED,
+      createdAt: new Date().toISOString(),
+    }
+    const amountRefunded = (intent.amountRefunded || 0) + refundAmount
+    saveIntent({
+      ...intent,
+      amountRefunded,
+      refunds: [...(intent.refunds || []), refund],
+      status: amountRefunded >= intent.amount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    })
+    emitWebhook('refund.succeeded', refund)
+    return refund
+  },
+
+  // Dev-only: receive the signed events a real gateway would POST to the webhook endpoint
+  onWebhook: (listener) => {
+    webhookListeners.add(listener)
+    return () => webhookListeners.delete(listener)
+  },
+}
+
+export default mockProvider
@@ -0,0 +1,57 @@
+// Payment adapter for swapping between the local mock gateway and the live API.
+// Development builds default to the mock so checkout and refunds work offline; every other
+// build uses the server provider. The mock is refused outside development, and an unknown
+// VITE_PAYMENT_PROVIDER fails every call rather than quietly taking payments nowhere.
+//
+// Every provider implements the same contract:
+//   hostedCardFields                                     -> true when cards go into the gateway's own fields (Stripe Elements)
+//   createPaymentMethod(card)                            -> { id }; `card` is `{ stripe, element }` for hosted fields,
+//                                                           else the typed `{ number, expiry, cvv }` (mock only)
+//   createIntent({ orderId, amount, currency, method }) -> intent
+//   confirm(intentId, { paymentMethodId, upi, otp })     -> intent (may be REQUIRES_ACTION)
+//   verifyWebhook(rawBody, signature)                    -> parsed event, throws on a bad signature
+//   refund(intentId, { amount, reason })                 -> refund
+// Providers with hosted fields also have completeAction(intent, { stripe }), which runs the bank's
+// own 3-D Secure step; the mock's challenge is answered with confirm(intentId, { otp }) instead.
+// The mock alone has receipt(intentId) -> { payload, signature }, a signed copy of an intent the
+// API can't fetch from any gateway.
+// Failures throw an Error with a `code` from paymentStatus.js.
+
+import mockProvider from './mockProvider'
+import serverProvider, { getStripe } from './serverProvider'
+import { paymentError } from './paymentStatus'
+
+export { PAYMENT_METHODS, PAYMENT_STATUS, getPaymentErrorMessage } from './paymentStatus'
+export { getStripe }
+
+const providers = {
+  // Intents live in the browser's localStorage, so nothing it reports can be trusted in production
+  ...(import.meta.env.DEV && { mock: mockProvider }),
+  server: serverProvider,
+}
+
+const unavailable = async () => {
+  throw paymentError('provider_unavailable')
+}
+
+// Stands in for a missing provider so checkout shows an error instead of taking a fake payment
+const unavailableProvider = {
+  name: 'unavailable',
+  hostedCardFields: false,
+  createPaymentMethod: unavailable,
+  createIntent: unavailable,
+  confirm: unavailable,
+  verifyWebhook: unavailable,
+  refund: unavailable,
+}
+
+export function getPaymentProvider(name = import.meta.env.VITE_PAYMENT_PROVIDER || (import.meta.env.DEV ? 'mock' : 'server')) {
+  const provider = providers[name]
+  if (!provider) {
+    console.error(`Payment provider "${name}" is not available in this build`)
+    return unavailableProvider
+  }
+  return provider
+}
+
+export default getPaymentProvider
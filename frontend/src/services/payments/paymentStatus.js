@@ -0,0 +1,39 @@
+// Shared vocabulary for payment providers: methods, intent statuses and error codes.
+// Providers and callers both import from here so status checks never depend on a vendor's naming.
+
+export const PAYMENT_METHODS = ['card', 'upi', 'cod']
+
+export const PAYMENT_STATUS = {
+  REQUIRES_CONFIRMATION: 'requires_confirmation',
+  REQUIRES_ACTION: 'requires_action', // e.g. 3-D Secure challenge
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  PAY_ON_DELIVERY: 'pay_on_delivery',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+}
+
+const PAYMENT_ERROR_MESSAGES = {
+  card_declined: 'Your payment was declined. Please try another card or payment method.',
+  authentication_failed: 'Payment authentication failed. Please try again.',
+  timeout: 'The payment gateway took too long to respond. Please try again.',
+  invalid_request: 'The payment details are incomplete or invalid.',
+  intent_not_found: 'This payment could not be found.',
+  invalid_signature: 'Webhook signature verification failed.',
+  not_refundable: 'This payment cannot be refunded.',
+  refund_exceeds_payment: 'The refund amount is more than what is left to refund.',
+  provider_unavailable: 'Online payments are not available right now. Please try again later.',
+}
+
+// Providers throw plain Errors tagged with a `code` so callers can branch without vendor imports
+export function paymentError(code, message, extra = {}) {
+  const error = new Error(message || PAYMENT_ERROR_MESSAGES[code] || 'Payment failed')
+  error.code = code
+  Object.assign(error, extra)
+  return error
+}
+
+export function getPaymentErrorMessage(error) {
+  return PAYMENT_ERROR_MESSAGES[error?.code] || error?.message || 'Payment failed. Please try again.'
+}
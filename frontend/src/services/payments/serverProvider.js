@@ -0,0 +1,72 @@
+// Payment provider backed by the API server, which holds the gateway secret keys
+// (Stripe/PayPal from the admin payment settings) and talks to the real gateway.
+// Cards are typed into Stripe Elements, whose fields are iframes served by Stripe, so neither
+// our page's code nor the API ever sees a card number; both only handle the payment method id
+// Stripe hands back.
+
+import { loadStripe } from '@stripe/stripe-js'
+import { paymentError } from './paymentStatus'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+const request = async (path, body) => {
+  const response = await fetch(`${API_BASE}/api/payments${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('auth.token')}`,
+    },
+    body: JSON.stringify(body),
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw paymentError(data.code || 'invalid_request', data.message, { status: response.status, intent: data.intent })
+  }
+  return data
+}
+
+// One Stripe.js instance per publishable key; loadStripe adds Stripe's script to the page once
+const stripeInstances = new Map()
+
+export const getStripe = (publishableKey) => {
+  if (!stripeInstances.has(publishableKey)) stripeInstances.set(publishableKey, loadStripe(publishableKey))
+  return stripeInstances.get(publishableKey)
+}
+
+const serverProvider = {
+  name: 'server',
+  hostedCardFields: true,
+
+  // `element` is the mounted CardElement; the card details never leave Stripe's iframe
+  createPaymentMethod: async ({ stripe, element } = {}) => {
+    if (!stripe || !element) throw paymentError('provider_unavailable', 'Card payments are not set up yet. Please choose another payment method.')
+    const { paymentMethod, error } = await stripe.createPaymentMethod({ type: 'card', card: element })
+    if (error) throw paymentError(error.type === 'card_error' ? 'card_declined' : 'invalid_request', error.message)
+    return { id: paymentMethod.id }
+  },
+
+  createIntent: ({ orderId, amount, currency = 'INR', method }) =>
+    request('/intents', { orderId, amount, currency, method }),
+
+  confirm: (intentId, details = {}) =>
+    request(`/intents/${intentId}/confirm`, details),
+
+  // 3-D Secure and other bank steps run in Stripe's own window, from the `clientSecret` the API
+  // puts on `requires_action` intents. Confirming again with no details reads back the outcome.
+  completeAction: async (intent, { stripe } = {}) => {
+    if (!stripe || !intent.clientSecret) throw paymentError('authentication_failed')
+    const { error } = await stripe.handleNextAction({ clientSecret: intent.clientSecret })
+    if (error) throw paymentError('authentication_failed', error.message)
+    return request(`/intents/${intent.id}/confirm`, {})
+  },
+
+  verifyWebhook: async () => {
+    // Gateway webhooks are signed with a secret that never reaches the browser
+    throw paymentError('invalid_request', 'Webhook signatures are verified by the API server')
+  },
+
+  refund: (intentId, { amount, reason } = {}) =>
+    request(`/intents/${intentId}/refunds`, { amount, reason }),
+}
+
+export default serverProvider
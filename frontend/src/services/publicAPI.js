@@ -75,6 +75,14 @@ export const productsAPI = {
 
     return apiRequest(`/api/products/search?${params.toString()}`)
   },
+
+  // Faceted catalog search; `params` is the catalog query string (see lib/catalogFilters.js).
+  // Responds with { products, total, totalPages, facets }.
+  searchCatalog: async (params, limit) => {
+    const query = new URLSearchParams(params)
+    query.set('limit', limit)
+    return apiRequest(`/api/products/search?${query.toString()}`)
+  },
 }
 
 // Categories API
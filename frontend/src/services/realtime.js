@@ -0,0 +1,134 @@
+/**
+ * One Server-Sent Events connection per tab, shared by every component that
+ * listens for real-time events. The connection opens with the first subscriber
+ * and closes when the last one leaves.
+ *
+ * - Resume: the id of the last event seen is sent back as `lastEventId` when
+ *   reconnecting, so the server can replay what was missed.
+ * - Backoff: reconnects wait 1s, 2s, 4s ... up to 30s (with jitter) and reset
+ *   once a connection opens.
+ * - Cache: every event invalidates the React Query keys listed for its type in
+ *   lib/realtimeEvents.js, once per tab regardless of the number of subscribers.
+ */
+import { queryClient } from '../lib/queryClient'
+import { parseEvent, getInvalidations } from '../lib/realtimeEvents'
+import { getAuthToken, AUTH_CHANGED_EVENT } from './api.js'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+const EVENTS_URL = `${API_BASE}/api/sse/events`
+
+const MIN_BACKOFF = 1000
+const MAX_BACKOFF = 30000
+
+export const CONNECTION_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+}
+
+let source = null
+let status = CONNECTION_STATUS.IDLE
+let lastEventId = null
+let attempt = 0
+let reconnectTimer = null
+const listeners = new Set()
+const statusListeners = new Set()
+
+const setStatus = (next) => {
+  if (status === next) return
+  status = next
+  statusListeners.forEach((listener) => listener(status))
+}
+
+// EventSource cannot send headers, so the token and resume point travel in the query string
+const buildUrl = () => {
+  const params = new URLSearchParams()
+  const token = getAuthToken()
+  if (token) params.set('token', token)
+  if (lastEventId) params.set('lastEventId', lastEventId)
+  const query = params.toString()
+  return query ? `${EVENTS_URL}?${query}` : EVENTS_URL
+}
+
+const handleMessage = (message) => {
+  const event = parseEvent(message)
+  if (!event) return
+  if (event.id) lastEventId = event.id
+
+  getInvalidations(event).forEach((queryKey) => queryClient.invalidateQueries({ queryKey }))
+  listeners.forEach((listener) => {
+    try {
+      listener(event)
+    } catch (error) {
+      console.error('Real-time event listener failed:', error)
+    }
+  })
+}
+
+const scheduleReconnect = () => {
+  const delay = Math.min(MAX_BACKOFF, MIN_BACKOFF * 2 ** attempt)
+  attempt += 1
+  setStatus(CONNECTION_STATUS.RECONNECTING)
+  // Jitter so every tab does not reconnect at the same instant after a server restart
+  reconnectTimer = setTimeout(open, delay / 2 + Math.random() * (delay / 2))
+}
+
+function open() {
+  reconnectTimer = null
+  if (typeof EventSource === 'undefined') return
+  setStatus(attempt === 0 ? CONNECTION_STATUS.CONNECTING : CONNECTION_STATUS.RECONNECTING)
+
+  source = new EventSource(buildUrl())
+  source.onopen = () => {
+    attempt = 0
+    setStatus(CONNECTION_STATUS.OPEN)
+  }
+  source.onmessage = handleMessage
+  // The browser's own retry ignores our backoff and drops the token refresh, so take over
+  source.onerror = () => {
+    source?.close()
+    source = null
+    scheduleReconnect()
+  }
+}
+
+function close() {
+  clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  source?.close()
+  source = null
+  attempt = 0
+  setStatus(CONNECTION_STATUS.IDLE)
+}
+
+/**
+ * Listen for every event on the shared connection. Returns the unsubscribe function.
+ */
+export function subscribe(listener) {
+  listeners.add(listener)
+  if (!source && !reconnectTimer) open()
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) close()
+  }
+}
+
+export function subscribeStatus(listener) {
+  statusListeners.add(listener)
+  return () => statusListeners.delete(listener)
+}
+
+export const getStatus = () => status
+
+// Reconnect with a fresh token, e.g. after signing in or out
+export function reconnect() {
+  if (listeners.size === 0) return
+  close()
+  open()
+}
+
+// Signing in or out changes which events this tab may receive
+if (typeof window !== 'undefined') {
+  window.addEventListener(AUTH_CHANGED_EVENT, reconnect)
+}
@@ -0,0 +1,79 @@
+/**
+ * Search analytics: what people search for and which results they open.
+ *
+ * Events go to `POST /api/search/events` and feed the admin search report
+ * (`/api/admin/analytics/search`). Each search gets an id generated here so clicks can be
+ * joined to it; the session id (per tab) lets the API fold "monst" → "monstera" refinements
+ * into one search. Logging is fire-and-forget: a failure never reaches the shopper.
+ *
+ * - `search` — `{ searchId, query, resultCount, source }`. `source` is `suggest` for a query
+ *   typed into the header box (logged once typing pauses) or `catalog` for a submitted search,
+ *   whose result count comes from the catalog.
+ * - `click` — `{ searchId, query, resultType, resultId, position }`; position is 1-based.
+ */
+import { normalizeText } from '../lib/search'
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+const EVENTS_URL = `${API_BASE}/api/search/events`
+const SESSION_KEY = 'search.session'
+
+export const SEARCH_SOURCES = {
+  SUGGEST: 'suggest',
+  CATALOG: 'catalog',
+}
+
+const randomId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+const sessionId = () => {
+  try {
+    let id = sessionStorage.getItem(SESSION_KEY)
+    if (!id) {
+      id = randomId()
+      sessionStorage.setItem(SESSION_KEY, id)
+    }
+    return id
+  } catch {
+    return null
+  }
+}
+
+// sendBeacon survives the navigation a result click starts; fetch with keepalive is the fallback.
+// The beacon body is JSON sent as text/plain: a cross-origin beacon with any other type needs a
+// CORS preflight, which browsers refuse or throw on.
+const beacon = (body) => {
+  try {
+    return Boolean(navigator.sendBeacon?.(EVENTS_URL, new Blob([body], { type: 'text/plain;charset=UTF-8' })))
+  } catch {
+    return false
+  }
+}
+
+const send = (event) => {
+  const body = JSON.stringify({ ...event, sessionId: sessionId(), at: new Date().toISOString() })
+  if (beacon(body)) return
+  try {
+    fetch(EVENTS_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {})
+  } catch {
+    // Analytics never gets in the way of searching
+  }
+}
+
+// Returns the search id to pass to logSearchClick, or null for queries too short to report
+export const logSearch = ({ query, resultCount, source }) => {
+  const normalized = normalizeText(query)
+  if (normalized.length < 2) return null
+  const searchId = randomId()
+  send({ type: 'search', searchId, query: normalized, resultCount, source })
+  return searchId
+}
+
+export const logSearchClick = ({ searchId, query, resultType, resultId, position }) => {
+  if (!searchId) return
+  send({ type: 'click', searchId, query: normalizeText(query), resultType, resultId: String(resultId), position })
+}
@@ -1,82 +1,278 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import {
+  fetchCartItems,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart as clearServerCart,
+  mergeCart,
+  getAuthToken,
+} from '../services/api.js'
+import { normalizeCouponCode } from '../lib/coupons'
+
+// Single cart engine for the whole storefront.
+//
+// Every line uses one schema: { id, productId, variantId, variantTitle, sku, name, price, image, quantity },
+// where `id` is the line key from cartLineId (one line per product, or per variant for products
+// sold in several pot sizes/planters). Guests keep their cart locally.
+// Signed-in changes are applied optimistically and queued in `pendingOps`; the queue is
+// replayed in order against /api/cart whenever the server is reachable, and survives reloads.
+// On sign-in the guest cart is merged into the server cart via /api/cart/merge.
+// The applied coupon code rides along with the cart; the server prices it (see lib/coupons.js).
+
+export const CART_STORAGE_KEY = 'cart-storage'
+const LEGACY_STORAGE_KEY = 'cart.items'
+
+// Line key: the product id, plus the variant id when a specific variant was chosen
+export const cartLineId = (productId, variantId) =>
+  variantId === null || variantId === undefined ? String(productId) : `${productId}:${variantId}`
+
+export const normalizeCartItem = (raw = {}) => {
+  const productId = raw.productId ?? raw.product_id ?? raw.product?.id ?? raw.id
+  const variantId = raw.variantId ?? raw.variant_id ?? raw.variant?.id ?? null
+  return {
+    id: cartLineId(productId, variantId),
+    productId,
+    variantId,
+    variantTitle: raw.variantTitle ?? raw.variant_title ?? raw.variant?.title ?? '',
+    sku: raw.sku ?? raw.variant?.sku ?? '',
+    name: raw.name ?? raw.product?.name ?? '',
+    price: Number(raw.price ?? raw.product?.price) || 0,
+    image: raw.image ?? raw.image_url ?? raw.product?.image ?? raw.product?.image_url ?? '',
+    quantity: Math.max(1, Number(raw.quantity ?? raw.qty) || 1),
+    // Tax class the server resolved from the product's category, for the GST estimate
+    hsnCode: raw.hsnCode ?? raw.hsn_code ?? raw.product?.hsn_code ?? '',
+    gstRate: raw.gstRate ?? raw.gst_rate ?? raw.product?.gst_rate ?? null,
+  }
+}
+
+const normalizeCart = (data) => {
+  const list = Array.isArray(data) ? data : data?.items || []
+  return list.map(normalizeCartItem)
+}
+
+export const getItemCount = (items) => items.reduce((sum, item) => sum + item.quantity, 0)
+export const getSubtotal = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+
+// Failed fetches and 5xx are worth retrying later; 4xx means the server rejected the change
+const isRetryable = (error) => !error?.status || error.status >= 500
+
+// The pre-unification CartProvider kept its own copy under `cart.items` with a `qty` field
+const readLegacyItems = () => {
+  try {
+    const raw = localStorage.getItem(LEGACY_STORAGE_KEY)
+    localStorage.removeItem(LEGACY_STORAGE_KEY)
+    return raw ? normalizeCart(JSON.parse(raw)) : []
+  } catch {
+    return []
+  }
+}
 
 const useCartStore = create(
   persist(
-    (set, get) => ({
-      // State
-      items: [],
-      isOpen: false,
-      total: 0,
-      itemCount: 0,
-
-      // Actions
-      addItem: (product, quantity = 1) => {
-        const items = get().items
-        const existingItem = items.find(item => item.id === product.id)
-        
-        let newItems
-        if (existingItem) {
-          newItems = items.map(item =>
-            item.id === product.id
-              ? { ...item, quantity: item.quantity + quantity }
-              : item
+    (set, get) => {
+      // Apply a change locally, then queue it for the server when signed in
+      const commit = (items, op) => {
+        const signedIn = get().owner === 'user'
+        set((state) => ({
+          items,
+          pendingOps: signedIn && op ? queueOp(state.pendingOps, op) : state.pendingOps,
+        }))
+        if (signedIn && op) get().flush()
+      }
+
+      return {
+        // State
+        items: [],
+        pendingOps: [],
+        // 'guest' until the local cart has been merged into a signed-in user's server cart
+        owner: 'guest',
+        status: 'idle', // idle, syncing, offline
+        isOpen: false,
+        couponCode: null,
+
+        // Actions
+        // `variant` ({ id, title, sku, price }) is required for products that have variants
+        addItem: (product, quantity = 1, variant = null) => {
+          const productId = product.productId ?? product.id
+          const variantId = variant?.id ?? null
+          const id = cartLineId(productId, variantId)
+          const items = get().items
+          const existing = items.find((item) => item.id === id)
+          const next = existing
+            ? items.map((item) => (item.id === id ? { ...item, quantity: item.quantity + quantity } : item))
+            : [
+                normalizeCartItem({
+                  ...product,
+                  productId,
+                  variantId,
+                  variantTitle: variant?.title,
+                  sku: variant?.sku ?? product.sku,
+                  price: variant?.price ?? product.price,
+                  quantity,
+                }),
+                ...items,
+              ]
+          commit(next, { type: 'add', productId, variantId, quantity })
+        },
+
+        // Line actions take the line id (item.id), which is the product id for products without variants
+        updateQuantity: (lineId, quantity) => {
+          if (quantity <= 0) {
+            get().removeItem(lineId)
+            return
+          }
+          const id = String(lineId)
+          const line = get().items.find((item) => item.id === id)
+          if (!line) return
+          commit(
+            get().items.map((item) => (item.id === id ? { ...item, quantity } : item)),
+            { type: 'update', productId: line.productId, variantId: line.variantId, quantity }
           )
-        } else {
-          newItems = [...items, { ...product, quantity }]
-        }
-        
-        const total = newItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-        const itemCount = newItems.reduce((sum, item) => sum + item.quantity, 0)
-        
-        set({ items: newItems, total, itemCount })
-      },
+        },
 
-      removeItem: (productId) => {
-        const items = get().items.filter(item => item.id !== productId)
-        const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-        const itemCount = items.reduce((sum, item) => sum + item.quantity, 0)
-        
-        set({ items, total, itemCount })
-      },
+        removeItem: (lineId) => {
+          const id = String(lineId)
+          const line = get().items.find((item) => item.id === id)
+          if (!line) return
+          commit(get().items.filter((item) => item.id !== id), {
+            type: 'remove',
+            productId: line.productId,
+            variantId: line.variantId,
+          })
+        },
 
-      updateQuantity: (productId, quantity) => {
-        if (quantity <= 0) {
-          get().removeItem(productId)
-          return
-        }
-        
-        const items = get().items.map(item =>
-          item.id === productId ? { ...item, quantity } : item
-        )
-        const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-        const itemCount = items.reduce((sum, item) => sum + item.quantity, 0)
-        
-        set({ items, total, itemCount })
-      },
+        // Apply a price the server quoted back (e.g. on an order rejection); local only
+        updatePrice: (lineId, price) => {
+          const id = String(lineId)
+          set({ items: get().items.map((item) => (item.id === id ? { ...item, price: Number(price) || 0 } : item)) })
+        },
+
+        // A placed order redeems the coupon, so it goes with the cart
+        clearCart: () => {
+          set({ couponCode: null })
+          commit([], { type: 'clear' })
+        },
 
-      clearCart: () => set({ items: [], total: 0, itemCount: 0 }),
+        applyCoupon: (code) => set({ couponCode: normalizeCouponCode(code) || null }),
+        removeCoupon: () => set({ couponCode: null }),
 
-      toggleCart: () => set((state) => ({ isOpen: !state.isOpen })),
+        toggleCart: () => set((state) => ({ isOpen: !state.isOpen })),
+        openCart: () => set({ isOpen: true }),
+        closeCart: () => set({ isOpen: false }),
 
-      openCart: () => set({ isOpen: true }),
+        // Replay queued changes in order, then take the server's cart as the source of truth
+        flush: async () => {
+          if (get().status === 'syncing' || get().owner !== 'user' || !getAuthToken()) return
+          set({ status: 'syncing' })
+          try {
+            while (get().pendingOps.length > 0) {
+              const [op, ...rest] = get().pendingOps
+              set({ pendingOps: rest })
+              try {
+                await sendOp(op)
+              } catch (error) {
+                if (isRetryable(error)) {
+                  set((state) => ({ pendingOps: [op, ...state.pendingOps], status: 'offline' }))
+                  return
+                }
+                console.warn('Cart change rejected by server, dropping it', op, error)
+              }
+            }
+            const serverItems = normalizeCart(await fetchCartItems())
+            // Changes made while the request was in flight are replayed on the next flush
+            if (get().pendingOps.length === 0) set({ items: serverItems })
+            set({ status: 'idle' })
+          } catch (error) {
+            console.warn('Cart sync failed, will retry when back online', error)
+            set({ status: 'offline' })
+          }
+          if (get().pendingOps.length > 0 && get().status === 'idle') get().flush()
+        },
 
-      closeCart: () => set({ isOpen: false }),
+        // Called once a session token is available: fold the guest cart into the server cart
+        signIn: async () => {
+          if (!getAuthToken()) return
+          const { owner, items } = get()
+          if (owner === 'user') {
+            await get().flush()
+            return
+          }
+          set({ status: 'syncing' })
+          try {
+            const merged = items.length > 0
+              ? await mergeCart(items.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })))
+              : await fetchCartItems()
+            set({ items: normalizeCart(merged), owner: 'user', pendingOps: [], status: 'idle' })
+          } catch (error) {
+            console.warn('Could not merge guest cart, keeping it locally for now', error)
+            set({ status: 'offline' })
+          }
+        },
 
-      // Getters
-      getItem: (productId) => get().items.find(item => item.id === productId),
-      getItemQuantity: (productId) => get().getItem(productId)?.quantity || 0,
-      isEmpty: () => get().items.length === 0,
-    }),
+        // The server keeps the signed-in cart; the device goes back to an empty guest cart
+        signOut: () => set({ items: [], pendingOps: [], owner: 'guest', status: 'idle', couponCode: null }),
+
+        // Getters
+        getItem: (lineId) => get().items.find((item) => item.id === String(lineId)),
+        getItemQuantity: (lineId) => get().getItem(lineId)?.quantity || 0,
+        isEmpty: () => get().items.length === 0,
+      }
+    },
     {
-      name: 'cart-storage',
-      partialize: (state) => ({ 
-        items: state.items, 
-        total: state.total, 
-        itemCount: state.itemCount 
+      name: CART_STORAGE_KEY,
+      version: 1,
+      partialize: (state) => ({
+        items: state.items,
+        pendingOps: state.pendingOps,
+        owner: state.owner,
+        couponCode: state.couponCode,
+      }),
+      // v0 stored whole product objects plus derived totals; keep only the line fields
+      migrate: (persisted) => ({
+        items: normalizeCart(persisted?.items),
+        pendingOps: [],
+        owner: 'guest',
       }),
+      // Fold in lines from the old CartProvider storage so nothing is lost on upgrade
+      merge: (persisted, current) => {
+        const state = { ...current, ...persisted }
+        const known = new Set(state.items.map((item) => item.id))
+        const legacy = readLegacyItems().filter((item) => !known.has(item.id))
+        return legacy.length > 0 ? { ...state, items: [...state.items, ...legacy] } : state
+      },
     }
   )
 )
 
-export default useCartStore
\ No newline at end of file
+// Collapse repeated quantity changes to the same line so the queue stays short offline
+function queueOp(queue, op) {
+  if (op.type === 'clear') return [op]
+  const last = queue[queue.length - 1]
+  if (
+    op.type === 'update' &&
+    last?.type === 'update' &&
+    cartLineId(last.productId, last.variantId) === cartLineId(op.productId, op.variantId)
+  ) {
+    return [...queue.slice(0, -1), op]
+  }
+  return [...queue, op]
+}
+
+function sendOp(op) {
+  switch (op.type) {
+    case 'add':
+      return addToCart(op.productId, op.quantity, op.variantId)
+    case 'update':
+      return updateCartItem(op.productId, op.quantity, op.variantId)
+    case 'remove':
+      return removeFromCart(op.productId, op.variantId)
+    case 'clear':
+      return clearServerCart()
+    default:
+      return Promise.resolve()
+  }
+}
+
+export default useCartStore
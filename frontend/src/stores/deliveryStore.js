@@ -0,0 +1,22 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { isValidPincode, normalizePincode } from '../lib/shipping'
+
+// The customer's delivery pincode, remembered between the product page and checkout
+const useDeliveryStore = create(
+  persist(
+    (set) => ({
+      pincode: '',
+      setPincode: (value) => {
+        const pincode = normalizePincode(value)
+        if (isValidPincode(pincode)) set({ pincode })
+      },
+    }),
+    {
+      name: 'delivery-pincode',
+      version: 1,
+    }
+  )
+)
+
+export default useDeliveryStore
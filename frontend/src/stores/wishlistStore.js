@@ -0,0 +1,152 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import {
+  fetchWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  updateWishlistAlerts,
+  mergeWishlist,
+  getAuthToken,
+} from '../services/api.js'
+import { hasVariants } from '../lib/productVariants'
+import useUIStore from './uiStore'
+
+// Customer wishlist.
+//
+// Entries: { productId, name, price, image, inStock, hasVariants, addedAt, alerts: { priceDrop, backInStock } }.
+// Guests keep the list in localStorage; once signed in the server owns it and every change
+// is sent straight to /api/wishlist (optimistically, rolled back if the server refuses).
+// On sign-in the guest list is merged into the account via /api/wishlist/merge.
+// Alerts are only raised by the server, so guests' alert choices take effect after sign-in.
+
+export const WISHLIST_STORAGE_KEY = 'wishlist-storage'
+
+export const DEFAULT_WISHLIST_ALERTS = { priceDrop: true, backInStock: true }
+
+export const normalizeWishlistItem = (raw = {}) => {
+  const product = raw.product || {}
+  const stock = raw.inventory ?? raw.stock ?? product.inventory ?? product.stock
+  return {
+    productId: String(raw.productId ?? raw.product_id ?? product.id ?? raw.id),
+    name: raw.name ?? product.name ?? '',
+    price: Number(raw.price ?? product.price) || 0,
+    image: raw.image ?? raw.image_url ?? product.image ?? product.image_url ?? '',
+    inStock: raw.inStock ?? raw.in_stock ?? (stock === undefined ? true : Number(stock) > 0),
+    hasVariants: raw.hasVariants ?? raw.has_variants ?? hasVariants(raw.product || raw),
+    addedAt: raw.addedAt ?? raw.added_at ?? new Date().toISOString(),
+    alerts: {
+      priceDrop: raw.alerts?.priceDrop ?? raw.alert_price_drop ?? DEFAULT_WISHLIST_ALERTS.priceDrop,
+      backInStock: raw.alerts?.backInStock ?? raw.alert_back_in_stock ?? DEFAULT_WISHLIST_ALERTS.backInStock,
+    },
+  }
+}
+
+const normalizeWishlist = (data) => (Array.isArray(data) ? data : data?.items || []).map(normalizeWishlistItem)
+
+const useWishlistStore = create(
+  persist(
+    (set, get) => {
+      // Apply locally, then tell the server when signed in; put the old list back if it refuses
+      const commit = async (items, send, failureMessage) => {
+        const previous = get().items
+        set({ items })
+        if (get().owner !== 'user') return
+        try {
+          await send()
+        } catch (error) {
+          set({ items: previous })
+          useUIStore.getState().showError(error.message, failureMessage)
+        }
+      }
+
+      return {
+        // State
+        items: [],
+        // 'guest' until the local list has been merged into the signed-in user's wishlist
+        owner: 'guest',
+        status: 'idle', // idle, syncing
+
+        // Actions
+        add: (product, alerts = DEFAULT_WISHLIST_ALERTS) => {
+          const item = normalizeWishlistItem({ ...product, productId: product.productId ?? product.id, alerts })
+          if (get().has(item.productId)) return
+          return commit([item, ...get().items], () => addToWishlist(item.productId, item.alerts), 'Failed to save to wishlist')
+        },
+
+        remove: (productId) => {
+          const id = String(productId)
+          return commit(
+            get().items.filter((item) => item.productId !== id),
+            () => removeFromWishlist(id),
+            'Failed to remove from wishlist'
+          )
+        },
+
+        toggle: (product) => {
+          const id = String(product.productId ?? product.id)
+          return get().has(id) ? get().remove(id) : get().add(product)
+        },
+
+        setAlerts: (productId, alerts) => {
+          const id = String(productId)
+          const item = get().items.find((entry) => entry.productId === id)
+          if (!item) return
+          const next = { ...item.alerts, ...alerts }
+          return commit(
+            get().items.map((entry) => (entry.productId === id ? { ...entry, alerts: next } : entry)),
+            () => updateWishlistAlerts(id, next),
+            'Failed to update wishlist alerts'
+          )
+        },
+
+        // Re-read the server's list, e.g. after an alert reports a new price or stock
+        refresh: async () => {
+          if (get().owner !== 'user' || !getAuthToken()) return
+          try {
+            set({ items: normalizeWishlist(await fetchWishlist()) })
+          } catch (error) {
+            console.warn('Could not refresh wishlist', error)
+          }
+        },
+
+        // Called once a session token is available: fold the guest list into the account
+        signIn: async () => {
+          if (!getAuthToken() || get().status === 'syncing') return
+          const { owner, items } = get()
+          if (owner === 'user') {
+            await get().refresh()
+            return
+          }
+          set({ status: 'syncing' })
+          try {
+            const merged = items.length > 0
+              ? await mergeWishlist(items.map(({ productId, alerts, addedAt }) => ({ productId, alerts, addedAt })))
+              : await fetchWishlist()
+            set({ items: normalizeWishlist(merged), owner: 'user', status: 'idle' })
+          } catch (error) {
+            // Keep the guest list; the merge is retried on the next sign-in signal
+            console.warn('Could not merge guest wishlist, keeping it locally for now', error)
+            set({ status: 'idle' })
+          }
+        },
+
+        // The account keeps its wishlist on the server; the device goes back to an empty guest list
+        signOut: () => set({ items: [], owner: 'guest', status: 'idle' }),
+
+        // Getters
+        has: (productId) => get().items.some((item) => item.productId === String(productId)),
+        getItem: (productId) => get().items.find((item) => item.productId === String(productId)),
+      }
+    },
+    {
+      name: WISHLIST_STORAGE_KEY,
+      version: 1,
+      partialize: (state) => ({
+        items: state.items,
+        owner: state.owner,
+      }),
+    }
+  )
+)
+
+export default useWishlistStore